@@ -1,5 +1,5 @@
-import React, { useState, useEffect } from 'react';
-import { Flame, Camera, Satellite, Loader2, Shield, Video, StopCircle } from 'lucide-react';
+import React, { useState, useEffect, useRef, useSyncExternalStore } from 'react';
+import { Flame, Camera, Satellite, Loader2, Shield, Video, StopCircle, Settings } from 'lucide-react';
 import FileUpload from './components/FileUpload';
 import DetectionResult from './components/DetectionResult';
 import AlertStatus from './components/AlertStatus';
@@ -8,17 +8,26 @@ import VideoPreview from './components/VideoPreview';
 import InstantAlert from './components/InstantAlert';
 import WebcamDetection from './components/WebcamDetection';
 import FireMap from './components/FireMap';
-import { detectFireSmoke, detectFireSmokeStreaming, detectSatelliteFire } from './services/api';
+import UploadQueue from './components/UploadQueue';
+import SatelliteAnalysis from './components/SatelliteAnalysis';
+import BackendStatus from './components/BackendStatus';
+import ColdStartBanner from './components/ColdStartBanner';
+import BackendSettings from './components/BackendSettings';
+import { detectFireSmoke, detectFireSmokeStreaming, getSatelliteAlerts } from './services/api';
+import { CancelledError, getErrorMessage } from './services/apiErrors';
+import evidenceStore from './services/evidenceStore';
+import healthMonitor from './services/healthMonitor';
 import audioAlert from './utils/audioAlert';
+import { CAMERA_OFFLINE } from './utils/cameraWatchdog';
+import DetectionQueue from './utils/detectionQueue';
+import { formatCoordinates, parseCoordinates } from './utils/geo';
 import './index.css';
 
-const API_BASE_URL = import.meta.env.VITE_API_URL || 'https://wildfire-backend-4.onrender.com';
+// How many files the batch queue analyses at the same time
+const QUEUE_CONCURRENCY = 2;
 
 function App() {
   const [activeTab, setActiveTab] = useState('fire-smoke');
-  const [selectedFile, setSelectedFile] = useState(null);
-  const [isLoading, setIsLoading] = useState(false);
-  const [detectionResult, setDetectionResult] = useState(null);
   const [isMonitoring, setIsMonitoring] = useState(false); // For webcam monitoring
   
   // Load from localStorage on mount
@@ -37,12 +46,33 @@ function App() {
 
   // Emergency stop state - stops all monitoring and alerts
   const [isEmergencyStop, setIsEmergencyStop] = useState(false);
+  const [showBackendSettings, setShowBackendSettings] = useState(false);
+
+  // Batch upload queue - many files analysed with bounded concurrency
+  const processQueuedFileRef = useRef(null);
+  const [detectionQueue] = useState(() => new DetectionQueue({
+    concurrency: QUEUE_CONCURRENCY,
+    processFile: (file, options) => processQueuedFileRef.current(file, options)
+  }));
+  const queueItems = useSyncExternalStore(detectionQueue.subscribe, detectionQueue.getSnapshot);
+  // Partial results of video streams that failed or were cancelled, keyed by File
+  const [partialStreams] = useState(() => new WeakMap());
+  const [selectedQueueId, setSelectedQueueId] = useState(null);
+  const selectedQueueItem = queueItems.find(item => item.id === selectedQueueId) || null;
 
   // Satellite alerts state - for NASA FIRMS real-time fire data
   const [satelliteAlerts, setSatelliteAlerts] = useState(null);
   const [loadingSatelliteAlerts, setLoadingSatelliteAlerts] = useState(false);
   const [satelliteFilter, setSatelliteFilter] = useState('all'); // 'all', 'verified', 'unverified', 'false_alarms'
 
+  // Satellite tile analysis - coordinates being edited and results pinned to the map
+  const [tileLocation, setTileLocation] = useState({ lat: '', lon: '' });
+  const [isPickingTileLocation, setIsPickingTileLocation] = useState(false);
+  const [satellitePins, setSatellitePins] = useState(() => {
+    const saved = localStorage.getItem('wildfire-satellite-pins');
+    return saved ? JSON.parse(saved) : [];
+  });
+
   // Save to localStorage whenever alerts or history changes
   useEffect(() => {
     localStorage.setItem('wildfire-alerts', JSON.stringify(alerts));
@@ -52,17 +82,15 @@ function App() {
     localStorage.setItem('wildfire-detection-history', JSON.stringify(detectionHistory));
   }, [detectionHistory]);
 
-  const handleFileSelect = (file) => {
-    setSelectedFile(file);
-    setDetectionResult(null);
-  };
+  useEffect(() => {
+    localStorage.setItem('wildfire-satellite-pins', JSON.stringify(satellitePins));
+  }, [satellitePins]);
 
   // Load satellite alerts from NASA FIRMS
   const loadSatelliteAlerts = async () => {
     setLoadingSatelliteAlerts(true);
     try {
-      const response = await fetch(`${API_BASE_URL}/satellite-alerts`);
-      const data = await response.json();
+      const data = await getSatelliteAlerts();
       setSatelliteAlerts(data);
       console.log('🛰️ Satellite alerts loaded:', data);
       
@@ -72,7 +100,8 @@ function App() {
       }
     } catch (error) {
       console.error('❌ Error loading satellite alerts:', error);
-      setSatelliteAlerts({ error: error.message, count: 0, alerts: [] });
+      healthMonitor.reportFailure(error);
+      setSatelliteAlerts({ error: getErrorMessage(error), count: 0, alerts: [] });
     } finally {
       setLoadingSatelliteAlerts(false);
     }
@@ -115,6 +144,51 @@ function App() {
     console.log('🚨 Local authorities should be notified');
   };
 
+  // Satellite tile analysed with the ResNet classifier - log it and alert on high risk
+  const handleSatelliteAnalysis = (file, result, coordinates) => {
+    const wildfireProb = result.wildfire || 0;
+    const threatDetected = wildfireProb > 0.5;
+
+    const historyItem = {
+      id: `detection-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      type: 'Satellite Analysis',
+      filename: file.name,
+      timestamp: new Date().toLocaleString(),
+      detected: threatDetected,
+      location: coordinates ? formatCoordinates(coordinates) : undefined,
+      details: {
+        wildfireProb: wildfireProb,
+        riskLevel: wildfireProb > 0.7 ? 'High' : wildfireProb > 0.5 ? 'Medium' : 'Low',
+        ...(coordinates && { lat: coordinates.lat, lon: coordinates.lon })
+      }
+    };
+
+    setDetectionHistory(prev => [historyItem, ...prev]);
+
+    if (threatDetected && !isEmergencyStop) {
+      const alert = {
+        id: `alert-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        message: `High wildfire risk detected in ${file.name}!`,
+        details: `Wildfire probability: ${(wildfireProb * 100).toFixed(1)}%`,
+        severity: 'high',
+        timestamp: new Date().toLocaleString(),
+        source: 'satellite-tile'
+      };
+
+      console.log('🚨 Creating alert:', alert);
+      setAlerts(prev => [alert, ...prev]);
+      audioAlert.playFireAlarm(3000);
+      setInstantAlert(alert);
+    }
+  };
+
+  const handleTileMapClick = (location) => {
+    setTileLocation({ lat: location.lat.toFixed(5), lon: location.lon.toFixed(5) });
+    setIsPickingTileLocation(false);
+  };
+
+  const pickedTileLocation = parseCoordinates(tileLocation);
+
   // Get filtered alerts based on selected filter
   const getFilteredAlerts = () => {
     if (!satelliteAlerts) return [];
@@ -140,246 +214,305 @@ function App() {
 
 
 
-  const handleDetection = async () => {
-    if (!selectedFile) return;
+  // Stream a video frame-by-frame, raising instant alerts as fire shows up
+  const streamVideoDetection = (file, { signal, onProgress, onStatus }) => new Promise((resolve, reject) => {
+    console.log('📡 Using STREAMING detection for real-time alerts!', file.name);
 
-    setIsLoading(true);
-    setDetectionResult(null);
+    // A retried file picks up where its last stream stopped and merges results
+    const partial = partialStreams.get(file);
+    if (partial) {
+      console.log(`🔁 Resuming ${file.name} after frame ${partial.resumeState.lastFrame}`);
+    }
 
-    try {
-      const isFireSmoke = activeTab === 'fire-smoke';
-      const isVideo = selectedFile.type.startsWith('video/');
-      
-      console.log('🔍 Starting detection...', { 
-        activeTab, 
-        filename: selectedFile.name,
-        isVideo,
-        streamingEnabled: isVideo && isFireSmoke
-      });
+    let allDetections = partial ? [...partial.detections] : [];
+    let firstFireFrame = partial ? partial.firstFireFrame : null;
+    let totalFramesWithFire = partial ? partial.totalFramesWithFire : 0;
+    let summary = null;
 
-      // Use STREAMING detection for videos (real-time frame-by-frame alerts!)
-      if (isVideo && isFireSmoke) {
-        console.log('📡 Using STREAMING detection for real-time alerts!');
-        
-        let allDetections = [];
-        let firstFireFrame = null;
-        let totalFramesWithFire = 0;
-
-        await detectFireSmokeStreaming(
-          selectedFile,
-          // onFrameDetection - Called for EACH frame immediately!
-          (frameData) => {
-            console.log(`🎬 Frame ${frameData.frame}/${frameData.total_frames}:`, frameData);
-
-            // INSTANT ALERT if fire detected in this frame!
-            if (frameData.has_fire && frameData.detections.length > 0) {
-              totalFramesWithFire++;
-              
-              // Store first fire frame
-              if (!firstFireFrame) {
-                firstFireFrame = frameData.frame;
-              }
-
-              // Calculate confidence for this frame
-              const avgConfidence = frameData.detections.reduce((sum, d) => sum + d.confidence, 0) / frameData.detections.length;
-
-              // Check if emergency stop is active
-              if (!isEmergencyStop) {
-                // Create INSTANT alert for this frame!
-                const alert = {
-                  id: `alert-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-                  message: `🔥 FIRE DETECTED in frame ${frameData.frame}!`,
-                  details: `${frameData.detections.length} detection(s) with ${(avgConfidence * 100).toFixed(1)}% confidence`,
-                  severity: 'high',
-                  timestamp: new Date().toLocaleString(),
-                  frameNumber: frameData.frame
-                };
-
-                console.log(`⚡ INSTANT ALERT - Frame ${frameData.frame}:`, alert);
-                
-                // 🔊 PLAY LOUD AUDIO ALARM (only on first detection to avoid spam)
-                if (totalFramesWithFire === 1) {
-                  audioAlert.playFireAlarm(3000); // 3 second alarm
-                }
-                
-                // Show instant popup alert!
-                setInstantAlert(alert);
-                
-                // Add to alerts list
-                setAlerts(prev => [alert, ...prev]);
-
-                // Browser notification (only for first detection to avoid spam)
-                if (totalFramesWithFire === 1 && 'Notification' in window && Notification.permission === 'granted') {
-                  new Notification('🔥 FIRE DETECTED!', {
-                    body: `Fire found in frame ${frameData.frame} of ${selectedFile.name}!`,
-                    icon: '/fire-icon.png',
-                  });
-                }
-              }
-
-              // Store all detections
-              allDetections.push(...frameData.detections);
-            }
-          },
-          // onComplete - Called when all frames processed
-          () => {
-            console.log('✅ Streaming detection complete!');
-            console.log(`📊 Summary: ${totalFramesWithFire} frames with fire out of ${allDetections.length} total`);
-
-            // Set final result
-            const result = {
-              detections: allDetections,
-              totalFrames: totalFramesWithFire,
-              firstFireFrame: firstFireFrame
-            };
-            setDetectionResult(result);
+    const savePartial = (resumeState) => {
+      if (resumeState.lastFrame != null) {
+        partialStreams.set(file, { detections: allDetections, firstFireFrame, totalFramesWithFire, resumeState });
+      }
+    };
 
-            // Add to history
-            const historyItem = {
-              id: `detection-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-              type: 'Fire & Smoke Detection (Streaming)',
-              filename: selectedFile.name,
-              timestamp: new Date().toLocaleString(),
-              detected: allDetections.length > 0,
-              details: {
-                detections: allDetections,
-                detectionCount: allDetections.length,
-                framesWithFire: totalFramesWithFire,
-                firstFireFrame: firstFireFrame,
-                avgConfidence: allDetections.length > 0 
-                  ? allDetections.reduce((sum, d) => sum + d.confidence, 0) / allDetections.length 
-                  : 0
-              }
-            };
+    const handle = detectFireSmokeStreaming(
+      file,
+      // onFrameDetection - Called for EACH frame immediately!
+      (frameData) => {
+        // Ignore frames that arrive after the file was cancelled
+        if (signal.aborted) return;
 
-            setDetectionHistory(prev => [historyItem, ...prev]);
-            setIsLoading(false);
-          },
-          // onError
-          (error) => {
-            console.error('❌ Streaming detection error:', error);
-            alert(`Error during streaming detection: ${error.message}`);
-            setIsLoading(false);
-          }
-        );
-
-      } else {
-        // Use regular detection for images or satellite
-        let result;
-        
-        if (isFireSmoke) {
-          result = await detectFireSmoke(selectedFile);
-          console.log('🔥 Fire/Smoke detection result:', result);
-        } else {
-          result = await detectSatelliteFire(selectedFile);
-          console.log('🛰️ Satellite detection result:', result);
+        console.log(`🎬 ${file.name} frame ${frameData.frame}/${frameData.total_frames}:`, frameData);
+
+        onStatus(null);
+        if (frameData.total_frames) {
+          onProgress(frameData.frame / frameData.total_frames);
         }
 
-        setDetectionResult(result);
+        // INSTANT ALERT if fire detected in this frame!
+        if (frameData.has_fire && frameData.detections.length > 0) {
+          totalFramesWithFire++;
+          
+          // Store first fire frame
+          if (!firstFireFrame) {
+            firstFireFrame = frameData.frame;
+          }
 
-        // Determine if threat was detected
-        const threatDetected = isFireSmoke 
-          ? (result.detections && result.detections.length > 0)
-          : (result.wildfire && result.wildfire > 0.5);
+          // Calculate confidence for this frame
+          const avgConfidence = frameData.detections.reduce((sum, d) => sum + d.confidence, 0) / frameData.detections.length;
+
+          // Check if emergency stop is active
+          if (!isEmergencyStop) {
+            // Create INSTANT alert for this frame!
+            const alert = {
+              id: `alert-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+              message: `🔥 FIRE DETECTED in frame ${frameData.frame} of ${file.name}!`,
+              details: `${frameData.detections.length} detection(s) with ${(avgConfidence * 100).toFixed(1)}% confidence`,
+              severity: 'high',
+              timestamp: new Date().toLocaleString(),
+              frameNumber: frameData.frame
+            };
 
-        console.log('⚠️ Threat detected:', threatDetected);
+            console.log(`⚡ INSTANT ALERT - Frame ${frameData.frame}:`, alert);
+            
+            // 🔊 PLAY LOUD AUDIO ALARM (only on first detection to avoid spam)
+            if (totalFramesWithFire === 1) {
+              audioAlert.playFireAlarm(3000); // 3 second alarm
+            }
+            
+            // Show instant popup alert!
+            setInstantAlert(alert);
+            
+            // Add to alerts list
+            setAlerts(prev => [alert, ...prev]);
+
+            // Browser notification (only for first detection to avoid spam)
+            if (totalFramesWithFire === 1 && 'Notification' in window && Notification.permission === 'granted') {
+              new Notification('🔥 FIRE DETECTED!', {
+                body: `Fire found in frame ${frameData.frame} of ${file.name}!`,
+                icon: '/fire-icon.png',
+              });
+            }
+          }
 
-        // Calculate average confidence for fire/smoke
-        let avgConfidence = 0;
-        if (isFireSmoke && result.detections && result.detections.length > 0) {
-          avgConfidence = result.detections.reduce((sum, d) => sum + d.confidence, 0) / result.detections.length;
+          // Store all detections
+          allDetections.push(...frameData.detections);
         }
-
-        // Add to history
-        const historyItem = {
-          id: `detection-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-          type: isFireSmoke ? 'Fire & Smoke Detection' : 'Satellite Analysis',
-          filename: selectedFile.name,
-          timestamp: new Date().toLocaleString(),
-          detected: threatDetected,
-          details: {
-            ...(isFireSmoke ? {
-              detections: result.detections,
-              detectionCount: result.detections?.length || 0,
-              avgConfidence: avgConfidence
-            } : {
-              wildfireProb: result.wildfire,
-              riskLevel: result.wildfire > 0.7 ? 'High' : result.wildfire > 0.5 ? 'Medium' : 'Low'
-            })
+      },
+      // onComplete - Called when all frames processed
+      () => {
+        partialStreams.delete(file);
+        console.log(`✅ Streaming detection complete for ${file.name}!`);
+        console.log(`📊 Summary: ${totalFramesWithFire} frames with fire, ${allDetections.length} detections`);
+
+        resolve({
+          detections: allDetections,
+          totalFrames: totalFramesWithFire,
+          firstFireFrame: firstFireFrame,
+          summary: summary
+        });
+      },
+      // onError - keep what we have so a retry can resume
+      (error) => {
+        savePartial(error.resumeState);
+        reject(error);
+      },
+      {
+        // Cancelling the queue item aborts the upload and the stream
+        signal,
+        resumeFrom: partial?.resumeState,
+        onReconnect: ({ attempt, maxRetries, lastFrame }) => {
+          onStatus(`Connection lost - resuming after frame ${lastFrame ?? 0} (retry ${attempt}/${maxRetries})`);
+        },
+        // Typed progress events also cover frames where nothing was found
+        onProgress: (progress) => {
+          if (progress.progress != null) {
+            onProgress(progress.progress);
+          } else if (progress.total_frames) {
+            onProgress(progress.frame / progress.total_frames);
           }
-        };
-        
-        setDetectionHistory(prev => [historyItem, ...prev]);
-
-        // Create alert if threat detected
-        if (threatDetected && !isEmergencyStop) {
-          const detailsText = isFireSmoke 
-            ? `${result.detections.length} detection(s) with ${(avgConfidence * 100).toFixed(1)}% avg confidence`
-            : `Wildfire probability: ${(result.wildfire * 100).toFixed(1)}%`;
-
-          const alert = {
-            id: `alert-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-            message: isFireSmoke 
-              ? `Fire or smoke detected in ${selectedFile.name}!` 
-              : `High wildfire risk detected in ${selectedFile.name}!`,
-            details: detailsText,
-            severity: 'high',
-            timestamp: new Date().toLocaleString(),
-          };
-          
-          console.log('🚨 Creating alert:', alert);
-          setAlerts(prev => [alert, ...prev]);
-
-          // 🔊 PLAY LOUD AUDIO ALARM
-          audioAlert.playFireAlarm(3000); // 3 second alarm
+        },
+        onSummary: (data) => {
+          summary = data;
+        },
+        onHeartbeat: () => console.log(`💓 Stream heartbeat for ${file.name}`)
+      }
+    );
 
-          // INSTANT ALERT - Show popup immediately!
-          setInstantAlert(alert);
-          console.log('⚡ INSTANT ALERT TRIGGERED!');
+    handle.done.then(({ aborted }) => {
+      if (aborted) {
+        savePartial(handle.getResumeState());
+        reject(new CancelledError(`Detection of ${file.name} was cancelled`));
+      }
+    }).catch((error) => {
+      // A callback above threw - the stream is over, so fail the queue item with it
+      console.error(`❌ Streaming detection of ${file.name} failed:`, error);
+      savePartial(handle.getResumeState());
+      reject(error);
+    });
+  });
 
-          // Browser notification
-          if ('Notification' in window && Notification.permission === 'granted') {
+  // Analyze a single image and raise an alert if fire or smoke is found
+  const imageDetection = async (file, { signal, onProgress }) => {
+    const result = await detectFireSmoke(file, { signal, onProgress });
+    console.log('🔥 Fire/Smoke detection result:', result);
+
+    const threatDetected = result.detections && result.detections.length > 0;
+    console.log('⚠️ Threat detected:', threatDetected);
+
+    // Create alert if threat detected
+    if (threatDetected && !isEmergencyStop && !signal.aborted) {
+      const avgConfidence = result.detections.reduce((sum, d) => sum + d.confidence, 0) / result.detections.length;
+      const detailsText = `${result.detections.length} detection(s) with ${(avgConfidence * 100).toFixed(1)}% avg confidence`;
+
+      const alert = {
+        id: `alert-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        message: `Fire or smoke detected in ${file.name}!`,
+        details: detailsText,
+        severity: 'high',
+        timestamp: new Date().toLocaleString(),
+      };
+      
+      console.log('🚨 Creating alert:', alert);
+      setAlerts(prev => [alert, ...prev]);
+
+      // 🔊 PLAY LOUD AUDIO ALARM
+      audioAlert.playFireAlarm(3000); // 3 second alarm
+
+      // INSTANT ALERT - Show popup immediately!
+      setInstantAlert(alert);
+      console.log('⚡ INSTANT ALERT TRIGGERED!');
+
+      // Browser notification
+      if ('Notification' in window && Notification.permission === 'granted') {
+        new Notification('🔥 Wildfire Alert', {
+          body: `${alert.message}\n${detailsText}`,
+          icon: '/fire-icon.png',
+        });
+      } else if ('Notification' in window && Notification.permission === 'default') {
+        Notification.requestPermission().then(permission => {
+          if (permission === 'granted') {
             new Notification('🔥 Wildfire Alert', {
               body: `${alert.message}\n${detailsText}`,
               icon: '/fire-icon.png',
             });
-          } else if ('Notification' in window && Notification.permission === 'default') {
-            Notification.requestPermission().then(permission => {
-              if (permission === 'granted') {
-                new Notification('🔥 Wildfire Alert', {
-                  body: `${alert.message}\n${detailsText}`,
-                  icon: '/fire-icon.png',
-                });
-              }
-            });
           }
-        }
-
-        setIsLoading(false);
+        });
       }
+    }
+
+    return result;
+  };
+
+  // Queue worker - runs detection for one file and records ONE aggregated log entry for it
+  const processQueuedFile = async (file, { signal, onProgress, onStatus }) => {
+    const isVideo = file.type.startsWith('video/');
+
+    // Hold the file until the backend is up rather than failing on a sleeping instance
+    if (!healthMonitor.isReady()) {
+      onStatus('Waiting for the detection server to be ready…');
+      await healthMonitor.whenReady({ signal });
+      onStatus(null);
+    }
+
+    console.log('🔍 Starting detection...', { filename: file.name, isVideo });
+
+    let result;
+    try {
+      result = isVideo
+        ? await streamVideoDetection(file, { signal, onProgress, onStatus })
+        : await imageDetection(file, { signal, onProgress });
     } catch (error) {
-      console.error('❌ Detection error:', error);
-      console.error('Error details:', {
-        message: error.message,
-        response: error.response?.data,
-        status: error.response?.status
-      });
-      alert(`Error processing file: ${error.message}\n\nPlease ensure the backend server is running at ${API_BASE_URL}`);
-      setIsLoading(false);
+      healthMonitor.reportFailure(error);
+      throw error;
+    }
+
+    if (signal.aborted) return result;
+
+    const detections = result.detections || [];
+    const historyItem = {
+      id: `detection-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      type: isVideo ? 'Fire & Smoke Detection (Streaming)' : 'Fire & Smoke Detection',
+      filename: file.name,
+      timestamp: new Date().toLocaleString(),
+      detected: detections.length > 0,
+      details: {
+        detections: detections,
+        detectionCount: detections.length,
+        ...(isVideo && {
+          framesWithFire: result.totalFrames,
+          firstFireFrame: result.firstFireFrame
+        }),
+        avgConfidence: detections.length > 0
+          ? detections.reduce((sum, d) => sum + d.confidence, 0) / detections.length
+          : 0
+      }
+    };
+
+    setDetectionHistory(prev => [historyItem, ...prev]);
+    return result;
+  };
+
+  // Keep the queue pointed at the latest worker so it sees current state (e.g. emergency stop)
+  useEffect(() => {
+    processQueuedFileRef.current = processQueuedFile;
+  });
+
+  // Warm the backend up on page load and keep an eye on it
+  useEffect(() => {
+    healthMonitor.start();
+    return () => healthMonitor.stop();
+  }, []);
+
+  // Abort every running detection when the dashboard goes away
+  useEffect(() => {
+    return () => detectionQueue.cancelAll();
+  }, [detectionQueue]);
+
+  // Switching tabs stops detections started from the upload tab
+  const switchTab = (tab) => {
+    if (tab === activeTab) return;
+
+    const activeCount = queueItems.filter(item => item.status === 'queued' || item.status === 'running').length;
+    if (activeTab === 'fire-smoke' && activeCount > 0) {
+      if (!window.confirm(`Switching tabs will cancel ${activeCount} pending detection(s). Continue?`)) {
+        return;
+      }
+      detectionQueue.cancelAll();
+    }
+
+    setActiveTab(tab);
+  };
+
+  const handleFilesSelect = (files) => {
+    const ids = detectionQueue.add(files);
+    if (!selectedQueueId && ids.length > 0) {
+      setSelectedQueueId(ids[0]);
     }
   };
 
-  // Clear functions
+  // Clear functions - evidence frames go once neither an alert nor a log entry refers to them
+  const keepEvidenceFor = (remainingAlerts, remainingHistory) => {
+    evidenceStore.retain([
+      ...remainingAlerts.map(alert => alert.evidenceId),
+      ...remainingHistory.map(item => item.details?.evidenceId)
+    ]);
+  };
+
   const handleClearAlert = (index) => {
-    setAlerts(prev => prev.filter((_, i) => i !== index));
+    const remaining = alerts.filter((_, i) => i !== index);
+    setAlerts(remaining);
+    keepEvidenceFor(remaining, detectionHistory);
   };
 
   const handleClearAllAlerts = () => {
     setAlerts([]);
+    keepEvidenceFor([], detectionHistory);
   };
 
   const handleClearLog = () => {
     setDetectionHistory([]);
+    keepEvidenceFor(alerts, []);
   };
 
   // Emergency stop - stops everything!
@@ -398,8 +531,8 @@ function App() {
     // Set emergency stop flag
     setIsEmergencyStop(true);
     
-    // Stop any ongoing detection
-    setIsLoading(false);
+    // Abort any ongoing detection - uploads and streams are cancelled, not just hidden
+    detectionQueue.cancelAll();
     
     console.log('✅ All monitoring and alerts stopped');
   };
@@ -426,10 +559,14 @@ function App() {
             Advanced AI-powered fire and smoke detection system
           </p>
           <div className="flex items-center justify-center gap-4 mt-4">
-            <div className="flex items-center gap-2">
-              <Shield className="w-5 h-5 text-green-500" />
-              <span className="text-sm text-green-400 font-medium">System Online</span>
-            </div>
+            <BackendStatus />
+            <button
+              onClick={() => setShowBackendSettings(true)}
+              className="p-2 rounded-lg hover:bg-white/10 transition-all"
+              title="Backend settings"
+            >
+              <Settings className="w-5 h-5 text-gray-400 hover:text-white" />
+            </button>
             
             {/* Emergency Stop Button */}
             {!isEmergencyStop ? (
@@ -453,6 +590,9 @@ function App() {
             )}
           </div>
           
+          {/* Backend asleep or unreachable */}
+          <ColdStartBanner />
+
           {/* Emergency Stop Warning */}
           {isEmergencyStop && (
             <div className="mt-4 px-4 py-2 bg-yellow-500/20 border border-yellow-500 rounded-lg">
@@ -463,6 +603,10 @@ function App() {
           )}
         </header>
 
+        {showBackendSettings && (
+          <BackendSettings onClose={() => setShowBackendSettings(false)} />
+        )}
+
         {/* Main Content */}
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-8">
           {/* Left Column - Detection */}
@@ -470,11 +614,7 @@ function App() {
             {/* Tab Selector */}
             <div className="glass-card p-2 flex gap-2">
               <button
-                onClick={() => {
-                  setActiveTab('fire-smoke');
-                  setSelectedFile(null);
-                  setDetectionResult(null);
-                }}
+                onClick={() => switchTab('fire-smoke')}
                 className={`flex-1 py-3 px-4 rounded-lg font-semibold transition-all duration-300 flex items-center justify-center gap-2 ${
                   activeTab === 'fire-smoke'
                     ? 'bg-gradient-to-r from-fire-500 to-fire-600 text-white shadow-lg'
@@ -485,11 +625,7 @@ function App() {
                 Fire & Smoke
               </button>
               <button
-                onClick={() => {
-                  setActiveTab('satellite');
-                  setSelectedFile(null);
-                  setDetectionResult(null);
-                }}
+                onClick={() => switchTab('satellite')}
                 className={`flex-1 py-3 px-4 rounded-lg font-semibold transition-all duration-300 flex items-center justify-center gap-2 ${
                   activeTab === 'satellite'
                     ? 'bg-gradient-to-r from-fire-500 to-fire-600 text-white shadow-lg'
@@ -500,11 +636,7 @@ function App() {
                 Satellite
               </button>
               <button
-                onClick={() => {
-                  setActiveTab('live-camera');
-                  setSelectedFile(null);
-                  setDetectionResult(null);
-                }}
+                onClick={() => switchTab('live-camera')}
                 className={`flex-1 py-3 px-4 rounded-lg font-semibold transition-all duration-300 flex items-center justify-center gap-2 ${
                   activeTab === 'live-camera'
                     ? 'bg-gradient-to-r from-fire-500 to-fire-600 text-white shadow-lg'
@@ -519,76 +651,103 @@ function App() {
             {/* Live Camera Tab Content */}
             {activeTab === 'live-camera' ? (
               <WebcamDetection 
-                onFireDetected={(alert) => {
+                onFireDetected={(alert, { alarm = true } = {}) => {
                   // Check if emergency stop is active
                   if (!isEmergencyStop) {
-                    // 🔊 PLAY LOUD AUDIO ALARM for live camera detection
-                    audioAlert.playFireAlarm(3000); // 3 second alarm
-                    // Add alert to list
-                    setAlerts(prev => [alert, ...prev]);
-                    // Show instant popup
-                    setInstantAlert(alert);
+                    // Inside the camera's cooldown an escalation updates its alert without another alarm
+                    if (alarm) {
+                      // 🔊 PLAY LOUD AUDIO ALARM for live camera detection
+                      audioAlert.playFireAlarm(3000); // 3 second alarm
+                      // Show instant popup
+                      setInstantAlert(alert);
+                    }
+                    // One alert per incident - an escalation replaces it and moves it to the top
+                    setAlerts(prev => [alert, ...prev.filter(a => !alert.incidentId || a.incidentId !== alert.incidentId)]);
                     // Add to history
                     const historyItem = {
                       id: `detection-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
                       type: 'Live Camera Detection',
-                      filename: 'Webcam Feed',
+                      filename: alert.cameraName || 'Webcam Feed',
                       timestamp: alert.timestamp,
                       detected: true,
+                      location: alert.coordinates ? formatCoordinates(alert.coordinates) : undefined,
                       details: {
-                        source: 'webcam',
-                        message: alert.message
+                        source: alert.source || 'webcam',
+                        camera: alert.cameraName,
+                        message: alert.message,
+                        incidentId: alert.incidentId,
+                        incidentLevel: alert.incidentLevel,
+                        evidenceId: alert.evidenceId,
+                        ...(alert.preset && { preset: alert.preset, bearing: alert.bearing }),
+                        ...(alert.coordinates && {
+                          lat: alert.coordinates.lat,
+                          lon: alert.coordinates.lon,
+                          locationSource: alert.coordinates.source
+                        })
                       }
                     };
                     setDetectionHistory(prev => [historyItem, ...prev]);
                   }
                 }}
+                onCameraOffline={(alert) => {
+                  // No alarm - one alert per camera, resolved when it's back
+                  if (!isEmergencyStop) {
+                    setAlerts(prev => [alert, ...prev.filter(a => !(a.type === CAMERA_OFFLINE && a.cameraId === alert.cameraId))]);
+                  }
+                }}
+                onCameraOnline={(cameraId) => {
+                  setAlerts(prev => prev.filter(a => !(a.type === CAMERA_OFFLINE && a.cameraId === cameraId)));
+                }}
                 isMonitoring={isMonitoring}
                 setIsMonitoring={setIsMonitoring}
               />
             ) : (
               <>
-                {/* File Upload - Only for fire-smoke tab */}
+                {/* Batch File Upload - Only for fire-smoke tab */}
                 {activeTab !== 'satellite' && (
                   <>
                     <FileUpload
-                      onFileSelect={handleFileSelect}
+                      onFilesSelect={handleFilesSelect}
                       accept="image/*,video/*"
                       maxSize={10}
+                      multiple
                     />
 
-                    {/* Detect Button */}
-                    {selectedFile && (
-                      <button
-                        onClick={handleDetection}
-                        disabled={isLoading}
-                        className="btn-primary w-full flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
-                      >
-                        {isLoading ? (
-                          <>
-                            <Loader2 className="w-5 h-5 animate-spin" />
-                            Analyzing...
-                          </>
-                        ) : (
-                          <>
-                            <Flame className="w-5 h-5" />
-                            Start Detection
-                          </>
-                        )}
-                      </button>
-                    )}
+                    {/* Batch Queue - per-file progress, retry and cancel */}
+                    <UploadQueue
+                      items={queueItems}
+                      selectedId={selectedQueueId}
+                      onSelect={setSelectedQueueId}
+                      onRetry={(id) => detectionQueue.retry(id)}
+                      onCancel={(id) => detectionQueue.cancel(id)}
+                      onRemove={(id) => detectionQueue.remove(id)}
+                      onCancelAll={() => detectionQueue.cancelAll()}
+                      onClearFinished={() => detectionQueue.clearFinished()}
+                    />
 
-                    {/* Video Preview - Shows during analysis */}
-                    {selectedFile && selectedFile.type.startsWith('video/') && (
-                      <VideoPreview file={selectedFile} isAnalyzing={isLoading} />
+                    {/* Video Preview - Shows the selected queue item */}
+                    {selectedQueueItem && selectedQueueItem.file.type.startsWith('video/') && (
+                      <VideoPreview file={selectedQueueItem.file} isAnalyzing={selectedQueueItem.status === 'running'} />
                     )}
 
                     {/* Detection Result */}
-                    {detectionResult && (
-                      <DetectionResult result={detectionResult} type={activeTab} />
+                    {selectedQueueItem?.result && (
+                      <DetectionResult result={selectedQueueItem.result} type="fire-smoke" />
                     )}
                   </>
                 )}
+            {/* Satellite Tile Analysis - ResNet classifier on uploaded tiles */}
+            {activeTab === 'satellite' && (
+              <SatelliteAnalysis
+                location={tileLocation}
+                onLocationChange={setTileLocation}
+                isPickingLocation={isPickingTileLocation}
+                onTogglePickLocation={() => setIsPickingTileLocation(prev => !prev)}
+                onAnalysisComplete={handleSatelliteAnalysis}
+                onPin={(pin) => setSatellitePins(prev => [pin, ...prev])}
+              />
+            )}
+
             {/* Satellite Alerts Section - NASA FIRMS Real-time Data */}
             {activeTab === 'satellite' && (
               <div className="glass-card p-6">
@@ -627,7 +786,7 @@ function App() {
                   <div className="space-y-4">
                     {satelliteAlerts.error ? (
                       <div className="p-4 bg-red-500/20 border border-red-500 rounded-lg">
-                        <p className="text-red-400">❌ Error: {satelliteAlerts.error}</p>
+                        <p className="text-red-400">❌ {satelliteAlerts.error}</p>
                       </div>
                     ) : (
                       <>
@@ -791,9 +950,16 @@ function App() {
               </div>
             )}
 
-            {/* Fire Map - Show map with filtered alerts */}
-            {activeTab === 'satellite' && satelliteAlerts && getFilteredAlerts().length > 0 && (
-              <FireMap alerts={getFilteredAlerts()} />
+            {/* Fire Map - Show map with filtered alerts and pinned tile results */}
+            {activeTab === 'satellite' && (
+              <FireMap
+                alerts={getFilteredAlerts()}
+                pins={satellitePins}
+                cameraAlerts={alerts.filter(alert => alert.coordinates)}
+                pickedLocation={pickedTileLocation}
+                onMapClick={isPickingTileLocation ? handleTileMapClick : undefined}
+                onRemovePin={(id) => setSatellitePins(prev => prev.filter(pin => pin.id !== id))}
+              />
             )}
               </>
             )}
@@ -804,6 +970,7 @@ function App() {
             <AlertStatus 
               alerts={alerts} 
               onClearAlert={handleClearAlert}
+              onClearAll={handleClearAllAlerts}
             />
             <DetectionLog 
               detectionHistory={detectionHistory} 
@@ -0,0 +1,93 @@
+import React, { useState, useSyncExternalStore } from 'react';
+import { BellRing } from 'lucide-react';
+import alertPolicy from '../services/alertPolicy';
+
+const INPUT_CLASS = 'w-full px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-fire-500';
+
+// Form values are in the units people think in - percent and seconds
+const toForm = (policy) => ({
+  framesRequired: String(policy.framesRequired),
+  frameWindow: String(policy.frameWindow),
+  minConfidence: String(Math.round(policy.minConfidence * 100)),
+  minBoxArea: String(Number((policy.minBoxArea * 100).toFixed(3))),
+  cooldown: String(policy.cooldown / 1000),
+  incidentTimeout: String(policy.incidentTimeout / 1000),
+});
+
+const fromForm = (form) => ({
+  framesRequired: form.framesRequired,
+  frameWindow: form.frameWindow,
+  minConfidence: form.minConfidence === '' ? '' : Number(form.minConfidence) / 100,
+  minBoxArea: form.minBoxArea === '' ? '' : Number(form.minBoxArea) / 100,
+  cooldown: form.cooldown === '' ? '' : Number(form.cooldown) * 1000,
+  incidentTimeout: form.incidentTimeout === '' ? '' : Number(form.incidentTimeout) * 1000,
+});
+
+const FIELDS = [
+  { key: 'framesRequired', label: 'Frames with fire', step: '1' },
+  { key: 'frameWindow', label: '…out of the last', step: '1' },
+  { key: 'minConfidence', label: 'Min confidence %', step: '1' },
+  { key: 'minBoxArea', label: 'Min box area % of frame', step: 'any' },
+  { key: 'cooldown', label: 'Alarm cooldown (s)', step: '1' },
+  { key: 'incidentTimeout', label: 'Incident ends after (s)', step: '1' },
+];
+
+const AlertPolicySettings = () => {
+  const policy = useSyncExternalStore(alertPolicy.subscribe, alertPolicy.getSnapshot);
+  const [form, setForm] = useState(() => toForm(policy));
+  const [saved, setSaved] = useState(false);
+
+  const handleSave = () => {
+    alertPolicy.update(fromForm(form));
+    // Show what was actually stored - out of range values are clamped
+    setForm(toForm(alertPolicy.getSnapshot()));
+    setSaved(true);
+  };
+
+  const handleReset = () => {
+    alertPolicy.reset();
+    setForm(toForm(alertPolicy.getSnapshot()));
+    setSaved(true);
+  };
+
+  return (
+    <div className="mt-6 pt-4 border-t border-white/10">
+      <div className="flex items-center gap-2 mb-2">
+        <BellRing className="w-5 h-5 text-fire-500" />
+        <h4 className="text-white font-semibold">Alert confirmation</h4>
+      </div>
+      <p className="text-sm text-gray-400 mb-3">
+        A camera raises an alert once fire is seen in enough recent frames, confidently and large enough
+        to not be glare. A fire that keeps burning stays one incident; it alerts again only when it spreads,
+        grows or becomes more certain, and never more often than the cooldown.
+      </p>
+
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+        {FIELDS.map(({ key, label, step }) => (
+          <div key={key}>
+            <label className="block text-xs font-semibold text-gray-300 mb-1">{label}</label>
+            <input
+              type="number"
+              min="0"
+              step={step}
+              value={form[key]}
+              onChange={(e) => {
+                setForm({ ...form, [key]: e.target.value });
+                setSaved(false);
+              }}
+              className={INPUT_CLASS}
+            />
+          </div>
+        ))}
+      </div>
+
+      <div className="flex items-center gap-2 mt-3">
+        <button onClick={handleSave} className="btn-primary">Save</button>
+        <button onClick={handleReset} className="btn-secondary">Defaults</button>
+        {saved && <span className="text-xs text-green-400">Saved - applies to the next frame</span>}
+      </div>
+    </div>
+  );
+};
+
+export default AlertPolicySettings;
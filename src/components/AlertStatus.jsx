@@ -1,17 +1,17 @@
-import React, { useState, useEffect } from 'react';
-import { AlertCircle, Bell, BellOff, Clock, X, Trash2, Download } from 'lucide-react';
+import React, { useState } from 'react';
+import { AlertCircle, Bell, BellOff, Clock, X, Trash2, Download, MapPin, VideoOff } from 'lucide-react';
+import EvidenceViewer from './EvidenceViewer';
+import evidenceStore from '../services/evidenceStore';
+import { partitionAlerts } from '../utils/alertStatus';
+import { CAMERA_OFFLINE } from '../utils/cameraWatchdog';
+import { formatCoordinates } from '../utils/geo';
 
-const AlertStatus = ({ alerts = [], onClearAlert }) => {
+const AlertStatus = ({ alerts = [], onClearAlert, onClearAll }) => {
   const [notificationsEnabled, setNotificationsEnabled] = useState(false);
   const [showAllAlerts, setShowAllAlerts] = useState(false);
 
   // Auto-dismiss alerts after 30 seconds (mark as read but keep in log)
-  const activeAlerts = alerts.filter(alert => {
-    const alertTime = new Date(alert.timestamp).getTime();
-    const now = new Date().getTime();
-    const thirtySeconds = 30 * 1000;
-    return (now - alertTime) < thirtySeconds || alert.severity === 'high';
-  });
+  const { active: activeAlerts, history: historyAlerts } = partitionAlerts(alerts);
 
   const toggleNotifications = () => {
     setNotificationsEnabled(!notificationsEnabled);
@@ -22,12 +22,19 @@ const AlertStatus = ({ alerts = [], onClearAlert }) => {
 
   const clearAllAlerts = () => {
     if (window.confirm('Clear all alerts? This will remove all alert history.')) {
-      alerts.forEach((_, index) => onClearAlert && onClearAlert(index));
+      if (onClearAll) {
+        onClearAll();
+      } else if (onClearAlert) {
+        // Remove from the end so the remaining indices stay valid
+        for (let i = alerts.length - 1; i >= 0; i--) onClearAlert(i);
+      }
     }
   };
 
-  const exportAlerts = () => {
-    const dataStr = JSON.stringify(alerts, null, 2);
+  const exportAlerts = async () => {
+    // Camera alerts carry their evidence frames along
+    const exported = await evidenceStore.withEvidence(alerts, alert => alert.evidenceId);
+    const dataStr = JSON.stringify(exported, null, 2);
     const dataBlob = new Blob([dataStr], { type: 'application/json' });
     const url = URL.createObjectURL(dataBlob);
     const link = document.createElement('a');
@@ -106,11 +113,13 @@ const AlertStatus = ({ alerts = [], onClearAlert }) => {
                 Active Alerts
               </h3>
               <div className="space-y-3">
-                {activeAlerts.map((alert, index) => (
+                {activeAlerts.map(({ alert, index }) => (
                   <div
                     key={alert.id || index}
                     className={`p-4 rounded-lg border-l-4 animate-in slide-in-from-right ${
-                      alert.severity === 'high' 
+                      alert.type === CAMERA_OFFLINE
+                        ? 'bg-slate-500/10 border-slate-400'
+                        : alert.severity === 'high' 
                         ? 'bg-fire-500/10 border-fire-500' 
                         : 'bg-yellow-500/10 border-yellow-500'
                     }`}
@@ -121,19 +130,33 @@ const AlertStatus = ({ alerts = [], onClearAlert }) => {
                         {alert.details && (
                           <p className="text-sm text-gray-400 mt-1">{alert.details}</p>
                         )}
+                        {alert.coordinates && (
+                          <p className="text-sm text-gray-400 mt-1 flex items-center gap-1">
+                            <MapPin className="w-4 h-4" />
+                            {formatCoordinates(alert.coordinates)}
+                          </p>
+                        )}
                         <p className="text-sm text-gray-400 mt-2 flex items-center gap-1">
                           <Clock className="w-4 h-4" />
                           {alert.timestamp}
                         </p>
+                        {alert.evidenceId && <EvidenceViewer evidenceId={alert.evidenceId} compact />}
                       </div>
                       <div className="flex items-center gap-2 ml-4">
-                        <span className={`px-3 py-1 rounded-full text-xs font-semibold ${
-                          alert.severity === 'high' 
-                            ? 'bg-fire-500 text-white' 
-                            : 'bg-yellow-500 text-black'
-                        }`}>
-                          {alert.severity.toUpperCase()}
-                        </span>
+                        {alert.type === CAMERA_OFFLINE ? (
+                          <span className="px-3 py-1 rounded-full text-xs font-semibold bg-slate-500 text-white flex items-center gap-1">
+                            <VideoOff className="w-3 h-3" />
+                            OFFLINE
+                          </span>
+                        ) : (
+                          <span className={`px-3 py-1 rounded-full text-xs font-semibold ${
+                            alert.severity === 'high' 
+                              ? 'bg-fire-500 text-white' 
+                              : 'bg-yellow-500 text-black'
+                          }`}>
+                            {alert.severity.toUpperCase()}
+                          </span>
+                        )}
                         {onClearAlert && (
                           <button
                             onClick={() => onClearAlert(index)}
@@ -152,19 +175,19 @@ const AlertStatus = ({ alerts = [], onClearAlert }) => {
           )}
 
           {/* Alert History/Log */}
-          {alerts.length > activeAlerts.length && (
+          {historyAlerts.length > 0 && (
             <div className="mt-6 pt-6 border-t border-white/10">
               <button
                 onClick={() => setShowAllAlerts(!showAllAlerts)}
                 className="text-sm text-gray-400 hover:text-white transition-colors mb-3 flex items-center gap-2"
               >
                 <Clock className="w-4 h-4" />
-                {showAllAlerts ? 'Hide' : 'Show'} Alert History ({alerts.length - activeAlerts.length} older)
+                {showAllAlerts ? 'Hide' : 'Show'} Alert History ({historyAlerts.length} older)
               </button>
               
               {showAllAlerts && (
                 <div className="space-y-2 max-h-64 overflow-y-auto custom-scrollbar">
-                  {alerts.slice(activeAlerts.length).map((alert, index) => (
+                  {historyAlerts.map(({ alert, index }) => (
                     <div
                       key={alert.id || index}
                       className="p-3 rounded-lg bg-white/5 border border-white/10 text-sm"
@@ -0,0 +1,95 @@
+/** @vitest-environment jsdom */
+import React from 'react';
+import { describe, it, expect, afterEach, beforeEach, vi } from 'vitest';
+import { render, screen, fireEvent, cleanup } from '@testing-library/react';
+import AlertStatus from './AlertStatus';
+
+const NOW = new Date('2026-06-01T12:00:00Z');
+const at = (msAgo) => new Date(NOW.getTime() - msAgo).toISOString();
+
+const alerts = [
+  { id: 'old-medium', severity: 'medium', message: 'Smoke near ridge', timestamp: at(120000) },
+  { id: 'old-high', severity: 'high', message: 'Fire at camp', timestamp: at(120000) },
+  { id: 'new-medium', severity: 'medium', message: 'Haze over valley', timestamp: at(5000) },
+  { id: 'older-medium', severity: 'medium', message: 'Smoke at dam', timestamp: at(300000) },
+];
+
+describe('AlertStatus', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(NOW);
+  });
+
+  afterEach(() => {
+    cleanup();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('shows the all-clear state without alerts', () => {
+    render(<AlertStatus alerts={[]} />);
+    expect(screen.getByText('No active alerts')).toBeTruthy();
+  });
+
+  it('keeps high severity and recent alerts active and the rest in history', () => {
+    render(<AlertStatus alerts={alerts} />);
+
+    expect(screen.getByText('Fire at camp')).toBeTruthy();
+    expect(screen.getByText('Haze over valley')).toBeTruthy();
+    expect(screen.queryByText('Smoke near ridge')).toBeNull();
+
+    fireEvent.click(screen.getByText(/Show Alert History \(2 older\)/));
+    expect(screen.getByText('Smoke near ridge')).toBeTruthy();
+    expect(screen.getByText('Smoke at dam')).toBeTruthy();
+    expect(screen.queryAllByText('Fire at camp')).toHaveLength(1);
+  });
+
+  it('shows where a camera alert came from', () => {
+    const cameraAlert = {
+      severity: 'high',
+      message: 'FIRE DETECTED on North ridge!',
+      timestamp: at(1000),
+      coordinates: { lat: 22.318, lon: 78.41234, source: 'configured' },
+    };
+    render(<AlertStatus alerts={[cameraAlert]} />);
+    expect(screen.getByText('22.3180, 78.4123')).toBeTruthy();
+  });
+
+  it('dismisses an active alert by its index in the full list', () => {
+    const onClearAlert = vi.fn();
+    render(<AlertStatus alerts={alerts} onClearAlert={onClearAlert} />);
+
+    const dismiss = screen.getAllByTitle('Dismiss alert');
+    fireEvent.click(dismiss[1]);
+
+    expect(onClearAlert).toHaveBeenCalledWith(2);
+  });
+
+  it('counts totals and high severity alerts', () => {
+    render(<AlertStatus alerts={alerts} />);
+    expect(screen.getByText('Total Alerts').previousSibling.textContent).toBe('4');
+    expect(screen.getByText('High Severity').previousSibling.textContent).toBe('1');
+  });
+
+  it('clears everything in one call after confirmation', () => {
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    const onClearAll = vi.fn();
+    const onClearAlert = vi.fn();
+    render(<AlertStatus alerts={alerts} onClearAlert={onClearAlert} onClearAll={onClearAll} />);
+
+    fireEvent.click(screen.getByTitle('Clear all alerts'));
+
+    expect(onClearAll).toHaveBeenCalledOnce();
+    expect(onClearAlert).not.toHaveBeenCalled();
+  });
+
+  it('falls back to dismissing every alert from the end', () => {
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    const onClearAlert = vi.fn();
+    render(<AlertStatus alerts={alerts} onClearAlert={onClearAlert} />);
+
+    fireEvent.click(screen.getByTitle('Clear all alerts'));
+
+    expect(onClearAlert.mock.calls.map(([index]) => index)).toEqual([3, 2, 1, 0]);
+  });
+});
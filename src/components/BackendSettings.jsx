@@ -0,0 +1,228 @@
+import React, { useState, useSyncExternalStore } from 'react';
+import { Server, X, Plus, Pencil, Trash2, CheckCircle, AlertTriangle, Loader2, Zap } from 'lucide-react';
+import backendProfiles, { normalizeBackendUrl } from '../services/backendProfiles';
+import { getHealth } from '../services/api';
+import { ClientError, getErrorMessage } from '../services/apiErrors';
+
+const EMPTY_FORM = { id: null, name: '', url: '' };
+
+const BackendSettings = ({ onClose }) => {
+  const { profiles, activeId } = useSyncExternalStore(backendProfiles.subscribe, backendProfiles.getSnapshot);
+  const [form, setForm] = useState(null); // null when not adding/editing
+  const [formError, setFormError] = useState(null);
+  const [testResults, setTestResults] = useState({}); // url -> { state: 'testing' | 'ok' | 'fail', message }
+
+  const testConnection = async (url) => {
+    setTestResults(prev => ({ ...prev, [url]: { state: 'testing' } }));
+    try {
+      const { data, latency } = await getHealth({ baseURL: url });
+      const degraded = data?.status === 'degraded' || data?.model_loaded === false;
+      setTestResults(prev => ({
+        ...prev,
+        [url]: { state: degraded ? 'fail' : 'ok', message: degraded ? `Degraded (${latency}ms)` : `Online (${latency}ms)` },
+      }));
+    } catch (error) {
+      // Reached the server, it just has no /health endpoint
+      const reachable = error instanceof ClientError && error.status === 404;
+      setTestResults(prev => ({
+        ...prev,
+        [url]: reachable
+          ? { state: 'ok', message: 'Reachable (no /health endpoint)' }
+          : { state: 'fail', message: getErrorMessage(error) },
+      }));
+    }
+  };
+
+  const handleSave = () => {
+    try {
+      if (form.id) {
+        backendProfiles.updateProfile(form.id, { name: form.name, url: form.url });
+      } else {
+        backendProfiles.addProfile({ name: form.name, url: form.url });
+      }
+      setForm(null);
+      setFormError(null);
+    } catch (error) {
+      setFormError(error.message);
+    }
+  };
+
+  const handleRemove = (profile) => {
+    if (window.confirm(`Delete backend profile "${profile.name}"?`)) {
+      backendProfiles.removeProfile(profile.id);
+    }
+  };
+
+  const renderTestResult = (url) => {
+    const result = testResults[url];
+    if (!result) return null;
+
+    if (result.state === 'testing') {
+      return (
+        <span className="text-xs text-gray-400 flex items-center gap-1">
+          <Loader2 className="w-3 h-3 animate-spin" /> Testing...
+        </span>
+      );
+    }
+
+    return (
+      <span className={`text-xs flex items-center gap-1 ${result.state === 'ok' ? 'text-green-400' : 'text-red-400'}`}>
+        {result.state === 'ok' ? <CheckCircle className="w-3 h-3" /> : <AlertTriangle className="w-3 h-3" />}
+        {result.message}
+      </span>
+    );
+  };
+
+  const formUrl = form && normalizeBackendUrl(form.url);
+
+  return (
+    <div
+      className="fixed inset-0 z-[10000] bg-black bg-opacity-75 flex items-center justify-center p-4"
+      onClick={onClose}
+    >
+      <div
+        className="glass-card p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto custom-scrollbar text-left"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center gap-2">
+            <Server className="w-6 h-6 text-fire-500" />
+            <h3 className="text-xl font-bold text-white">Backend Profiles</h3>
+          </div>
+          <button onClick={onClose} className="p-1 hover:bg-white/10 rounded transition-colors" title="Close">
+            <X className="w-5 h-5 text-gray-400 hover:text-white" />
+          </button>
+        </div>
+
+        <p className="text-sm text-gray-400 mb-4">
+          Choose which detection server this browser talks to. Profiles are saved on this device only.
+        </p>
+
+        {/* Profiles */}
+        <div className="space-y-2 mb-4">
+          {profiles.map(profile => {
+            const isActive = profile.id === activeId;
+
+            return (
+              <div
+                key={profile.id}
+                className={`p-3 rounded-lg border ${isActive ? 'bg-white/10 border-fire-500/50' : 'bg-white/5 border-white/5'}`}
+              >
+                <div className="flex items-center gap-3">
+                  <div className="flex-1 min-w-0">
+                    <p className="text-white text-sm font-medium flex items-center gap-2">
+                      {profile.name}
+                      {profile.builtIn && <span className="px-2 py-0.5 rounded text-xs bg-white/10 text-gray-400">Built-in</span>}
+                      {isActive && <span className="px-2 py-0.5 rounded text-xs bg-green-500/20 text-green-400">Active</span>}
+                    </p>
+                    <p className="text-xs text-gray-400 truncate">{profile.url}</p>
+                    {renderTestResult(profile.url)}
+                  </div>
+
+                  <div className="flex items-center gap-1">
+                    <button
+                      onClick={() => testConnection(profile.url)}
+                      className="p-1 hover:bg-white/10 rounded transition-colors"
+                      title="Test connection"
+                    >
+                      <Zap className="w-4 h-4 text-gray-400 hover:text-white" />
+                    </button>
+                    {!profile.builtIn && (
+                      <>
+                        <button
+                          onClick={() => {
+                            setForm({ id: profile.id, name: profile.name, url: profile.url });
+                            setFormError(null);
+                          }}
+                          className="p-1 hover:bg-white/10 rounded transition-colors"
+                          title="Edit"
+                        >
+                          <Pencil className="w-4 h-4 text-gray-400 hover:text-white" />
+                        </button>
+                        <button
+                          onClick={() => handleRemove(profile)}
+                          className="p-1 hover:bg-white/10 rounded transition-colors"
+                          title="Delete"
+                        >
+                          <Trash2 className="w-4 h-4 text-gray-400 hover:text-red-400" />
+                        </button>
+                      </>
+                    )}
+                    {!isActive && (
+                      <button
+                        onClick={() => backendProfiles.setActive(profile.id)}
+                        className="ml-1 px-3 py-1 rounded-lg text-sm bg-fire-500/20 text-fire-400 hover:bg-fire-500/30 transition-all"
+                      >
+                        Use
+                      </button>
+                    )}
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        {/* Add / edit */}
+        {form ? (
+          <div className="p-4 rounded-lg bg-white/5 border border-white/10 space-y-3">
+            <h4 className="text-white font-semibold">{form.id ? 'Edit profile' : 'New profile'}</h4>
+            <div>
+              <label className="block text-sm font-semibold text-gray-300 mb-2">Name</label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                placeholder="Local model server"
+                className="w-full px-4 py-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-fire-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-semibold text-gray-300 mb-2">URL</label>
+              <input
+                type="text"
+                value={form.url}
+                onChange={(e) => setForm({ ...form, url: e.target.value })}
+                placeholder="http://localhost:8000"
+                className="w-full px-4 py-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-fire-500"
+              />
+              {formUrl && <div className="mt-1">{renderTestResult(formUrl)}</div>}
+            </div>
+
+            {formError && <p className="text-sm text-red-400">{formError}</p>}
+
+            <div className="flex gap-2">
+              <button onClick={handleSave} className="btn-primary">Save</button>
+              <button
+                onClick={() => formUrl && testConnection(formUrl)}
+                disabled={!formUrl}
+                className="btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Test
+              </button>
+              <button
+                onClick={() => {
+                  setForm(null);
+                  setFormError(null);
+                }}
+                className="btn-secondary"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        ) : (
+          <button
+            onClick={() => setForm(EMPTY_FORM)}
+            className="btn-secondary flex items-center gap-2"
+          >
+            <Plus className="w-4 h-4" />
+            Add profile
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BackendSettings;
@@ -0,0 +1,40 @@
+import React, { useSyncExternalStore } from 'react';
+import { Shield, Loader2, WifiOff, AlertTriangle } from 'lucide-react';
+import healthMonitor from '../services/healthMonitor';
+import backendProfiles from '../services/backendProfiles';
+
+const STATUS_STYLES = {
+  unknown: { label: 'Checking Backend…', icon: Loader2, iconClass: 'text-gray-400 animate-spin', textClass: 'text-gray-400' },
+  online: { label: 'System Online', icon: Shield, iconClass: 'text-green-500', textClass: 'text-green-400' },
+  waking: { label: 'Backend Waking Up…', icon: Loader2, iconClass: 'text-yellow-500 animate-spin', textClass: 'text-yellow-400' },
+  degraded: { label: 'Degraded', icon: AlertTriangle, iconClass: 'text-orange-500', textClass: 'text-orange-400' },
+  offline: { label: 'Backend Offline', icon: WifiOff, iconClass: 'text-red-500', textClass: 'text-red-400' },
+};
+
+const BackendStatus = () => {
+  const health = useSyncExternalStore(healthMonitor.subscribe, healthMonitor.getSnapshot);
+  const style = STATUS_STYLES[health.status];
+  const StatusIcon = style.icon;
+
+  const profile = backendProfiles.getActiveProfile();
+  const tooltip = [
+    `${profile.name}: ${profile.url}`,
+    health.message,
+    health.latency != null && `Response time: ${health.latency}ms`,
+    health.lastChecked && `Last checked: ${new Date(health.lastChecked).toLocaleTimeString()}`,
+    'Click to check now',
+  ].filter(Boolean).join('\n');
+
+  return (
+    <button
+      onClick={() => healthMonitor.check()}
+      className="flex items-center gap-2 px-3 py-1 rounded-lg hover:bg-white/10 transition-all"
+      title={tooltip}
+    >
+      <StatusIcon className={`w-5 h-5 ${style.iconClass}`} />
+      <span className={`text-sm font-medium ${style.textClass}`}>{style.label}</span>
+    </button>
+  );
+};
+
+export default BackendStatus;
@@ -0,0 +1,414 @@
+import React, { useState, useEffect, useSyncExternalStore } from 'react';
+import { Camera, X, Plus, Pencil, Trash2, MapPin, Wifi, Video, Lock } from 'lucide-react';
+import AlertPolicySettings from './AlertPolicySettings';
+import cameraRegistry, { DEFAULT_FOV } from '../services/cameraRegistry';
+import zoneStore from '../services/zoneStore';
+import { resolveSourceType, SOURCE_TYPES } from '../utils/cameraSources';
+import { DEFAULT_DWELL, hasPtz, normalizePtz, PTZ_PROTOCOLS } from '../utils/ptz';
+
+const EMPTY_FORM = {
+  id: null,
+  name: '',
+  kind: 'network',
+  url: '',
+  sourceType: 'auto',
+  deviceId: '',
+  snapshotPath: '',
+  username: '',
+  password: '',
+  lat: '',
+  lon: '',
+  heading: '',
+  fov: String(DEFAULT_FOV),
+  onWall: true,
+  ptz: { ...normalizePtz(null), dwell: String(DEFAULT_DWELL) }
+};
+
+// Placeholders for custom PTZ commands
+const PTZ_COMMAND_FIELDS = [
+  { id: 'move', label: 'Move', placeholder: '/ptz?move={direction}' },
+  { id: 'stop', label: 'Stop', placeholder: '/ptz?move=stop' },
+  { id: 'goto', label: 'Go to preset', placeholder: '/ptz?preset={preset}' }
+];
+
+const INPUT_CLASS = 'w-full px-4 py-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-fire-500';
+
+// PTZ settings back into form strings
+const toPtzForm = (ptz) => ({
+  ...ptz,
+  dwell: String(ptz.dwell),
+  presets: ptz.presets.map(preset => ({ ...preset, bearing: preset.bearing ?? '' }))
+});
+
+// Registry values back into form strings
+const toForm = (camera) => ({
+  ...EMPTY_FORM,
+  ...camera,
+  lat: camera.lat ?? '',
+  lon: camera.lon ?? '',
+  heading: camera.heading ?? '',
+  fov: String(camera.fov ?? DEFAULT_FOV),
+  ptz: toPtzForm(camera.ptz || normalizePtz(null))
+});
+
+const CameraSettings = ({ onClose }) => {
+  const { cameras } = useSyncExternalStore(cameraRegistry.subscribe, cameraRegistry.getSnapshot);
+  const { zones } = useSyncExternalStore(zoneStore.subscribe, zoneStore.getSnapshot);
+  const [form, setForm] = useState(null); // null when not adding/editing
+  const [formError, setFormError] = useState(null);
+  const [devices, setDevices] = useState([]);
+
+  // Device labels are only available once the user has granted camera access
+  useEffect(() => {
+    if (form?.kind !== 'local' || devices.length > 0) return;
+    navigator.mediaDevices?.enumerateDevices()
+      .then(all => setDevices(all.filter(device => device.kind === 'videoinput')))
+      .catch(err => console.warn('⚠️ Could not list cameras:', err));
+  }, [form?.kind, devices.length]);
+
+  const handleSave = () => {
+    try {
+      if (form.id) {
+        cameraRegistry.updateCamera(form.id, form);
+      } else {
+        cameraRegistry.addCamera(form);
+      }
+      setForm(null);
+      setFormError(null);
+    } catch (error) {
+      setFormError(error.message);
+    }
+  };
+
+  const handleRemove = (camera) => {
+    if (window.confirm(`Delete camera "${camera.name}"?`)) {
+      cameraRegistry.removeCamera(camera.id);
+      zoneStore.removeZones(camera.id);
+    }
+  };
+
+  const formSourceType = form?.kind === 'network' ? resolveSourceType(form) : null;
+
+  const field = (key) => ({
+    value: form[key],
+    onChange: (e) => setForm({ ...form, [key]: e.target.value })
+  });
+
+  const setPtz = (patch) => setForm({ ...form, ptz: { ...form.ptz, ...patch } });
+  const ptzField = (key) => ({
+    value: form.ptz[key],
+    onChange: (e) => setPtz({ [key]: e.target.value })
+  });
+  const presetField = (index, key) => ({
+    value: form.ptz.presets[index][key],
+    onChange: (e) => setPtz({
+      presets: form.ptz.presets.map((preset, i) => (i === index ? { ...preset, [key]: e.target.value } : preset))
+    })
+  });
+
+  return (
+    <div
+      className="fixed inset-0 z-[10000] bg-black bg-opacity-75 flex items-center justify-center p-4"
+      onClick={onClose}
+    >
+      <div
+        className="glass-card p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto custom-scrollbar text-left"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center gap-2">
+            <Camera className="w-6 h-6 text-fire-500" />
+            <h3 className="text-xl font-bold text-white">Cameras</h3>
+          </div>
+          <button onClick={onClose} className="p-1 hover:bg-white/10 rounded transition-colors" title="Close">
+            <X className="w-5 h-5 text-gray-400 hover:text-white" />
+          </button>
+        </div>
+
+        <p className="text-sm text-gray-400 mb-4">
+          Register your station's cameras once and pick them from the live camera views. Cameras with a
+          location appear on the fire map. Cameras are saved on this device only; passwords are kept only
+          until the browser is closed, then entered again.
+        </p>
+
+        {/* Cameras */}
+        <div className="space-y-2 mb-4">
+          {cameras.length === 0 && (
+            <p className="text-sm text-gray-500 text-center py-4">No cameras registered yet</p>
+          )}
+          {cameras.map(camera => (
+            <div key={camera.id} className="p-3 rounded-lg border bg-white/5 border-white/5">
+              <div className="flex items-center gap-3">
+                {camera.kind === 'local' ? (
+                  <Video className="w-5 h-5 text-gray-400 flex-shrink-0" />
+                ) : (
+                  <Wifi className="w-5 h-5 text-gray-400 flex-shrink-0" />
+                )}
+                <div className="flex-1 min-w-0">
+                  <p className="text-white text-sm font-medium flex items-center gap-2">
+                    {camera.name}
+                    {camera.username && (camera.password ? (
+                      <span title="Uses credentials">
+                        <Lock className="w-3 h-3 text-gray-400" />
+                      </span>
+                    ) : (
+                      <span title="Password needed - passwords are forgotten when the browser closes">
+                        <Lock className="w-3 h-3 text-yellow-500" />
+                      </span>
+                    ))}
+                    {camera.onWall && <span className="px-2 py-0.5 rounded text-xs bg-white/10 text-gray-400">On wall</span>}
+                    {hasPtz(camera) && (
+                      <span className="px-2 py-0.5 rounded text-xs bg-white/10 text-gray-400">
+                        PTZ · {camera.ptz.presets.length} preset{camera.ptz.presets.length === 1 ? '' : 's'}
+                      </span>
+                    )}
+                    {zones[camera.id] && (
+                      <span className="px-2 py-0.5 rounded text-xs bg-white/10 text-gray-400">
+                        {zones[camera.id].length} zone{zones[camera.id].length === 1 ? '' : 's'}
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-400 truncate">
+                    {camera.kind === 'local' ? 'This device' : `${resolveSourceType(camera).toUpperCase()} · ${camera.url}`}
+                  </p>
+                  {camera.lat !== null && (
+                    <p className="text-xs text-gray-500 flex items-center gap-1">
+                      <MapPin className="w-3 h-3" />
+                      {camera.lat.toFixed(4)}, {camera.lon.toFixed(4)}
+                      {camera.heading !== null && ` · facing ${Math.round(camera.heading)}° · ${camera.fov}° FOV`}
+                    </p>
+                  )}
+                </div>
+
+                <div className="flex items-center gap-1">
+                  <button
+                    onClick={() => {
+                      setForm(toForm(camera));
+                      setFormError(null);
+                    }}
+                    className="p-1 hover:bg-white/10 rounded transition-colors"
+                    title="Edit"
+                  >
+                    <Pencil className="w-4 h-4 text-gray-400 hover:text-white" />
+                  </button>
+                  <button
+                    onClick={() => handleRemove(camera)}
+                    className="p-1 hover:bg-white/10 rounded transition-colors"
+                    title="Delete"
+                  >
+                    <Trash2 className="w-4 h-4 text-gray-400 hover:text-red-400" />
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {/* Add / edit */}
+        {form ? (
+          <div className="p-4 rounded-lg bg-white/5 border border-white/10 space-y-3">
+            <h4 className="text-white font-semibold">{form.id ? 'Edit camera' : 'New camera'}</h4>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              <div>
+                <label className="block text-sm font-semibold text-gray-300 mb-2">Name</label>
+                <input type="text" {...field('name')} placeholder="North ridge" className={INPUT_CLASS} />
+              </div>
+              <div>
+                <label className="block text-sm font-semibold text-gray-300 mb-2">Source</label>
+                <select {...field('kind')} className={INPUT_CLASS}>
+                  <option value="network" className="bg-gray-900">Network camera</option>
+                  <option value="local" className="bg-gray-900">This device</option>
+                </select>
+              </div>
+            </div>
+
+            {form.kind === 'network' ? (
+              <>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-sm font-semibold text-gray-300 mb-2">Camera URL</label>
+                    <input type="text" {...field('url')} placeholder="http://192.168.1.100:8080" className={INPUT_CLASS} />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-semibold text-gray-300 mb-2">Stream type</label>
+                    <select {...field('sourceType')} className={INPUT_CLASS}>
+                      {SOURCE_TYPES.map(type => (
+                        <option key={type.id} value={type.id} className="bg-gray-900">{type.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+                {formSourceType === 'snapshot' ? (
+                  <>
+                    <div>
+                      <label className="block text-sm font-semibold text-gray-300 mb-2">Snapshot path</label>
+                      <input type="text" {...field('snapshotPath')} placeholder="/shot.jpg" className={INPUT_CLASS} />
+                    </div>
+                    <p className="text-xs text-gray-400">
+                      Leave the snapshot path empty for IP Webcam. Use {'{username}'} and {'{password}'} in the path
+                      for cameras that take credentials in the query string; otherwise basic auth is used.
+                    </p>
+                  </>
+                ) : (
+                  <p className="text-xs text-gray-400">
+                    {formSourceType === 'mjpeg'
+                      ? 'The URL is the MJPEG stream itself (e.g. /video or /mjpg/video.mjpg); it is fetched through the backend proxy with basic auth.'
+                      : `The URL is the ${formSourceType === 'hls' ? '.m3u8 playlist' : 'WHEP endpoint'} of your camera or RTSP gateway, played directly by the browser - the gateway must allow this site (CORS). A username and password are sent as basic auth; a password on its own is sent as a bearer token.`}
+                  </p>
+                )}
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-sm font-semibold text-gray-300 mb-2">Username</label>
+                    <input type="text" autoComplete="off" {...field('username')} placeholder="Optional" className={INPUT_CLASS} />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-semibold text-gray-300 mb-2">Password</label>
+                    <input type="password" autoComplete="new-password" {...field('password')} placeholder="Optional" className={INPUT_CLASS} />
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-semibold text-gray-300 mb-2">Pan / tilt / zoom</label>
+                  <select {...ptzField('protocol')} className={INPUT_CLASS}>
+                    {PTZ_PROTOCOLS.map(protocol => (
+                      <option key={protocol.id} value={protocol.id} className="bg-gray-900">{protocol.label}</option>
+                    ))}
+                  </select>
+                </div>
+                {form.ptz.protocol === 'custom' && (
+                  <>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                      {PTZ_COMMAND_FIELDS.map(command => (
+                        <div key={command.id}>
+                          <label className="block text-sm font-semibold text-gray-300 mb-2">{command.label}</label>
+                          <input
+                            type="text"
+                            value={form.ptz.commands[command.id]}
+                            onChange={(e) => setPtz({ commands: { ...form.ptz.commands, [command.id]: e.target.value } })}
+                            placeholder={command.placeholder}
+                            className={INPUT_CLASS}
+                          />
+                        </div>
+                      ))}
+                    </div>
+                    <p className="text-xs text-gray-400">
+                      Paths on the camera, sent through the backend proxy. Use {'{direction}'} (up, down, left, right,
+                      in, out) or {'{pan}'}, {'{tilt}'} and {'{zoom}'} (-1, 0 or 1), {'{preset}'}, and {'{username}'} and
+                      {' {password}'} like the snapshot path.
+                    </p>
+                  </>
+                )}
+                {form.ptz.protocol !== 'none' && (
+                  <div className="space-y-2">
+                    <label className="block text-sm font-semibold text-gray-300">Presets</label>
+                    {form.ptz.presets.map((preset, index) => (
+                      <div key={preset.id || index} className="grid grid-cols-[1fr_6rem_6rem_auto] gap-2">
+                        <input type="text" {...presetField(index, 'name')} placeholder="North ridge" className={INPUT_CLASS} />
+                        <input type="text" {...presetField(index, 'token')} placeholder="Preset" title="The camera's preset number or name" className={INPUT_CLASS} />
+                        <input type="number" step="any" {...presetField(index, 'bearing')} placeholder="Bearing °" className={INPUT_CLASS} />
+                        <button
+                          onClick={() => setPtz({ presets: form.ptz.presets.filter((_, i) => i !== index) })}
+                          className="p-1 hover:bg-white/10 rounded transition-colors"
+                          title="Remove preset"
+                        >
+                          <Trash2 className="w-4 h-4 text-gray-400 hover:text-red-400" />
+                        </button>
+                      </div>
+                    ))}
+                    <div className="flex items-center gap-3">
+                      <button
+                        onClick={() => setPtz({ presets: [...form.ptz.presets, { name: '', token: String(form.ptz.presets.length + 1), bearing: '' }] })}
+                        className="btn-secondary flex items-center gap-2 text-sm"
+                      >
+                        <Plus className="w-4 h-4" />
+                        Add preset
+                      </button>
+                      <label className="text-sm text-gray-300 flex items-center gap-2">
+                        Patrol stays
+                        <input type="number" min="5" {...ptzField('dwell')} className={`${INPUT_CLASS} w-24`} />
+                        s at each
+                      </label>
+                    </div>
+                    <p className="text-xs text-gray-400">
+                      Save the positions as presets on the camera first, then enter each preset's number (or name, for
+                      Axis and Foscam) with the bearing it looks at - fire alerts from a preset carry its name and bearing.
+                    </p>
+                  </div>
+                )}
+              </>
+            ) : (
+              <div>
+                <label className="block text-sm font-semibold text-gray-300 mb-2">Device</label>
+                <select {...field('deviceId')} className={INPUT_CLASS}>
+                  <option value="" className="bg-gray-900">Default camera</option>
+                  {devices.map((device, index) => (
+                    <option key={device.deviceId || index} value={device.deviceId} className="bg-gray-900">
+                      {device.label || `Camera ${index + 1}`}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              <div>
+                <label className="block text-sm font-semibold text-gray-300 mb-2">Latitude</label>
+                <input type="number" step="any" {...field('lat')} placeholder="22.3180" className={INPUT_CLASS} />
+              </div>
+              <div>
+                <label className="block text-sm font-semibold text-gray-300 mb-2">Longitude</label>
+                <input type="number" step="any" {...field('lon')} placeholder="78.4120" className={INPUT_CLASS} />
+              </div>
+              <div>
+                <label className="block text-sm font-semibold text-gray-300 mb-2">Heading °</label>
+                <input type="number" step="any" {...field('heading')} placeholder="0 = north" className={INPUT_CLASS} />
+              </div>
+              <div>
+                <label className="block text-sm font-semibold text-gray-300 mb-2">Field of view °</label>
+                <input type="number" step="any" {...field('fov')} className={INPUT_CLASS} />
+              </div>
+            </div>
+
+            <label className="flex items-center gap-2 text-sm text-gray-300">
+              <input
+                type="checkbox"
+                checked={form.onWall}
+                onChange={(e) => setForm({ ...form, onWall: e.target.checked })}
+                className="accent-fire-500"
+              />
+              Show on the camera wall
+            </label>
+
+            {formError && <p className="text-sm text-red-400">{formError}</p>}
+
+            <div className="flex gap-2">
+              <button onClick={handleSave} className="btn-primary">Save</button>
+              <button
+                onClick={() => {
+                  setForm(null);
+                  setFormError(null);
+                }}
+                className="btn-secondary"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        ) : (
+          <button
+            onClick={() => setForm(EMPTY_FORM)}
+            className="btn-secondary flex items-center gap-2"
+          >
+            <Plus className="w-4 h-4" />
+            Add camera
+          </button>
+        )}
+
+        <AlertPolicySettings />
+      </div>
+    </div>
+  );
+};
+
+export default CameraSettings;
@@ -0,0 +1,290 @@
+import React, { useRef, useEffect, useState, useSyncExternalStore } from 'react';
+import { Video, Wifi, X, RefreshCw, AlertCircle, Loader2, Shapes } from 'lucide-react';
+import ZoneEditor from './ZoneEditor';
+import useCameraPipeline from '../hooks/useCameraPipeline';
+import { connectCameraStream } from '../services/cameraStreams';
+import deviceLocation from '../services/deviceLocation';
+import zoneStore from '../services/zoneStore';
+import { getFrameSize, isVideoSource, resolveSourceType } from '../utils/cameraSources';
+import CameraWatchdog, { buildOfflineAlert } from '../utils/cameraWatchdog';
+
+const STATUS_STYLES = {
+  connecting: { dot: 'bg-yellow-500 animate-pulse', label: 'Connecting' },
+  live: { dot: 'bg-green-500', label: 'Live' },
+  error: { dot: 'bg-red-500', label: 'Offline' },
+  unhealthy: { dot: 'bg-yellow-500', label: 'No usable picture' },
+};
+
+const CameraTile = ({ camera, scheduler, encoder, isMonitoring, onFireDetected, onCameraOffline, onCameraOnline, onRemove }) => {
+  const videoRef = useRef(null);
+  const imgRef = useRef(null);
+  const overlayRef = useRef(null);
+  // Parent callbacks change every render; keep them out of the watchdog's handlers
+  const cameraAlertsRef = useRef({ isMonitoring, onCameraOffline, onCameraOnline });
+
+  const [status, setStatus] = useState('connecting'); // 'connecting' | 'live' | 'error'
+  const [error, setError] = useState(null);
+  const [connectAttempt, setConnectAttempt] = useState(0);
+  const [editingZones, setEditingZones] = useState(false);
+  const [frameSize, setFrameSize] = useState(null); // Of the live picture, for the zone editor
+  const zones = useSyncExternalStore(zoneStore.subscribe, () => zoneStore.getZones(camera.id));
+  // Notices a dead, frozen or covered camera and reconnects it
+  const [watchdog] = useState(() => new CameraWatchdog());
+  const health = useSyncExternalStore(watchdog.subscribe, watchdog.getSnapshot);
+
+  useEffect(() => {
+    cameraAlertsRef.current = { isMonitoring, onCameraOffline, onCameraOnline };
+  }, [isMonitoring, onCameraOffline, onCameraOnline]);
+
+  const sourceType = camera.kind === 'network' ? resolveSourceType(camera) : null;
+  const usesVideo = camera.kind === 'local' || isVideoSource(sourceType);
+  const hasConfiguredLocation = camera.lat != null && camera.lon != null;
+
+  // Connect to the camera; reconnects when "Retry" bumps connectAttempt
+  useEffect(() => {
+    let cancelled = false;
+    let stream = null;
+    let disconnect = null;
+
+    if (camera.kind === 'local') {
+      navigator.mediaDevices.getUserMedia({
+        video: {
+          width: { ideal: 640 },
+          height: { ideal: 480 },
+          ...(camera.deviceId ? { deviceId: { exact: camera.deviceId } } : { facingMode: 'environment' })
+        }
+      }).then((mediaStream) => {
+        if (cancelled) {
+          mediaStream.getTracks().forEach(track => track.stop());
+          return;
+        }
+        stream = mediaStream;
+        if (videoRef.current) videoRef.current.srcObject = mediaStream;
+        setStatus('live');
+        setError(null);
+        watchdog.connectionRestored();
+        // Alerts from an unplaced webcam fall back to where this device is
+        if (!hasConfiguredLocation) deviceLocation.request();
+      }).catch((err) => {
+        if (cancelled) return;
+        console.error(`Error accessing ${camera.name}:`, err);
+        setStatus('error');
+        setError('Failed to access webcam. Please grant camera permissions.');
+        // Asking again won't help until the user allows it; an unplugged camera may come back
+        if (err.name !== 'NotAllowedError') watchdog.connectionLost('The webcam is not available');
+      });
+    } else {
+      const element = usesVideo ? videoRef.current : imgRef.current;
+      if (element) {
+        disconnect = connectCameraStream(camera, element, {
+          onLive: () => {
+            setStatus('live');
+            setError(null);
+            watchdog.connectionRestored();
+          },
+          onError: (message) => {
+            setStatus('error');
+            setError(message);
+            watchdog.connectionLost(message);
+          }
+        });
+      }
+    }
+
+    return () => {
+      cancelled = true;
+      if (stream) stream.getTracks().forEach(track => track.stop());
+      if (disconnect) disconnect();
+    };
+    // The registry hands out a new camera object only when that camera is edited
+  }, [camera, usesVideo, hasConfiguredLocation, connectAttempt, watchdog]);
+
+  // Watch the picture for as long as the tile is up; a camera that goes offline
+  // while monitoring raises a camera-offline alert until it is healthy again
+  useEffect(() => {
+    watchdog.start({
+      getElement: () => (usesVideo ? videoRef.current : imgRef.current),
+      reconnect: () => {
+        setStatus('connecting');
+        setError(null);
+        setConnectAttempt(n => n + 1);
+      },
+      onOffline: (problem) => {
+        const { isMonitoring: monitoring, onCameraOffline: report } = cameraAlertsRef.current;
+        if (!monitoring) return;
+        report?.(buildOfflineAlert({
+          cameraId: camera.id,
+          cameraName: camera.name,
+          source: camera.kind === 'local' ? 'webcam' : 'network-camera'
+        }, problem));
+      },
+      onOnline: () => cameraAlertsRef.current.onCameraOnline?.(camera.id)
+    });
+    return () => watchdog.stop();
+  }, [watchdog, usesVideo, camera.id, camera.name, camera.kind]);
+
+  const retry = () => {
+    setStatus('connecting');
+    setError(null);
+    setConnectAttempt(n => n + 1);
+  };
+
+  // Zones are in fractions of the frame, so a scaled-down captured frame gives the size as well
+  const updateFrameSize = (size) => {
+    if (!size) return;
+    setFrameSize(prev => (prev && prev.width === size.width && prev.height === size.height ? prev : size));
+  };
+  const handleMediaLoad = (e) => updateFrameSize(getFrameSize(e.currentTarget));
+
+  // Frames go through the shared scheduler while monitoring and connected
+  const isActive = isMonitoring && status === 'live';
+  const { stats, detectionError } = useCameraPipeline({
+    sourceId: camera.id,
+    scheduler,
+    encoder,
+    videoRef,
+    imgRef,
+    usesVideo,
+    overlayRef,
+    active: isActive,
+    camera,
+    zones,
+    drawZones: !editingZones, // the zone editor draws them
+    onFrame: (frame) => updateFrameSize({ width: frame.width, height: frame.height }),
+    onFireDetected
+  });
+
+  const statusStyle = STATUS_STYLES[status === 'live' && health.problem ? 'unhealthy' : status];
+
+  return (
+    <div className="bg-white/5 rounded-lg border border-white/10 overflow-hidden">
+      {/* Feed with detection overlay */}
+      <div className="relative bg-black aspect-video">
+        {usesVideo ? (
+          <video ref={videoRef} autoPlay playsInline muted onLoadedData={handleMediaLoad} className="w-full h-full object-contain" />
+        ) : (
+          <img ref={imgRef} alt={camera.name} crossOrigin="anonymous" onLoad={handleMediaLoad} className="w-full h-full object-contain" />
+        )}
+        <canvas
+          ref={overlayRef}
+          className="absolute inset-0 w-full h-full pointer-events-none"
+          style={{ zIndex: 10 }}
+        />
+
+        {/* Detection zones, while they are being edited */}
+        {editingZones && status === 'live' && (
+          <ZoneEditor
+            zones={zones}
+            frameSize={frameSize}
+            onChange={(next) => zoneStore.setZones(camera.id, next)}
+          />
+        )}
+
+        {status !== 'live' && (
+          <div className="absolute inset-0 flex items-center justify-center bg-black/80 p-4" style={{ zIndex: 20 }}>
+            {status === 'connecting' ? (
+              <Loader2 className="w-8 h-8 text-gray-400 animate-spin" />
+            ) : (
+              <div className="text-center">
+                <AlertCircle className="w-8 h-8 text-red-500 mx-auto mb-2" />
+                <p className="text-sm text-red-400 mb-3">{error}</p>
+                {health.reconnectAt && (
+                  <p className="text-xs text-gray-400 mb-3">Reconnecting automatically (attempt {health.attempts})...</p>
+                )}
+                <button onClick={retry} className="btn-secondary text-sm py-2 px-4 inline-flex items-center gap-2">
+                  <RefreshCw className="w-4 h-4" />
+                  Retry
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
+        {isActive && !health.problem && (
+          <div className="absolute top-2 right-2 px-2 py-1 bg-red-500 text-white text-xs font-semibold rounded flex items-center gap-1 animate-pulse" style={{ zIndex: 20 }}>
+            <div className="w-1.5 h-1.5 bg-white rounded-full" />
+            LIVE
+          </div>
+        )}
+
+        {/* Connected, but the picture is stale, frozen or covered */}
+        {status === 'live' && health.problem && (
+          <div className="absolute bottom-2 inset-x-2 px-2 py-1 bg-yellow-500/90 text-black text-xs font-semibold rounded flex items-center gap-1" style={{ zIndex: 20 }}>
+            <AlertCircle className="w-3 h-3 flex-shrink-0" />
+            <span className="truncate">
+              {health.problem.message}{health.reconnectAt ? ' - reconnecting...' : ''}
+            </span>
+          </div>
+        )}
+      </div>
+
+      {/* Name, status and stats */}
+      <div className="p-3">
+        <div className="flex items-center justify-between gap-2">
+          <div className="flex items-center gap-2 min-w-0">
+            {camera.kind === 'local' ? (
+              <Video className="w-4 h-4 text-gray-400 flex-shrink-0" />
+            ) : (
+              <Wifi className="w-4 h-4 text-gray-400 flex-shrink-0" />
+            )}
+            <span className="text-white font-semibold truncate">{camera.name}</span>
+          </div>
+          <div className="flex items-center gap-2 flex-shrink-0">
+            <div className={`w-2 h-2 rounded-full ${statusStyle.dot}`} />
+            <span className="text-xs text-gray-400">{statusStyle.label}</span>
+            <button
+              onClick={() => setEditingZones(editing => !editing)}
+              className={`p-1 rounded transition-colors ${editingZones ? 'bg-white/20' : 'hover:bg-white/10'}`}
+              title={editingZones ? 'Done editing zones' : `Edit detection zones${zones.length > 0 ? ` (${zones.length})` : ''}`}
+            >
+              <Shapes className={`w-4 h-4 ${zones.length > 0 || editingZones ? 'text-white' : 'text-gray-400'} hover:text-white`} />
+            </button>
+            {onRemove && (
+              <button
+                onClick={() => onRemove(camera.id)}
+                className="p-1 hover:bg-white/10 rounded transition-colors"
+                title="Remove from wall"
+              >
+                <X className="w-4 h-4 text-gray-400 hover:text-white" />
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div className="grid grid-cols-5 gap-2 mt-3 text-center">
+          <div title={`${stats.skipped} unchanged frame${stats.skipped === 1 ? '' : 's'} skipped`}>
+            <p className="text-lg font-bold text-white">{stats.framesProcessed}</p>
+            <p className="text-[10px] text-gray-400">Frames</p>
+          </div>
+          <div>
+            <p className="text-lg font-bold text-white">{stats.fps.toFixed(1)}</p>
+            <p className="text-[10px] text-gray-400">FPS</p>
+          </div>
+          <div>
+            <p className="text-lg font-bold text-fire-500">{stats.fireDetections}</p>
+            <p className="text-[10px] text-gray-400">Fires</p>
+          </div>
+          <div>
+            <p className="text-lg font-bold text-green-500">
+              {stats.latency != null ? `${stats.latency}` : '–'}
+            </p>
+            <p className="text-[10px] text-gray-400">Latency ms</p>
+          </div>
+          <div>
+            <p className="text-xs font-bold text-white truncate mt-1.5">{stats.lastDetection || 'None'}</p>
+            <p className="text-[10px] text-gray-400 mt-1">Last Fire</p>
+          </div>
+        </div>
+
+        {isMonitoring && detectionError && (
+          <p className="mt-2 text-xs text-yellow-400 flex items-start gap-1">
+            <AlertCircle className="w-3 h-3 flex-shrink-0 mt-0.5" />
+            {detectionError}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CameraTile;
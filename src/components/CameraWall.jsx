@@ -0,0 +1,119 @@
+import React, { useState, useSyncExternalStore } from 'react';
+import { Plus, Play, Square, LayoutGrid, Settings } from 'lucide-react';
+import CameraTile from './CameraTile';
+import cameraRegistry from '../services/cameraRegistry';
+
+const INPUT_CLASS = 'w-full px-4 py-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-fire-500';
+
+const CameraWall = ({ scheduler, encoder, isMonitoring, setIsMonitoring, onFireDetected, onCameraOffline, onCameraOnline, onManageCameras }) => {
+  const { cameras: registered } = useSyncExternalStore(cameraRegistry.subscribe, cameraRegistry.getSnapshot);
+  const cameras = registered.filter(camera => camera.onWall);
+  const offWall = registered.filter(camera => !camera.onWall);
+  const [selectedId, setSelectedId] = useState('');
+
+  const addToWall = (e) => {
+    e.preventDefault();
+    const id = selectedId || offWall[0]?.id;
+    if (!id) return;
+    cameraRegistry.updateCamera(id, { onWall: true });
+    setSelectedId('');
+  };
+
+  const removeFromWall = (id) => {
+    cameraRegistry.updateCamera(id, { onWall: false });
+  };
+
+  return (
+    <div>
+      {/* Add a registered camera */}
+      <form onSubmit={addToWall} className="mb-4 p-4 bg-white/5 rounded-lg border border-white/10">
+        <div className="flex flex-col md:flex-row gap-2">
+          {offWall.length > 0 ? (
+            <>
+              <select
+                value={selectedId}
+                onChange={(e) => setSelectedId(e.target.value)}
+                className={INPUT_CLASS}
+              >
+                {offWall.map(camera => (
+                  <option key={camera.id} value={camera.id} className="bg-gray-900">
+                    {camera.name}
+                  </option>
+                ))}
+              </select>
+              <button type="submit" className="btn-primary flex items-center justify-center gap-2 whitespace-nowrap">
+                <Plus className="w-5 h-5" />
+                Add to Wall
+              </button>
+            </>
+          ) : (
+            <p className="flex-1 text-sm text-gray-400 self-center">
+              {registered.length === 0 ? 'No cameras registered yet.' : 'Every registered camera is on the wall.'}
+            </p>
+          )}
+          <button
+            type="button"
+            onClick={onManageCameras}
+            className="btn-secondary flex items-center justify-center gap-2 whitespace-nowrap"
+          >
+            <Settings className="w-5 h-5" />
+            Manage Cameras
+          </button>
+        </div>
+      </form>
+
+      {/* Camera grid */}
+      {cameras.length === 0 ? (
+        <div className="text-center py-12 bg-black/40 rounded-lg mb-4">
+          <LayoutGrid className="w-16 h-16 text-gray-500 mx-auto mb-4" />
+          <p className="text-white mb-2">No cameras on the wall yet</p>
+          <p className="text-sm text-gray-400">Add registered cameras above, or register new ones under Manage Cameras</p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+          {cameras.map(camera => (
+            <CameraTile
+              key={camera.id}
+              camera={camera}
+              scheduler={scheduler}
+              encoder={encoder}
+              isMonitoring={isMonitoring}
+              onFireDetected={onFireDetected}
+              onCameraOffline={onCameraOffline}
+              onCameraOnline={onCameraOnline}
+              onRemove={removeFromWall}
+            />
+          ))}
+        </div>
+      )}
+
+      {/* Controls */}
+      {cameras.length > 0 && (
+        <div className="flex items-center gap-3">
+          {!isMonitoring ? (
+            <button
+              onClick={() => setIsMonitoring(true)}
+              className="flex-1 btn-primary flex items-center justify-center gap-2"
+            >
+              <Play className="w-5 h-5" />
+              Monitor All Cameras
+            </button>
+          ) : (
+            <button
+              onClick={() => setIsMonitoring(false)}
+              className="flex-1 bg-red-500 hover:bg-red-600 text-white font-semibold py-3 px-6 rounded-xl transition-all duration-300 flex items-center justify-center gap-2"
+            >
+              <Square className="w-5 h-5" />
+              Stop Monitoring
+            </button>
+          )}
+          <p className="text-xs text-gray-400 max-w-[12rem]">
+            {scheduler.maxFramesPerSecond} frames/s shared across {cameras.length} camera{cameras.length === 1 ? '' : 's'}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CameraWall;
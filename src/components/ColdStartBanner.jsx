@@ -0,0 +1,46 @@
+import React, { useSyncExternalStore } from 'react';
+import { Loader2, WifiOff, RefreshCw } from 'lucide-react';
+import healthMonitor from '../services/healthMonitor';
+import { getApiBaseUrl } from '../services/api';
+
+const ColdStartBanner = () => {
+  const health = useSyncExternalStore(healthMonitor.subscribe, healthMonitor.getSnapshot);
+
+  if (health.status !== 'waking' && health.status !== 'offline') return null;
+
+  const isWaking = health.status === 'waking';
+
+  return (
+    <div className={`mt-4 px-4 py-3 rounded-lg border flex items-start gap-3 text-left ${
+      isWaking ? 'bg-yellow-500/10 border-yellow-500/50' : 'bg-red-500/10 border-red-500/50'
+    }`}>
+      {isWaking ? (
+        <Loader2 className="w-5 h-5 text-yellow-500 animate-spin flex-shrink-0 mt-0.5" />
+      ) : (
+        <WifiOff className="w-5 h-5 text-red-500 flex-shrink-0 mt-0.5" />
+      )}
+
+      <div className="flex-1">
+        <p className={`font-semibold text-sm ${isWaking ? 'text-yellow-400' : 'text-red-400'}`}>
+          {isWaking ? 'Detection server is waking up' : 'Detection server is offline'}
+        </p>
+        <p className="text-gray-300 text-sm mt-1">
+          {isWaking
+            ? 'The free hosting tier puts the backend to sleep when idle. It usually takes 30-60 seconds to start.'
+            : `Can't reach ${getApiBaseUrl()}. Checking again automatically.`}
+          {' '}Uploads you add now are queued and start as soon as it is ready.
+        </p>
+      </div>
+
+      <button
+        onClick={() => healthMonitor.check()}
+        className="flex items-center gap-1 px-3 py-1 rounded-lg text-sm bg-white/10 text-gray-300 hover:bg-white/20 transition-all flex-shrink-0"
+      >
+        <RefreshCw className="w-4 h-4" />
+        Check now
+      </button>
+    </div>
+  );
+};
+
+export default ColdStartBanner;
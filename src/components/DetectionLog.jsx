@@ -1,5 +1,7 @@
 import React, { useState } from 'react';
-import { FileText, ChevronDown, ChevronUp, Download, Trash2, Filter } from 'lucide-react';
+import { FileText, ChevronDown, ChevronUp, Download, Trash2, Filter, MapPin } from 'lucide-react';
+import EvidenceViewer from './EvidenceViewer';
+import evidenceStore from '../services/evidenceStore';
 
 const DetectionLog = ({ detectionHistory = [], onClearLog }) => {
   const [expandedIndex, setExpandedIndex] = useState(null);
@@ -8,11 +10,15 @@ const DetectionLog = ({ detectionHistory = [], onClearLog }) => {
   const filteredHistory = detectionHistory.filter(item => {
     if (filterType === 'all') return true;
     if (filterType === 'threats-only') return item.detected;
-    return item.type.toLowerCase().includes(filterType);
+    // Entry types are display names: 'Fire & Smoke Detection', 'Live Camera Detection', 'Satellite Analysis'
+    const isSatellite = (item.type || '').toLowerCase().includes('satellite');
+    return filterType === 'satellite' ? isSatellite : !isSatellite;
   });
 
-  const exportLog = () => {
-    const dataStr = JSON.stringify(detectionHistory, null, 2);
+  const exportLog = async () => {
+    // Live camera entries carry their evidence frames along
+    const exported = await evidenceStore.withEvidence(detectionHistory, item => item.details?.evidenceId);
+    const dataStr = JSON.stringify(exported, null, 2);
     const dataBlob = new Blob([dataStr], { type: 'application/json' });
     const url = URL.createObjectURL(dataBlob);
     const link = document.createElement('a');
@@ -34,7 +40,7 @@ const DetectionLog = ({ detectionHistory = [], onClearLog }) => {
     
     const csvContent = [
       headers.join(','),
-      ...rows.map(row => row.map(cell => `"${cell}"`).join(','))
+      ...rows.map(row => row.map(cell => `"${String(cell ?? '').replace(/"/g, '""')}"`).join(','))
     ].join('\n');
     
     const dataBlob = new Blob([csvContent], { type: 'text/csv' });
@@ -181,6 +187,12 @@ const DetectionLog = ({ detectionHistory = [], onClearLog }) => {
                           )}
                         </div>
                         <p className="text-sm text-gray-300 truncate">{item.filename}</p>
+                        {item.location && (
+                          <p className="text-xs text-gray-400 flex items-center gap-1 mt-1">
+                            <MapPin className="w-3 h-3" />
+                            {item.location}
+                          </p>
+                        )}
                         <p className="text-xs text-gray-500 mt-1">{item.timestamp}</p>
                       </div>
                     </div>
@@ -195,6 +207,14 @@ const DetectionLog = ({ detectionHistory = [], onClearLog }) => {
                 {/* Expanded Details */}
                 {expandedIndex === index && item.details && (
                   <div className="px-4 pb-4 border-t border-white/10 mt-2 pt-3">
+                    {item.details.evidenceId && (
+                      <div className="mb-3">
+                        <h4 className="text-xs font-semibold text-gray-400 uppercase">
+                          Evidence
+                        </h4>
+                        <EvidenceViewer evidenceId={item.details.evidenceId} />
+                      </div>
+                    )}
                     <h4 className="text-xs font-semibold text-gray-400 uppercase mb-2">
                       Detection Details
                     </h4>
@@ -0,0 +1,103 @@
+/** @vitest-environment jsdom */
+import React from 'react';
+import { describe, it, expect, afterEach, beforeEach, vi } from 'vitest';
+import { render, screen, fireEvent, cleanup, waitFor } from '@testing-library/react';
+import DetectionLog from './DetectionLog';
+
+const history = [
+  { id: '1', timestamp: '6/1/2026, 12:00:00 PM', type: 'Fire & Smoke Detection', filename: 'ridge.jpg', detected: true, details: { detections: 2 } },
+  { id: '2', timestamp: '6/1/2026, 12:01:00 PM', type: 'Satellite Analysis', filename: 'tile "north".tif', detected: false },
+  { id: '3', timestamp: '6/1/2026, 12:02:00 PM', type: 'Live Camera Detection', filename: 'Camera 1', detected: true },
+  { id: '4', timestamp: '6/1/2026, 12:03:00 PM', type: 'Fire & Smoke Detection (Streaming)', filename: 'valley.mp4', detected: false },
+];
+
+// jsdom's Blob has no text()
+const readBlob = (blob) => new Promise((resolve) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.readAsText(blob);
+});
+
+const visibleFiles = () => ['ridge.jpg', 'tile "north".tif', 'Camera 1', 'valley.mp4'].filter(name => screen.queryByText(name));
+
+describe('DetectionLog', () => {
+  let blobs;
+
+  beforeEach(() => {
+    blobs = [];
+    URL.createObjectURL = vi.fn((blob) => {
+      blobs.push(blob);
+      return 'blob:log';
+    });
+    URL.revokeObjectURL = vi.fn();
+    vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    cleanup();
+    vi.restoreAllMocks();
+  });
+
+  it('shows the empty state without history', () => {
+    render(<DetectionLog detectionHistory={[]} />);
+    expect(screen.getByText('No detection history yet')).toBeTruthy();
+  });
+
+  it('filters by threats, fire/smoke and satellite', () => {
+    render(<DetectionLog detectionHistory={history} />);
+    expect(visibleFiles()).toHaveLength(4);
+
+    fireEvent.click(screen.getByText('Threats Only (2)'));
+    expect(visibleFiles()).toEqual(['ridge.jpg', 'Camera 1']);
+
+    fireEvent.click(screen.getByText('Fire/Smoke'));
+    expect(visibleFiles()).toEqual(['ridge.jpg', 'Camera 1', 'valley.mp4']);
+
+    fireEvent.click(screen.getByText('Satellite'));
+    expect(visibleFiles()).toEqual(['tile "north".tif']);
+
+    fireEvent.click(screen.getByText('All (4)'));
+    expect(visibleFiles()).toHaveLength(4);
+  });
+
+  it('summarises threats and safe scans', () => {
+    render(<DetectionLog detectionHistory={history} />);
+    expect(screen.getByText('Threats Found').previousSibling.textContent).toBe('2');
+    expect(screen.getByText('Safe').previousSibling.textContent).toBe('2');
+  });
+
+  it('exports the full log as JSON', async () => {
+    render(<DetectionLog detectionHistory={history} />);
+    fireEvent.click(screen.getByText('Export as JSON'));
+
+    // Evidence is looked up first, so the download follows a tick later
+    await waitFor(() => expect(blobs).toHaveLength(1));
+    expect(blobs[0].type).toBe('application/json');
+    expect(JSON.parse(await readBlob(blobs[0]))).toEqual(history);
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:log');
+  });
+
+  it('exports CSV with quotes escaped', async () => {
+    render(<DetectionLog detectionHistory={history} />);
+    fireEvent.click(screen.getByText('Export as CSV'));
+
+    const lines = (await readBlob(blobs[0])).split('\n');
+    expect(blobs[0].type).toBe('text/csv');
+    expect(lines[0]).toBe('Timestamp,Type,Filename,Detected,Details');
+    expect(lines[1]).toBe('"6/1/2026, 12:00:00 PM","Fire & Smoke Detection","ridge.jpg","Yes","{""detections"":2}"');
+    expect(lines[2]).toBe('"6/1/2026, 12:01:00 PM","Satellite Analysis","tile ""north"".tif","No",""');
+  });
+
+  it('clears only after confirmation', () => {
+    const onClearLog = vi.fn();
+    const confirm = vi.spyOn(window, 'confirm').mockReturnValueOnce(false).mockReturnValueOnce(true);
+    render(<DetectionLog detectionHistory={history} onClearLog={onClearLog} />);
+
+    fireEvent.click(screen.getByTitle('Clear log'));
+    expect(onClearLog).not.toHaveBeenCalled();
+
+    fireEvent.click(screen.getByTitle('Clear log'));
+    expect(confirm).toHaveBeenCalledTimes(2);
+    expect(onClearLog).toHaveBeenCalledOnce();
+  });
+});
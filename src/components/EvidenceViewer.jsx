@@ -0,0 +1,75 @@
+import React, { useEffect, useState, useSyncExternalStore } from 'react';
+import { Camera } from 'lucide-react';
+import evidenceStore from '../services/evidenceStore';
+
+const ROLE_LABELS = { before: 'Before', trigger: 'Alert', after: 'After' };
+
+/**
+ * Annotated frames saved with a camera alert. Compact shows the frame that
+ * raised the alert, and opens the full strip when clicked.
+ */
+const EvidenceViewer = ({ evidenceId, compact = false }) => {
+  const version = useSyncExternalStore(evidenceStore.subscribe, evidenceStore.getSnapshot);
+  const [frames, setFrames] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [expanded, setExpanded] = useState(!compact);
+
+  // Load the record again whenever evidence is written - frames after the alert arrive later
+  useEffect(() => {
+    if (!evidenceId) return undefined;
+    let cancelled = false;
+    let urls = [];
+
+    evidenceStore.get(evidenceId)
+      .then((record) => {
+        if (cancelled) return;
+        urls = (record?.frames || []).map(frame => URL.createObjectURL(frame.image));
+        setFrames((record?.frames || []).map((frame, i) => ({ ...frame, url: urls[i] })));
+      })
+      .catch((error) => console.warn('⚠️ Could not load alert evidence:', error));
+
+    return () => {
+      cancelled = true;
+      urls.forEach(url => URL.revokeObjectURL(url));
+    };
+  }, [evidenceId, version]);
+
+  if (frames.length === 0) return null;
+
+  const trigger = frames.find(frame => frame.role === 'trigger') || frames[0];
+  const shown = frames[selected] || trigger;
+
+  return (
+    <div className="mt-3">
+      <img
+        src={shown.url}
+        alt="Alert evidence"
+        onClick={() => setExpanded(true)}
+        className={`w-full object-contain rounded bg-black ${expanded ? 'max-h-64' : 'max-h-32 cursor-pointer'}`}
+      />
+
+      {expanded ? (
+        <div className="flex gap-1 mt-2 overflow-x-auto custom-scrollbar">
+          {frames.map((frame, i) => (
+            <button
+              key={i}
+              onClick={() => setSelected(i)}
+              className={`flex-shrink-0 rounded overflow-hidden border-2 ${frame === shown ? 'border-fire-500' : 'border-transparent'}`}
+              title={new Date(frame.at).toLocaleTimeString()}
+            >
+              <img src={frame.url} alt="" className="h-12 w-auto" />
+              <span className="block text-[10px] text-gray-400 bg-black/60">{ROLE_LABELS[frame.role] || frame.role}</span>
+            </button>
+          ))}
+        </div>
+      ) : (
+        <p className="text-xs text-gray-400 mt-1 flex items-center gap-1">
+          <Camera className="w-3 h-3" />
+          {frames.length} evidence frame(s) - click to view
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default EvidenceViewer;
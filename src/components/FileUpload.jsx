@@ -1,10 +1,12 @@
-import React, { useState, useCallback } from 'react';
-import { Upload, X, FileImage, FileVideo } from 'lucide-react';
+import React, { useState, useCallback, useId } from 'react';
+import { Upload, X, FileImage, FileVideo, AlertCircle } from 'lucide-react';
 
-const FileUpload = ({ onFileSelect, accept, maxSize = 10 }) => {
+const FileUpload = ({ onFileSelect, onFilesSelect, accept, maxSize = 10, multiple = false }) => {
   const [dragActive, setDragActive] = useState(false);
   const [selectedFile, setSelectedFile] = useState(null);
   const [preview, setPreview] = useState(null);
+  const [rejected, setRejected] = useState([]); // Files skipped by the last pick, with why
+  const inputId = useId();
 
   const handleDrag = useCallback((e) => {
     e.preventDefault();
@@ -16,30 +18,54 @@ const FileUpload = ({ onFileSelect, accept, maxSize = 10 }) => {
     }
   }, []);
 
-  const handleDrop = useCallback((e) => {
+  const handleDrop = (e) => {
     e.preventDefault();
     e.stopPropagation();
     setDragActive(false);
     
     if (e.dataTransfer.files && e.dataTransfer.files[0]) {
-      handleFile(e.dataTransfer.files[0]);
+      multiple ? handleFiles(e.dataTransfer.files) : handleFile(e.dataTransfer.files[0]);
     }
-  }, []);
+  };
 
   const handleChange = (e) => {
     e.preventDefault();
     if (e.target.files && e.target.files[0]) {
-      handleFile(e.target.files[0]);
+      multiple ? handleFiles(e.target.files) : handleFile(e.target.files[0]);
+    }
+    // Reset so the same files can be picked again
+    e.target.value = '';
+  };
+
+  // Batch mode - validate every file and hand the accepted ones to the queue
+  const handleFiles = (fileList) => {
+    const accepted = [];
+    const skipped = [];
+
+    Array.from(fileList).forEach(file => {
+      if (file.size > maxSize * 1024 * 1024) {
+        skipped.push(`${file.name} (larger than ${maxSize}MB)`);
+      } else if (!file.type.startsWith('image/') && !file.type.startsWith('video/')) {
+        skipped.push(`${file.name} (not an image or video)`);
+      } else {
+        accepted.push(file);
+      }
+    });
+
+    setRejected(skipped);
+    if (accepted.length > 0) {
+      onFilesSelect(accepted);
     }
   };
 
   const handleFile = (file) => {
     // Check file size
     if (file.size > maxSize * 1024 * 1024) {
-      alert(`File size should be less than ${maxSize}MB`);
+      setRejected([`${file.name} (larger than ${maxSize}MB)`]);
       return;
     }
 
+    setRejected([]);
     setSelectedFile(file);
     onFileSelect(file);
 
@@ -71,21 +97,22 @@ const FileUpload = ({ onFileSelect, accept, maxSize = 10 }) => {
         >
           <input
             type="file"
-            id="file-upload"
+            id={inputId}
             className="hidden"
             accept={accept}
+            multiple={multiple}
             onChange={handleChange}
           />
           <label
-            htmlFor="file-upload"
+            htmlFor={inputId}
             className="flex flex-col items-center justify-center cursor-pointer"
           >
             <Upload className="w-16 h-16 text-fire-500 mb-4 animate-float" />
             <p className="text-lg font-semibold text-white mb-2">
-              Drop your file here or click to browse
+              {multiple ? 'Drop your files here or click to browse' : 'Drop your file here or click to browse'}
             </p>
             <p className="text-sm text-gray-400">
-              Supports images (JPG, PNG) and videos (MP4, AVI) up to {maxSize}MB
+              Supports images (JPG, PNG) and videos (MP4, AVI) up to {maxSize}MB{multiple && ' each'}
             </p>
           </label>
         </div>
@@ -113,7 +140,8 @@ const FileUpload = ({ onFileSelect, accept, maxSize = 10 }) => {
             </button>
           </div>
           
-          {preview && selectedFile.type.startsWith('image/') && (
+          {/* Browsers can't render TIFF, so GeoTIFF tiles get no preview */}
+          {preview && selectedFile.type.startsWith('image/') && selectedFile.type !== 'image/tiff' && (
             <img
               src={preview}
               alt="Preview"
@@ -122,6 +150,27 @@ const FileUpload = ({ onFileSelect, accept, maxSize = 10 }) => {
           )}
         </div>
       )}
+
+      {rejected.length > 0 && (
+        <div role="alert" className="mt-3 p-3 bg-yellow-500/10 border border-yellow-500/50 rounded-lg flex items-start gap-2">
+          <AlertCircle className="w-5 h-5 text-yellow-500 flex-shrink-0 mt-0.5" />
+          <div className="flex-1 text-sm">
+            <p className="text-yellow-400 font-medium">
+              {rejected.length === 1 ? 'This file was skipped:' : `${rejected.length} files were skipped:`}
+            </p>
+            <ul className="text-gray-300">
+              {rejected.map((reason, index) => <li key={index}>{reason}</li>)}
+            </ul>
+          </div>
+          <button
+            onClick={() => setRejected([])}
+            className="p-1 hover:bg-white/10 rounded transition-colors"
+            title="Dismiss"
+          >
+            <X className="w-4 h-4 text-gray-400 hover:text-white" />
+          </button>
+        </div>
+      )}
     </div>
   );
 };
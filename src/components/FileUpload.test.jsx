@@ -0,0 +1,92 @@
+/** @vitest-environment jsdom */
+import React from 'react';
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { render, screen, fireEvent, cleanup } from '@testing-library/react';
+import FileUpload from './FileUpload';
+
+const MB = 1024 * 1024;
+
+const makeFile = (name, type, size) => {
+  const file = new File(['x'], name, { type });
+  Object.defineProperty(file, 'size', { value: size });
+  return file;
+};
+
+const pick = (container, files) => {
+  fireEvent.change(container.querySelector('input[type="file"]'), { target: { files } });
+};
+
+describe('FileUpload', () => {
+  afterEach(() => {
+    cleanup();
+    vi.restoreAllMocks();
+  });
+
+  it('accepts a file under the size limit and shows it', () => {
+    const onFileSelect = vi.fn();
+    const { container } = render(<FileUpload onFileSelect={onFileSelect} maxSize={10} />);
+    const file = makeFile('forest.jpg', 'image/jpeg', 2 * MB);
+
+    pick(container, [file]);
+
+    expect(onFileSelect).toHaveBeenCalledWith(file);
+    expect(screen.getByText('forest.jpg')).toBeTruthy();
+    expect(screen.getByText('2.00 MB')).toBeTruthy();
+  });
+
+  it('rejects a file over the size limit', () => {
+    const onFileSelect = vi.fn();
+    const { container } = render(<FileUpload onFileSelect={onFileSelect} maxSize={10} />);
+
+    pick(container, [makeFile('huge.mp4', 'video/mp4', 11 * MB)]);
+
+    expect(onFileSelect).not.toHaveBeenCalled();
+    expect(screen.getByRole('alert').textContent).toContain('huge.mp4 (larger than 10MB)');
+  });
+
+  it('clears the selection', () => {
+    const onFileSelect = vi.fn();
+    const { container } = render(<FileUpload onFileSelect={onFileSelect} />);
+    pick(container, [makeFile('forest.jpg', 'image/jpeg', MB)]);
+
+    fireEvent.click(screen.getByRole('button'));
+
+    expect(onFileSelect).toHaveBeenLastCalledWith(null);
+    expect(screen.getByText(/Drop your file here/)).toBeTruthy();
+  });
+
+  it('in batch mode passes on valid files and reports the rest', () => {
+    const onFilesSelect = vi.fn();
+    const { container } = render(<FileUpload onFilesSelect={onFilesSelect} maxSize={5} multiple />);
+    const good = [makeFile('a.png', 'image/png', MB), makeFile('b.mp4', 'video/mp4', 4 * MB)];
+
+    pick(container, [...good, makeFile('c.png', 'image/png', 6 * MB), makeFile('notes.txt', 'text/plain', 10)]);
+
+    expect(onFilesSelect).toHaveBeenCalledWith(good);
+    const notice = screen.getByRole('alert');
+    expect(notice.textContent).toContain('2 files were skipped');
+    expect(notice.textContent).toContain('c.png (larger than 5MB)');
+    expect(notice.textContent).toContain('notes.txt (not an image or video)');
+
+    fireEvent.click(screen.getByTitle('Dismiss'));
+    expect(screen.queryByRole('alert')).toBeNull();
+  });
+
+  it('in batch mode clears the skipped files once a clean pick is made', () => {
+    const { container } = render(<FileUpload onFilesSelect={vi.fn()} multiple />);
+    pick(container, [makeFile('notes.txt', 'text/plain', 10)]);
+    expect(screen.getByRole('alert')).toBeTruthy();
+
+    pick(container, [makeFile('a.png', 'image/png', MB)]);
+    expect(screen.queryByRole('alert')).toBeNull();
+  });
+
+  it('in batch mode does not call back when every file is rejected', () => {
+    const onFilesSelect = vi.fn();
+    const { container } = render(<FileUpload onFilesSelect={onFilesSelect} multiple />);
+
+    pick(container, [makeFile('notes.txt', 'text/plain', 10)]);
+
+    expect(onFilesSelect).not.toHaveBeenCalled();
+  });
+});
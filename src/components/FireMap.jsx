@@ -1,25 +1,98 @@
-import React, { useEffect, useState } from 'react';
-import { MapContainer, TileLayer, CircleMarker, Popup, useMap } from 'react-leaflet';
-import { Loader2, Satellite, Thermometer } from 'lucide-react';
-import { getHotspotDetails } from '../services/api';
+import React, { useEffect, useState, useSyncExternalStore } from 'react';
+import { MapContainer, TileLayer, CircleMarker, Marker, Polygon, Popup, useMap, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+import { Loader2, Satellite, Thermometer, Trash2 } from 'lucide-react';
+import { getHotspotDetails, getApiUrl } from '../services/api';
+import { getErrorMessage } from '../services/apiErrors';
+import cameraRegistry from '../services/cameraRegistry';
+import { formatCoordinates, viewConePolygon } from '../utils/geo';
+import {
+  getHotspotMarkerStyle,
+  getHotspotLabel,
+  getTilePinStyle,
+  PICKED_LOCATION_STYLE,
+  CAMERA_CONE_STYLE,
+  CAMERA_CONE_RANGE_KM
+} from '../utils/markerStyles';
 import 'leaflet/dist/leaflet.css';
 
-const API_BASE_URL = import.meta.env.VITE_API_URL || 'https://wildfire-backend-4.onrender.com';
+// Camera markers are HTML icons so they don't need Leaflet's image assets
+const cameraIcon = L.divIcon({
+  className: '',
+  html: '<div class="w-7 h-7 rounded-full bg-sky-500 border-2 border-white flex items-center justify-center text-sm shadow-lg">📷</div>',
+  iconSize: [28, 28],
+  iconAnchor: [14, 14],
+  popupAnchor: [0, -14]
+});
+
+// Fires spotted by a live camera, placed at the camera (or the device running it)
+const cameraDetectionIcon = L.divIcon({
+  className: '',
+  html: '<div class="w-7 h-7 rounded-full bg-red-600 border-2 border-white flex items-center justify-center text-sm shadow-lg animate-pulse">🔥</div>',
+  iconSize: [28, 28],
+  iconAnchor: [14, 14],
+  popupAnchor: [0, -14]
+});
 
 // Component to auto-fit map bounds to markers
 function FitBounds({ alerts }) {
   const map = useMap();
+
+  // Only refit when the set of points changes, not on every parent render
+  const signature = (alerts || []).map(alert => `${alert.lat},${alert.lon}`).join(';');
   
   useEffect(() => {
-    if (alerts && alerts.length > 0) {
-      const bounds = alerts.map(alert => [alert.lat, alert.lon]);
-      map.fitBounds(bounds, { padding: [50, 50] });
+    if (signature) {
+      const bounds = signature.split(';').map(point => point.split(',').map(Number));
+      map.fitBounds(bounds, { padding: [50, 50], maxZoom: 12 });
     }
-  }, [alerts, map]);
+  }, [signature, map]);
   
   return null;
 }
 
+// Component to report map clicks (used to pick a coordinate)
+function MapClickHandler({ onMapClick }) {
+  useMapEvents({
+    click: (e) => onMapClick({ lat: e.latlng.lat, lon: e.latlng.lng }),
+  });
+
+  return null;
+}
+
+// Popup for a satellite tile result pinned by the user
+function TilePinPopup({ pin, onRemovePin }) {
+  const isHighRisk = pin.wildfire > 0.5;
+
+  return (
+    <div className="min-w-[220px] space-y-2">
+      <div className="font-semibold text-lg border-b pb-2">
+        🛰️ Satellite Tile Result
+      </div>
+      <div className="text-sm space-y-1">
+        <div><strong>File:</strong> {pin.filename}</div>
+        <div><strong>Location:</strong> {pin.lat.toFixed(4)}, {pin.lon.toFixed(4)}</div>
+        <div>
+          <strong>Wildfire Probability:</strong>{' '}
+          <span className={isHighRisk ? 'text-red-600 font-semibold' : 'text-green-600 font-semibold'}>
+            {(pin.wildfire * 100).toFixed(1)}%
+          </span>
+        </div>
+        <div><strong>Analyzed:</strong> {pin.timestamp}</div>
+      </div>
+      {onRemovePin && (
+        <button
+          onClick={() => onRemovePin(pin.id)}
+          className="w-full px-3 py-1 bg-gray-100 hover:bg-red-100 text-gray-700 hover:text-red-700 rounded text-sm flex items-center justify-center gap-1"
+        >
+          <Trash2 className="w-3 h-3" />
+          Remove pin
+        </button>
+      )}
+    </div>
+  );
+}
+
 // Enhanced Popup Component with GEE Data
 function EnhancedPopup({ alert }) {
   const [geeData, setGeeData] = useState(null);
@@ -43,27 +116,17 @@ function EnhancedPopup({ alert }) {
       setShowDetails(true);
     } catch (err) {
       console.error('Error fetching GEE data:', err);
-      setError(err.message || 'Failed to fetch satellite data');
+      setError(getErrorMessage(err));
     } finally {
       setLoading(false);
     }
   };
 
-  // Determine marker label based on verification status
-  const getMarkerLabel = () => {
-    if (alert.verification) {
-      if (alert.verification.status === 'verified_wildfire') return '✅ Verified Fire';
-      if (alert.verification.status === 'false_alarm_rejected') return '❌ False Alarm';
-      return '⚠️ Unverified Hotspot';
-    }
-    return '🔥 Fire Hotspot';
-  };
-
   return (
     <div className="min-w-[300px] max-w-[400px] space-y-3">
       {/* Header with verification status */}
       <div className="font-semibold text-lg border-b pb-2">
-        {getMarkerLabel()}
+        {getHotspotLabel(alert)}
       </div>
 
       {/* Detection Reason - Why this pixel is red */}
@@ -226,7 +289,7 @@ function EnhancedPopup({ alert }) {
                 title="Click to view full size"
               >
                 <img
-                  src={`${API_BASE_URL}${geeData.satellite_image_url}`}
+                  src={getApiUrl(geeData.satellite_image_url)}
                   alt="Satellite view"
                   className="w-full rounded-lg border-2 border-blue-300 shadow-md hover:shadow-xl transition-shadow"
                   onError={(e) => {
@@ -304,7 +367,7 @@ function EnhancedPopup({ alert }) {
             
             {/* Full-size image */}
             <img
-              src={`${API_BASE_URL}${geeData.satellite_image_url}`}
+              src={getApiUrl(geeData.satellite_image_url)}
               alt="Full-size satellite view"
               className="max-w-full max-h-[90vh] rounded-lg shadow-2xl"
               onClick={(e) => e.stopPropagation()}
@@ -328,21 +391,37 @@ function EnhancedPopup({ alert }) {
   );
 }
 
-const FireMap = ({ alerts }) => {
+const FireMap = ({ alerts, pins = [], cameraAlerts = [], pickedLocation, onMapClick, onRemovePin }) => {
   // Default center on India
   const defaultCenter = [22, 78];
   const defaultZoom = 5;
 
+  const { cameras } = useSyncExternalStore(cameraRegistry.subscribe, cameraRegistry.getSnapshot);
+  const placedCameras = cameras.filter(camera => camera.lat !== null && camera.lon !== null);
+
+  const locationCount = (alerts?.length || 0) + pins.length + cameraAlerts.length;
+  const boundsPoints = [...(alerts || []), ...pins, ...placedCameras, ...cameraAlerts.map(alert => alert.coordinates)];
+
   return (
     <div className="glass-card p-4 h-[600px]">
       <h3 className="text-lg font-bold text-white mb-3 flex items-center gap-2">
         🗺️ Fire Hotspot Map
         <span className="text-sm font-normal text-gray-400">
-          ({alerts?.length || 0} location{alerts?.length !== 1 ? 's' : ''})
+          ({locationCount} location{locationCount !== 1 ? 's' : ''})
         </span>
+        {locationCount === 0 && !onMapClick && (
+          <span className="text-sm font-normal text-gray-500 ml-auto">
+            Load satellite alerts to see fire locations on map
+          </span>
+        )}
+        {onMapClick && (
+          <span className="text-sm font-normal text-blue-400 ml-auto animate-pulse">
+            Click the map to set a location
+          </span>
+        )}
       </h3>
       
-      <div className="h-[calc(100%-3rem)] rounded-lg overflow-hidden border border-white/10">
+      <div className={`h-[calc(100%-3rem)] rounded-lg overflow-hidden border ${onMapClick ? 'border-blue-400 cursor-crosshair' : 'border-white/10'}`}>
         <MapContainer
           center={defaultCenter}
           zoom={defaultZoom}
@@ -354,54 +433,99 @@ const FireMap = ({ alerts }) => {
             url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
           />
           
+          {boundsPoints.length > 0 && <FitBounds alerts={boundsPoints} />}
+          {onMapClick && <MapClickHandler onMapClick={onMapClick} />}
+
           {alerts && alerts.length > 0 && (
             <>
-              <FitBounds alerts={alerts} />
-              {alerts.map((alert, index) => {
-                // Determine marker color based on verification status
-                const getMarkerStyle = () => {
-                  if (alert.verification) {
-                    if (alert.verification.status === 'verified_wildfire') {
-                      return { color: '#22c55e', fillColor: '#16a34a' };
-                    } else if (alert.verification.status === 'false_alarm_rejected') {
-                      return { color: '#ef4444', fillColor: '#dc2626' };
-                    } else {
-                      return { color: '#eab308', fillColor: '#ca8a04' };
-                    }
-                  }
-                  return { color: '#ff4444', fillColor: '#ff0000' };
-                };
-
-                const markerStyle = getMarkerStyle();
-
-                return (
-                  <CircleMarker
-                    key={index}
-                    center={[alert.lat, alert.lon]}
-                    radius={8}
-                    pathOptions={{
-                      color: markerStyle.color,
-                      fillColor: markerStyle.fillColor,
-                      fillOpacity: 0.8,
-                      weight: 2
-                    }}
-                  >
-                    <Popup maxWidth={400} minWidth={300}>
-                      <EnhancedPopup alert={alert} />
-                    </Popup>
-                  </CircleMarker>
-                );
-              })}
+              {alerts.map((alert, index) => (
+                // Marker color follows the verification status
+                <CircleMarker
+                  key={index}
+                  center={[alert.lat, alert.lon]}
+                  radius={8}
+                  pathOptions={getHotspotMarkerStyle(alert)}
+                >
+                  <Popup maxWidth={400} minWidth={300}>
+                    <EnhancedPopup alert={alert} />
+                  </Popup>
+                </CircleMarker>
+              ))}
             </>
           )}
+
+          {/* Satellite tile results pinned by the user */}
+          {pins.map(pin => (
+            <CircleMarker
+              key={pin.id}
+              center={[pin.lat, pin.lon]}
+              radius={10}
+              pathOptions={getTilePinStyle(pin)}
+            >
+              <Popup maxWidth={300} minWidth={220}>
+                <TilePinPopup pin={pin} onRemovePin={onRemovePin} />
+              </Popup>
+            </CircleMarker>
+          ))}
+
+          {/* Registered cameras and their view cones */}
+          {placedCameras.map(camera => (
+            <React.Fragment key={camera.id}>
+              {camera.heading !== null && (
+                <Polygon
+                  positions={viewConePolygon(camera, CAMERA_CONE_RANGE_KM)}
+                  pathOptions={CAMERA_CONE_STYLE}
+                  interactive={false}
+                />
+              )}
+              <Marker position={[camera.lat, camera.lon]} icon={cameraIcon}>
+                <Popup>
+                  <div className="text-sm">
+                    <p className="font-bold">📷 {camera.name}</p>
+                    <p>{formatCoordinates(camera)}</p>
+                    {camera.heading !== null ? (
+                      <p>Facing {Math.round(camera.heading)}° · {camera.fov}° field of view</p>
+                    ) : (
+                      <p className="text-gray-500">No heading set</p>
+                    )}
+                  </div>
+                </Popup>
+              </Marker>
+            </React.Fragment>
+          ))}
+
+          {/* Live camera detections */}
+          {cameraAlerts.map((alert, index) => (
+            <Marker
+              key={alert.id || index}
+              position={[alert.coordinates.lat, alert.coordinates.lon]}
+              icon={cameraDetectionIcon}
+              zIndexOffset={1000}
+            >
+              <Popup>
+                <div className="text-sm">
+                  <p className="font-bold">{alert.message}</p>
+                  {alert.details && <p>{alert.details}</p>}
+                  <p>
+                    {formatCoordinates(alert.coordinates)}
+                    {alert.coordinates.source === 'device' && ' (camera device location)'}
+                  </p>
+                  <p className="text-gray-500">{alert.timestamp}</p>
+                </div>
+              </Popup>
+            </Marker>
+          ))}
+
+          {/* Coordinate currently picked for a tile */}
+          {pickedLocation && (
+            <CircleMarker
+              center={[pickedLocation.lat, pickedLocation.lon]}
+              radius={6}
+              pathOptions={PICKED_LOCATION_STYLE}
+            />
+          )}
         </MapContainer>
       </div>
-      
-      {(!alerts || alerts.length === 0) && (
-        <div className="absolute inset-0 flex items-center justify-center bg-black/50 rounded-lg">
-          <p className="text-gray-400">Load satellite alerts to see fire locations on map</p>
-        </div>
-      )}
     </div>
   );
 };
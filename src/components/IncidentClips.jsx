@@ -0,0 +1,109 @@
+import React, { useEffect, useMemo, useState, useSyncExternalStore } from 'react';
+import { Film, Play, Trash2 } from 'lucide-react';
+import VideoPreview from './VideoPreview';
+import clipStore from '../services/clipStore';
+import { CLIP_AFTER, CLIP_BEFORE, isRecordingSupported } from '../utils/rollingRecorder';
+
+const clipFileName = (clip) => {
+  const camera = (clip.cameraName || 'camera').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+  return `fire-clip-${camera}-${new Date(clip.startedAt).toISOString().replace(/[:.]/g, '-')}.webm`;
+};
+
+/**
+ * Video clips recorded around confirmed incidents, with the rolling recording switch
+ */
+const IncidentClips = ({ isRecording = false }) => {
+  const { enabled, clips } = useSyncExternalStore(clipStore.subscribe, clipStore.getSnapshot);
+  const [selectedId, setSelectedId] = useState(null);
+
+  useEffect(() => {
+    clipStore.refresh();
+  }, []);
+
+  const selected = clips.find(clip => clip.id === selectedId) || null;
+  // A stable File per clip, so the player keeps its object URL
+  const selectedFile = useMemo(
+    () => (selected ? new File([selected.blob], clipFileName(selected), { type: selected.mimeType }) : null),
+    [selected]
+  );
+
+  if (!isRecordingSupported()) return null;
+
+  const markers = selected ? selected.markers.map(marker => marker.at / 1000) : [];
+
+  return (
+    <div className="mt-4 p-4 bg-white/5 rounded-lg border border-white/10">
+      <div className="flex items-center justify-between gap-2 mb-2">
+        <h3 className="text-white font-semibold flex items-center gap-2">
+          <Film className="w-5 h-5 text-fire-500" />
+          Incident Clips
+          {isRecording && (
+            <span className="px-2 py-0.5 bg-red-500/20 text-red-400 text-xs rounded-full">● Buffering</span>
+          )}
+        </h3>
+        <label className="flex items-center gap-2 text-sm text-gray-300">
+          <input
+            type="checkbox"
+            checked={enabled}
+            onChange={(e) => clipStore.setEnabled(e.target.checked)}
+            className="accent-fire-500"
+          />
+          Record while monitoring
+        </label>
+      </div>
+      <p className="text-xs text-gray-400 mb-3">
+        Keeps a rolling recording of the live view. When a fire is confirmed, a clip from {CLIP_BEFORE / 1000} s
+        before to {CLIP_AFTER / 1000} s after is saved in this browser.
+      </p>
+
+      {clips.length === 0 ? (
+        <p className="text-sm text-gray-500">No clips yet</p>
+      ) : (
+        <div className="space-y-1 max-h-40 overflow-y-auto custom-scrollbar">
+          {clips.map(clip => (
+            <div
+              key={clip.id}
+              className={`flex items-center gap-2 px-3 py-2 rounded text-sm ${clip.id === selectedId ? 'bg-fire-500/20' : 'bg-white/5'}`}
+            >
+              <button
+                onClick={() => setSelectedId(clip.id === selectedId ? null : clip.id)}
+                className="flex-1 flex items-center gap-2 text-left text-gray-300 hover:text-white"
+              >
+                <Play className="w-4 h-4 flex-shrink-0" />
+                <span className="truncate">{clip.cameraName || 'Camera'}</span>
+                <span className="text-xs text-gray-500">
+                  {new Date(clip.startedAt).toLocaleString()} · {Math.round(clip.duration / 1000)} s
+                </span>
+              </button>
+              <button
+                onClick={() => {
+                  if (clip.id === selectedId) setSelectedId(null);
+                  clipStore.remove(clip.id);
+                }}
+                className="p-1 text-gray-500 hover:text-red-400"
+                title="Delete clip"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {selectedFile && (
+        <div className="mt-3">
+          <VideoPreview
+            key={selected.id}
+            file={selectedFile}
+            timeline={selected.timeline}
+            markers={markers}
+            startAt={Math.max(0, (markers[0] ?? 0) - CLIP_BEFORE / 1000)}
+            downloadable
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default IncidentClips;
@@ -1,5 +1,7 @@
 import React, { useEffect } from 'react';
-import { AlertTriangle, X, Flame } from 'lucide-react';
+import { AlertTriangle, X, Flame, MapPin } from 'lucide-react';
+import EvidenceViewer from './EvidenceViewer';
+import { formatCoordinates } from '../utils/geo';
 
 const InstantAlert = ({ alert, onDismiss }) => {
   useEffect(() => {
@@ -55,7 +57,14 @@ const InstantAlert = ({ alert, onDismiss }) => {
             {alert.details && (
               <p className="text-sm text-gray-300 mt-1">{alert.details}</p>
             )}
+            {alert.coordinates && (
+              <p className="text-sm text-gray-300 mt-1 flex items-center gap-1">
+                <MapPin className="w-4 h-4" />
+                {formatCoordinates(alert.coordinates)}
+              </p>
+            )}
             <p className="text-xs text-gray-400 mt-2">{alert.timestamp}</p>
+            {alert.evidenceId && <EvidenceViewer evidenceId={alert.evidenceId} compact />}
           </div>
 
           <button
@@ -0,0 +1,164 @@
+import React, { useRef, useState } from 'react';
+import { AlertCircle, ArrowDown, ArrowLeft, ArrowRight, ArrowUp, Compass, Loader2, Play, Square, ZoomIn, ZoomOut } from 'lucide-react';
+import { sendCameraCommand } from '../services/api';
+import { getErrorMessage } from '../services/apiErrors';
+import { buildPtzRequest, describePreset, supportsPtzCommand } from '../utils/ptz';
+
+const PAD_BUTTON_CLASS = 'p-2 rounded-lg bg-white/10 hover:bg-white/20 active:bg-fire-500 text-white transition-colors flex items-center justify-center select-none touch-none';
+
+const PAD = [
+  { direction: 'up', icon: ArrowUp, title: 'Tilt up', cell: 'col-start-2' },
+  { direction: 'left', icon: ArrowLeft, title: 'Pan left', cell: 'col-start-1 row-start-2' },
+  { direction: 'right', icon: ArrowRight, title: 'Pan right', cell: 'col-start-3 row-start-2' },
+  { direction: 'down', icon: ArrowDown, title: 'Tilt down', cell: 'col-start-2 row-start-3' },
+];
+
+/**
+ * Steer a registered PTZ camera, send it to its presets and run a patrol tour
+ * of them. The camera moves while a direction button is held down; the tour
+ * itself (utils/patrolTour) belongs to the live view, which is told when the
+ * camera is steered by hand so it can end the tour.
+ *
+ * @param {Object} tour - PatrolTour snapshot: { running, preset, moving, error }
+ */
+const PtzControls = ({ camera, tour, onGoTo, onStartPatrol, onStopPatrol, onSteer }) => {
+  const heldRef = useRef(null); // direction whose button is held down
+  const [commandError, setCommandError] = useState(null);
+  // Commands go out one after another, so a stop can't overtake its move
+  const commandsRef = useRef(Promise.resolve());
+
+  const { presets, dwell } = camera.ptz;
+  const canSteer = supportsPtzCommand(camera, 'move') && supportsPtzCommand(camera, 'stop');
+  const canVisit = supportsPtzCommand(camera, 'goto') && presets.length > 0;
+
+  const send = (command, options) => {
+    commandsRef.current = commandsRef.current.then(async () => {
+      try {
+        await sendCameraCommand(buildPtzRequest(camera, command, options));
+        setCommandError(null);
+      } catch (error) {
+        console.warn(`⚠️ PTZ ${command} failed:`, error);
+        setCommandError(getErrorMessage(error));
+      }
+    });
+  };
+
+  const startMove = (direction) => {
+    onSteer();
+    heldRef.current = direction;
+    send('move', { direction });
+  };
+
+  const stopMove = () => {
+    const direction = heldRef.current;
+    if (!direction) return;
+    heldRef.current = null;
+    send('stop', { direction });
+  };
+
+  const holdProps = (direction) => ({
+    onPointerDown: (e) => {
+      e.currentTarget.setPointerCapture?.(e.pointerId);
+      startMove(direction);
+    },
+    onPointerUp: stopMove,
+    onPointerCancel: stopMove,
+    onLostPointerCapture: stopMove,
+  });
+
+  const status = tour.moving
+    ? `Moving to ${tour.preset.name}...`
+    : tour.preset
+      ? `At ${describePreset(tour.preset)}`
+      : 'Not at a preset - alerts have no bearing';
+
+  return (
+    <div className="mb-4 p-4 bg-white/5 rounded-lg">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-gray-300 flex items-center gap-2">
+          <Compass className="w-4 h-4 text-fire-500" />
+          Pan / Tilt / Zoom
+        </h3>
+        <span className="text-xs text-gray-400 flex items-center gap-1">
+          {tour.moving && <Loader2 className="w-3 h-3 animate-spin" />}
+          {status}
+        </span>
+      </div>
+
+      <div className="flex flex-col md:flex-row gap-4">
+        {canSteer && (
+          <div className="flex items-center gap-3">
+            <div className="grid grid-cols-3 grid-rows-3 gap-1 w-28">
+              {PAD.map(button => {
+                const DirectionIcon = button.icon;
+                return (
+                  <button key={button.direction} {...holdProps(button.direction)} className={`${PAD_BUTTON_CLASS} ${button.cell}`} title={button.title}>
+                    <DirectionIcon className="w-4 h-4" />
+                  </button>
+                );
+              })}
+            </div>
+            <div className="flex flex-col gap-1">
+              <button {...holdProps('in')} className={PAD_BUTTON_CLASS} title="Zoom in">
+                <ZoomIn className="w-4 h-4" />
+              </button>
+              <button {...holdProps('out')} className={PAD_BUTTON_CLASS} title="Zoom out">
+                <ZoomOut className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        )}
+
+        {canVisit && (
+          <div className="flex-1">
+            <div className="flex flex-wrap gap-2 mb-3">
+              {presets.map(preset => (
+                <button
+                  key={preset.id}
+                  onClick={() => onGoTo(preset)}
+                  className={`px-3 py-1 rounded-lg text-xs font-semibold transition-colors ${
+                    tour.preset?.id === preset.id
+                      ? 'bg-fire-500 text-white'
+                      : 'bg-white/10 hover:bg-white/20 text-gray-300'
+                  }`}
+                  title={`Go to preset ${preset.token}`}
+                >
+                  {describePreset(preset)}
+                </button>
+              ))}
+            </div>
+            {tour.running ? (
+              <button onClick={onStopPatrol} className="btn-secondary flex items-center gap-2 text-sm">
+                <Square className="w-4 h-4" />
+                Stop patrol
+              </button>
+            ) : (
+              <button
+                onClick={onStartPatrol}
+                disabled={presets.length < 2}
+                className="btn-secondary flex items-center gap-2 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                title={presets.length < 2 ? 'A patrol needs at least two presets' : undefined}
+              >
+                <Play className="w-4 h-4" />
+                Patrol presets ({dwell} s each)
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {!canVisit && (
+        <p className="text-xs text-gray-500 mt-3">Add presets to this camera in Manage cameras to patrol its sector.</p>
+      )}
+
+      {(commandError || tour.error) && (
+        <p className="text-sm text-red-400 mt-3 flex items-center gap-1">
+          <AlertCircle className="w-4 h-4" />
+          {commandError || tour.error}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default PtzControls;
@@ -0,0 +1,198 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { Satellite, Loader2, MapPin, Crosshair } from 'lucide-react';
+import FileUpload from './FileUpload';
+import DetectionResult from './DetectionResult';
+import { detectSatelliteFire } from '../services/api';
+import { CancelledError, getErrorMessage } from '../services/apiErrors';
+import healthMonitor from '../services/healthMonitor';
+import { isTiffFile, readGeoTiffCenter } from '../utils/geotiff';
+import { parseCoordinates } from '../utils/geo';
+
+const SatelliteAnalysis = ({ location, onLocationChange, isPickingLocation, onTogglePickLocation, onAnalysisComplete, onPin }) => {
+  const [selectedFile, setSelectedFile] = useState(null);
+  const [result, setResult] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [isPinned, setIsPinned] = useState(false);
+  const [isWaitingForBackend, setIsWaitingForBackend] = useState(false);
+  const abortRef = useRef(null); // AbortController of the analysis in flight
+
+  const coordinates = parseCoordinates(location);
+
+  // Don't leave an upload running after the panel is gone
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const handleFileSelect = async (file) => {
+    abortRef.current?.abort();
+    setIsLoading(false);
+    setSelectedFile(file);
+    setResult(null);
+    setError(null);
+    setIsPinned(false);
+
+    // GeoTIFF tiles carry their own georeference - prefill the coordinates
+    if (file && isTiffFile(file)) {
+      try {
+        const center = await readGeoTiffCenter(file);
+        if (center) {
+          console.log('🌍 GeoTIFF centre:', center);
+          onLocationChange({ lat: center.lat.toFixed(5), lon: center.lon.toFixed(5) });
+        }
+      } catch (err) {
+        console.warn('⚠️ Could not read GeoTIFF georeference:', err);
+      }
+    }
+  };
+
+  const handleAnalyze = async () => {
+    if (!selectedFile) return;
+
+    setIsLoading(true);
+    setError(null);
+    setIsPinned(false);
+
+    abortRef.current?.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    try {
+      if (!healthMonitor.isReady()) {
+        setIsWaitingForBackend(true);
+        await healthMonitor.whenReady({ signal: controller.signal });
+        setIsWaitingForBackend(false);
+      }
+
+      const analysis = await detectSatelliteFire(selectedFile, { signal: controller.signal });
+      console.log('🛰️ Satellite detection result:', analysis);
+      setResult(analysis);
+      onAnalysisComplete && onAnalysisComplete(selectedFile, analysis, coordinates);
+    } catch (err) {
+      if (err instanceof CancelledError) return;
+      console.error('❌ Satellite analysis error:', err);
+      healthMonitor.reportFailure(err);
+      setError(getErrorMessage(err));
+    } finally {
+      if (abortRef.current === controller) {
+        abortRef.current = null;
+        setIsLoading(false);
+        setIsWaitingForBackend(false);
+      }
+    }
+  };
+
+  const handlePin = () => {
+    if (!result || !coordinates) return;
+
+    onPin({
+      id: `tile-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      lat: coordinates.lat,
+      lon: coordinates.lon,
+      wildfire: result.wildfire || 0,
+      filename: selectedFile.name,
+      timestamp: new Date().toLocaleString(),
+    });
+    setIsPinned(true);
+  };
+
+  return (
+    <div className="glass-card p-6 space-y-4">
+      <div>
+        <h3 className="text-xl font-bold text-white flex items-center gap-2">
+          <Satellite className="w-6 h-6 text-fire-500" />
+          Satellite Tile Analysis
+        </h3>
+        <p className="text-sm text-gray-400 mt-1">
+          Upload a GeoTIFF or PNG tile to estimate wildfire probability with the ResNet classifier
+        </p>
+      </div>
+
+      <FileUpload
+        onFileSelect={handleFileSelect}
+        accept="image/png,image/jpeg,image/tiff,.tif,.tiff"
+        maxSize={25}
+      />
+
+      {/* Tile coordinates */}
+      <div className="grid grid-cols-1 md:grid-cols-[1fr_1fr_auto] gap-3 items-end">
+        <div>
+          <label className="block text-sm font-semibold text-gray-300 mb-2">Latitude</label>
+          <input
+            type="number"
+            step="any"
+            value={location.lat}
+            onChange={(e) => onLocationChange({ ...location, lat: e.target.value })}
+            placeholder="22.0000"
+            className="w-full px-4 py-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-fire-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-semibold text-gray-300 mb-2">Longitude</label>
+          <input
+            type="number"
+            step="any"
+            value={location.lon}
+            onChange={(e) => onLocationChange({ ...location, lon: e.target.value })}
+            placeholder="78.0000"
+            className="w-full px-4 py-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-fire-500"
+          />
+        </div>
+        <button
+          onClick={onTogglePickLocation}
+          className={`py-3 px-4 rounded-lg font-semibold transition-all duration-300 flex items-center justify-center gap-2 ${
+            isPickingLocation
+              ? 'bg-blue-500 text-white animate-pulse'
+              : 'bg-white/10 text-gray-300 hover:bg-white/20'
+          }`}
+          title="Click on the map to set the tile location"
+        >
+          <Crosshair className="w-5 h-5" />
+          {isPickingLocation ? 'Click the map…' : 'Pick on map'}
+        </button>
+      </div>
+
+      {selectedFile && (
+        <button
+          onClick={handleAnalyze}
+          disabled={isLoading}
+          className="btn-primary w-full flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isLoading ? (
+            <>
+              <Loader2 className="w-5 h-5 animate-spin" />
+              {isWaitingForBackend ? 'Waiting for server...' : 'Analyzing tile...'}
+            </>
+          ) : (
+            <>
+              <Satellite className="w-5 h-5" />
+              Analyze Tile
+            </>
+          )}
+        </button>
+      )}
+
+      {error && (
+        <div className="p-4 bg-red-500/20 border border-red-500 rounded-lg">
+          <p className="text-red-400">❌ Error: {error}</p>
+        </div>
+      )}
+
+      {/* Probability gauge */}
+      {result && (
+        <>
+          <DetectionResult result={result} type="satellite" />
+
+          <button
+            onClick={handlePin}
+            disabled={!coordinates || isPinned}
+            className="btn-secondary w-full flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <MapPin className="w-5 h-5" />
+            {isPinned ? 'Pinned to map' : coordinates ? 'Pin result to map' : 'Enter coordinates to pin'}
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SatelliteAnalysis;
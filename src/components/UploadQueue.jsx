@@ -0,0 +1,144 @@
+import React from 'react';
+import { FileImage, FileVideo, RotateCcw, X, Trash2, Loader2, CheckCircle, AlertTriangle, Clock, Ban } from 'lucide-react';
+import { getErrorMessage } from '../services/apiErrors';
+
+const STATUS_STYLES = {
+  queued: { label: 'Queued', className: 'bg-white/10 text-gray-300', icon: Clock },
+  running: { label: 'Analyzing', className: 'bg-blue-500/20 text-blue-400', icon: Loader2 },
+  done: { label: 'Done', className: 'bg-green-500/20 text-green-400', icon: CheckCircle },
+  error: { label: 'Failed', className: 'bg-red-500/20 text-red-400', icon: AlertTriangle },
+  cancelled: { label: 'Cancelled', className: 'bg-yellow-500/20 text-yellow-400', icon: Ban },
+};
+
+const UploadQueue = ({ items = [], selectedId, onSelect, onRetry, onCancel, onRemove, onCancelAll, onClearFinished }) => {
+  if (items.length === 0) return null;
+
+  const activeCount = items.filter(item => item.status === 'queued' || item.status === 'running').length;
+  const finishedCount = items.length - activeCount;
+  const threatCount = items.filter(item => item.status === 'done' && item.result?.detections?.length > 0).length;
+
+  return (
+    <div className="glass-card p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-xl font-bold text-white">Upload Queue</h3>
+          <p className="text-sm text-gray-400 mt-1">
+            {activeCount} pending · {finishedCount} finished · {threatCount} with threats
+          </p>
+        </div>
+
+        <div className="flex items-center gap-2">
+          {activeCount > 0 && (
+            <button
+              onClick={onCancelAll}
+              className="px-3 py-1 rounded-lg text-sm bg-white/10 text-gray-400 hover:bg-red-500/20 hover:text-red-400 transition-all"
+            >
+              Cancel all
+            </button>
+          )}
+          {finishedCount > 0 && (
+            <button
+              onClick={onClearFinished}
+              className="px-3 py-1 rounded-lg text-sm bg-white/10 text-gray-400 hover:bg-white/20 transition-all"
+            >
+              Clear finished
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="space-y-2 max-h-96 overflow-y-auto custom-scrollbar">
+        {items.map(item => {
+          const status = STATUS_STYLES[item.status];
+          const StatusIcon = status.icon;
+          const isVideo = item.file.type.startsWith('video/');
+          const detectionCount = item.result?.detections?.length || 0;
+
+          return (
+            <div
+              key={item.id}
+              onClick={() => onSelect && onSelect(item.id)}
+              className={`p-3 rounded-lg border cursor-pointer transition-all ${
+                item.id === selectedId
+                  ? 'bg-white/10 border-fire-500/50'
+                  : 'bg-white/5 border-white/5 hover:bg-white/10'
+              }`}
+            >
+              <div className="flex items-center gap-3">
+                {isVideo ? (
+                  <FileVideo className="w-6 h-6 text-fire-500 flex-shrink-0" />
+                ) : (
+                  <FileImage className="w-6 h-6 text-fire-500 flex-shrink-0" />
+                )}
+
+                <div className="flex-1 min-w-0">
+                  <p className="text-white text-sm font-medium truncate">{item.file.name}</p>
+                  <p className="text-xs text-gray-400">
+                    {(item.file.size / 1024 / 1024).toFixed(2)} MB
+                    {item.status === 'done' && (
+                      detectionCount > 0
+                        ? <span className="text-fire-400 ml-2">🔥 {detectionCount} detection(s)</span>
+                        : <span className="text-green-400 ml-2">No threats</span>
+                    )}
+                    {item.status === 'error' && (
+                      <span className="text-red-400 ml-2">{item.error ? getErrorMessage(item.error) : 'Detection failed'}</span>
+                    )}
+                    {item.status === 'running' && item.statusText && (
+                      <span className="text-yellow-400 ml-2">{item.statusText}</span>
+                    )}
+                  </p>
+                </div>
+
+                <span className={`px-2 py-0.5 rounded text-xs flex items-center gap-1 ${status.className}`}>
+                  <StatusIcon className={`w-3 h-3 ${item.status === 'running' ? 'animate-spin' : ''}`} />
+                  {status.label}
+                </span>
+
+                <div className="flex items-center gap-1" onClick={(e) => e.stopPropagation()}>
+                  {(item.status === 'error' || item.status === 'cancelled') && (
+                    <button
+                      onClick={() => onRetry(item.id)}
+                      className="p-1 hover:bg-white/10 rounded transition-colors"
+                      title="Retry"
+                    >
+                      <RotateCcw className="w-4 h-4 text-gray-400 hover:text-white" />
+                    </button>
+                  )}
+                  {(item.status === 'queued' || item.status === 'running') ? (
+                    <button
+                      onClick={() => onCancel(item.id)}
+                      className="p-1 hover:bg-white/10 rounded transition-colors"
+                      title="Cancel"
+                    >
+                      <X className="w-4 h-4 text-gray-400 hover:text-white" />
+                    </button>
+                  ) : (
+                    <button
+                      onClick={() => onRemove(item.id)}
+                      className="p-1 hover:bg-white/10 rounded transition-colors"
+                      title="Remove from queue"
+                    >
+                      <Trash2 className="w-4 h-4 text-gray-400 hover:text-red-400" />
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {/* Per-file progress */}
+              {(item.status === 'running' || item.status === 'queued') && (
+                <div className="mt-2 h-1 bg-white/10 rounded-full overflow-hidden">
+                  <div
+                    className="h-full bg-gradient-to-r from-fire-500 to-fire-600 transition-all duration-300"
+                    style={{ width: `${item.progress * 100}%` }}
+                  />
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default UploadQueue;
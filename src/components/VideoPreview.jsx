@@ -1,26 +1,31 @@
-import React, { useRef, useEffect } from 'react';
-import { Play, Pause, Volume2, VolumeX } from 'lucide-react';
+import React, { useRef, useEffect, useMemo } from 'react';
+import { Play, Pause, Volume2, VolumeX, Download, Flame } from 'lucide-react';
+import { clearOverlay, renderOverlay } from '../utils/detectionOverlay';
 
-const VideoPreview = ({ file, isAnalyzing = false }) => {
+const formatTime = (seconds) => `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+
+/**
+ * Plays an uploaded video, or an incident clip - with its recorded detection
+ * boxes (timeline, `at` in ms), starting at startAt seconds, with jumps to markers
+ */
+const VideoPreview = ({ file, isAnalyzing = false, timeline = null, startAt = 0, markers = [], downloadable = false }) => {
   const videoRef = useRef(null);
+  const canvasRef = useRef(null);
   const [isPlaying, setIsPlaying] = React.useState(false);
   const [isMuted, setIsMuted] = React.useState(false);
-  const [videoUrl, setVideoUrl] = React.useState(null);
+  const videoUrl = useMemo(() => (file ? URL.createObjectURL(file) : null), [file]);
 
   useEffect(() => {
-    if (file) {
-      const url = URL.createObjectURL(file);
-      setVideoUrl(url);
-      
-      // Auto-play when analyzing
-      if (isAnalyzing && videoRef.current) {
-        videoRef.current.play();
-        setIsPlaying(true);
-      }
+    if (!videoUrl) return;
+    return () => URL.revokeObjectURL(videoUrl);
+  }, [videoUrl]);
 
-      return () => URL.revokeObjectURL(url);
+  // Auto-play when analyzing - onPlay marks it as playing
+  useEffect(() => {
+    if (videoUrl && isAnalyzing && videoRef.current) {
+      videoRef.current.play();
     }
-  }, [file, isAnalyzing]);
+  }, [videoUrl, isAnalyzing]);
 
   const togglePlay = () => {
     if (videoRef.current) {
@@ -33,6 +38,22 @@ const VideoPreview = ({ file, isAnalyzing = false }) => {
     }
   };
 
+  // Draw the boxes that were on screen at this point of the clip
+  const drawTimeline = () => {
+    if (!timeline || !videoRef.current) return;
+    const position = videoRef.current.currentTime * 1000;
+    const entry = timeline.findLast(item => item.at <= position);
+    if (entry) {
+      renderOverlay(canvasRef.current, entry.detections, entry);
+    } else {
+      clearOverlay(canvasRef.current);
+    }
+  };
+
+  const seekTo = (seconds) => {
+    if (videoRef.current) videoRef.current.currentTime = seconds;
+  };
+
   const toggleMute = () => {
     if (videoRef.current) {
       videoRef.current.muted = !isMuted;
@@ -54,9 +75,20 @@ const VideoPreview = ({ file, isAnalyzing = false }) => {
           className="w-full h-auto max-h-96 object-contain"
           onPlay={() => setIsPlaying(true)}
           onPause={() => setIsPlaying(false)}
+          onLoadedMetadata={() => startAt > 0 && seekTo(startAt)}
+          onTimeUpdate={drawTimeline}
+          onSeeked={drawTimeline}
           loop
         />
 
+        {/* Detection boxes recorded with a clip */}
+        {timeline && (
+          <canvas
+            ref={canvasRef}
+            className="absolute inset-0 w-full h-full object-contain pointer-events-none"
+          />
+        )}
+
         {/* Analyzing Overlay */}
         {isAnalyzing && (
           <div className="absolute top-4 right-4 px-3 py-2 bg-fire-500 text-white text-sm font-semibold rounded-lg flex items-center gap-2 animate-pulse">
@@ -92,9 +124,32 @@ const VideoPreview = ({ file, isAnalyzing = false }) => {
               )}
             </button>
 
-            <div className="flex-1 text-white text-sm">
+            {markers.map(seconds => (
+              <button
+                key={seconds}
+                onClick={() => seekTo(seconds)}
+                className="px-2 py-1 bg-fire-500/80 hover:bg-fire-500 rounded-lg text-white text-xs font-semibold flex items-center gap-1 transition-colors"
+                title="Jump to when the fire was confirmed"
+              >
+                <Flame className="w-3 h-3" />
+                {formatTime(seconds)}
+              </button>
+            ))}
+
+            <div className="flex-1 text-white text-sm truncate">
               {file.name}
             </div>
+
+            {downloadable && videoUrl && (
+              <a
+                href={videoUrl}
+                download={file.name}
+                className="p-2 bg-white/20 hover:bg-white/30 rounded-lg transition-colors"
+                title="Download"
+              >
+                <Download className="w-5 h-5 text-white" />
+              </a>
+            )}
           </div>
         </div>
       </div>
@@ -0,0 +1,30 @@
+/** @vitest-environment jsdom */
+import React from 'react';
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { render, cleanup } from '@testing-library/react';
+import VideoPreview from './VideoPreview';
+
+describe('VideoPreview', () => {
+  afterEach(() => {
+    cleanup();
+    vi.unstubAllGlobals();
+  });
+
+  it('plays the file from an object URL and revokes it when the file changes', () => {
+    let count = 0;
+    const revokeObjectURL = vi.fn();
+    vi.stubGlobal('URL', { createObjectURL: () => `blob:${++count}`, revokeObjectURL });
+
+    const first = new File(['a'], 'first.mp4', { type: 'video/mp4' });
+    const { container, rerender, unmount } = render(<VideoPreview file={first} />);
+    expect(container.querySelector('video').getAttribute('src')).toBe('blob:1');
+
+    rerender(<VideoPreview file={first} />);
+    rerender(<VideoPreview file={new File(['b'], 'second.mp4', { type: 'video/mp4' })} />);
+    expect(container.querySelector('video').getAttribute('src')).toBe('blob:2');
+    expect(revokeObjectURL).toHaveBeenCalledExactlyOnceWith('blob:1');
+
+    unmount();
+    expect(revokeObjectURL).toHaveBeenLastCalledWith('blob:2');
+  });
+});
@@ -1,28 +1,97 @@
-import React, { useRef, useEffect, useState } from 'react';
-import { Video, VideoOff, Play, Square, AlertCircle, Camera, Wifi, Smartphone } from 'lucide-react';
-import axios from 'axios';
-
-const API_BASE_URL = import.meta.env.VITE_API_URL || 'https://wildfire-backend-4.onrender.com';
-
-const WebcamDetection = ({ onFireDetected, isMonitoring, setIsMonitoring }) => {
+import React, { useRef, useEffect, useState, useSyncExternalStore } from 'react';
+import { Video, VideoOff, Play, Square, AlertCircle, Camera, Wifi, Smartphone, LayoutGrid, Settings, Save, MapPin, Cpu, Loader2 } from 'lucide-react';
+import CameraWall from './CameraWall';
+import CameraSettings from './CameraSettings';
+import IncidentClips from './IncidentClips';
+import ZoneEditor from './ZoneEditor';
+import PtzControls from './PtzControls';
+import useCameraPipeline from '../hooks/useCameraPipeline';
+import { sendCameraCommand } from '../services/api';
+import cameraRegistry, { getCameraLocation } from '../services/cameraRegistry';
+import { connectCameraStream } from '../services/cameraStreams';
+import deviceLocation from '../services/deviceLocation';
+import frameChannel from '../services/frameChannel';
+import healthMonitor from '../services/healthMonitor';
+import localDetector, { DETECTOR_MODES } from '../services/localDetector';
+import zoneStore, { LOCAL_WEBCAM_ID } from '../services/zoneStore';
+import { getFrameSize, isVideoSource, resolveSourceType, SOURCE_TYPES, validateCameraUrl } from '../utils/cameraSources';
+import CameraWatchdog, { buildOfflineAlert } from '../utils/cameraWatchdog';
+import { formatCoordinates } from '../utils/geo';
+import FrameEncoder from '../utils/frameCapture';
+import FrameScheduler from '../utils/frameScheduler';
+import PatrolTour from '../utils/patrolTour';
+import { buildPtzRequest, hasPtz } from '../utils/ptz';
+
+// Frame budget shared by every camera - /detect/frame is the most expensive call we make
+const FRAME_RATE_LIMIT = Number(import.meta.env.VITE_FRAME_RATE_LIMIT) || 4; // frames/s in total
+const FRAME_CONCURRENCY = Number(import.meta.env.VITE_FRAME_CONCURRENCY) || 2; // requests in flight
+const FRAME_PIPELINE = Number(import.meta.env.VITE_FRAME_PIPELINE) || 2; // of which one camera may have
+
+const SINGLE_CAMERA_ID = 'single';
+
+const WebcamDetection = ({ onFireDetected, onCameraOffline, onCameraOnline, isMonitoring, setIsMonitoring }) => {
   const videoRef = useRef(null);
-  const canvasRef = useRef(null);
+  const canvasRef = useRef(null); // Detection overlay
   const streamRef = useRef(null);
-  const intervalRef = useRef(null);
   const imgRef = useRef(null);
-  const refreshIntervalRef = useRef(null);
-
+  const disconnectStreamRef = useRef(null); // Network camera connection
+
+  // Re-render when the backend comes and goes
+  useSyncExternalStore(healthMonitor.subscribe, healthMonitor.getSnapshot);
+  const backendReady = healthMonitor.isReady();
+  const detector = useSyncExternalStore(localDetector.subscribe, localDetector.getSnapshot);
+  const localModelReady = detector.mode !== 'off' && detector.status === 'ready';
+  const frameSocket = useSyncExternalStore(frameChannel.subscribe, frameChannel.getSnapshot);
+
+  // One scheduler for the single camera and the wall, so frame uploads share one budget
+  const [scheduler] = useState(() => new FrameScheduler({
+    maxFramesPerSecond: FRAME_RATE_LIMIT,
+    maxInFlight: FRAME_CONCURRENCY,
+    maxInFlightPerSource: FRAME_PIPELINE,
+    // Server model, in-browser model or both, depending on the detection mode
+    detectFrame: localDetector.detectFrame,
+    // Live frames go stale - skip them while nothing can analyse them instead of queueing
+    isReady: localDetector.isReady
+  }));
+  // One worker encodes frames for the single camera and the wall
+  const [encoder] = useState(() => new FrameEncoder());
+  // Notices a dead, frozen or covered camera while monitoring and reconnects it
+  const [watchdog] = useState(() => new CameraWatchdog());
+  const health = useSyncExternalStore(watchdog.subscribe, watchdog.getSnapshot);
+  // Where a PTZ camera is pointed, and its patrol of the presets
+  const [patrol] = useState(() => new PatrolTour());
+  const tour = useSyncExternalStore(patrol.subscribe, patrol.getSnapshot);
+
+  const [view, setView] = useState('single'); // 'single' or 'wall'
   const [cameraMode, setCameraMode] = useState('local'); // 'local' or 'network'
   const [networkCameraUrl, setNetworkCameraUrl] = useState('');
+  const [networkSourceType, setNetworkSourceType] = useState('auto'); // For a typed URL
+  const [selectedCameraId, setSelectedCameraId] = useState(''); // Registered camera, '' for a typed URL
+  const [showCameraSettings, setShowCameraSettings] = useState(false);
   const [hasPermission, setHasPermission] = useState(false);
   const [error, setError] = useState(null);
-  const [stats, setStats] = useState({
-    framesProcessed: 0,
-    fireDetections: 0,
-    lastDetection: null,
-    fps: 0
-  });
-  const [latestDetections, setLatestDetections] = useState([]); // Store latest detection results for visualization
+  const [previewSize, setPreviewSize] = useState(null); // Frame size of the live preview, for the zone editor
+  const { cameras } = useSyncExternalStore(cameraRegistry.subscribe, cameraRegistry.getSnapshot);
+  const networkCameras = cameras.filter(camera => camera.kind === 'network');
+  const selectedCamera = networkCameras.find(camera => camera.id === selectedCameraId) || null;
+  // Zones are kept by camera id - the local webcam's, or a registered network camera's; a typed URL has none
+  const zoneCameraId = cameraMode === 'local' ? LOCAL_WEBCAM_ID : selectedCamera?.id || null;
+  const zones = useSyncExternalStore(zoneStore.subscribe, () => zoneStore.getZones(zoneCameraId));
+
+  // The network camera to connect - registered, or built from the typed URL
+  const networkCamera = selectedCamera || (networkCameraUrl
+    ? { kind: 'network', name: '', url: networkCameraUrl, sourceType: networkSourceType, snapshotPath: '', username: '', password: '' }
+    : null);
+  const networkUsesVideo = networkCamera ? isVideoSource(resolveSourceType(networkCamera)) : false;
+
+  // Where this view's detections are placed - the registered camera's position or this device's
+  const location = useSyncExternalStore(deviceLocation.subscribe, deviceLocation.getSnapshot);
+  const singleCamera = cameraMode === 'network' ? selectedCamera || { kind: 'network' } : { kind: 'local' };
+  const singleCameraLocation = getCameraLocation(singleCamera, location.position);
+  const singleCameraName = selectedCamera?.name || (cameraMode === 'local' ? 'Webcam' : 'Network camera');
+
+  // The <video> or <img> the single camera is shown in
+  const previewElement = () => (cameraMode === 'local' || networkUsesVideo ? videoRef.current : imgRef.current);
 
   // Start local webcam
   const startWebcam = async () => {
@@ -40,112 +109,70 @@ const WebcamDetection = ({ onFireDetected, isMonitoring, setIsMonitoring }) => {
         streamRef.current = stream;
         setHasPermission(true);
         setError(null);
+        watchdog.connectionRestored();
+        deviceLocation.request();
       }
     } catch (err) {
       console.error('Error accessing webcam:', err);
       setError('Failed to access webcam. Please grant camera permissions.');
       setHasPermission(false);
+      // Asking again won't help until the user allows it; an unplugged camera may come back
+      if (err.name !== 'NotAllowedError') watchdog.connectionLost('The webcam is not available');
     }
   };
 
-  // Start network camera (IP Webcam)
+  // Start network camera - snapshots, MJPEG, HLS or WebRTC depending on the source
   const startNetworkCamera = () => {
-    if (!networkCameraUrl) {
+    if (!networkCamera) {
       setError('Please enter a valid camera URL');
       return;
     }
 
     try {
       // Validate URL
-      const url = new URL(networkCameraUrl);
-      
-      // For IP Webcam, use snapshot endpoint instead of video stream
-      // /shot.jpg gives us a single frame instead of continuous MJPEG stream
-      let snapshotUrl = networkCameraUrl;
-      if (snapshotUrl.includes('/video')) {
-        snapshotUrl = snapshotUrl.replace('/video', '/shot.jpg');
-      } else {
-        snapshotUrl = snapshotUrl.endsWith('/') ? snapshotUrl + 'shot.jpg' : snapshotUrl + '/shot.jpg';
-      }
-
-      console.log('🔗 Connecting to network camera (snapshot mode):', snapshotUrl);
-
-      // Use backend proxy to avoid CORS issues
-      const proxyUrl = `${API_BASE_URL}/proxy/camera?url=${encodeURIComponent(snapshotUrl)}`;
-      console.log('🔄 Using proxy URL:', proxyUrl);
-
-      if (imgRef.current) {
-        let proxyFailed = false;
-        
-        // Function to refresh the snapshot
-        const refreshSnapshot = () => {
-          if (imgRef.current && hasPermission) {
-            // Add timestamp to prevent caching
-            const timestamp = new Date().getTime();
-            imgRef.current.src = `${proxyUrl}&t=${timestamp}`;
-          }
-        };
-        
-        // Add load handler to confirm stream is working
-        imgRef.current.onload = () => {
-          console.log('✅ Network camera snapshot loaded successfully via proxy!');
-          setHasPermission(true);
-          setError(null);
-          
-          // Refresh snapshot every 500ms for smooth video-like experience
-          if (!refreshIntervalRef.current) {
-            refreshIntervalRef.current = setInterval(refreshSnapshot, 500);
-          }
-        };
-
-        imgRef.current.onerror = (e) => {
-          console.error('❌ Failed to load camera snapshot via proxy:', e);
-          
-          if (!proxyFailed) {
-            proxyFailed = true;
-            console.log('🔄 Trying direct connection as fallback...');
-            setError('Proxy connection failed. Trying direct connection...');
-            
-            // Try direct connection as fallback
-            imgRef.current.src = snapshotUrl;
-            
-            // Update error handler for direct connection
-            imgRef.current.onerror = (e2) => {
-              console.error('❌ Direct connection also failed:', e2);
-              setError('Failed to connect to camera. Please check:\n1. IP address is correct\n2. IP Webcam app is running\n3. Phone and laptop are on same WiFi\n4. Try accessing the URL in browser: ' + snapshotUrl);
-              setHasPermission(false);
-              if (refreshIntervalRef.current) {
-                clearInterval(refreshIntervalRef.current);
-                refreshIntervalRef.current = null;
-              }
-            };
-            
-            imgRef.current.onload = () => {
-              console.log('✅ Network camera connected via direct connection!');
-              console.warn('⚠️ Using direct connection - fire detection may fail due to CORS. If you see canvas errors, the backend proxy needs to be fixed.');
-              setHasPermission(true);
-              setError(null);
-              
-              // Refresh snapshot for direct connection too
-              if (!refreshIntervalRef.current) {
-                refreshIntervalRef.current = setInterval(() => {
-                  if (imgRef.current) {
-                    const timestamp = new Date().getTime();
-                    imgRef.current.src = `${snapshotUrl}?t=${timestamp}`;
-                  }
-                }, 500);
-              }
-            };
-          }
-        };
-
-        // Set the proxy URL first
-        imgRef.current.src = proxyUrl;
-      }
+      if (!selectedCamera) validateCameraUrl(networkCameraUrl);
     } catch (err) {
       console.error('Error connecting to network camera:', err);
       setError('Invalid camera URL. Please check the URL and try again.');
       setHasPermission(false);
+      return;
+    }
+
+    const element = networkUsesVideo ? videoRef.current : imgRef.current;
+    if (!element) return;
+
+    disconnectStreamRef.current?.();
+    disconnectStreamRef.current = connectCameraStream(networkCamera, element, {
+      onLive: () => {
+        console.log('✅ Network camera connected!');
+        setHasPermission(true);
+        setError(null);
+        watchdog.connectionRestored();
+      },
+      onError: (message) => {
+        disconnectStreamRef.current?.();
+        disconnectStreamRef.current = null;
+        setError(message);
+        setHasPermission(false);
+        watchdog.connectionLost(message);
+      }
+    });
+  };
+
+  // Keep a typed URL as a registered camera so it survives a reload
+  const saveNetworkCamera = () => {
+    try {
+      const id = cameraRegistry.addCamera({
+        name: new URL(networkCameraUrl).host,
+        kind: 'network',
+        url: networkCameraUrl,
+        sourceType: networkSourceType,
+        onWall: false
+      });
+      setSelectedCameraId(id);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
     }
   };
 
@@ -159,167 +186,99 @@ const WebcamDetection = ({ onFireDetected, isMonitoring, setIsMonitoring }) => {
       if (videoRef.current) {
         videoRef.current.srcObject = null;
       }
-    } else {
-      if (imgRef.current) {
-        imgRef.current.onload = null;
-        imgRef.current.onerror = null;
-        imgRef.current.src = '';
-      }
-      // Clear refresh interval for network camera
-      if (refreshIntervalRef.current) {
-        clearInterval(refreshIntervalRef.current);
-        refreshIntervalRef.current = null;
-      }
+    } else if (disconnectStreamRef.current) {
+      disconnectStreamRef.current();
+      disconnectStreamRef.current = null;
     }
     setHasPermission(false);
   };
 
-  // Capture frame and send for detection
-  const captureAndDetect = async () => {
-    if (!canvasRef.current) {
-      console.warn('⚠️ Canvas not available');
-      return;
-    }
-
-    const canvas = canvasRef.current;
-    const context = canvas.getContext('2d');
-
-    let sourceElement;
-    let isReady = false;
+  // Remember the preview's frame size so zones can be drawn over it. Zones are
+  // in fractions of the frame, so a scaled-down captured frame works as well -
+  // which matters for MJPEG, whose <img> may never fire load
+  const updatePreviewSize = (size) => {
+    if (!size) return;
+    setPreviewSize(prev => (prev && prev.width === size.width && prev.height === size.height ? prev : size));
+  };
+  const handlePreviewLoad = (e) => updatePreviewSize(getFrameSize(e.currentTarget));
+
+  // Frames go through the shared scheduler, which paces them against the backend
+  const { stats, detectionError, clearDetectionError, resetScene, isRecording } = useCameraPipeline({
+    sourceId: SINGLE_CAMERA_ID,
+    scheduler,
+    encoder,
+    videoRef,
+    imgRef,
+    usesVideo: cameraMode === 'local' || networkUsesVideo,
+    overlayRef: canvasRef,
+    active: view === 'single' && isMonitoring && hasPermission,
+    camera: { ...singleCamera, name: singleCameraName },
+    zones,
+    patrol,
+    drawZones: false, // the zone editor draws them
+    onFrame: (frame) => updatePreviewSize({ width: frame.width, height: frame.height }),
+    onFireDetected
+  });
 
-    if (cameraMode === 'local' && videoRef.current) {
-      sourceElement = videoRef.current;
-      // Check if video is ready
-      if (sourceElement.readyState >= 2) { // HAVE_CURRENT_DATA or better
-        canvas.width = sourceElement.videoWidth || 640;
-        canvas.height = sourceElement.videoHeight || 480;
-        isReady = true;
-      } else {
-        console.warn('⚠️ Video not ready yet');
-        return;
-      }
-    } else if (cameraMode === 'network' && imgRef.current) {
-      sourceElement = imgRef.current;
-      // Check if image is loaded
-      if (sourceElement.complete && sourceElement.naturalWidth > 0) {
-        canvas.width = sourceElement.naturalWidth;
-        canvas.height = sourceElement.naturalHeight;
-        isReady = true;
-        console.log(`📸 Capturing frame from network camera: ${canvas.width}x${canvas.height}`);
-      } else {
-        console.warn('⚠️ Network camera image not loaded yet');
-        return;
-      }
+  // The watchdog gave up on the picture - connect again the way the user did
+  const reconnectCamera = () => {
+    stopCamera();
+    if (cameraMode === 'local') {
+      startWebcam();
     } else {
-      console.warn('⚠️ No valid source element');
-      return;
+      startNetworkCamera();
     }
+  };
 
-    if (!isReady) {
-      console.warn('⚠️ Source not ready for capture');
-      return;
-    }
-
-    try {
-      // Draw current frame to canvas
-      context.drawImage(sourceElement, 0, 0, canvas.width, canvas.height);
-
-      // Convert canvas to base64 image with HIGH quality for better detection
-      const frameData = canvas.toDataURL('image/jpeg', 0.95); // Increased from 0.8 to 0.95
-
-      console.log(`🎬 Sending frame for detection (${cameraMode} mode, ${canvas.width}x${canvas.height})...`);
-      console.log(`📦 Frame data size: ${(frameData.length / 1024).toFixed(2)} KB`);
+  // A camera-offline alert while the camera is down, separate from fire alerts
+  const singleCameraId = selectedCamera?.id || SINGLE_CAMERA_ID;
+  const handleCameraOffline = (problem) => {
+    onCameraOffline && onCameraOffline(buildOfflineAlert({
+      cameraId: singleCameraId,
+      cameraName: singleCameraName,
+      source: cameraMode === 'local' ? 'webcam' : 'network-camera'
+    }, problem));
+  };
+  const handleCameraOnline = () => {
+    onCameraOnline && onCameraOnline(singleCameraId);
+  };
 
-      // Send frame to backend for detection
-      const response = await axios.post(`${API_BASE_URL}/detect/frame`, {
-        frame: frameData
-      });
+  // A new preset is a new scene - start sampling, box numbers and incidents afresh
+  const handlePresetArrive = () => resetScene();
 
-      const result = response.data;
-      
-      console.log('🔍 Detection result:', result);
-      console.log(`📊 Detections: ${result.detections?.length || 0}, Has Fire: ${result.has_fire}`);
-      
-      // Store detections for visualization
-      setLatestDetections(result.detections || []);
-
-      // Update stats
-      setStats(prev => ({
-        framesProcessed: prev.framesProcessed + 1,
-        fireDetections: result.has_fire ? prev.fireDetections + 1 : prev.fireDetections,
-        lastDetection: result.has_fire ? new Date().toLocaleTimeString() : prev.lastDetection,
-        fps: prev.fps
-      }));
-
-      // Trigger alert if fire detected
-      if (result.has_fire && result.detections && result.detections.length > 0) {
-        console.log('🔥 FIRE DETECTED in camera frame!', result);
-        
-        const avgConfidence = result.detections.reduce((sum, d) => sum + d.confidence, 0) / result.detections.length;
-        
-        const alert = {
-          message: `🔥 FIRE DETECTED in ${cameraMode === 'local' ? 'webcam' : 'network camera'}!`,
-          details: `${result.detections.length} detection(s) with ${(avgConfidence * 100).toFixed(1)}% confidence`,
-          severity: 'high',
-          timestamp: new Date().toLocaleString(),
-          source: cameraMode === 'local' ? 'webcam' : 'network-camera'
-        };
-
-        console.log('⚡ TRIGGERING ALERT:', alert);
-        onFireDetected && onFireDetected(alert);
-      } else {
-        console.log('✅ No fire detected in this frame');
-      }
-      
-      // Draw detection boxes on canvas for visualization
-      if (result.detections && result.detections.length > 0) {
-        drawDetectionBoxes(context, result.detections, canvas.width, canvas.height);
-      }
-    } catch (err) {
-      console.error('❌ Error detecting frame:', err);
-      if (err.response) {
-        console.error('Backend response:', err.response.data);
-        console.error('Status code:', err.response.status);
-      }
-      setLatestDetections([]); // Clear detections on error
-    }
+  // Stopping the camera by hand also ends its patrol
+  const disconnectCamera = () => {
+    patrol.leavePreset();
+    stopCamera();
   };
 
-  // Draw detection boxes on canvas
-  const drawDetectionBoxes = (context, detections, width, height) => {
-    context.strokeStyle = '#ff0000';
-    context.lineWidth = 3;
-    context.font = '16px Arial';
-    context.fillStyle = '#ff0000';
-    
-    detections.forEach(detection => {
-      if (detection.bbox && detection.bbox.length === 4) {
-        const [x1, y1, x2, y2] = detection.bbox;
-        const boxWidth = x2 - x1;
-        const boxHeight = y2 - y1;
-        
-        // Draw rectangle
-        context.strokeRect(x1, y1, boxWidth, boxHeight);
-        
-        // Draw label with confidence
-        const label = `Fire ${(detection.confidence * 100).toFixed(1)}%`;
-        const textWidth = context.measureText(label).width;
-        
-        // Background for text
-        context.fillStyle = '#ff0000';
-        context.fillRect(x1, y1 - 25, textWidth + 10, 25);
-        
-        // Text
-        context.fillStyle = '#ffffff';
-        context.fillText(label, x1 + 5, y1 - 7);
-        
-        console.log(`📦 Drawing box: [${x1.toFixed(0)}, ${y1.toFixed(0)}, ${x2.toFixed(0)}, ${y2.toFixed(0)}] - ${label}`);
-      }
-    });
+  // The watchdog and patrol keep the handlers they were given - point them at the latest render's
+  const frameHandlersRef = useRef(null);
+  useEffect(() => {
+    frameHandlersRef.current = {
+      getPreview: previewElement,
+      reconnect: reconnectCamera,
+      onOffline: handleCameraOffline,
+      onOnline: handleCameraOnline,
+      gotoPreset: (preset) => sendCameraCommand(buildPtzRequest(selectedCamera, 'goto', { preset: preset.token })),
+      onPresetArrive: handlePresetArrive
+    };
+  });
+  const patrolHandlers = {
+    gotoPreset: (preset) => frameHandlersRef.current.gotoPreset(preset),
+    onArrive: () => frameHandlersRef.current.onPresetArrive()
   };
 
   // Start monitoring
   const startMonitoring = () => {
+    // Before connecting, so a camera that fails straight away is retried
+    watchdog.start({
+      getElement: () => frameHandlersRef.current.getPreview(),
+      reconnect: () => frameHandlersRef.current.reconnect(),
+      onOffline: (problem) => frameHandlersRef.current.onOffline(problem),
+      onOnline: () => frameHandlersRef.current.onOnline()
+    });
+
     if (!hasPermission) {
       if (cameraMode === 'local') {
         startWebcam();
@@ -327,35 +286,62 @@ const WebcamDetection = ({ onFireDetected, isMonitoring, setIsMonitoring }) => {
         startNetworkCamera();
       }
     }
-    
+
     setIsMonitoring(true);
-    
-    // Capture and detect frames every 500ms (2 FPS) - increased from 1 FPS
-    intervalRef.current = setInterval(() => {
-      captureAndDetect();
-    }, 500); // Changed from 1000ms to 500ms
-
-    // Calculate FPS
-    setStats(prev => ({ ...prev, fps: 2 })); // Updated from 1 to 2
+    clearDetectionError();
   };
 
   // Stop monitoring
   const stopMonitoring = () => {
     setIsMonitoring(false);
-    
-    if (intervalRef.current) {
-      clearInterval(intervalRef.current);
-      intervalRef.current = null;
+    clearDetectionError();
+    watchdog.stop();
+    patrol.stop();
+  };
+
+  // Switching views stops the single camera - the wall manages its own cameras
+  const switchView = (nextView) => {
+    if (nextView === view) return;
+    if (view === 'single') {
+      stopMonitoring();
+      disconnectCamera();
+    } else {
+      setIsMonitoring(false);
     }
+    setView(nextView);
   };
 
-  // Cleanup on unmount
+  // Monitoring switched off from outside (e.g. Emergency Stop) - drop every camera from the rotation
+  // and stop watching and patrolling the single camera, so it isn't reconnected, reported offline or moved
   useEffect(() => {
-    return () => {
-      stopCamera();
+    if (!isMonitoring) {
+      scheduler.clear();
+      watchdog.stop();
+      patrol.stop();
+    }
+  }, [isMonitoring, scheduler, watchdog, patrol]);
+
+  // A tour belongs to one camera - end it when another camera is picked or the view goes away
+  useEffect(() => {
+    return () => patrol.stop();
+  }, [patrol, cameraMode, selectedCameraId]);
+
+  // Cleanup on unmount - stopping the camera needs the latest render's stream and mode
+  const stopOnUnmountRef = useRef(null);
+  useEffect(() => {
+    stopOnUnmountRef.current = () => {
+      disconnectCamera();
       stopMonitoring();
     };
-  }, []);
+  });
+  useEffect(() => {
+    const stopOnUnmount = stopOnUnmountRef;
+    return () => {
+      stopOnUnmount.current();
+      scheduler.clear();
+      encoder.terminate();
+    };
+  }, [scheduler, encoder]);
 
   return (
     <div className="glass-card p-6">
@@ -365,233 +351,451 @@ const WebcamDetection = ({ onFireDetected, isMonitoring, setIsMonitoring }) => {
           Live Camera Detection
         </h2>
         
-        {hasPermission && (
-          <div className="flex items-center gap-2">
-            <div className={`w-3 h-3 rounded-full ${isMonitoring ? 'bg-red-500 animate-pulse' : 'bg-gray-500'}`} />
-            <span className="text-sm text-gray-400">
-              {isMonitoring ? 'Monitoring' : 'Stopped'}
-            </span>
-          </div>
-        )}
-      </div>
-
-      {/* Camera Mode Selection */}
-      {!hasPermission && (
-        <div className="mb-4 flex gap-2">
+        <div className="flex items-center gap-3">
+          {view === 'single' && hasPermission && (
+            <div className="flex items-center gap-2">
+              <div className={`w-3 h-3 rounded-full ${isMonitoring ? 'bg-red-500 animate-pulse' : 'bg-gray-500'}`} />
+              <span className="text-sm text-gray-400">
+                {isMonitoring ? 'Monitoring' : 'Stopped'}
+              </span>
+            </div>
+          )}
           <button
-            onClick={() => {
-              setCameraMode('local');
-              setError(null);
-            }}
-            className={`flex-1 py-3 px-4 rounded-lg font-semibold transition-all duration-300 flex items-center justify-center gap-2 ${
-              cameraMode === 'local'
-                ? 'bg-gradient-to-r from-fire-500 to-fire-600 text-white'
-                : 'bg-white/10 text-gray-400 hover:bg-white/20'
-            }`}
+            onClick={() => setShowCameraSettings(true)}
+            className="p-2 rounded-lg bg-white/10 text-gray-400 hover:bg-white/20 hover:text-white transition-all"
+            title="Manage cameras"
           >
-            <Video className="w-5 h-5" />
-            Local Webcam
+            <Settings className="w-5 h-5" />
           </button>
-          <button
-            onClick={() => {
-              setCameraMode('network');
-              setError(null);
-            }}
-            className={`flex-1 py-3 px-4 rounded-lg font-semibold transition-all duration-300 flex items-center justify-center gap-2 ${
-              cameraMode === 'network'
-                ? 'bg-gradient-to-r from-fire-500 to-fire-600 text-white'
-                : 'bg-white/10 text-gray-400 hover:bg-white/20'
-            }`}
+        </div>
+      </div>
+
+      {showCameraSettings && <CameraSettings onClose={() => setShowCameraSettings(false)} />}
+
+      {/* View Selection */}
+      <div className="mb-4 flex gap-2 p-1 bg-white/5 rounded-lg">
+        <button
+          onClick={() => switchView('single')}
+          className={`flex-1 py-2 px-4 rounded-lg text-sm font-semibold transition-all flex items-center justify-center gap-2 ${
+            view === 'single' ? 'bg-white/15 text-white' : 'text-gray-400 hover:text-white'
+          }`}
+        >
+          <Camera className="w-4 h-4" />
+          Single Camera
+        </button>
+        <button
+          onClick={() => switchView('wall')}
+          className={`flex-1 py-2 px-4 rounded-lg text-sm font-semibold transition-all flex items-center justify-center gap-2 ${
+            view === 'wall' ? 'bg-white/15 text-white' : 'text-gray-400 hover:text-white'
+          }`}
+        >
+          <LayoutGrid className="w-4 h-4" />
+          Camera Wall
+        </button>
+      </div>
+
+      {/* Where frames are analysed - server, in-browser model or both (only offered with a model to load) */}
+      {detector.available && (
+        <div className="mb-4 flex items-center gap-2">
+          <Cpu className="w-4 h-4 text-gray-400 flex-shrink-0" />
+          <select
+            value={detector.mode}
+            onChange={(e) => localDetector.setMode(e.target.value)}
+            className="px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white text-sm focus:outline-none focus:ring-2 focus:ring-fire-500"
+            title="Detection model"
           >
-            <Smartphone className="w-5 h-5" />
-            Network Camera
-          </button>
+            {DETECTOR_MODES.map(mode => (
+              <option key={mode.id} value={mode.id} className="bg-gray-900">{mode.label}</option>
+            ))}
+          </select>
+          {detector.mode !== 'off' && (
+            <span className={`text-xs flex items-center gap-1 ${detector.status === 'error' ? 'text-red-400' : 'text-gray-400'}`}>
+              {detector.status === 'loading' && (
+                <>
+                  <Loader2 className="w-3 h-3 animate-spin" />
+                  Loading in-browser model…
+                </>
+              )}
+              {detector.status === 'ready' && (detector.mode === 'local'
+                ? 'Frames are analysed in this browser only'
+                : 'Only frames the in-browser model finds suspicious are sent to the server')}
+              {detector.status === 'error' && detector.message}
+            </span>
+          )}
         </div>
       )}
 
-      {/* Network Camera URL Input */}
-      {cameraMode === 'network' && !hasPermission && (
-        <div className="mb-4">
-          <label className="block text-sm font-semibold text-gray-300 mb-2">
-            <Wifi className="w-4 h-4 inline mr-2" />
-            IP Webcam URL
-          </label>
-          <input
-            type="text"
-            value={networkCameraUrl}
-            onChange={(e) => setNetworkCameraUrl(e.target.value)}
-            placeholder="http://192.168.1.100:8080"
-            className="w-full px-4 py-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-fire-500"
-          />
-          <p className="text-xs text-gray-400 mt-2">
-            Enter the IP address shown in IP Webcam app (e.g., http://192.168.1.100:8080)
+      {/* Backend not ready - frames are skipped until it is, unless the in-browser model can take them */}
+      {isMonitoring && !backendReady && !(localModelReady && detector.mode === 'local') && (
+        <div className="mb-4 p-3 bg-yellow-500/20 border border-yellow-500 rounded-lg flex items-start gap-2">
+          <AlertCircle className="w-5 h-5 text-yellow-500 flex-shrink-0 mt-0.5" />
+          <p className="text-yellow-400 text-sm">
+            {localModelReady
+              ? 'Detection server is not ready - the in-browser model is analysing frames until it is back.'
+              : 'Detection server is not ready - frames will be analysed once it is back.'}
           </p>
         </div>
       )}
 
-      {/* Video Feed */}
-      <div className="relative rounded-lg overflow-hidden bg-black mb-4">
-        {/* Local webcam video */}
-        {cameraMode === 'local' && (
-          <video
-            ref={videoRef}
-            autoPlay
-            playsInline
-            muted
-            className="w-full h-auto max-h-96 object-contain"
-          />
+      {view === 'wall' ? (
+        <CameraWall
+          scheduler={scheduler}
+          encoder={encoder}
+          isMonitoring={isMonitoring}
+          setIsMonitoring={setIsMonitoring}
+          onFireDetected={onFireDetected}
+          onCameraOffline={onCameraOffline}
+          onCameraOnline={onCameraOnline}
+          onManageCameras={() => setShowCameraSettings(true)}
+        />
+      ) : (
+        <>
+        {/* Camera Mode Selection */}
+        {!hasPermission && (
+          <div className="mb-4 flex gap-2">
+            <button
+              onClick={() => {
+                setCameraMode('local');
+                setError(null);
+              }}
+              className={`flex-1 py-3 px-4 rounded-lg font-semibold transition-all duration-300 flex items-center justify-center gap-2 ${
+                cameraMode === 'local'
+                  ? 'bg-gradient-to-r from-fire-500 to-fire-600 text-white'
+                  : 'bg-white/10 text-gray-400 hover:bg-white/20'
+              }`}
+            >
+              <Video className="w-5 h-5" />
+              Local Webcam
+            </button>
+            <button
+              onClick={() => {
+                setCameraMode('network');
+                setError(null);
+              }}
+              className={`flex-1 py-3 px-4 rounded-lg font-semibold transition-all duration-300 flex items-center justify-center gap-2 ${
+                cameraMode === 'network'
+                  ? 'bg-gradient-to-r from-fire-500 to-fire-600 text-white'
+                  : 'bg-white/10 text-gray-400 hover:bg-white/20'
+              }`}
+            >
+              <Smartphone className="w-5 h-5" />
+              Network Camera
+            </button>
+          </div>
         )}
 
-        {/* Network camera stream */}
-        {cameraMode === 'network' && (
-          <img
-            ref={imgRef}
-            alt="Network Camera Stream"
-            crossOrigin="anonymous"
-            className="w-full h-auto max-h-96 object-contain"
-            onError={() => {
-              if (hasPermission) {
-                setError('Failed to load camera stream. Please check the URL and ensure the camera is accessible.');
-                setHasPermission(false);
-              }
-            }}
-          />
+        {/* Network Camera URL Input */}
+        {cameraMode === 'network' && !hasPermission && (
+          <div className="mb-4">
+            {networkCameras.length > 0 && (
+              <select
+                value={selectedCameraId}
+                disabled={hasPermission}
+                onChange={(e) => {
+                  setSelectedCameraId(e.target.value);
+                  setError(null);
+                }}
+                className="w-full mb-3 px-4 py-3 bg-white/10 border border-white/20 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-fire-500 disabled:opacity-50"
+              >
+                <option value="" className="bg-gray-900">Enter a URL...</option>
+                {networkCameras.map(camera => (
+                  <option key={camera.id} value={camera.id} className="bg-gray-900">{camera.name}</option>
+                ))}
+              </select>
+            )}
+
+            {!selectedCamera && (
+              <>
+                <label className="block text-sm font-semibold text-gray-300 mb-2">
+                  <Wifi className="w-4 h-4 inline mr-2" />
+                  Camera URL
+                </label>
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={networkCameraUrl}
+                    disabled={hasPermission}
+                    onChange={(e) => setNetworkCameraUrl(e.target.value)}
+                    placeholder="http://192.168.1.100:8080"
+                    className="w-full px-4 py-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-fire-500 disabled:opacity-50"
+                  />
+                  <select
+                    value={networkSourceType}
+                    disabled={hasPermission}
+                    onChange={(e) => setNetworkSourceType(e.target.value)}
+                    className="px-3 bg-white/10 border border-white/20 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-fire-500 disabled:opacity-50"
+                    title="Stream type"
+                  >
+                    {SOURCE_TYPES.map(type => (
+                      <option key={type.id} value={type.id} className="bg-gray-900">{type.label}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={saveNetworkCamera}
+                    disabled={!networkCameraUrl}
+                    className="px-4 rounded-lg bg-white/10 text-gray-300 hover:bg-white/20 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                    title="Save to cameras"
+                  >
+                    <Save className="w-5 h-5" />
+                  </button>
+                </div>
+                <p className="text-xs text-gray-400 mt-2">
+                  Enter the IP address shown in IP Webcam app (e.g., http://192.168.1.100:8080), an MJPEG stream,
+                  an HLS playlist (.m3u8) or a WebRTC WHEP endpoint. Save it to draw detection zones over its view
+                </p>
+              </>
+            )}
+          </div>
         )}
+
+        {/* Video Feed */}
+        <div className="relative rounded-lg overflow-hidden bg-black mb-4">
+          {/* Local webcam, or a network camera streaming HLS/WebRTC */}
+          {(cameraMode === 'local' || networkUsesVideo) && (
+            <video
+              ref={videoRef}
+              autoPlay
+              playsInline
+              muted
+              onLoadedData={handlePreviewLoad}
+              className="w-full h-auto max-h-96 object-contain"
+            />
+          )}
+
+          {/* Network camera snapshots or MJPEG stream */}
+          {cameraMode === 'network' && !networkUsesVideo && (
+            <img
+              ref={imgRef}
+              alt="Network Camera Stream"
+              crossOrigin="anonymous"
+              onLoad={handlePreviewLoad}
+              className="w-full h-auto max-h-96 object-contain"
+            />
+          )}
         
-        {/* Canvas overlay for detection boxes */}
-        <canvas 
-          ref={canvasRef} 
-          className="absolute inset-0 w-full h-full object-contain pointer-events-none"
-          style={{ zIndex: 10 }}
-        />
+          {/* Canvas overlay for detection boxes */}
+          <canvas 
+            ref={canvasRef}
+            className="absolute inset-0 w-full h-full pointer-events-none"
+            style={{ zIndex: 10 }}
+          />
 
-        {/* Overlay when not active */}
-        {!hasPermission && (
-          <div className="absolute inset-0 flex items-center justify-center bg-black/80">
-            <div className="text-center">
+          {/* Detection zones for the webcam or a registered network camera */}
+          {zoneCameraId && hasPermission && (
+            <ZoneEditor
+              zones={zones}
+              frameSize={previewSize}
+              onChange={(next) => zoneStore.setZones(zoneCameraId, next)}
+            />
+          )}
+
+          {/* Overlay when not active */}
+          {!hasPermission && (
+            <div className="absolute inset-0 flex items-center justify-center bg-black/80">
+              <div className="text-center">
+                {cameraMode === 'local' ? (
+                  <>
+                    <Video className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+                    <p className="text-white mb-2">Webcam not active</p>
+                    <p className="text-sm text-gray-400">Click "Start Camera" to begin</p>
+                  </>
+                ) : (
+                  <>
+                    <Smartphone className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+                    <p className="text-white mb-2">Network camera not connected</p>
+                    <p className="text-sm text-gray-400">Enter URL and click "Connect Camera"</p>
+                  </>
+                )}
+              </div>
+            </div>
+          )}
+
+          {/* Monitoring indicator */}
+          {isMonitoring && !health.problem && (
+            <div className="absolute top-4 right-4 px-3 py-2 bg-red-500 text-white text-sm font-semibold rounded-lg flex items-center gap-2 animate-pulse">
+              <div className="w-2 h-2 bg-white rounded-full animate-ping" />
+              LIVE MONITORING
+            </div>
+          )}
+
+          {/* Monitoring, but the camera is down, frozen or covered */}
+          {isMonitoring && health.problem && (
+            <div className="absolute top-4 right-4 px-3 py-2 bg-yellow-500 text-black text-sm font-semibold rounded-lg flex items-center gap-2" style={{ zIndex: 20 }}>
+              <AlertCircle className="w-4 h-4" />
+              {health.reconnectAt ? `RECONNECTING (attempt ${health.attempts})` : 'CAMERA PROBLEM'}
+            </div>
+          )}
+
+          {/* Camera source indicator */}
+          {hasPermission && (
+            <div className="absolute top-4 left-4 px-3 py-2 bg-black/60 text-white text-xs font-semibold rounded-lg flex items-center gap-2">
               {cameraMode === 'local' ? (
                 <>
-                  <Video className="w-16 h-16 text-gray-400 mx-auto mb-4" />
-                  <p className="text-white mb-2">Webcam not active</p>
-                  <p className="text-sm text-gray-400">Click "Start Camera" to begin</p>
+                  <Video className="w-3 h-3" />
+                  Local Webcam
                 </>
               ) : (
                 <>
-                  <Smartphone className="w-16 h-16 text-gray-400 mx-auto mb-4" />
-                  <p className="text-white mb-2">Network camera not connected</p>
-                  <p className="text-sm text-gray-400">Enter URL and click "Connect Camera"</p>
+                  <Wifi className="w-3 h-3" />
+                  Network Camera
                 </>
               )}
             </div>
+          )}
+        </div>
+
+        {/* Error Message */}
+        {error && (
+          <div className="mb-4 p-3 bg-red-500/20 border border-red-500 rounded-lg flex items-start gap-2">
+            <AlertCircle className="w-5 h-5 text-red-500 flex-shrink-0 mt-0.5" />
+            <p className="text-red-400 text-sm">{error}</p>
           </div>
         )}
 
-        {/* Monitoring indicator */}
-        {isMonitoring && (
-          <div className="absolute top-4 right-4 px-3 py-2 bg-red-500 text-white text-sm font-semibold rounded-lg flex items-center gap-2 animate-pulse">
-            <div className="w-2 h-2 bg-white rounded-full animate-ping" />
-            LIVE MONITORING
+        {/* Camera health - the watchdog reconnects it on its own */}
+        {isMonitoring && health.problem && (
+          <div className="mb-4 p-3 bg-yellow-500/20 border border-yellow-500 rounded-lg flex items-start gap-2">
+            <AlertCircle className="w-5 h-5 text-yellow-500 flex-shrink-0 mt-0.5" />
+            <p className="text-yellow-400 text-sm">
+              {health.problem.message}
+              {health.reconnectAt ? ' - reconnecting automatically.' : '.'}
+            </p>
           </div>
         )}
 
-        {/* Camera source indicator */}
-        {hasPermission && (
-          <div className="absolute top-4 left-4 px-3 py-2 bg-black/60 text-white text-xs font-semibold rounded-lg flex items-center gap-2">
-            {cameraMode === 'local' ? (
-              <>
-                <Video className="w-3 h-3" />
-                Local Webcam
-              </>
-            ) : (
-              <>
-                <Wifi className="w-3 h-3" />
-                Network Camera
-              </>
-            )}
+        {/* Detection backend problem - monitoring keeps trying with the next frame */}
+        {isMonitoring && detectionError && (
+          <div className="mb-4 p-3 bg-yellow-500/20 border border-yellow-500 rounded-lg flex items-start gap-2">
+            <AlertCircle className="w-5 h-5 text-yellow-500 flex-shrink-0 mt-0.5" />
+            <p className="text-yellow-400 text-sm">{detectionError}</p>
           </div>
         )}
-      </div>
 
-      {/* Error Message */}
-      {error && (
-        <div className="mb-4 p-3 bg-red-500/20 border border-red-500 rounded-lg flex items-start gap-2">
-          <AlertCircle className="w-5 h-5 text-red-500 flex-shrink-0 mt-0.5" />
-          <p className="text-red-400 text-sm">{error}</p>
+        {/* Controls */}
+        <div className="flex gap-3 mb-4">
+          {!hasPermission ? (
+            <button
+              onClick={cameraMode === 'local' ? startWebcam : startNetworkCamera}
+              className="flex-1 btn-primary flex items-center justify-center gap-2"
+            >
+              {cameraMode === 'local' ? (
+                <>
+                  <Video className="w-5 h-5" />
+                  Start Webcam
+                </>
+              ) : (
+                <>
+                  <Wifi className="w-5 h-5" />
+                  Connect Camera
+                </>
+              )}
+            </button>
+          ) : (
+            <>
+              {!isMonitoring ? (
+                <button
+                  onClick={startMonitoring}
+                  className="flex-1 btn-primary flex items-center justify-center gap-2"
+                >
+                  <Play className="w-5 h-5" />
+                  Start Monitoring
+                </button>
+              ) : (
+                <button
+                  onClick={stopMonitoring}
+                  className="flex-1 bg-red-500 hover:bg-red-600 text-white font-semibold py-3 px-6 rounded-xl transition-all duration-300 flex items-center justify-center gap-2"
+                >
+                  <Square className="w-5 h-5" />
+                  Stop Monitoring
+                </button>
+              )}
+            
+              <button
+                onClick={disconnectCamera}
+                className="px-6 py-3 bg-white/10 hover:bg-white/20 text-white font-semibold rounded-xl transition-all duration-300 flex items-center justify-center gap-2"
+              >
+                <VideoOff className="w-5 h-5" />
+                Stop Camera
+              </button>
+            </>
+          )}
         </div>
-      )}
 
-      {/* Controls */}
-      <div className="flex gap-3 mb-4">
-        {!hasPermission ? (
-          <button
-            onClick={cameraMode === 'local' ? startWebcam : startNetworkCamera}
-            className="flex-1 btn-primary flex items-center justify-center gap-2"
-          >
-            {cameraMode === 'local' ? (
-              <>
-                <Video className="w-5 h-5" />
-                Start Webcam
-              </>
-            ) : (
+        {/* Pan / tilt / zoom and patrol of a registered PTZ camera */}
+        {cameraMode === 'network' && hasPermission && hasPtz(selectedCamera) && (
+          <PtzControls
+            camera={selectedCamera}
+            tour={tour}
+            onGoTo={(preset) => patrol.goTo(preset, patrolHandlers)}
+            onStartPatrol={() => patrol.start(selectedCamera.ptz.presets, selectedCamera.ptz.dwell, patrolHandlers)}
+            onStopPatrol={() => patrol.stop()}
+            onSteer={() => patrol.leavePreset()}
+          />
+        )}
+
+        {/* Statistics */}
+        {hasPermission && (
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4 p-4 bg-white/5 rounded-lg">
+            <div className="text-center">
+              <p className="text-2xl font-bold text-white">{stats.framesProcessed}</p>
+              <p className="text-xs text-gray-400 mt-1">Frames Processed</p>
+            </div>
+            <div className="text-center">
+              <p className="text-2xl font-bold text-white">{stats.fps.toFixed(1)}</p>
+              <p className="text-xs text-gray-400 mt-1">FPS</p>
+            </div>
+            <div className="text-center">
+              <p className="text-2xl font-bold text-fire-500">{stats.fireDetections}</p>
+              <p className="text-xs text-gray-400 mt-1">Fire Detections</p>
+            </div>
+            <div className="text-center">
+              <p className="text-2xl font-bold text-green-500">
+                {stats.latency != null ? `${stats.latency} ms` : '–'}
+              </p>
+              <p className="text-xs text-gray-400 mt-1">Latency</p>
+            </div>
+            <div className="text-center">
+              <p className="text-sm font-bold text-white truncate">
+                {stats.lastDetection || 'None'}
+              </p>
+              <p className="text-xs text-gray-400 mt-1">Last Detection</p>
+            </div>
+          </div>
+        )}
+
+        {/* Adaptive sampling - why frames are or aren't being sent */}
+        {isMonitoring && stats.interval != null && (
+          <p className="mt-2 text-xs text-gray-500">
+            Sampling every {(stats.interval / 1000).toFixed(2)} s
+            {stats.boosted && ' (boosted after motion or a detection)'}
+            {' · '}{stats.skipped} unchanged frame{stats.skipped === 1 ? '' : 's'} skipped
+            {' · '}{frameSocket.status === 'open' ? 'via WebSocket' : 'via HTTP'}
+          </p>
+        )}
+
+        {/* Where alerts from this camera will be pinned */}
+        {hasPermission && (
+          <p className="mt-3 text-xs text-gray-400 flex items-center gap-1">
+            <MapPin className="w-3 h-3 flex-shrink-0" />
+            {singleCameraLocation ? (
               <>
-                <Wifi className="w-5 h-5" />
-                Connect Camera
+                {formatCoordinates(singleCameraLocation)}
+                {singleCameraLocation.source === 'device'
+                  ? ` (this device${singleCameraLocation.accuracy ? `, ±${Math.round(singleCameraLocation.accuracy)} m` : ''})`
+                  : ' (configured)'}
               </>
-            )}
-          </button>
-        ) : (
-          <>
-            {!isMonitoring ? (
-              <button
-                onClick={startMonitoring}
-                className="flex-1 btn-primary flex items-center justify-center gap-2"
-              >
-                <Play className="w-5 h-5" />
-                Start Monitoring
-              </button>
+            ) : cameraMode === 'network' ? (
+              'No location - save this camera with coordinates under Manage Cameras to place its alerts on the map'
+            ) : location.status === 'unavailable' ? (
+              `${location.message} - alerts will have no location`
             ) : (
-              <button
-                onClick={stopMonitoring}
-                className="flex-1 bg-red-500 hover:bg-red-600 text-white font-semibold py-3 px-6 rounded-xl transition-all duration-300 flex items-center justify-center gap-2"
-              >
-                <Square className="w-5 h-5" />
-                Stop Monitoring
-              </button>
+              'Locating this device…'
             )}
-            
-            <button
-              onClick={stopCamera}
-              className="px-6 py-3 bg-white/10 hover:bg-white/20 text-white font-semibold rounded-xl transition-all duration-300 flex items-center justify-center gap-2"
-            >
-              <VideoOff className="w-5 h-5" />
-              Stop Camera
-            </button>
-          </>
+          </p>
         )}
-      </div>
 
-      {/* Statistics */}
-      {hasPermission && (
-        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 p-4 bg-white/5 rounded-lg">
-          <div className="text-center">
-            <p className="text-2xl font-bold text-white">{stats.framesProcessed}</p>
-            <p className="text-xs text-gray-400 mt-1">Frames Processed</p>
-          </div>
-          <div className="text-center">
-            <p className="text-2xl font-bold text-fire-500">{stats.fireDetections}</p>
-            <p className="text-xs text-gray-400 mt-1">Fire Detections</p>
-          </div>
-          <div className="text-center">
-            <p className="text-2xl font-bold text-green-500">{stats.fps}</p>
-            <p className="text-xs text-gray-400 mt-1">FPS</p>
-          </div>
-          <div className="text-center">
-            <p className="text-sm font-bold text-white truncate">
-              {stats.lastDetection || 'None'}
-            </p>
-            <p className="text-xs text-gray-400 mt-1">Last Detection</p>
-          </div>
-        </div>
+        <IncidentClips isRecording={isRecording} />
+        </>
       )}
 
       {/* Instructions */}
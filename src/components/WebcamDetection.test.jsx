@@ -0,0 +1,80 @@
+/** @vitest-environment jsdom */
+import React from 'react';
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { render, screen, fireEvent, cleanup, act } from '@testing-library/react';
+import WebcamDetection from './WebcamDetection';
+import cameraRegistry from '../services/cameraRegistry';
+import CameraWatchdog from '../utils/cameraWatchdog';
+import PatrolTour from '../utils/patrolTour';
+
+// Incident clips from memory - jsdom has no IndexedDB
+vi.mock('../services/clipStore', async (importOriginal) => {
+  const actual = await importOriginal();
+  const db = { getAll: async () => [], put: async () => {}, keys: async () => [], delete: async () => {} };
+  return { ...actual, default: new actual.ClipStore({ db }) };
+});
+
+describe('WebcamDetection', () => {
+  afterEach(() => {
+    cleanup();
+    cameraRegistry.getSnapshot().cameras.forEach(camera => cameraRegistry.removeCamera(camera.id));
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+  });
+
+  it('renders the single camera view', () => {
+    render(<WebcamDetection isMonitoring={false} setIsMonitoring={vi.fn()} />);
+    expect(screen.getByText('Webcam not active')).toBeTruthy();
+  });
+
+  it('offers registered network cameras', () => {
+    cameraRegistry.addCamera({ name: 'North ridge', kind: 'network', url: 'http://10.0.0.5:8080' });
+    render(<WebcamDetection isMonitoring={false} setIsMonitoring={vi.fn()} />);
+
+    fireEvent.click(screen.getByText('Network Camera'));
+    fireEvent.change(screen.getByDisplayValue('Enter a URL...'), { target: { value: cameraRegistry.getSnapshot().cameras[0].id } });
+
+    expect(screen.getByText('Network camera not connected')).toBeTruthy();
+    expect(screen.queryByPlaceholderText('http://192.168.1.100:8080')).toBeNull();
+  });
+
+  it('stops watching and patrolling the camera when monitoring is switched off from outside', async () => {
+    vi.stubGlobal('navigator', { mediaDevices: { getUserMedia: vi.fn().mockResolvedValue({ getTracks: () => [] }) } });
+    const setIsMonitoring = vi.fn();
+    const { rerender } = render(<WebcamDetection isMonitoring={false} setIsMonitoring={setIsMonitoring} />);
+
+    await act(async () => fireEvent.click(screen.getByText('Start Webcam')));
+    fireEvent.click(screen.getByText('Start Monitoring'));
+    expect(setIsMonitoring).toHaveBeenCalledWith(true);
+    rerender(<WebcamDetection isMonitoring setIsMonitoring={setIsMonitoring} />);
+
+    // Emergency Stop clears monitoring in App, not through this view
+    const stopWatchdog = vi.spyOn(CameraWatchdog.prototype, 'stop');
+    const stopPatrol = vi.spyOn(PatrolTour.prototype, 'stop');
+    rerender(<WebcamDetection isMonitoring={false} setIsMonitoring={setIsMonitoring} />);
+    expect(stopWatchdog).toHaveBeenCalled();
+    expect(stopPatrol).toHaveBeenCalled();
+  });
+
+  it('offers detection zones for the local webcam', async () => {
+    vi.stubGlobal('navigator', { mediaDevices: { getUserMedia: vi.fn().mockResolvedValue({ getTracks: () => [] }) } });
+    const { container } = render(<WebcamDetection isMonitoring={false} setIsMonitoring={vi.fn()} />);
+
+    await act(async () => fireEvent.click(screen.getByText('Start Webcam')));
+    const video = container.querySelector('video');
+    Object.defineProperty(video, 'readyState', { value: 4 });
+    fireEvent.loadedData(video);
+
+    expect(screen.getByText('Exclude zone')).toBeTruthy();
+  });
+
+  it('ends a patrol when another camera is picked', () => {
+    cameraRegistry.addCamera({ name: 'North ridge', kind: 'network', url: 'http://10.0.0.5:8080' });
+    render(<WebcamDetection isMonitoring={false} setIsMonitoring={vi.fn()} />);
+    fireEvent.click(screen.getByText('Network Camera'));
+
+    const stop = vi.spyOn(PatrolTour.prototype, 'stop');
+    fireEvent.change(screen.getByDisplayValue('Enter a URL...'), { target: { value: cameraRegistry.getSnapshot().cameras[0].id } });
+    expect(stop).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import { Ban, Check, Crosshair, Trash2, Undo2, X } from 'lucide-react';
+import { ZONE_STYLES } from '../utils/detectionOverlay';
+import { normalizeZones } from '../utils/zones';
+
+const BUTTON_CLASS = 'px-2 py-1 rounded bg-black/70 hover:bg-black/90 text-white text-xs font-semibold flex items-center gap-1 disabled:opacity-50 disabled:cursor-not-allowed';
+
+const toSvgPoints = (points, { width, height }) => points.map(([x, y]) => `${x * width},${y * height}`).join(' ');
+
+/**
+ * Draw include/exclude zones over a live camera preview. Sits inside the
+ * preview's positioned container; the SVG uses the frame's own size as its
+ * viewBox, so it lines up with an object-contain video or image.
+ */
+const ZoneEditor = ({ zones, frameSize, onChange }) => {
+  const [draft, setDraft] = useState(null); // { type, points } while drawing
+
+  if (!frameSize) return null;
+
+  // Click position in frame fractions, or null outside the frame
+  const toFramePoint = (event) => {
+    const matrix = event.currentTarget.getScreenCTM();
+    if (!matrix) return null;
+    const point = new DOMPoint(event.clientX, event.clientY).matrixTransform(matrix.inverse());
+    const x = point.x / frameSize.width;
+    const y = point.y / frameSize.height;
+    return x >= 0 && x <= 1 && y >= 0 && y <= 1 ? [x, y] : null;
+  };
+
+  const addPoint = (event) => {
+    const point = toFramePoint(event);
+    if (point) setDraft(prev => ({ ...prev, points: [...prev.points, point] }));
+  };
+
+  const finish = () => {
+    onChange(normalizeZones([...zones, draft]));
+    setDraft(null);
+  };
+
+  const clearAll = () => {
+    if (window.confirm('Remove every zone from this camera?')) onChange([]);
+  };
+
+  return (
+    <>
+      <svg
+        viewBox={`0 0 ${frameSize.width} ${frameSize.height}`}
+        preserveAspectRatio="xMidYMid meet"
+        className={`absolute inset-0 w-full h-full ${draft ? 'cursor-crosshair' : 'pointer-events-none'}`}
+        style={{ zIndex: 15 }}
+        onClick={draft ? addPoint : undefined}
+      >
+        {zones.map(zone => {
+          const style = ZONE_STYLES[zone.type] || ZONE_STYLES.exclude;
+          return (
+            <polygon
+              key={zone.id}
+              points={toSvgPoints(zone.points, frameSize)}
+              fill={style.fill}
+              stroke={style.stroke}
+              strokeWidth={2}
+              strokeDasharray="8 6"
+              vectorEffect="non-scaling-stroke"
+            />
+          );
+        })}
+        {draft && draft.points.length > 0 && (
+          <polyline
+            points={toSvgPoints(draft.points, frameSize)}
+            fill={ZONE_STYLES[draft.type].fill}
+            stroke={ZONE_STYLES[draft.type].stroke}
+            strokeWidth={2}
+            vectorEffect="non-scaling-stroke"
+          />
+        )}
+      </svg>
+
+      <div className="absolute bottom-2 left-2 flex flex-wrap gap-1" style={{ zIndex: 20 }}>
+        {draft ? (
+          <>
+            <span className="px-2 py-1 rounded bg-black/70 text-gray-300 text-xs">
+              Click to add points ({draft.points.length})
+            </span>
+            <button onClick={() => setDraft(prev => ({ ...prev, points: prev.points.slice(0, -1) }))} disabled={draft.points.length === 0} className={BUTTON_CLASS} title="Remove last point">
+              <Undo2 className="w-3 h-3" />
+            </button>
+            <button onClick={finish} disabled={draft.points.length < 3} className={BUTTON_CLASS}>
+              <Check className="w-3 h-3" />
+              Done
+            </button>
+            <button onClick={() => setDraft(null)} className={BUTTON_CLASS}>
+              <X className="w-3 h-3" />
+              Cancel
+            </button>
+          </>
+        ) : (
+          <>
+            <button onClick={() => setDraft({ type: 'exclude', points: [] })} className={BUTTON_CLASS} title="Ignore fire in an area, e.g. a chimney or road">
+              <Ban className="w-3 h-3" />
+              Exclude zone
+            </button>
+            <button onClick={() => setDraft({ type: 'include', points: [] })} className={BUTTON_CLASS} title="Only believe fire inside the include zones">
+              <Crosshair className="w-3 h-3" />
+              Include zone
+            </button>
+            {zones.length > 0 && (
+              <button onClick={clearAll} className={BUTTON_CLASS} title="Remove all zones">
+                <Trash2 className="w-3 h-3" />
+                Clear zones
+              </button>
+            )}
+          </>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default ZoneEditor;
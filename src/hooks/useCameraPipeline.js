@@ -0,0 +1,237 @@
+/**
+ * Camera pipeline
+ * Everything one live camera does with its frames while it is monitored, for
+ * the single camera view and each camera on the wall alike: capture for the
+ * shared frame scheduler, zones, the detection overlay, stats, incident
+ * confirmation, alert evidence and the rolling recording for incident clips.
+ * Connecting the camera and watching its health stay with the component.
+ */
+
+import { useEffect, useRef, useState, useSyncExternalStore } from 'react';
+import alertPolicy from '../services/alertPolicy';
+import { getErrorMessage } from '../services/apiErrors';
+import { getCameraLocation } from '../services/cameraRegistry';
+import clipStore from '../services/clipStore';
+import deviceLocation from '../services/deviceLocation';
+import evidenceStore from '../services/evidenceStore';
+import healthMonitor from '../services/healthMonitor';
+import localDetector from '../services/localDetector';
+import { getFrameSize } from '../utils/cameraSources';
+import EvidenceRecorder from '../utils/evidenceRecorder';
+import { VideoFrameClock } from '../utils/frameCapture';
+import FrameSampler, { fitFrame } from '../utils/frameSampler';
+import IncidentTracker, { describeIncident } from '../utils/incidentTracker';
+import OverlayRenderer from '../utils/overlayRenderer';
+import { describePreset } from '../utils/ptz';
+import RollingRecorder, { captureElementStream, isRecordingSupported } from '../utils/rollingRecorder';
+import { applyZones } from '../utils/zones';
+
+const INITIAL_STATS = {
+  framesProcessed: 0,
+  fireDetections: 0,
+  lastDetection: null,
+  latency: null,
+  fps: 0,
+  skipped: 0,
+  interval: null,
+  boosted: false
+};
+
+/**
+ * @param {Object} options
+ * @param {string} options.sourceId - the camera's id in the frame scheduler
+ * @param {FrameScheduler} options.scheduler - shared by every camera
+ * @param {FrameEncoder} options.encoder - shared by every camera
+ * @param {Object} options.videoRef - ref to the <video> the camera is shown in, if usesVideo
+ * @param {Object} options.imgRef - ref to the <img> otherwise
+ * @param {boolean} options.usesVideo
+ * @param {Object} options.overlayRef - ref to the canvas detection boxes are drawn on
+ * @param {boolean} options.active - monitored and connected: frames are sent and the camera is recorded
+ * @param {Object} options.camera - { id, name, kind, lat, lon }; id only for a registered camera
+ * @param {Array} options.zones - the camera's detection zones
+ * @param {PatrolTour} options.patrol - the camera's PTZ patrol, if it has one
+ * @param {boolean} options.drawZones - draw the zones with the boxes (false where a zone editor shows them)
+ * @param {Function} options.onFrame - (frame) => {} for every analysed frame
+ * @param {Function} options.onFireDetected - (alert, { alarm }) => {}
+ * @returns {{ stats: Object, detectionError: string|null, clearDetectionError: Function, resetScene: Function, isRecording: boolean }}
+ */
+const useCameraPipeline = ({
+  sourceId,
+  scheduler,
+  encoder,
+  videoRef,
+  imgRef,
+  usesVideo,
+  overlayRef,
+  active,
+  camera,
+  zones = [],
+  patrol = null,
+  drawZones = true,
+  onFrame,
+  onFireDetected
+}) => {
+  // Skips unchanged frames and paces the camera by motion, detections and backend speed
+  const [sampler] = useState(() => new FrameSampler());
+  // Lets a video frame be captured once, when the camera has presented it
+  const [frameClock] = useState(() => new VideoFrameClock());
+  // Confirms detections over several frames and keeps one fire as one incident
+  const [tracker] = useState(() => new IncidentTracker());
+  // Recent frames, saved as evidence when an alert is raised
+  const [recorder] = useState(() => new EvidenceRecorder());
+  // Rolling video of the camera, saved as a clip around each incident
+  const [clipRecorder] = useState(() => new RollingRecorder({ onClip: clip => clipStore.save(clip) }));
+  // Keeps the latest boxes over the live view, numbered across frames
+  const [overlay] = useState(() => new OverlayRenderer());
+  const [detectionError, setDetectionError] = useState(null); // Backend problem while monitoring
+  const [stats, setStats] = useState(INITIAL_STATS);
+
+  const getElement = () => (usesVideo ? videoRef.current : imgRef.current);
+
+  // Grab the current frame for encoding, or null if the camera has no new one yet
+  const capture = () => {
+    const source = getElement();
+    const size = getFrameSize(source);
+    if (!size || !frameClock.hasNewFrame(source)) return null;
+    // A PTZ camera on its way to a preset - the picture is blurred and belongs nowhere
+    if (patrol?.getSnapshot().moving) return null;
+    // Unchanged scene, or not this camera's turn at its current rate
+    if (!sampler.shouldSend(source)) return null;
+    const { width, height } = fitFrame(size);
+
+    try {
+      // Scaled, encoded and prepared for the in-browser model off the main thread
+      const { data, input } = encoder.capture(source, { width, height }, { withInput: localDetector.isActive() });
+      frameClock.markCaptured();
+      return { data, width, height, input };
+    } catch (err) {
+      // A tainted canvas (camera served without CORS) can't be read back
+      console.error(`❌ Cannot read frames from ${camera.name}:`, err);
+      setDetectionError('Frames from this camera cannot be read by the browser.');
+      return null;
+    }
+  };
+
+  const handleResult = (result, frame) => {
+    // Fire inside an exclude zone (or outside every include zone) is drawn but never alerts
+    const { kept: detections, suppressed } = applyZones(result.detections, zones, frame);
+    const hasFire = result.has_fire && detections.length > 0;
+
+    setDetectionError(null);
+    onFrame?.(frame);
+    overlay.render(overlayRef.current, { detections, suppressed, ...(drawZones && { zones }) }, frame, getElement());
+    clipRecorder.mark(detections, frame);
+    recorder.push({ data: frame.data, width: frame.width, height: frame.height, detections, suppressed })
+      .forEach(({ id, frame: after }) => evidenceStore.addFrames(id, [after]));
+    sampler.recordResult({ hasFire, latency: frame.latency });
+    setStats(prev => ({
+      framesProcessed: prev.framesProcessed + 1,
+      fireDetections: hasFire ? prev.fireDetections + 1 : prev.fireDetections,
+      lastDetection: hasFire ? new Date().toLocaleTimeString() : prev.lastDetection,
+      latency: frame.latency,
+      fps: sampler.getFps(),
+      skipped: sampler.skipped,
+      interval: sampler.getInterval(),
+      boosted: sampler.isBoosted()
+    }));
+
+    // Alert once a detection is confirmed, and again only when the incident escalates
+    const event = tracker.update({ ...result, detections }, frame, { policy: alertPolicy.getSnapshot() });
+    if (!event) return;
+
+    const { incident, alarm } = event;
+    const verb = incident.level > 1 ? 'ESCALATING' : 'DETECTED';
+    console.log(`🔥 FIRE ${verb} on ${camera.name}!`, result);
+    const coordinates = getCameraLocation(camera, deviceLocation.getSnapshot().position);
+    // A PTZ camera's alert says which way it was looking
+    const preset = patrol?.getSnapshot().preset || null;
+    const evidenceId = evidenceStore.save({ incidentId: incident.id, cameraName: camera.name, frames: recorder.capture() });
+    recorder.follow(evidenceId);
+    clipRecorder.keep(incident.id);
+
+    onFireDetected?.({
+      message: `🔥 FIRE ${verb} on ${camera.name}!`,
+      details: `${describeIncident(incident)}${preset ? ` · preset ${describePreset(preset)}` : ''}${result.detector === 'local' ? ' (in-browser model)' : ''}`,
+      severity: 'high',
+      timestamp: new Date().toLocaleString(),
+      source: camera.kind === 'local' ? 'webcam' : 'network-camera',
+      incidentId: incident.id,
+      incidentLevel: incident.level,
+      evidenceId,
+      ...(camera.id && { cameraId: camera.id, cameraName: camera.name }),
+      ...(preset && { preset: preset.name, bearing: preset.bearing }),
+      ...(coordinates && { coordinates })
+    }, { alarm });
+  };
+
+  const handleError = (err) => {
+    console.error(`❌ Error detecting frame from ${camera.name}:`, err);
+    healthMonitor.reportFailure(err);
+    sampler.recordError();
+    setDetectionError(getErrorMessage(err));
+    overlay.clear();
+  };
+
+  // The scheduler keeps the handlers it was given - point them at the latest render's
+  const handlersRef = useRef(null);
+  useEffect(() => {
+    handlersRef.current = { capture, onResult: handleResult, onError: handleError };
+  });
+
+  // Join the shared frame rotation while active, starting from a clean slate
+  useEffect(() => {
+    if (!active) return undefined;
+
+    sampler.reset();
+    frameClock.reset();
+    tracker.reset();
+    recorder.reset();
+    overlay.clear();
+    return scheduler.register(sourceId, {
+      capture: () => handlersRef.current.capture(),
+      onResult: (result, frame) => handlersRef.current.onResult(result, frame),
+      onError: (err) => handlersRef.current.onError(err)
+    });
+  }, [active, scheduler, sourceId, sampler, frameClock, tracker, recorder, overlay]);
+
+  // Record the camera while it's active, for incident clips
+  const { enabled: clipRecordingEnabled } = useSyncExternalStore(clipStore.subscribe, clipStore.getSnapshot);
+  const isBuffering = active && clipRecordingEnabled && isRecordingSupported();
+  useEffect(() => {
+    if (!isBuffering) return undefined;
+
+    const source = captureElementStream(usesVideo ? videoRef.current : imgRef.current);
+    if (!source) {
+      console.warn(`⚠️ ${camera.name} cannot be recorded in this browser`);
+      return undefined;
+    }
+    try {
+      clipRecorder.start(source.stream, { cameraName: camera.name });
+    } catch (err) {
+      console.warn(`⚠️ Could not start recording ${camera.name}:`, err);
+    }
+
+    return () => {
+      clipRecorder.stop();
+      source.stop();
+    };
+  }, [isBuffering, usesVideo, videoRef, imgRef, clipRecorder, camera.name]);
+
+  useEffect(() => () => overlay.dispose(), [overlay]);
+
+  return {
+    stats,
+    detectionError,
+    isRecording: isBuffering,
+    clearDetectionError: () => setDetectionError(null),
+    // A new scene (e.g. a PTZ preset) - start sampling, box numbers and incidents afresh
+    resetScene: () => {
+      sampler.reset();
+      frameClock.reset();
+      tracker.reset();
+      overlay.clear();
+    }
+  };
+};
+
+export default useCameraPipeline;
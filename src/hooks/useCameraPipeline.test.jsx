@@ -0,0 +1,113 @@
+/** @vitest-environment jsdom */
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { renderHook, act, cleanup } from '@testing-library/react';
+import useCameraPipeline from './useCameraPipeline';
+
+// Incident clips from memory - jsdom has no IndexedDB
+vi.mock('../services/clipStore', async (importOriginal) => {
+  const actual = await importOriginal();
+  const db = { getAll: async () => [], put: async () => {}, keys: async () => [], delete: async () => {} };
+  return { ...actual, default: new actual.ClipStore({ db }) };
+});
+
+vi.mock('../services/evidenceStore', () => ({
+  default: { save: vi.fn(() => 'evidence-1'), addFrames: vi.fn() }
+}));
+
+// Keeps the handlers each camera registers, as the shared scheduler does
+const createScheduler = () => {
+  const sources = new Map();
+  return {
+    sources,
+    register: vi.fn((id, handlers) => {
+      sources.set(id, handlers);
+      return () => sources.delete(id);
+    })
+  };
+};
+
+const frame = { data: 'data:image/jpeg;base64,AAAA', width: 200, height: 100, latency: 120 };
+const fire = (bbox) => ({ class: 'fire', confidence: 0.9, bbox });
+const chimney = { id: 'zone-1', type: 'exclude', points: [[0, 0], [0.5, 0], [0.5, 1], [0, 1]] };
+
+const renderPipeline = (props = {}) => {
+  const scheduler = createScheduler();
+  const onFireDetected = vi.fn();
+  const hook = renderHook((extra) => useCameraPipeline({
+    sourceId: 'cam-1',
+    scheduler,
+    encoder: { capture: vi.fn() },
+    videoRef: { current: null },
+    imgRef: { current: null },
+    usesVideo: false,
+    overlayRef: { current: null },
+    active: true,
+    camera: { id: 'cam-1', name: 'North ridge', kind: 'network' },
+    zones: [chimney],
+    onFireDetected,
+    ...props,
+    ...extra
+  }));
+  return { ...hook, scheduler, onFireDetected };
+};
+
+describe('useCameraPipeline', () => {
+  afterEach(() => {
+    cleanup();
+    vi.restoreAllMocks();
+  });
+
+  it('joins the frame rotation while active and leaves it when not', () => {
+    const { scheduler, rerender } = renderPipeline();
+    expect(scheduler.sources.has('cam-1')).toBe(true);
+
+    rerender({ active: false });
+    expect(scheduler.sources.has('cam-1')).toBe(false);
+  });
+
+  it('counts frames and ignores fire inside an exclude zone', () => {
+    const { result, scheduler, onFireDetected } = renderPipeline();
+    const { onResult } = scheduler.sources.get('cam-1');
+
+    act(() => {
+      for (let i = 0; i < 5; i += 1) onResult({ has_fire: true, detections: [fire([10, 10, 60, 60])] }, frame);
+    });
+
+    expect(result.current.stats.framesProcessed).toBe(5);
+    expect(result.current.stats.fireDetections).toBe(0);
+    expect(result.current.stats.latency).toBe(120);
+    expect(onFireDetected).not.toHaveBeenCalled();
+  });
+
+  it('raises one alert for the camera once a detection is confirmed', () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const { result, scheduler, onFireDetected } = renderPipeline();
+    const { onResult } = scheduler.sources.get('cam-1');
+
+    act(() => {
+      for (let i = 0; i < 4; i += 1) onResult({ has_fire: true, detections: [fire([120, 10, 180, 60])] }, frame);
+    });
+
+    expect(result.current.stats.fireDetections).toBe(4);
+    expect(onFireDetected).toHaveBeenCalledOnce();
+    expect(onFireDetected.mock.calls[0][0]).toMatchObject({
+      message: '🔥 FIRE DETECTED on North ridge!',
+      source: 'network-camera',
+      cameraId: 'cam-1',
+      cameraName: 'North ridge',
+      evidenceId: 'evidence-1'
+    });
+  });
+
+  it('reports backend errors until the next result', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const { result, scheduler } = renderPipeline();
+    const { onResult, onError } = scheduler.sources.get('cam-1');
+
+    act(() => onError(new Error('Backend down')));
+    expect(result.current.detectionError).toBe('Backend down');
+
+    act(() => onResult({ has_fire: false, detections: [] }, frame));
+    expect(result.current.detectionError).toBeNull();
+  });
+});
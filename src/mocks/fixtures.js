@@ -0,0 +1,172 @@
+/**
+ * Fixture data for the mock backend
+ * Response bodies shaped like the FastAPI backend's, plus generated SVG imagery
+ * for camera snapshots and satellite tiles so the demo needs no network at all.
+ */
+
+const toDataUrl = (svg) => `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+
+// Small deterministic hash so the same file always gets the same verdict
+export const hashString = (value) => {
+  let hash = 0;
+  for (let i = 0; i < value.length; i++) {
+    hash = ((hash << 5) - hash + value.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash);
+};
+
+// Files named like fire/smoke footage "contain" fire in the demo
+export const looksLikeFire = (name = '') => /fire|flame|burn|blaze|wildfire/i.test(name);
+export const looksLikeSmoke = (name = '') => /smoke|haze/i.test(name);
+
+const FIRE_CYCLE = 60000; // ms - the synthetic camera shows fire for part of every minute
+const FIRE_WINDOW = 15000; // ms
+
+/**
+ * Whether the synthetic camera scene shows a fire at time `now`
+ */
+export const isFireScene = (now = Date.now()) => now % FIRE_CYCLE < FIRE_WINDOW;
+
+/**
+ * Detection boxes as the backend returns them: [x1, y1, x2, y2] in frame pixels
+ */
+export const buildDetections = ({ fire = false, smoke = false, seed = 0, width = 640, height = 480 }) => {
+  const detections = [];
+  const jitter = (n) => (seed % 40) - 20 + n;
+
+  if (fire) {
+    detections.push({
+      class: 'fire',
+      confidence: 0.78 + (seed % 17) / 100,
+      bbox: [jitter(width * 0.42), jitter(height * 0.55), jitter(width * 0.62), jitter(height * 0.85)],
+    });
+  }
+  if (smoke) {
+    detections.push({
+      class: 'smoke',
+      confidence: 0.61 + (seed % 23) / 100,
+      bbox: [jitter(width * 0.3), jitter(height * 0.15), jitter(width * 0.75), jitter(height * 0.55)],
+    });
+  }
+  return detections;
+};
+
+/**
+ * A forest camera frame; flames and smoke appear during the fire part of the cycle
+ */
+export const cameraFrameSvg = (now = Date.now(), { width = 640, height = 480 } = {}) => {
+  const fire = isFireScene(now);
+  const flicker = Math.sin(now / 90) * 8;
+  const trees = Array.from({ length: 9 }, (_, i) => {
+    const x = 20 + i * 72;
+    const h = 140 + ((i * 37) % 60);
+    return `<polygon points="${x},${height - 60} ${x + 30},${height - 60 - h} ${x + 60},${height - 60}" fill="#1f4d2b"/>`;
+  }).join('');
+
+  const flames = fire ? `
+    <ellipse cx="${width * 0.52}" cy="${height * 0.3}" rx="${150 + flicker}" ry="90" fill="#6b7280" opacity="0.55"/>
+    <polygon points="${width * 0.42},${height * 0.85} ${width * 0.5},${height * 0.55 - flicker} ${width * 0.55},${height * 0.7} ${width * 0.6},${height * 0.58 + flicker} ${width * 0.62},${height * 0.85}" fill="#f97316"/>
+    <polygon points="${width * 0.46},${height * 0.85} ${width * 0.52},${height * 0.66 + flicker} ${width * 0.58},${height * 0.85}" fill="#fde047"/>` : '';
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+    <rect width="${width}" height="${height}" fill="#7dd3fc"/>
+    <rect y="${height - 60}" width="${width}" height="60" fill="#3f6212"/>
+    ${trees}
+    ${flames}
+    <text x="12" y="24" font-family="monospace" font-size="16" fill="#111827">MOCK CAM ${new Date(now).toLocaleTimeString()}</text>
+  </svg>`;
+};
+
+/**
+ * A false-colour satellite tile centred on a hotspot
+ */
+export const satelliteTileDataUrl = (lat, lon, burning = true) => toDataUrl(`<svg xmlns="http://www.w3.org/2000/svg" width="512" height="512" viewBox="0 0 512 512">
+  <rect width="512" height="512" fill="#365314"/>
+  <path d="M0 320 C120 280 200 360 512 300 L512 512 L0 512 Z" fill="#4d7c0f"/>
+  <path d="M60 0 C140 120 90 260 180 512" stroke="#0ea5e9" stroke-width="10" fill="none"/>
+  ${burning ? '<circle cx="256" cy="256" r="46" fill="#b91c1c"/><circle cx="256" cy="256" r="22" fill="#f97316"/>' : '<circle cx="256" cy="256" r="30" fill="#a3a3a3"/>'}
+  <text x="10" y="500" font-family="monospace" font-size="14" fill="#f8fafc">MOCK ${Number(lat).toFixed(3)}, ${Number(lon).toFixed(3)}</text>
+</svg>`);
+
+const hotspot = (lat, lon, confidence, frp, bright, status, hoursAgo) => {
+  const detected = new Date(Date.now() - hoursAgo * 3600000);
+  return {
+    lat,
+    lon,
+    confidence,
+    frp,
+    bright_ti4: bright,
+    satellite: 'VIIRS S-NPP',
+    date: detected.toISOString().slice(0, 10),
+    time: detected.toISOString().slice(11, 16),
+    timestamp: detected.toISOString(),
+    verification: { status },
+  };
+};
+
+/**
+ * /satellite-alerts - a handful of hotspots across central India
+ */
+export const satelliteAlertsFixture = () => {
+  const alerts = [
+    hotspot(22.318, 78.412, 92, 48.6, 367.2, 'verified_wildfire', 2),
+    hotspot(21.947, 79.105, 85, 31.2, 352.9, 'verified_wildfire', 5),
+  ];
+  const unverified = [
+    hotspot(23.102, 77.856, 74, 12.4, 339.1, 'unverified_no_imagery', 8),
+  ];
+  const falseAlarms = [
+    hotspot(22.716, 75.857, 66, 8.1, 331.4, 'false_alarm_rejected', 11),
+  ];
+
+  return {
+    count: alerts.length,
+    alerts,
+    unverified_alerts: unverified,
+    unverified_count: unverified.length,
+    false_alarms: falseAlarms,
+    false_alarms_rejected: falseAlarms.length,
+    verification_stats: {
+      total_hotspots: alerts.length + unverified.length + falseAlarms.length,
+    },
+    system_intelligence: {
+      description: 'Mock data - thermal hotspots cross-checked against generated imagery',
+      accuracy_improvement: 'Demo mode: no live satellite data',
+    },
+  };
+};
+
+/**
+ * /api/hotspot-details - Earth Engine style analysis of one hotspot
+ */
+export const hotspotDetailsFixture = ({ lat, lon, frp, confidence }) => {
+  const power = Number(frp) || 0;
+  const wildfire = power >= 20 || Number(confidence) >= 85;
+  const celsius = Math.round((32 + power * 0.6) * 10) / 10;
+
+  return {
+    lat: Number(lat),
+    lon: Number(lon),
+    satellite_source: 'Sentinel-2 (mock)',
+    acquisition_date: new Date(Date.now() - 86400000).toISOString().slice(0, 10),
+    cloud_coverage: 4.2,
+    satellite_image_url: satelliteTileDataUrl(lat, lon, wildfire),
+    temperature_data: {
+      temperature_celsius: celsius,
+      temperature_kelvin: Math.round((celsius + 273.15) * 10) / 10,
+    },
+    classification: wildfire
+      ? {
+        classification: 'Active Wildfire',
+        confidence_level: 'high',
+        reason: 'High fire radiative power over forested land cover',
+        indicators: ['Elevated surface temperature', 'Burn scar visible', 'Forest land cover'],
+      }
+      : {
+        classification: 'Agricultural Burning',
+        confidence_level: 'medium',
+        reason: 'Low fire radiative power on cropland',
+        indicators: ['Cropland land cover', 'Small, short-lived hotspot'],
+      },
+  };
+};
@@ -0,0 +1,300 @@
+/**
+ * Mock Backend
+ * An in-browser stand-in for the FastAPI backend. Requests addressed to
+ * MOCK_BASE_URL are answered here - through an axios adapter and a fetch
+ * look-alike - with fixture data in the real response shapes, including the
+ * SSE detection stream. Select the "Offline demo" backend profile, or build
+ * with VITE_MOCK_API=true, to run the dashboard with no network.
+ */
+
+import { AxiosError, CanceledError } from 'axios';
+import {
+  buildDetections,
+  cameraFrameSvg,
+  hashString,
+  hotspotDetailsFixture,
+  isFireScene,
+  looksLikeFire,
+  looksLikeSmoke,
+  satelliteAlertsFixture,
+} from './fixtures';
+
+export const MOCK_BASE_URL = 'http://mock.wildfire.local';
+
+export const isMockUrl = (url) => typeof url === 'string' && url.startsWith(MOCK_BASE_URL);
+
+// Tunables - tests turn the delays off, demos can force a stream drop to show resume
+const settings = {
+  latency: 250, // ms per request
+  frameInterval: 150, // ms between streamed frames
+  dropStreamAfterFrames: null, // drop the first connection of each job after N frames
+};
+
+/**
+ * Change mock behaviour, e.g. configureMockBackend({ latency: 0, frameInterval: 0 })
+ */
+export const configureMockBackend = (options) => Object.assign(settings, options);
+
+// Streaming jobs so a dropped stream can be resumed by id
+const jobs = new Map();
+
+const createJobId = () => `mock-job-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+const abortError = () => new DOMException('Aborted', 'AbortError');
+
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(abortError());
+    return;
+  }
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(abortError());
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const json = (body, status = 200, headers = {}) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'content-type': 'application/json', ...headers },
+});
+
+const uploadedFile = (body) => (body instanceof FormData ? body.get('file') : null);
+
+// ---- Detection -------------------------------------------------------------
+
+const detectImage = ({ body }) => {
+  const file = uploadedFile(body);
+  if (!file) return json({ detail: [{ msg: 'field required', loc: ['body', 'file'] }] }, 422);
+
+  const seed = hashString(`${file.name}:${file.size}`);
+  const detections = buildDetections({ fire: looksLikeFire(file.name), smoke: looksLikeSmoke(file.name), seed });
+  return json({ detections, has_fire: detections.length > 0 });
+};
+
+const detectFrame = ({ body }) => {
+  if (!body?.frame) return json({ detail: 'No frame provided' }, 422);
+
+  // The synthetic camera shows a fire for part of every minute - so does every other frame source
+  const fire = isFireScene();
+  const detections = buildDetections({ fire, smoke: fire, seed: hashString(String(Date.now() >> 10)) });
+  return json({ detections, has_fire: detections.length > 0 });
+};
+
+const detectSatellite = ({ body }) => {
+  const file = uploadedFile(body);
+  if (!file) return json({ detail: [{ msg: 'field required', loc: ['body', 'file'] }] }, 422);
+
+  const seed = hashString(`${file.name}:${file.size}`);
+  const wildfire = looksLikeFire(file.name) ? 0.82 + (seed % 15) / 100 : (seed % 30) / 100;
+  return json({ wildfire: Number(wildfire.toFixed(3)), nowildfire: Number((1 - wildfire).toFixed(3)) });
+};
+
+// ---- Streaming -------------------------------------------------------------
+
+const createJob = (file) => {
+  const totalFrames = Math.min(48, Math.max(12, Math.round(file.size / 200000)));
+  const fireStart = Math.floor(totalFrames * 0.4);
+  const job = {
+    id: createJobId(),
+    name: file.name,
+    totalFrames,
+    fire: looksLikeFire(file.name),
+    smoke: looksLikeSmoke(file.name),
+    fireFrames: [fireStart, fireStart + 3], // inclusive range with something to find
+    connections: 0,
+  };
+  jobs.set(job.id, job);
+  return job;
+};
+
+const frameEvent = (job, frame) => {
+  const inWindow = frame >= job.fireFrames[0] && frame <= job.fireFrames[1];
+  const detections = inWindow ? buildDetections({ fire: job.fire, smoke: job.smoke, seed: frame * 7 }) : [];
+  const payload = {
+    frame,
+    total_frames: job.totalFrames,
+    has_fire: detections.some(d => d.class === 'fire'),
+    detections,
+    timestamp: Number((frame / 10).toFixed(1)),
+  };
+  return `id: ${job.id}-${frame}\nevent: frame\ndata: ${JSON.stringify(payload)}\n\n`;
+};
+
+const summaryEvent = (job) => {
+  const fireFrames = job.fire ? job.fireFrames[1] - job.fireFrames[0] + 1 : 0;
+  return `event: summary\ndata: ${JSON.stringify({
+    total_frames: job.totalFrames,
+    frames_with_fire: fireFrames,
+    first_fire_frame: job.fire ? job.fireFrames[0] : null,
+  })}\n\n`;
+};
+
+const streamJob = (job, startFrame, signal) => {
+  const encoder = new TextEncoder();
+  const dropAfter = job.connections === 0 ? settings.dropStreamAfterFrames : null;
+  job.connections++;
+
+  let frame = startFrame;
+  let sent = 0;
+  let cancelled = false;
+
+  const body = new ReadableStream({
+    async pull(controller) {
+      try {
+        await delay(settings.frameInterval, signal);
+      } catch (error) {
+        controller.error(error);
+        return;
+      }
+      if (cancelled) return;
+
+      if (dropAfter != null && sent >= dropAfter) {
+        controller.error(new TypeError('network error (mock drop)'));
+        return;
+      }
+
+      if (frame >= job.totalFrames) {
+        controller.enqueue(encoder.encode(summaryEvent(job)));
+        controller.close();
+        return;
+      }
+
+      const heartbeat = sent > 0 && sent % 8 === 0 ? ': heartbeat\n\n' : '';
+      controller.enqueue(encoder.encode(heartbeat + frameEvent(job, frame)));
+      frame++;
+      sent++;
+    },
+    cancel() {
+      cancelled = true;
+    },
+  });
+
+  return new Response(body, {
+    status: 200,
+    headers: { 'content-type': 'text/event-stream', 'X-Job-Id': job.id },
+  });
+};
+
+const startStream = ({ body, query, signal }) => {
+  const file = uploadedFile(body);
+  if (!file) return json({ detail: [{ msg: 'field required', loc: ['body', 'file'] }] }, 422);
+
+  const startFrame = Number(query.get('start_frame') || body.get('start_frame') || 0);
+  return streamJob(createJob(file), startFrame, signal);
+};
+
+const resumeStream = ({ params, query, signal }) => {
+  const job = jobs.get(decodeURIComponent(params[0]));
+  if (!job) return json({ detail: 'Job not found' }, 404);
+
+  return streamJob(job, Number(query.get('start_frame') || 0), signal);
+};
+
+// ---- Routing ---------------------------------------------------------------
+
+const routes = [
+  { method: 'GET', path: /^\/health$/, handler: () => json({ status: 'ok', model_loaded: true, mock: true }) },
+  { method: 'POST', path: /^\/detect\/fire-smoke$/, handler: detectImage },
+  { method: 'POST', path: /^\/detect\/fire-smoke\/stream$/, handler: startStream },
+  { method: 'GET', path: /^\/detect\/fire-smoke\/stream\/([^/]+)$/, handler: resumeStream },
+  { method: 'POST', path: /^\/detect\/frame$/, handler: detectFrame },
+  { method: 'POST', path: /^\/detect\/satellite-fire$/, handler: detectSatellite },
+  { method: 'GET', path: /^\/satellite-alerts$/, handler: () => json(satelliteAlertsFixture()) },
+  {
+    method: 'GET',
+    path: /^\/api\/hotspot-details$/,
+    handler: ({ query }) => json(hotspotDetailsFixture(Object.fromEntries(query))),
+  },
+  {
+    method: 'POST',
+    path: /^\/proxy\/camera$/,
+    handler: () => new Response(cameraFrameSvg(), { headers: { 'content-type': 'image/svg+xml' } }),
+  },
+];
+
+const readBody = (body) => {
+  if (typeof body !== 'string') return body ?? null;
+  try {
+    return JSON.parse(body);
+  } catch {
+    return body;
+  }
+};
+
+/**
+ * fetch() look-alike for mock URLs
+ * @returns {Promise<Response>}
+ */
+export const mockFetch = async (input, init = {}) => {
+  const url = new URL(typeof input === 'string' ? input : input.url);
+  const method = (init.method || 'GET').toUpperCase();
+
+  await delay(settings.latency, init.signal);
+
+  const route = routes.find(r => r.method === method && r.path.test(url.pathname));
+  if (!route) {
+    return json({ detail: `Mock backend has no route for ${method} ${url.pathname}` }, 404);
+  }
+
+  console.log(`🧪 Mock ${method} ${url.pathname}`);
+  return route.handler({
+    url,
+    query: url.searchParams,
+    params: url.pathname.match(route.path).slice(1),
+    body: readBody(init.body),
+    signal: init.signal,
+  });
+};
+
+const readResponse = (response, contentType, responseType) => {
+  if (responseType === 'blob') return response.blob();
+  return contentType.includes('application/json') ? response.json() : response.text();
+};
+
+/**
+ * axios adapter that answers from mockFetch
+ */
+export const mockAxiosAdapter = async (config) => {
+  const base = config.baseURL.replace(/\/+$/, '');
+  const url = new URL(`${base}${config.url.startsWith('/') ? '' : '/'}${config.url}`);
+  Object.entries(config.params || {}).forEach(([key, value]) => url.searchParams.set(key, value));
+
+  let response;
+  try {
+    response = await mockFetch(url.toString(), { method: config.method, body: config.data, signal: config.signal });
+  } catch (error) {
+    if (error.name === 'AbortError') throw new CanceledError(null, config);
+    throw error;
+  }
+
+  if (config.onUploadProgress && config.data instanceof FormData) {
+    config.onUploadProgress({ loaded: 1, total: 1, progress: 1 });
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  const axiosResponse = {
+    data: await readResponse(response, contentType, config.responseType),
+    status: response.status,
+    statusText: response.statusText,
+    headers: Object.fromEntries(response.headers),
+    config,
+    request: null,
+  };
+
+  if (config.validateStatus && !config.validateStatus(response.status)) {
+    throw new AxiosError(
+      `Request failed with status code ${response.status}`,
+      response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+      config,
+      null,
+      axiosResponse
+    );
+  }
+
+  return axiosResponse;
+};
@@ -0,0 +1,115 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import backendProfiles, { DEFAULT_PROFILE_ID, MOCK_PROFILE_ID } from '../services/backendProfiles';
+import {
+  detectFireSmoke,
+  detectFireSmokeStreaming,
+  detectFrame,
+  detectSatelliteFire,
+  fetchCameraSnapshot,
+  getHealth,
+  getHotspotDetails,
+  getSatelliteAlerts,
+} from '../services/api';
+import { CancelledError, ClientError } from '../services/apiErrors';
+import { configureMockBackend } from './mockBackend';
+
+const video = (name) => new File([new Uint8Array(10)], name, { type: 'video/mp4' });
+
+const runStream = (file, options) => new Promise((resolve) => {
+  const frames = [];
+  detectFireSmokeStreaming(
+    file,
+    (data) => frames.push(data),
+    () => resolve({ frames }),
+    (error) => resolve({ frames, error }),
+    options
+  );
+});
+
+beforeAll(() => {
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  configureMockBackend({ latency: 0, frameInterval: 0 });
+  backendProfiles.setActive(MOCK_PROFILE_ID);
+});
+
+afterEach(() => {
+  configureMockBackend({ dropStreamAfterFrames: null });
+});
+
+afterAll(() => {
+  backendProfiles.setActive(DEFAULT_PROFILE_ID);
+  vi.restoreAllMocks();
+});
+
+describe('mock backend', () => {
+  it('answers the health probe', async () => {
+    const { data } = await getHealth();
+    expect(data).toMatchObject({ status: 'ok', mock: true });
+  });
+
+  it('finds fire in files named like fire footage', async () => {
+    const fire = await detectFireSmoke(new File(['x'], 'forest-fire.jpg', { type: 'image/jpeg' }));
+    const clear = await detectFireSmoke(new File(['x'], 'meadow.jpg', { type: 'image/jpeg' }));
+
+    expect(fire.detections[0]).toMatchObject({ class: 'fire' });
+    expect(fire.detections[0].bbox).toHaveLength(4);
+    expect(clear.detections).toEqual([]);
+  });
+
+  it('returns frame, satellite and hotspot responses in the backend shape', async () => {
+    const frame = await detectFrame('data:image/jpeg;base64,AAAA');
+    expect(frame).toHaveProperty('has_fire');
+    expect(Array.isArray(frame.detections)).toBe(true);
+
+    const tile = await detectSatelliteFire(new File(['x'], 'wildfire-tile.png', { type: 'image/png' }));
+    expect(tile.wildfire).toBeGreaterThan(0.5);
+
+    const alerts = await getSatelliteAlerts();
+    expect(alerts.count).toBe(alerts.alerts.length);
+    expect(alerts.verification_stats.total_hotspots).toBeGreaterThan(0);
+
+    const details = await getHotspotDetails(22.3, 78.4, null, 48.6, 92);
+    expect(details.classification.classification).toBe('Active Wildfire');
+    expect(details.satellite_image_url).toMatch(/^data:image\/svg\+xml/);
+  });
+
+  it('validates requests like the real backend', async () => {
+    await expect(detectFrame('')).rejects.toBeInstanceOf(ClientError);
+  });
+
+  it('streams every frame and a summary', async () => {
+    const { frames, error } = await runStream(video('wildfire-clip.mp4'));
+
+    expect(error).toBeUndefined();
+    expect(frames.map(f => f.frame)).toEqual([...Array(12).keys()]);
+    expect(frames.some(f => f.has_fire)).toBe(true);
+  });
+
+  it('resumes a dropped stream from the job without losing frames', async () => {
+    configureMockBackend({ dropStreamAfterFrames: 5 });
+    const onReconnect = vi.fn();
+
+    const { frames, error } = await runStream(video('clip.mp4'), { onReconnect });
+
+    expect(error).toBeUndefined();
+    expect(onReconnect).toHaveBeenCalledTimes(1);
+    expect(frames.map(f => f.frame)).toEqual([...Array(12).keys()]);
+  });
+
+  it('honours cancellation', async () => {
+    configureMockBackend({ latency: 50 });
+    const controller = new AbortController();
+    const pending = detectFireSmoke(new File(['x'], 'a.jpg'), { signal: controller.signal });
+    controller.abort();
+
+    await expect(pending).rejects.toBeInstanceOf(CancelledError);
+    configureMockBackend({ latency: 0 });
+  });
+
+  it('serves synthetic camera frames through the proxy', async () => {
+    const frame = await fetchCameraSnapshot({ url: 'http://192.168.1.10:8080/shot.jpg', authorization: null });
+    expect(frame.type).toBe('image/svg+xml');
+    expect(await frame.text()).toContain('MOCK CAM');
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Alert Policy
+ * When live camera detections become an alert: the confirmation policy every
+ * camera's IncidentTracker follows (see utils/incidentTracker). Persisted in
+ * localStorage; anything missing or invalid falls back to DEFAULT_POLICY.
+ */
+
+import { DEFAULT_POLICY } from '../utils/incidentTracker';
+
+const STORAGE_KEY = 'wildfire-alert-policy';
+
+const clamp = (value, min, max, fallback) => {
+  const number = Number(value);
+  if (value === '' || value === null || !Number.isFinite(number)) return fallback;
+  return Math.min(max, Math.max(min, number));
+};
+
+/**
+ * Fill in and clamp a policy, e.g. from form strings or old saved data
+ */
+export const normalizePolicy = (policy = {}) => {
+  const frameWindow = Math.round(clamp(policy.frameWindow, 1, 30, DEFAULT_POLICY.frameWindow));
+  return {
+    frameWindow,
+    framesRequired: Math.round(clamp(policy.framesRequired, 1, frameWindow, Math.min(DEFAULT_POLICY.framesRequired, frameWindow))),
+    minConfidence: clamp(policy.minConfidence, 0, 1, DEFAULT_POLICY.minConfidence),
+    minBoxArea: clamp(policy.minBoxArea, 0, 1, DEFAULT_POLICY.minBoxArea),
+    cooldown: clamp(policy.cooldown, 0, 24 * 60 * 60 * 1000, DEFAULT_POLICY.cooldown),
+    incidentTimeout: clamp(policy.incidentTimeout, 1000, 24 * 60 * 60 * 1000, DEFAULT_POLICY.incidentTimeout),
+  };
+};
+
+export class AlertPolicyStore {
+  constructor(storage = globalThis.localStorage) {
+    this.storage = storage;
+    this.listeners = new Set();
+    this.policy = this.load();
+  }
+
+  load() {
+    try {
+      return normalizePolicy(JSON.parse(this.storage?.getItem(STORAGE_KEY) || 'null') || {});
+    } catch (error) {
+      console.warn('⚠️ Ignoring unreadable alert policy:', error);
+      return normalizePolicy();
+    }
+  }
+
+  save() {
+    try {
+      this.storage?.setItem(STORAGE_KEY, JSON.stringify(this.policy));
+    } catch (error) {
+      console.warn('⚠️ Could not save the alert policy:', error);
+    }
+  }
+
+  /**
+   * Subscribe to policy changes (useSyncExternalStore compatible)
+   */
+  subscribe = (listener) => {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  };
+
+  /**
+   * Current policy - a new object on every change
+   */
+  getSnapshot = () => this.policy;
+
+  update(patch) {
+    this.policy = normalizePolicy({ ...this.policy, ...patch });
+    this.save();
+    this.listeners.forEach(listener => listener());
+  }
+
+  reset() {
+    this.update(DEFAULT_POLICY);
+  }
+}
+
+// Create singleton instance
+const alertPolicy = new AlertPolicyStore();
+
+export default alertPolicy;
@@ -0,0 +1,52 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { AlertPolicyStore, normalizePolicy } from './alertPolicy';
+import { DEFAULT_POLICY } from '../utils/incidentTracker';
+
+const memoryStorage = () => {
+  const data = new Map();
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+  };
+};
+
+let storage;
+
+beforeEach(() => {
+  storage = memoryStorage();
+});
+
+describe('normalizePolicy', () => {
+  it('fills in defaults', () => {
+    expect(normalizePolicy()).toEqual(DEFAULT_POLICY);
+  });
+
+  it('clamps out of range values and never needs more frames than the window', () => {
+    expect(normalizePolicy({ frameWindow: '4', framesRequired: 9, minConfidence: 1.5, cooldown: -5, incidentTimeout: 'soon' }))
+      .toMatchObject({ frameWindow: 4, framesRequired: 4, minConfidence: 1, cooldown: 0, incidentTimeout: DEFAULT_POLICY.incidentTimeout });
+  });
+});
+
+describe('AlertPolicyStore', () => {
+  it('saves changes and notifies subscribers', () => {
+    const store = new AlertPolicyStore(storage);
+    let notified = 0;
+    store.subscribe(() => notified++);
+
+    store.update({ framesRequired: 2, cooldown: 30000 });
+    expect(notified).toBe(1);
+    expect(new AlertPolicyStore(storage).getSnapshot()).toMatchObject({ framesRequired: 2, cooldown: 30000 });
+  });
+
+  it('goes back to the defaults', () => {
+    const store = new AlertPolicyStore(storage);
+    store.update({ minConfidence: 0.9 });
+    store.reset();
+    expect(store.getSnapshot()).toEqual(DEFAULT_POLICY);
+  });
+
+  it('ignores unreadable saved data', () => {
+    storage.setItem('wildfire-alert-policy', '{oops');
+    expect(new AlertPolicyStore(storage).getSnapshot()).toEqual(DEFAULT_POLICY);
+  });
+});
@@ -1,119 +1,498 @@
 import axios from 'axios';
+import SSEParser from '../utils/sseParser';
+import { CancelledError, NetworkError, TimeoutError, ApiError, errorFromResponse, fromFetchFailure, toApiError } from './apiErrors';
+import backendProfiles from './backendProfiles';
+import { isMockUrl, mockAxiosAdapter, mockFetch } from '../mocks/mockBackend';
+import { blobToDataUrl } from '../utils/frameEncoding';
 
-const API_BASE_URL = import.meta.env.VITE_API_URL || 'https://wildfire-backend-4.onrender.com';
+// Timeouts (ms) - overridable per deployment, e.g. a slow free-tier backend
+const API_TIMEOUT = Number(import.meta.env.VITE_API_TIMEOUT) || 30000;
+const UPLOAD_TIMEOUT = Number(import.meta.env.VITE_UPLOAD_TIMEOUT) || 120000;
+export const FRAME_TIMEOUT = Number(import.meta.env.VITE_FRAME_TIMEOUT) || 10000;
+const STREAM_IDLE_TIMEOUT = Number(import.meta.env.VITE_STREAM_IDLE_TIMEOUT) || 60000;
+const HEALTH_TIMEOUT = Number(import.meta.env.VITE_HEALTH_TIMEOUT) || 15000;
 
+// Retry policy for idempotent requests (GET/HEAD)
+const GET_MAX_RETRIES = 2;
+const GET_BASE_RETRY_DELAY = 1000; // ms, doubled on each attempt
+
+// No default Content-Type: axios picks multipart for FormData and JSON for objects
 const api = axios.create({
-  baseURL: API_BASE_URL,
-  headers: {
-    'Content-Type': 'multipart/form-data',
-  },
+  baseURL: backendProfiles.getActiveProfile().url,
+  timeout: API_TIMEOUT,
 });
 
-export const detectFireSmoke = async (file) => {
-  const formData = new FormData();
-  formData.append('file', file);
-  
-  const response = await api.post('/detect/fire-smoke', formData);
+// Follow the backend profile selected in settings
+backendProfiles.subscribe(() => {
+  api.defaults.baseURL = backendProfiles.getActiveProfile().url;
+});
+
+// The offline demo profile is answered in the browser
+api.interceptors.request.use((config) => {
+  if (isMockUrl(config.baseURL)) {
+    config.adapter = mockAxiosAdapter;
+  }
+  return config;
+});
+
+// fetch() for the streaming endpoints, with the same mock routing
+const backendFetch = (url, init) => (isMockUrl(url) ? mockFetch(url, init) : fetch(url, init))
+  .catch((error) => { throw fromFetchFailure(error); });
+
+// Resolve after `ms`, or reject early if the (optional) signal aborts
+const waitWithSignal = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new CancelledError());
+    return;
+  }
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new CancelledError());
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Retry idempotent requests on retryable failures, then turn every error into a typed ApiError
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const apiError = toApiError(error);
+    const config = error.config;
+    const method = (config?.method || 'get').toLowerCase();
+    const maxRetries = config?.retries ?? (method === 'get' || method === 'head' ? GET_MAX_RETRIES : 0);
+
+    if (!config || !apiError.retryable || config.signal?.aborted) {
+      throw apiError;
+    }
+
+    config.retryCount = (config.retryCount || 0) + 1;
+    if (config.retryCount > maxRetries) {
+      throw apiError;
+    }
+
+    const delay = GET_BASE_RETRY_DELAY * 2 ** (config.retryCount - 1) * (1 + Math.random() * 0.2);
+    console.warn(`🔁 ${method.toUpperCase()} ${config.url} failed (${apiError.code}), retry ${config.retryCount}/${maxRetries} in ${Math.round(delay)}ms`);
+    await waitWithSignal(delay, config.signal);
+    return api.request(config);
+  }
+);
+
+/**
+ * Base URL of the backend currently in use
+ */
+export const getApiBaseUrl = () => api.defaults.baseURL;
+
+/**
+ * Absolute URL for a backend path, e.g. an image path returned by the API
+ */
+export const getApiUrl = (path) => {
+  if (!path || /^(https?:|data:|blob:)/.test(path)) return path;
+  return `${getApiBaseUrl()}${path.startsWith('/') ? '' : '/'}${path}`;
+};
+
+/**
+ * A snapshot from an IP camera, relayed through the backend (avoids CORS and
+ * mixed content). The request goes in the POST body, so the camera's
+ * credentials never appear in a URL. Not retried - the next poll is the retry
+ *
+ * @param {{url: string, authorization: string|null}} request - utils/cameraSources buildSnapshotRequest
+ * @param {Object} options - Optional { signal, timeout }
+ * @returns {Promise<Blob>}
+ */
+export const fetchCameraSnapshot = async (request, { signal, timeout = FRAME_TIMEOUT } = {}) => {
+  const response = await api.post('/proxy/camera', request, { responseType: 'blob', signal, timeout, retries: 0 });
   return response.data;
 };
 
-export const detectFireSmokeStreaming = async (file, onFrameDetection, onComplete, onError) => {
-  /**
-   * STREAMING DETECTION - Real-time frame-by-frame alerts!
-   * Calls onFrameDetection immediately when fire is detected in ANY frame.
-   * 
-   * @param {File} file - The video/image file to analyze
-   * @param {Function} onFrameDetection - Callback for each frame: (frameData) => {}
-   * @param {Function} onComplete - Callback when done: () => {}
-   * @param {Function} onError - Callback for errors: (error) => {}
-   */
-  
-  // First, upload the file
+/**
+ * Open a continuous camera stream (MJPEG) through the backend proxy, like
+ * fetchCameraSnapshot. The proxy must stream the response through
+ *
+ * @param {{url: string, authorization: string|null}} request - utils/cameraSources buildStreamRequest
+ * @param {Object} options - Optional { signal }
+ * @returns {Promise<ReadableStream<Uint8Array>>} the camera's response body
+ */
+export const openCameraStream = async (request, { signal } = {}) => {
+  const response = await backendFetch(`${getApiBaseUrl()}/proxy/camera`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(request),
+    signal,
+  });
+  if (!response.ok) throw await errorFromResponse(response);
+  return response.body;
+};
+
+/**
+ * Send a command to an IP camera through the backend proxy, e.g. a PTZ move.
+ * Never retried - a move repeated late would leave the camera somewhere else
+ *
+ * @param {{url: string, authorization: string|null}} request - Command on the camera (utils/ptz buildPtzRequest)
+ * @param {Object} options - Optional { signal, timeout }
+ */
+export const sendCameraCommand = async (request, { signal, timeout = FRAME_TIMEOUT } = {}) => {
+  await api.post('/proxy/camera', request, {
+    responseType: 'text',
+    signal,
+    timeout,
+    retries: 0,
+  });
+};
+
+/**
+ * Backend liveness probe - never retried, the health monitor polls instead
+ *
+ * @param {Object} options - Optional { signal, timeout, baseURL }; baseURL probes a backend other than the active one
+ * @returns {Promise<{ data: Object, latency: number }>} /health body and round-trip time in ms
+ */
+export const getHealth = async ({ signal, timeout = HEALTH_TIMEOUT, baseURL } = {}) => {
+  const started = Date.now();
+  const response = await api.get('/health', { signal, timeout, retries: 0, ...(baseURL && { baseURL }) });
+  return { data: response.data, latency: Date.now() - started };
+};
+
+/**
+ * Fire & smoke detection for a single image
+ *
+ * @param {File} file - The image file to analyze
+ * @param {Object} options - Optional { signal, onProgress, timeout } where onProgress receives upload progress (0-1)
+ */
+export const detectFireSmoke = async (file, { signal, onProgress, timeout = UPLOAD_TIMEOUT } = {}) => {
   const formData = new FormData();
   formData.append('file', file);
-  
-  try {
-    const uploadResponse = await api.post('/detect/fire-smoke/stream', formData, {
-      responseType: 'text',
-      headers: {
-        'Accept': 'text/event-stream',
+
+  const response = await api.post('/detect/fire-smoke', formData, {
+    signal,
+    timeout,
+    onUploadProgress: (event) => {
+      if (onProgress && event.total) {
+        onProgress(event.loaded / event.total);
+      }
+    },
+  });
+  return response.data;
+};
+
+// Reconnect policy for dropped detection streams
+const STREAM_MAX_RETRIES = 5;
+const STREAM_BASE_RETRY_DELAY = 1000; // ms, doubled on each attempt
+const STREAM_MAX_RETRY_DELAY = 30000; // ms
+
+// Read the next chunk, failing if the server goes quiet (heartbeats count as activity)
+const readWithTimeout = (reader, ms) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new TimeoutError('The detection stream stopped responding.')), ms);
+  });
+  const read = reader.read().catch((error) => { throw fromFetchFailure(error); });
+  return Promise.race([read, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * STREAMING DETECTION - Real-time frame-by-frame alerts!
+ * Calls onFrameDetection immediately when fire is detected in ANY frame.
+ * Returns straight away with a handle; call handle.abort() to cancel the
+ * upload and stop reading the stream. After abort no callback fires again.
+ *
+ * The backend may send typed events (`progress`, `frame`, `summary`, `error`)
+ * or plain `data:` messages with `done` / `error` flags; both are understood.
+ * SSE comments are treated as heartbeats.
+ *
+ * If the connection drops the stream is resumed with exponential backoff from
+ * the last processed frame. When the backend identifies the run (an `X-Job-Id`
+ * header or a `job` event) the resume is a GET on that job and the video is not
+ * uploaded again; otherwise the file is re-posted with `start_frame`. The
+ * `Last-Event-ID` header is sent either way, and frames already delivered are
+ * never passed to onFrameDetection twice.
+ *
+ * @param {File} file - The video/image file to analyze
+ * @param {Function} onFrameDetection - Callback for each frame: (frameData) => {}
+ * @param {Function} onComplete - Callback when done: () => {}
+ * @param {Function} onError - Callback for errors: (apiError) => {}; error.resumeState allows a later resume
+ * @param {Object} options - Optional { signal, onProgress, onSummary, onHeartbeat, onReconnect, resumeFrom, maxRetries, idleTimeout }
+ * @returns {{ abort: Function, signal: AbortSignal, getResumeState: Function, done: Promise<{ aborted: boolean }> }}
+ */
+export const detectFireSmokeStreaming = (file, onFrameDetection, onComplete, onError, {
+  signal,
+  onProgress,
+  onSummary,
+  onHeartbeat,
+  onReconnect,
+  resumeFrom = null,
+  maxRetries = STREAM_MAX_RETRIES,
+  idleTimeout = STREAM_IDLE_TIMEOUT,
+} = {}) => {
+  const controller = new AbortController();
+
+  // Follow the caller's signal if one was given
+  if (signal) {
+    if (signal.aborted) {
+      controller.abort();
+    } else {
+      signal.addEventListener('abort', () => controller.abort(), { once: true });
+    }
+  }
+
+  const isAborted = () => controller.signal.aborted;
+  let finished = false;
+
+  // Where to pick up after a drop
+  const resume = {
+    jobId: resumeFrom?.jobId || null,
+    lastFrame: resumeFrom?.lastFrame ?? null,
+    lastEventId: resumeFrom?.lastEventId || '',
+    totalFrames: resumeFrom?.totalFrames ?? null,
+  };
+  const seenFrames = new Set();
+  let retryDelay = STREAM_BASE_RETRY_DELAY;
+  let receivedSinceConnect = false;
+
+  const getResumeState = () => ({ ...resume });
+
+  const complete = () => {
+    if (finished || isAborted()) return;
+    finished = true;
+    onComplete && onComplete();
+  };
+
+  const fail = (error) => {
+    if (finished || isAborted()) return;
+    finished = true;
+    error.resumeState = getResumeState();
+    onError && onError(error);
+  };
+
+  // Remember how far the stream got; returns false for frames already delivered
+  const trackFrame = (payload) => {
+    if (payload?.job_id) resume.jobId = payload.job_id;
+    if (payload?.total_frames) resume.totalFrames = payload.total_frames;
+    if (typeof payload?.frame !== 'number') return true;
+
+    if (seenFrames.has(payload.frame) || (resumeFrom?.lastFrame != null && payload.frame <= resumeFrom.lastFrame)) {
+      return false;
+    }
+    seenFrames.add(payload.frame);
+    resume.lastFrame = Math.max(resume.lastFrame ?? -1, payload.frame);
+    return true;
+  };
+
+  // Route one parsed SSE event to the matching callback
+  const handleEvent = ({ type, data, id }) => {
+    if (finished || isAborted()) return;
+
+    receivedSinceConnect = true;
+    if (id) resume.lastEventId = id;
+
+    let payload = null;
+    try {
+      payload = JSON.parse(data);
+    } catch (e) {
+      if (type !== 'error') {
+        console.error('Error parsing frame data:', e);
+        return;
+      }
+    }
+    // `data: null`, a bare number or a list - nothing an event handler below can read
+    if (type !== 'error' && (payload === null || typeof payload !== 'object' || Array.isArray(payload))) {
+      console.error(`Ignoring a ${type} event that is not an object:`, data);
+      return;
+    }
+
+    switch (type) {
+      case 'job':
+        resume.jobId = payload.job_id || payload.id || resume.jobId;
+        break;
+      case 'progress':
+        trackFrame({ ...payload, frame: undefined });
+        onProgress && onProgress(payload);
+        break;
+      case 'frame':
+        if (trackFrame(payload)) {
+          onFrameDetection && onFrameDetection(payload);
+        }
+        break;
+      case 'summary':
+        onSummary && onSummary(payload);
+        complete();
+        break;
+      case 'error':
+        fail(new ApiError(payload?.error || payload?.message || data, { code: 'STREAM_ERROR' }));
+        break;
+      case 'message':
+        // Untyped events - older backends flag completion and errors in the payload
+        if (payload.done) {
+          complete();
+        } else if (payload.error) {
+          fail(new ApiError(payload.error, { code: 'STREAM_ERROR' }));
+        } else if (trackFrame(payload)) {
+          // Call callback immediately for this frame!
+          onFrameDetection && onFrameDetection(payload);
+        }
+        break;
+      default:
+        console.warn('⚠️ Unknown stream event type:', type);
+    }
+  };
+
+  // Open one connection (fresh upload, or resume) and read it until it ends
+  const openStream = async () => {
+    receivedSinceConnect = false;
+
+    const headers = { 'Accept': 'text/event-stream' };
+    if (resume.lastEventId) {
+      headers['Last-Event-ID'] = resume.lastEventId;
+    }
+
+    const startFrame = resume.lastFrame != null ? resume.lastFrame + 1 : null;
+    let response;
+
+    if (resume.jobId && startFrame != null) {
+      // The server still has the upload - just reattach to the job
+      response = await backendFetch(
+        `${getApiBaseUrl()}/detect/fire-smoke/stream/${encodeURIComponent(resume.jobId)}?start_frame=${startFrame}`,
+        { headers, signal: controller.signal }
+      );
+    } else {
+      const formData = new FormData();
+      formData.append('file', file);
+
+      let url = `${getApiBaseUrl()}/detect/fire-smoke/stream`;
+      if (startFrame != null) {
+        formData.append('start_frame', startFrame);
+        url += `?start_frame=${startFrame}`;
+      }
+
+      // Use fetch for file upload and streaming
+      response = await backendFetch(url, {
+        method: 'POST',
+        body: formData,
+        headers,
+        signal: controller.signal,
+      });
+    }
+
+    if (!response.ok) {
+      throw await errorFromResponse(response);
+    }
+
+    resume.jobId = response.headers.get('X-Job-Id') || resume.jobId;
+
+    // Read the stream
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const parser = new SSEParser({
+      onEvent: handleEvent,
+      onComment: (text) => onHeartbeat && onHeartbeat(text),
+      onRetry: (ms) => {
+        retryDelay = ms;
       },
-      // Don't use axios for streaming, we'll use EventSource instead
-      adapter: async (config) => {
-        // Upload file first
-        const uploadFormData = new FormData();
-        uploadFormData.append('file', file);
-        
-        const uploadUrl = `${API_BASE_URL}/detect/fire-smoke/stream`;
-        
-        // Use fetch for file upload and streaming
-        const response = await fetch(uploadUrl, {
-          method: 'POST',
-          body: uploadFormData,
-        });
-
-        if (!response.ok) {
-          throw new Error(`HTTP error! status: ${response.status}`);
+    });
+
+    try {
+      while (!finished && !isAborted()) {
+        const { done, value } = await readWithTimeout(reader, idleTimeout);
+
+        if (done) {
+          parser.feed(decoder.decode());
+          parser.end();
+          return;
+        }
+
+        parser.feed(decoder.decode(value, { stream: true }));
+      }
+    } finally {
+      // Stop the server from sending more frames once we are no longer listening
+      reader.cancel().catch(() => {});
+    }
+  };
+
+  const run = async () => {
+    let attempt = 0;
+
+    while (!finished && !isAborted()) {
+      try {
+        await openStream();
+        if (finished || isAborted()) break;
+
+        // Closed without done/summary - only a drop if we know frames are missing
+        const framesMissing = resume.totalFrames != null && (resume.lastFrame ?? -1) < resume.totalFrames - 1;
+        if (!framesMissing) {
+          complete();
+          break;
         }
 
-        // Read the stream
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-        let buffer = '';
-
-        while (true) {
-          const { done, value } = await reader.read();
-          
-          if (done) {
-            onComplete && onComplete();
-            break;
-          }
-
-          // Decode the chunk
-          buffer += decoder.decode(value, { stream: true });
-          
-          // Process complete events (separated by \n\n)
-          const events = buffer.split('\n\n');
-          buffer = events.pop() || ''; // Keep incomplete event in buffer
-
-          for (const event of events) {
-            if (event.startsWith('data: ')) {
-              const data = event.substring(6); // Remove 'data: ' prefix
-              try {
-                const frameData = JSON.parse(data);
-                
-                if (frameData.done) {
-                  onComplete && onComplete();
-                } else if (frameData.error) {
-                  onError && onError(new Error(frameData.error));
-                } else {
-                  // Call callback immediately for this frame!
-                  onFrameDetection && onFrameDetection(frameData);
-                }
-              } catch (e) {
-                console.error('Error parsing frame data:', e);
-              }
-            }
-          }
+        throw new NetworkError('The detection stream closed before all frames were processed.', { code: 'STREAM_DROPPED' });
+      } catch (caught) {
+        if (finished || isAborted()) break;
+
+        const error = toApiError(caught);
+
+        // A connection that delivered events earns a fresh set of retries
+        if (receivedSinceConnect) attempt = 0;
+
+        if (!error.retryable || attempt >= maxRetries) {
+          console.error('Streaming detection error:', error);
+          fail(error);
+          break;
         }
 
-        return { data: { success: true } };
+        attempt++;
+        const delay = Math.min(STREAM_MAX_RETRY_DELAY, retryDelay * 2 ** (attempt - 1)) * (1 + Math.random() * 0.2);
+        console.warn(`🔌 Stream for ${file.name} dropped at frame ${resume.lastFrame ?? 0}, retry ${attempt}/${maxRetries} in ${Math.round(delay)}ms`, error);
+        onReconnect && onReconnect({ attempt, maxRetries, delay, lastFrame: resume.lastFrame });
+
+        try {
+          await waitWithSignal(delay, controller.signal);
+        } catch {
+          break; // Aborted while waiting
+        }
       }
-    });
+    }
 
-    return { success: true };
-  } catch (error) {
-    console.error('Streaming detection error:', error);
-    onError && onError(error);
-    throw error;
-  }
+    if (isAborted()) {
+      console.log('🛑 Streaming detection aborted:', file.name);
+    }
+    return { aborted: isAborted() };
+  };
+
+  return {
+    abort: () => controller.abort(),
+    signal: controller.signal,
+    getResumeState,
+    done: run(),
+  };
 };
 
-export const detectSatelliteFire = async (file) => {
+/**
+ * Fire & smoke detection for one live camera frame over HTTP
+ * Live views normally use the WebSocket in frameChannel.js, which falls back to this.
+ *
+ * @param {Blob|string} frame - The encoded frame, or a JPEG data URL; sent as a data URL in JSON
+ * @param {Object} options - Optional { signal, timeout }; frames are never retried, the next one replaces them
+ */
+export const detectFrame = async (frame, { signal, timeout = FRAME_TIMEOUT } = {}) => {
+  const body = { frame: frame instanceof Blob ? await blobToDataUrl(frame) : frame };
+  const response = await api.post('/detect/frame', body, { signal, timeout });
+  return response.data;
+};
+
+export const detectSatelliteFire = async (file, { signal, timeout = UPLOAD_TIMEOUT } = {}) => {
   const formData = new FormData();
   formData.append('file', file);
   
-  const response = await api.post('/detect/satellite-fire', formData);
+  const response = await api.post('/detect/satellite-fire', formData, { signal, timeout });
+  return response.data;
+};
+
+/**
+ * Active satellite fire alerts (NASA FIRMS) for the live map
+ */
+export const getSatelliteAlerts = async ({ signal } = {}) => {
+  const response = await api.get('/satellite-alerts', { signal });
   return response.data;
 };
 
@@ -126,12 +505,12 @@ export const detectSatelliteFire = async (file) => {
  * @param {string} date - Optional date in YYYY-MM-DD format
  * @returns {Promise} Hotspot details with satellite imagery and temperature
  */
-export const getHotspotDetails = async (lat, lon, date = null, frp = null, confidence = null) => {
+export const getHotspotDetails = async (lat, lon, date = null, frp = null, confidence = null, { signal } = {}) => {
   const params = new URLSearchParams({ lat, lon });
   if (date) params.append('date', date);
   if (frp) params.append('frp', frp);
   if (confidence) params.append('confidence', confidence);
   
-  const response = await axios.get(`${API_BASE_URL}/api/hotspot-details?${params.toString()}`);
+  const response = await api.get(`/api/hotspot-details?${params.toString()}`, { signal });
   return response.data;
 };
@@ -0,0 +1,185 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { detectFireSmokeStreaming } from './api';
+import { ClientError, NetworkError } from './apiErrors';
+
+// Build a fetch Response whose body emits the given chunks, optionally failing afterwards
+const streamResponse = (chunks, { failAfter = false, headers = {} } = {}) => {
+  const encoder = new TextEncoder();
+  const queue = [...chunks];
+  const body = new ReadableStream({
+    // Pull one chunk at a time so a simulated drop happens after earlier chunks were read
+    pull(controller) {
+      if (queue.length > 0) {
+        controller.enqueue(encoder.encode(queue.shift()));
+      } else if (failAfter) {
+        controller.error(new TypeError('network error'));
+      } else {
+        controller.close();
+      }
+    },
+  });
+  return new Response(body, { status: 200, headers });
+};
+
+const frame = (n, total = 3) => `data: ${JSON.stringify({ frame: n, total_frames: total, has_fire: false, detections: [] })}\n\n`;
+
+const runStream = (options = {}) => new Promise((resolve) => {
+  const frames = [];
+  const handle = detectFireSmokeStreaming(
+    new File(['video'], 'clip.mp4', { type: 'video/mp4' }),
+    (data) => frames.push(data.frame),
+    () => resolve({ frames, completed: true, handle }),
+    (error) => resolve({ frames, error, handle }),
+    options
+  );
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe('detectFireSmokeStreaming', () => {
+  it('delivers typed and untyped events and completes on summary', async () => {
+    const fetchMock = vi.fn().mockResolvedValue(streamResponse([
+      'event: progress\ndata: {"frame":0,"total_frames":2}\n\n',
+      'event: frame\ndata: {"frame":0,"total_frames":2}\n\n',
+      ': keep-alive\n\n',
+      frame(1, 2),
+      'event: summary\ndata: {"frames_with_fire":0}\n\n',
+    ]));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const onProgress = vi.fn();
+    const onSummary = vi.fn();
+    const onHeartbeat = vi.fn();
+    const result = await runStream({ onProgress, onSummary, onHeartbeat });
+
+    expect(result.completed).toBe(true);
+    expect(result.frames).toEqual([0, 1]);
+    expect(onProgress).toHaveBeenCalledWith({ frame: 0, total_frames: 2 });
+    expect(onSummary).toHaveBeenCalledWith({ frames_with_fire: 0 });
+    expect(onHeartbeat).toHaveBeenCalledWith('keep-alive');
+  });
+
+  it('resumes a dropped job without re-uploading and skips repeated frames', async () => {
+    vi.useFakeTimers();
+    const fetchMock = vi.fn()
+      .mockResolvedValueOnce(streamResponse(
+        ['id: e1\n' + frame(0), 'id: e2\n' + frame(1)],
+        { failAfter: true, headers: { 'X-Job-Id': 'job-42' } }
+      ))
+      .mockResolvedValueOnce(streamResponse([frame(1), frame(2), 'data: {"done":true}\n\n']));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const onReconnect = vi.fn();
+    const pending = runStream({ onReconnect });
+    await vi.runAllTimersAsync();
+    const result = await pending;
+
+    expect(result.completed).toBe(true);
+    expect(result.frames).toEqual([0, 1, 2]);
+    expect(onReconnect).toHaveBeenCalledTimes(1);
+
+    const [url, init] = fetchMock.mock.calls[1];
+    expect(url).toMatch(/\/detect\/fire-smoke\/stream\/job-42\?start_frame=2$/);
+    expect(init.method).toBeUndefined();
+    expect(init.headers['Last-Event-ID']).toBe('e2');
+  });
+
+  it('re-posts with start_frame when the backend gives no job id', async () => {
+    vi.useFakeTimers();
+    const fetchMock = vi.fn()
+      .mockResolvedValueOnce(streamResponse([frame(0)]))
+      .mockResolvedValueOnce(streamResponse([frame(1), frame(2)]));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const pending = runStream();
+    await vi.runAllTimersAsync();
+    const result = await pending;
+
+    expect(result.completed).toBe(true);
+    expect(result.frames).toEqual([0, 1, 2]);
+
+    const [url, init] = fetchMock.mock.calls[1];
+    expect(url).toMatch(/\/detect\/fire-smoke\/stream\?start_frame=1$/);
+    expect(init.method).toBe('POST');
+    expect(init.body.get('start_frame')).toBe('1');
+  });
+
+  it('skips events whose data is not an object instead of reconnecting', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const fetchMock = vi.fn().mockResolvedValue(streamResponse([
+      'data: null\n\n',
+      'data: 42\n\n',
+      'event: frame\ndata: null\n\n',
+      frame(0, 1),
+      'event: summary\ndata: {"frames_with_fire":0}\n\n',
+    ]));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await runStream();
+
+    expect(result.completed).toBe(true);
+    expect(result.frames).toEqual([0]);
+    expect(fetchMock).toHaveBeenCalledOnce();
+  });
+
+  it('does not reconnect when a callback throws', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const fetchMock = vi.fn().mockResolvedValue(streamResponse([frame(0, 2), frame(1, 2)]));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const onError = vi.fn();
+    const handle = detectFireSmokeStreaming(new File(['v'], 'v.mp4'), () => {
+      throw new TypeError("Cannot read properties of undefined (reading 'length')");
+    }, vi.fn(), onError);
+    await handle.done;
+
+    expect(onError).toHaveBeenCalledOnce();
+    expect(onError.mock.calls[0][0]).not.toBeInstanceOf(NetworkError);
+    expect(fetchMock).toHaveBeenCalledOnce();
+  });
+
+  it('gives up after the retry budget and reports where it stopped', async () => {
+    vi.useFakeTimers();
+    const fetchMock = vi.fn()
+      .mockResolvedValueOnce(streamResponse([frame(0)], { failAfter: true }))
+      .mockRejectedValue(new TypeError('Failed to fetch'));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const pending = runStream({ maxRetries: 2 });
+    await vi.runAllTimersAsync();
+    const result = await pending;
+
+    expect(result.error).toBeInstanceOf(NetworkError);
+    expect(result.error.resumeState.lastFrame).toBe(0);
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+  });
+
+  it('does not retry client errors', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(new Response('bad', { status: 422 })));
+
+    const result = await runStream();
+
+    expect(result.error).toBeInstanceOf(ClientError);
+    expect(result.error.status).toBe(422);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops silently when aborted', async () => {
+    vi.stubGlobal('fetch', vi.fn((url, init) => new Promise((_, reject) => {
+      init.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    })));
+
+    const onComplete = vi.fn();
+    const onError = vi.fn();
+    const handle = detectFireSmokeStreaming(new File(['v'], 'v.mp4'), vi.fn(), onComplete, onError);
+    handle.abort();
+
+    await expect(handle.done).resolves.toEqual({ aborted: true });
+    expect(onComplete).not.toHaveBeenCalled();
+    expect(onError).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Typed API errors
+ * Every failure coming out of services/api.js is one of these classes, so the
+ * UI can tell a sleeping backend from a bad file or a dropped connection and
+ * show a message that says what to do about it. `message` is user-facing;
+ * the raw server detail is kept in `detail`.
+ */
+
+import axios from 'axios';
+
+export class ApiError extends Error {
+  constructor(message, { status = null, code = 'API_ERROR', retryable = false, detail = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+    this.detail = detail;
+  }
+}
+
+// The request never reached the server (offline, DNS, CORS, connection reset)
+export class NetworkError extends ApiError {
+  constructor(message = "Can't reach the detection server. Check your connection and that the backend is running.", options = {}) {
+    super(message, { code: 'NETWORK', retryable: true, ...options });
+    this.name = 'NetworkError';
+  }
+}
+
+// The server did not answer in time
+export class TimeoutError extends ApiError {
+  constructor(message = 'The detection server took too long to respond. Try again, or use a smaller file.', options = {}) {
+    super(message, { code: 'TIMEOUT', retryable: true, ...options });
+    this.name = 'TimeoutError';
+  }
+}
+
+// 4xx - the request itself was rejected; retrying as-is won't help (except 408/429)
+export class ClientError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, {
+      code: 'CLIENT',
+      retryable: options.status === 408 || options.status === 429,
+      ...options,
+    });
+    this.name = 'ClientError';
+  }
+}
+
+// 5xx - the backend failed while handling the request
+export class ServerError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { code: 'SERVER', retryable: true, ...options });
+    this.name = 'ServerError';
+  }
+}
+
+// The hosting proxy answered for a backend that is still booting (free instances sleep when idle)
+export class ColdStartError extends ApiError {
+  constructor(message = 'The detection server is waking up from sleep. This can take up to a minute - please try again shortly.', options = {}) {
+    super(message, { code: 'COLD_START', retryable: true, ...options });
+    this.name = 'ColdStartError';
+  }
+}
+
+// The caller aborted the request
+export class CancelledError extends ApiError {
+  constructor(message = 'Request cancelled', options = {}) {
+    super(message, { code: 'CANCELLED', ...options });
+    this.name = 'CancelledError';
+  }
+}
+
+// FastAPI puts its reason in `detail` (a string, or a list of validation errors)
+const extractDetail = (data) => {
+  if (!data) return null;
+  if (typeof data === 'string') return data.length < 300 ? data : null;
+  if (typeof data.detail === 'string') return data.detail;
+  if (Array.isArray(data.detail)) return data.detail.map(d => d.msg || JSON.stringify(d)).join('; ');
+  return data.error || data.message || null;
+};
+
+/**
+ * Build a typed error from an HTTP status
+ *
+ * @param {number} status - HTTP status code
+ * @param {Object} options - { data, contentType } of the response body
+ */
+export const errorFromStatus = (status, { data = null, contentType = '' } = {}) => {
+  const detail = extractDetail(data);
+
+  // Our FastAPI backend answers in JSON; an HTML/empty 502-504 comes from the host's proxy
+  const fromProxy = !contentType.includes('application/json') && (data === null || typeof data !== 'object');
+  if ((status === 502 || status === 503 || status === 504) && fromProxy) {
+    return new ColdStartError(undefined, { status, detail });
+  }
+
+  if (status >= 500) {
+    return new ServerError(`The detection server hit an error (${status}). Please try again shortly.`, { status, detail });
+  }
+
+  if (status === 413) {
+    return new ClientError('This file is too large for the detection server.', { status, detail });
+  }
+  if (status === 415 || status === 422) {
+    return new ClientError(`The server couldn't process this file${detail ? `: ${detail}` : '.'}`, { status, detail });
+  }
+  if (status === 429) {
+    return new ClientError('Too many requests - the detection server is busy. Please wait a moment.', { status, detail });
+  }
+  if (status === 404) {
+    return new ClientError('This feature is not available on the connected backend (404).', { status, detail });
+  }
+
+  return new ClientError(`Request rejected (${status})${detail ? `: ${detail}` : ''}`, { status, detail });
+};
+
+/**
+ * Build a typed error from a fetch Response that was not ok (reads the body for details)
+ */
+export const errorFromResponse = async (response) => {
+  const contentType = response.headers.get('content-type') || '';
+  let data = null;
+  try {
+    data = contentType.includes('application/json') ? await response.json() : await response.text();
+  } catch {
+    // Body unreadable - status alone has to do
+  }
+  return errorFromStatus(response.status, { data: data || null, contentType });
+};
+
+/**
+ * fetch() and stream reads reject with a TypeError when the connection fails.
+ * Only those calls go through this, so a TypeError from a bug in our own code
+ * is reported as one instead of being retried as a network problem.
+ */
+export const fromFetchFailure = (error) => (error instanceof TypeError ? new NetworkError(undefined, { cause: error }) : error);
+
+/**
+ * Normalise anything thrown by axios or fetch into an ApiError subclass
+ */
+export const toApiError = (error) => {
+  if (error instanceof ApiError) return error;
+
+  if (axios.isCancel(error) || error?.name === 'AbortError' || error?.name === 'CanceledError') {
+    return new CancelledError(undefined, { cause: error });
+  }
+
+  if (error?.response) {
+    const { status, data, headers } = error.response;
+    const apiError = errorFromStatus(status, { data, contentType: headers?.['content-type'] || '' });
+    apiError.cause = error;
+    return apiError;
+  }
+
+  if (error?.code === 'ECONNABORTED' || error?.code === 'ETIMEDOUT') {
+    return new TimeoutError(undefined, { cause: error });
+  }
+
+  // axios reports ERR_NETWORK; fetch failures arrive already wrapped by fromFetchFailure
+  if (error?.code === 'ERR_NETWORK') {
+    return new NetworkError(undefined, { cause: error });
+  }
+
+  return new ApiError(error?.message || 'Something went wrong while talking to the detection server.', { cause: error });
+};
+
+/**
+ * User-facing message for any error
+ */
+export const getErrorMessage = (error) => toApiError(error).message;
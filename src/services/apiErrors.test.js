@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { AxiosError } from 'axios';
+import {
+  CancelledError,
+  ClientError,
+  ColdStartError,
+  NetworkError,
+  ServerError,
+  TimeoutError,
+  errorFromResponse,
+  errorFromStatus,
+  fromFetchFailure,
+  getErrorMessage,
+  toApiError,
+} from './apiErrors';
+
+const axiosResponseError = (status, data, contentType = 'application/json') =>
+  new AxiosError('Request failed', 'ERR_BAD_RESPONSE', {}, {}, { status, data, headers: { 'content-type': contentType } });
+
+describe('errorFromStatus', () => {
+  it('treats an HTML 502/503 from the host proxy as a cold start', () => {
+    const error = errorFromStatus(503, { data: '<html>waking up</html>', contentType: 'text/html' });
+    expect(error).toBeInstanceOf(ColdStartError);
+    expect(error.retryable).toBe(true);
+  });
+
+  it('treats a JSON 503 from the backend as a server error', () => {
+    const error = errorFromStatus(503, { data: { detail: 'model not loaded' }, contentType: 'application/json' });
+    expect(error).toBeInstanceOf(ServerError);
+    expect(error.detail).toBe('model not loaded');
+  });
+
+  it('includes FastAPI validation details for rejected files', () => {
+    const error = errorFromStatus(422, { data: { detail: [{ msg: 'field required' }] } });
+    expect(error).toBeInstanceOf(ClientError);
+    expect(error.retryable).toBe(false);
+    expect(error.message).toContain('field required');
+  });
+
+  it('marks 429 as retryable', () => {
+    expect(errorFromStatus(429).retryable).toBe(true);
+  });
+});
+
+describe('toApiError', () => {
+  it('classifies axios failures', () => {
+    expect(toApiError(axiosResponseError(500, { detail: 'boom' }))).toBeInstanceOf(ServerError);
+    expect(toApiError(new AxiosError('timeout', 'ECONNABORTED'))).toBeInstanceOf(TimeoutError);
+    expect(toApiError(new AxiosError('Network Error', 'ERR_NETWORK'))).toBeInstanceOf(NetworkError);
+  });
+
+  it('classifies fetch failures and aborts', () => {
+    expect(toApiError(fromFetchFailure(new TypeError('Failed to fetch')))).toBeInstanceOf(NetworkError);
+    expect(toApiError(new DOMException('Aborted', 'AbortError'))).toBeInstanceOf(CancelledError);
+  });
+
+  it('does not retry a TypeError from our own code as a network failure', () => {
+    const error = toApiError(new TypeError("Cannot read properties of null (reading 'done')"));
+    expect(error).not.toBeInstanceOf(NetworkError);
+    expect(error.retryable).toBe(false);
+  });
+
+  it('passes typed errors through unchanged', () => {
+    const error = new TimeoutError();
+    expect(toApiError(error)).toBe(error);
+  });
+
+  it('gives a readable message for anything', () => {
+    expect(getErrorMessage(fromFetchFailure(new TypeError('Failed to fetch')))).toMatch(/Can't reach the detection server/);
+    expect(getErrorMessage(new Error('odd'))).toBe('odd');
+  });
+});
+
+describe('errorFromResponse', () => {
+  it('reads the response body for details', async () => {
+    const response = new Response(JSON.stringify({ detail: 'Unsupported file type' }), {
+      status: 415,
+      headers: { 'content-type': 'application/json' },
+    });
+    const error = await errorFromResponse(response);
+    expect(error).toBeInstanceOf(ClientError);
+    expect(error.message).toContain('Unsupported file type');
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Backend Profiles
+ * Named backend endpoints (local model server, staging, production...) that can
+ * be switched at runtime. Persisted in localStorage; the built-in profile from
+ * VITE_API_URL is always available as a fallback.
+ */
+
+import { MOCK_BASE_URL } from '../mocks/mockBackend';
+
+const STORAGE_KEY = 'wildfire-backend-profiles';
+
+export const DEFAULT_PROFILE_ID = 'default';
+export const MOCK_PROFILE_ID = 'mock';
+
+const DEFAULT_PROFILE = {
+  id: DEFAULT_PROFILE_ID,
+  name: 'Default',
+  url: (import.meta.env.VITE_API_URL || 'https://wildfire-backend-4.onrender.com').replace(/\/+$/, ''),
+  builtIn: true,
+};
+
+// Answered in the browser by src/mocks - no network needed
+const MOCK_PROFILE = {
+  id: MOCK_PROFILE_ID,
+  name: 'Offline demo (mock)',
+  url: MOCK_BASE_URL,
+  builtIn: true,
+  mock: true,
+};
+
+// VITE_MOCK_API=true starts new browsers on the mock backend
+const INITIAL_PROFILE_ID = import.meta.env.VITE_MOCK_API === 'true' ? MOCK_PROFILE_ID : DEFAULT_PROFILE_ID;
+
+const createProfileId = () => `profile-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+/**
+ * Validate a backend URL and strip trailing slashes
+ * @returns {string|null} the normalised URL, or null if it is not http(s)
+ */
+export const normalizeBackendUrl = (value) => {
+  try {
+    const url = new URL(String(value).trim());
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    return url.toString().replace(/\/+$/, '');
+  } catch {
+    return null;
+  }
+};
+
+export class BackendProfileStore {
+  constructor(storage = globalThis.localStorage) {
+    this.storage = storage;
+    this.listeners = new Set();
+    this.state = this.load();
+  }
+
+  load() {
+    let saved = null;
+    try {
+      saved = JSON.parse(this.storage?.getItem(STORAGE_KEY) || 'null');
+    } catch (error) {
+      console.warn('⚠️ Ignoring unreadable backend profiles:', error);
+    }
+
+    const custom = (saved?.profiles || []).filter(profile => !profile.builtIn && normalizeBackendUrl(profile.url));
+    const profiles = [DEFAULT_PROFILE, MOCK_PROFILE, ...custom];
+    const activeId = profiles.some(profile => profile.id === saved?.activeId) ? saved.activeId : INITIAL_PROFILE_ID;
+
+    return { profiles, activeId };
+  }
+
+  save() {
+    try {
+      this.storage?.setItem(STORAGE_KEY, JSON.stringify({
+        profiles: this.state.profiles.filter(profile => !profile.builtIn),
+        activeId: this.state.activeId,
+      }));
+    } catch (error) {
+      console.warn('⚠️ Could not save backend profiles:', error);
+    }
+  }
+
+  setState(patch) {
+    this.state = { ...this.state, ...patch };
+    this.save();
+    this.listeners.forEach(listener => listener());
+  }
+
+  /**
+   * Subscribe to profile changes (useSyncExternalStore compatible)
+   */
+  subscribe = (listener) => {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  };
+
+  /**
+   * { profiles, activeId } - a new object on every change
+   */
+  getSnapshot = () => this.state;
+
+  getActiveProfile() {
+    return this.state.profiles.find(profile => profile.id === this.state.activeId) || DEFAULT_PROFILE;
+  }
+
+  /**
+   * @returns {string} id of the new profile
+   * @throws {Error} if the URL is not a valid http(s) URL
+   */
+  addProfile({ name, url }) {
+    const normalized = normalizeBackendUrl(url);
+    if (!normalized) throw new Error('Enter a valid http:// or https:// URL');
+
+    const profile = { id: createProfileId(), name: name?.trim() || normalized, url: normalized };
+    this.setState({ profiles: [...this.state.profiles, profile] });
+    return profile.id;
+  }
+
+  updateProfile(id, { name, url }) {
+    const profile = this.state.profiles.find(p => p.id === id);
+    if (!profile || profile.builtIn) return;
+
+    const normalized = url === undefined ? profile.url : normalizeBackendUrl(url);
+    if (!normalized) throw new Error('Enter a valid http:// or https:// URL');
+
+    this.setState({
+      profiles: this.state.profiles.map(p => (p.id === id
+        ? { ...p, name: name?.trim() || p.name, url: normalized }
+        : p)),
+    });
+  }
+
+  /**
+   * Delete a custom profile; the app falls back to the default if it was active
+   */
+  removeProfile(id) {
+    const profile = this.state.profiles.find(p => p.id === id);
+    if (!profile || profile.builtIn) return;
+
+    this.setState({
+      profiles: this.state.profiles.filter(p => p.id !== id),
+      activeId: this.state.activeId === id ? DEFAULT_PROFILE_ID : this.state.activeId,
+    });
+  }
+
+  setActive(id) {
+    if (id === this.state.activeId || !this.state.profiles.some(p => p.id === id)) return;
+    console.log(`🔀 Switching backend to ${this.state.profiles.find(p => p.id === id).name}`);
+    this.setState({ activeId: id });
+  }
+}
+
+// Create singleton instance
+const backendProfiles = new BackendProfileStore();
+
+export default backendProfiles;
@@ -0,0 +1,82 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { BackendProfileStore, DEFAULT_PROFILE_ID, MOCK_PROFILE_ID, normalizeBackendUrl } from './backendProfiles';
+
+const memoryStorage = () => {
+  const data = new Map();
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+  };
+};
+
+let storage;
+
+beforeEach(() => {
+  storage = memoryStorage();
+});
+
+describe('normalizeBackendUrl', () => {
+  it('accepts http(s) URLs and strips trailing slashes', () => {
+    expect(normalizeBackendUrl(' http://localhost:8000/ ')).toBe('http://localhost:8000');
+    expect(normalizeBackendUrl('https://staging.example.com/api/')).toBe('https://staging.example.com/api');
+  });
+
+  it('rejects anything else', () => {
+    expect(normalizeBackendUrl('localhost:8000')).toBeNull();
+    expect(normalizeBackendUrl('ftp://example.com')).toBeNull();
+    expect(normalizeBackendUrl('')).toBeNull();
+  });
+});
+
+describe('BackendProfileStore', () => {
+  it('starts on the built-in default profile, with the offline demo available', () => {
+    const store = new BackendProfileStore(storage);
+    expect(store.getSnapshot().profiles.map(p => p.id)).toEqual([DEFAULT_PROFILE_ID, MOCK_PROFILE_ID]);
+    expect(store.getActiveProfile().id).toBe(DEFAULT_PROFILE_ID);
+  });
+
+  it('adds, switches to and persists a profile', () => {
+    const store = new BackendProfileStore(storage);
+    const listener = vi.fn();
+    store.subscribe(listener);
+
+    const id = store.addProfile({ name: 'Local', url: 'http://localhost:8000/' });
+    store.setActive(id);
+
+    expect(listener).toHaveBeenCalledTimes(2);
+    expect(store.getActiveProfile()).toMatchObject({ name: 'Local', url: 'http://localhost:8000' });
+
+    const reloaded = new BackendProfileStore(storage);
+    expect(reloaded.getActiveProfile().id).toBe(id);
+  });
+
+  it('refuses invalid URLs', () => {
+    const store = new BackendProfileStore(storage);
+    expect(() => store.addProfile({ name: 'Bad', url: 'not a url' })).toThrow(/valid/);
+  });
+
+  it('falls back to the default when the active profile is deleted', () => {
+    const store = new BackendProfileStore(storage);
+    const id = store.addProfile({ name: 'Staging', url: 'https://staging.example.com' });
+    store.setActive(id);
+
+    store.removeProfile(id);
+
+    expect(store.getActiveProfile().id).toBe(DEFAULT_PROFILE_ID);
+    expect(store.getSnapshot().profiles).toHaveLength(2);
+  });
+
+  it('never edits or deletes the built-in profile', () => {
+    const store = new BackendProfileStore(storage);
+    store.updateProfile(DEFAULT_PROFILE_ID, { url: 'http://evil.example.com' });
+    store.removeProfile(DEFAULT_PROFILE_ID);
+    expect(store.getActiveProfile().url).not.toBe('http://evil.example.com');
+    expect(store.getSnapshot().profiles).toHaveLength(2);
+  });
+
+  it('ignores corrupt saved data', () => {
+    storage.setItem('wildfire-backend-profiles', '{oops');
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(new BackendProfileStore(storage).getActiveProfile().id).toBe(DEFAULT_PROFILE_ID);
+  });
+});
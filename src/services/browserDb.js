@@ -0,0 +1,50 @@
+/**
+ * Browser database
+ * The app's IndexedDB database, for data too big for localStorage: alert
+ * evidence frames and incident video clips. Each object store is keyed by id.
+ */
+
+const DB_NAME = 'wildfire-evidence';
+const DB_VERSION = 2;
+const STORE_NAMES = ['evidence', 'clips']; // clips since version 2
+
+const toPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * One object store as promises: get, getAll, put, delete and keys
+ * The database is opened on first use.
+ */
+export const openObjectStore = (storeName, indexedDB = globalThis.indexedDB) => {
+  let opening = null;
+
+  const open = () => {
+    if (!indexedDB) return Promise.reject(new Error('IndexedDB is not available in this browser'));
+    if (!opening) {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        STORE_NAMES
+          .filter(name => !db.objectStoreNames.contains(name))
+          .forEach(name => db.createObjectStore(name, { keyPath: 'id' }));
+      };
+      opening = toPromise(request);
+    }
+    return opening;
+  };
+
+  const run = async (mode, action) => {
+    const db = await open();
+    return toPromise(action(db.transaction(storeName, mode).objectStore(storeName)));
+  };
+
+  return {
+    get: (id) => run('readonly', store => store.get(id)),
+    getAll: () => run('readonly', store => store.getAll()),
+    put: (record) => run('readwrite', store => store.put(record)),
+    delete: (id) => run('readwrite', store => store.delete(id)),
+    keys: () => run('readonly', store => store.getAllKeys()),
+  };
+};
@@ -0,0 +1,238 @@
+/**
+ * Camera Registry
+ * The station's cameras - name, source, where they stand and which way they
+ * look, plus stream type, optional credentials, snapshot path and
+ * pan-tilt-zoom presets (see utils/ptz); their detection zones are kept in
+ * the zone store. Persisted in localStorage so cameras survive a reload;
+ * shared by the live camera views and the fire map. Passwords are kept apart
+ * in sessionStorage, so they are never written to disk in plain text and have
+ * to be entered again once the browser has been closed.
+ */
+
+import { isSourceType } from '../utils/cameraSources';
+import { normalizePtz } from '../utils/ptz';
+
+const STORAGE_KEY = 'wildfire-cameras';
+const PASSWORDS_KEY = 'wildfire-camera-passwords'; // { [camera id]: password } in sessionStorage
+// Cameras added to the camera wall before the registry existed
+const LEGACY_WALL_KEY = 'wildfire-camera-wall';
+
+export const DEFAULT_FOV = 60; // degrees
+
+const createCameraId = () => `camera-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+const optionalNumber = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : NaN;
+};
+
+/**
+ * Validate and clean up camera fields from a form
+ * @returns {Object} camera without id
+ * @throws {Error} with a message fit to show the user
+ */
+export const normalizeCamera = (fields) => {
+  const kind = fields.kind === 'local' ? 'local' : 'network';
+  const camera = {
+    name: String(fields.name || '').trim(),
+    kind,
+    url: '',
+    deviceId: '',
+    sourceType: isSourceType(fields.sourceType) ? fields.sourceType : 'auto',
+    snapshotPath: String(fields.snapshotPath || '').trim(),
+    username: String(fields.username || ''),
+    password: String(fields.password || ''),
+    lat: null,
+    lon: null,
+    heading: null,
+    fov: DEFAULT_FOV,
+    onWall: fields.onWall !== false,
+    ptz: normalizePtz(null),
+  };
+
+  if (!camera.name) throw new Error('Give the camera a name');
+
+  if (kind === 'network') {
+    let url;
+    try {
+      url = new URL(String(fields.url || '').trim());
+    } catch {
+      throw new Error('Enter a valid camera URL, e.g. http://192.168.1.100:8080');
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error('Camera URL must start with http:// or https:// - put RTSP cameras behind a gateway that serves HLS or WebRTC');
+    }
+    // Credentials typed into the URL are kept with the others, not in the URL
+    if (url.username || url.password) {
+      if (!camera.username && !camera.password) {
+        camera.username = decodeURIComponent(url.username);
+        camera.password = decodeURIComponent(url.password);
+      }
+      url.username = '';
+      url.password = '';
+    }
+    camera.url = url.toString();
+    camera.ptz = normalizePtz(fields.ptz);
+  } else {
+    camera.deviceId = String(fields.deviceId || '');
+  }
+
+  const lat = optionalNumber(fields.lat);
+  const lon = optionalNumber(fields.lon);
+  if ((lat === null) !== (lon === null)) throw new Error('Enter both latitude and longitude, or neither');
+  if (lat !== null) {
+    if (Number.isNaN(lat) || Math.abs(lat) > 90) throw new Error('Latitude must be between -90 and 90');
+    if (Number.isNaN(lon) || Math.abs(lon) > 180) throw new Error('Longitude must be between -180 and 180');
+    camera.lat = lat;
+    camera.lon = lon;
+  }
+
+  const heading = optionalNumber(fields.heading);
+  if (heading !== null) {
+    if (Number.isNaN(heading)) throw new Error('Heading must be a number of degrees');
+    camera.heading = ((heading % 360) + 360) % 360;
+  }
+
+  const fov = optionalNumber(fields.fov);
+  if (fov !== null) {
+    if (Number.isNaN(fov) || fov <= 0 || fov > 360) throw new Error('Field of view must be between 1 and 360 degrees');
+    camera.fov = fov;
+  }
+
+  return camera;
+};
+
+/**
+ * Where a camera's detections should be placed
+ *
+ * Configured coordinates win; a local webcam without them uses the device's
+ * own position. Network cameras are somewhere else entirely, so they only
+ * have a location if one was configured.
+ *
+ * @param {{kind: string, lat?: number|null, lon?: number|null}} camera
+ * @param {{lat: number, lon: number, accuracy?: number} | null} devicePosition - from deviceLocation
+ * @returns {{lat: number, lon: number, source: 'configured'|'device', accuracy?: number} | null}
+ */
+export const getCameraLocation = (camera, devicePosition) => {
+  if (camera.lat != null && camera.lon != null) {
+    return { lat: camera.lat, lon: camera.lon, source: 'configured' };
+  }
+  if (camera.kind === 'local' && devicePosition) {
+    return { ...devicePosition, source: 'device' };
+  }
+  return null;
+};
+
+export class CameraRegistry {
+  /**
+   * @param {Storage} storage - where the cameras are kept
+   * @param {Storage} passwordStorage - where their passwords are kept, for this browser session only
+   */
+  constructor(storage = globalThis.localStorage, passwordStorage = globalThis.sessionStorage) {
+    this.storage = storage;
+    this.passwordStorage = passwordStorage;
+    this.listeners = new Set();
+    this.state = { cameras: this.load() };
+
+    // Registries saved with their passwords in localStorage are rewritten without them
+    if (this.state.cameras.some(camera => camera.password)) this.save();
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(this.storage?.getItem(STORAGE_KEY) || 'null');
+      if (saved) return this.restorePasswords(saved.cameras || []);
+
+      // First run with the registry - keep the cameras already on the wall
+      const legacy = JSON.parse(this.storage?.getItem(LEGACY_WALL_KEY) || '[]');
+      return legacy.flatMap((camera) => {
+        try {
+          return [{ ...normalizeCamera(camera), id: camera.id || createCameraId() }];
+        } catch {
+          return [];
+        }
+      });
+    } catch (error) {
+      console.warn('⚠️ Ignoring unreadable camera registry:', error);
+      return [];
+    }
+  }
+
+  restorePasswords(cameras) {
+    let passwords = {};
+    try {
+      passwords = JSON.parse(this.passwordStorage?.getItem(PASSWORDS_KEY) || '{}') || {};
+    } catch (error) {
+      console.warn('⚠️ Ignoring unreadable camera passwords:', error);
+    }
+    return cameras.map(camera => ({ ...camera, password: passwords[camera.id] || camera.password || '' }));
+  }
+
+  save() {
+    const { cameras } = this.state;
+    try {
+      this.storage?.setItem(STORAGE_KEY, JSON.stringify({ cameras: cameras.map(camera => ({ ...camera, password: '' })) }));
+      this.passwordStorage?.setItem(PASSWORDS_KEY, JSON.stringify(
+        Object.fromEntries(cameras.filter(camera => camera.password).map(camera => [camera.id, camera.password]))
+      ));
+    } catch (error) {
+      console.warn('⚠️ Could not save camera registry:', error);
+    }
+  }
+
+  setState(patch) {
+    this.state = { ...this.state, ...patch };
+    this.save();
+    this.listeners.forEach(listener => listener());
+  }
+
+  /**
+   * Subscribe to registry changes (useSyncExternalStore compatible)
+   */
+  subscribe = (listener) => {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  };
+
+  /**
+   * { cameras } - a new object on every change
+   */
+  getSnapshot = () => this.state;
+
+  getCamera(id) {
+    return this.state.cameras.find(camera => camera.id === id) || null;
+  }
+
+  /**
+   * @returns {string} id of the new camera
+   * @throws {Error} if the fields are invalid
+   */
+  addCamera(fields) {
+    const camera = { ...normalizeCamera(fields), id: createCameraId() };
+    this.setState({ cameras: [...this.state.cameras, camera] });
+    return camera.id;
+  }
+
+  /**
+   * Replace a camera's fields; a partial update keeps the fields not given
+   * @throws {Error} if the resulting camera is invalid
+   */
+  updateCamera(id, fields) {
+    const existing = this.getCamera(id);
+    if (!existing) return;
+
+    const camera = { ...normalizeCamera({ ...existing, ...fields }), id };
+    this.setState({ cameras: this.state.cameras.map(c => (c.id === id ? camera : c)) });
+  }
+
+  removeCamera(id) {
+    if (!this.getCamera(id)) return;
+    this.setState({ cameras: this.state.cameras.filter(c => c.id !== id) });
+  }
+}
+
+// Create singleton instance
+const cameraRegistry = new CameraRegistry();
+
+export default cameraRegistry;
@@ -0,0 +1,348 @@
+/**
+ * Camera Streams
+ * Connects a network camera to the <img> or <video> it is shown in, using the
+ * adapter for its source type (see utils/cameraSources). Every adapter has the
+ * same shape:
+ *
+ *   connect(camera, element, { onLive, onError, ...options }) => disconnect()
+ *
+ * onLive fires once the first frame is showing; onError gets a message for the
+ * user and means the connection is over (callers offer a retry).
+ */
+
+import { fetchCameraSnapshot, openCameraStream } from './api';
+import {
+  buildSnapshotRequest,
+  buildStreamRequest,
+  getAuthorizationHeader,
+  resolveSourceType,
+} from '../utils/cameraSources';
+import MjpegParser from '../utils/mjpegParser';
+
+// Snapshot refresh - the detection rate is set by the frame scheduler, not this
+const SNAPSHOT_REFRESH_MS = 500;
+// How long to wait for ICE candidates before sending the WHEP offer anyway
+const ICE_GATHERING_TIMEOUT_MS = 2000;
+
+/**
+ * Show images fetched through the proxy in an <img> from blob: URLs, which
+ * are same-origin, so frames can always be read back for detection. One image
+ * decodes at a time; a newer one waiting replaces an older one.
+ */
+const showBlobs = (img, { onLoad, onError }) => {
+  let current = null;
+  let next = null;
+  let loading = false;
+
+  const loadNext = () => {
+    if (!next) return;
+    loading = true;
+    if (current) URL.revokeObjectURL(current);
+    current = URL.createObjectURL(next);
+    next = null;
+    img.src = current;
+  };
+
+  img.onload = () => {
+    loading = false;
+    onLoad();
+    loadNext();
+  };
+  img.onerror = () => {
+    loading = false;
+    onError();
+  };
+
+  return {
+    show: (blob) => {
+      next = blob;
+      if (!loading) loadNext();
+    },
+    dispose: () => {
+      img.onload = null;
+      img.onerror = null;
+      img.src = '';
+      if (current) URL.revokeObjectURL(current);
+      current = null;
+      next = null;
+    },
+  };
+};
+
+/**
+ * Poll single JPEGs through the backend proxy, the next one 500 ms after the
+ * last has shown
+ */
+const connectSnapshot = (camera, img, { onLive, onError }) => {
+  const controller = new AbortController();
+  let refreshTimer = null;
+  let live = false;
+
+  const fail = (message) => {
+    if (controller.signal.aborted) return;
+    controller.abort();
+    clearTimeout(refreshTimer);
+    console.error(`❌ Failed to load snapshot from ${camera.name || 'network camera'}`);
+    onError(message);
+  };
+
+  const image = showBlobs(img, {
+    onLoad: () => {
+      if (!live) {
+        live = true;
+        onLive();
+      }
+      refreshTimer = setTimeout(poll, SNAPSHOT_REFRESH_MS);
+    },
+    onError: () => fail('The camera answered with something that is not an image. Check the snapshot path.'),
+  });
+
+  const poll = async () => {
+    refreshTimer = null;
+    try {
+      const snapshot = await fetchCameraSnapshot(buildSnapshotRequest(camera), { signal: controller.signal });
+      if (!controller.signal.aborted) image.show(snapshot);
+    } catch {
+      fail('Camera not reachable through the backend proxy. Check the URL and that the camera is on.');
+    }
+  };
+
+  console.log(`🔗 Connecting ${camera.name || 'network camera'} (snapshot mode)`);
+  poll();
+
+  return () => {
+    controller.abort();
+    clearTimeout(refreshTimer);
+    image.dispose();
+  };
+};
+
+/**
+ * Read a multipart MJPEG stream through the backend proxy and show each JPEG
+ * in turn - frames that arrive while one is decoding are skipped
+ */
+const connectMjpeg = (camera, img, { onLive, onError }) => {
+  const controller = new AbortController();
+  let live = false;
+
+  const fail = (message) => {
+    if (controller.signal.aborted) return;
+    controller.abort();
+    console.error(`❌ MJPEG stream from ${camera.name || 'network camera'} failed`);
+    onError(message);
+  };
+
+  const image = showBlobs(img, {
+    onLoad: () => {
+      if (!live) {
+        live = true;
+        onLive();
+      }
+    },
+    onError: () => fail('The MJPEG stream sent a frame that could not be shown.'),
+  });
+  const parser = new MjpegParser({
+    onFrame: (frame) => {
+      if (!controller.signal.aborted) image.show(new Blob([frame], { type: 'image/jpeg' }));
+    },
+  });
+
+  console.log(`🔗 Connecting ${camera.name || 'network camera'} (MJPEG stream)`);
+
+  (async () => {
+    const reader = (await openCameraStream(buildStreamRequest(camera), { signal: controller.signal })).getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      parser.feed(value);
+    }
+    fail('The MJPEG stream ended.');
+  })().catch(() => {
+    fail('MJPEG stream not reachable through the backend proxy. Check the stream URL.');
+  });
+
+  return () => {
+    controller.abort();
+    image.dispose();
+  };
+};
+
+// Resolve once the video is actually showing frames
+const watchPlaying = (video, onLive) => {
+  let live = false;
+  video.onplaying = () => {
+    if (!live) {
+      live = true;
+      onLive();
+    }
+  };
+  video.play().catch(() => {
+    // Autoplay may need the muted attribute to have been applied first - playing still fires later
+  });
+};
+
+const resetVideo = (video) => {
+  video.onplaying = null;
+  video.onerror = null;
+  video.pause();
+  video.removeAttribute('src');
+  video.srcObject = null;
+  video.load();
+};
+
+/**
+ * Play an HLS playlist with hls.js, which is only downloaded when an HLS
+ * camera is used. Even where the browser plays HLS natively it is not used:
+ * it can't send the camera's credentials in a header
+ */
+const connectHls = (camera, video, { onLive, onError }) => {
+  let hls = null;
+  let cancelled = false;
+  const authorization = getAuthorizationHeader(camera);
+
+  console.log(`🔗 Connecting ${camera.name || 'network camera'} (HLS)`);
+
+  video.crossOrigin = 'anonymous';
+
+  import('hls.js').then(({ default: Hls }) => {
+    if (cancelled) return;
+    if (!Hls.isSupported()) {
+      onError('This browser cannot play HLS streams.');
+      return;
+    }
+
+    hls = new Hls({
+      lowLatencyMode: true,
+      xhrSetup: (xhr) => {
+        if (authorization) xhr.setRequestHeader('Authorization', authorization);
+      },
+    });
+    hls.on(Hls.Events.ERROR, (_, data) => {
+      if (!data.fatal) return;
+      console.error(`❌ HLS error on ${camera.name || 'network camera'}:`, data);
+      onError(data.type === Hls.ErrorTypes.NETWORK_ERROR
+        ? 'HLS stream not reachable. Check the playlist URL and that the gateway allows this site (CORS).'
+        : 'HLS stream could not be played.');
+    });
+    hls.loadSource(buildStreamRequest(camera).url);
+    hls.attachMedia(video);
+    watchPlaying(video, onLive);
+  }).catch((err) => {
+    if (cancelled) return;
+    console.error('❌ Could not load the HLS player:', err);
+    onError('Could not load the HLS player.');
+  });
+
+  return () => {
+    cancelled = true;
+    if (hls) hls.destroy();
+    resetVideo(video);
+  };
+};
+
+const waitForIceGathering = (peer) => new Promise((resolve) => {
+  if (peer.iceGatheringState === 'complete') {
+    resolve();
+    return;
+  }
+  const timer = setTimeout(resolve, ICE_GATHERING_TIMEOUT_MS);
+  peer.addEventListener('icegatheringstatechange', () => {
+    if (peer.iceGatheringState === 'complete') {
+      clearTimeout(timer);
+      resolve();
+    }
+  });
+});
+
+/**
+ * Receive a WebRTC stream from a WHEP endpoint (e.g. an RTSP gateway such as
+ * MediaMTX): POST our SDP offer, apply the answer, DELETE the session on stop
+ */
+const connectWhep = (camera, video, { onLive, onError }) => {
+  if (typeof RTCPeerConnection === 'undefined') {
+    onError('This browser does not support WebRTC.');
+    return () => {};
+  }
+
+  const controller = new AbortController();
+  const endpoint = buildStreamRequest(camera).url;
+  const authorization = getAuthorizationHeader(camera);
+  const headers = authorization ? { Authorization: authorization } : {};
+  const peer = new RTCPeerConnection();
+  let sessionUrl = null;
+  let failed = false;
+
+  const fail = (message) => {
+    if (failed || controller.signal.aborted) return;
+    failed = true;
+    onError(message);
+  };
+
+  console.log(`🔗 Connecting ${camera.name || 'network camera'} (WebRTC/WHEP)`);
+
+  peer.addTransceiver('video', { direction: 'recvonly' });
+  peer.ontrack = (event) => {
+    video.srcObject = event.streams[0] || new MediaStream([event.track]);
+    watchPlaying(video, onLive);
+  };
+  peer.onconnectionstatechange = () => {
+    if (peer.connectionState === 'failed' || peer.connectionState === 'closed') {
+      fail('WebRTC connection to the camera was lost.');
+    }
+  };
+
+  (async () => {
+    await peer.setLocalDescription(await peer.createOffer());
+    await waitForIceGathering(peer);
+
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/sdp' },
+      body: peer.localDescription.sdp,
+      signal: controller.signal,
+    });
+    if (!response.ok) {
+      throw new Error(response.status === 401 || response.status === 403
+        ? 'The WHEP endpoint rejected the camera credentials.'
+        : `The WHEP endpoint answered ${response.status}.`);
+    }
+
+    const location = response.headers.get('Location');
+    if (location) sessionUrl = new URL(location, endpoint).toString();
+    await peer.setRemoteDescription({ type: 'answer', sdp: await response.text() });
+  })().catch((err) => {
+    if (controller.signal.aborted) return;
+    console.error(`❌ WHEP negotiation with ${camera.name || 'network camera'} failed:`, err);
+    fail(err instanceof TypeError
+      ? 'WHEP endpoint not reachable. Check the URL and that the gateway allows this site (CORS).'
+      : err.message);
+  });
+
+  return () => {
+    controller.abort();
+    peer.close();
+    resetVideo(video);
+    // Free the session on the gateway; nothing to do if it is already gone
+    if (sessionUrl) fetch(sessionUrl, { method: 'DELETE', headers }).catch(() => {});
+  };
+};
+
+const ADAPTERS = {
+  snapshot: connectSnapshot,
+  mjpeg: connectMjpeg,
+  hls: connectHls,
+  whep: connectWhep,
+};
+
+/**
+ * Connect a network camera to its element
+ *
+ * @param {Object} camera - registry camera (or one typed into the single view)
+ * @param {HTMLImageElement|HTMLVideoElement} element - <video> for isVideoSource() types, <img> otherwise
+ * @param {Object} handlers - { onLive, onError } plus adapter options
+ * @returns {Function} disconnect
+ */
+export const connectCameraStream = (camera, element, handlers) => {
+  const connect = ADAPTERS[resolveSourceType(camera)] || connectSnapshot;
+  return connect(camera, element, handlers);
+};
@@ -0,0 +1,115 @@
+/**
+ * Clip Store
+ * Incident video clips from the rolling recorder, kept in IndexedDB, and
+ * whether rolling recording is on (saved in localStorage - it costs two video
+ * encoders while monitoring). Only the newest MAX_CLIPS are kept.
+ *
+ * Clips are { id, createdAt, cameraName, blob, mimeType, startedAt, duration,
+ * markers: [{ incidentId, at }], timeline: [{ at, width, height, detections }] }
+ * with `at` in ms from the start of the clip.
+ */
+
+import { openObjectStore } from './browserDb';
+
+const STORAGE_KEY = 'wildfire-clip-recording';
+
+export const MAX_CLIPS = 20;
+
+const createClipId = () => `clip-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+export class ClipStore {
+  /**
+   * @param {Object} options
+   * @param {Object} options.db - openObjectStore('clips') or a stand-in with the same methods
+   * @param {Storage} options.storage - where the recording switch is kept
+   */
+  constructor({ db = openObjectStore('clips'), storage = globalThis.localStorage, maxClips = MAX_CLIPS } = {}) {
+    this.db = db;
+    this.storage = storage;
+    this.maxClips = maxClips;
+    this.state = {
+      enabled: this.loadEnabled(),
+      clips: [], // newest first, once refresh() has run
+    };
+    this.listeners = new Set();
+  }
+
+  loadEnabled() {
+    try {
+      return this.storage?.getItem(STORAGE_KEY) !== 'off';
+    } catch {
+      return true;
+    }
+  }
+
+  /**
+   * Subscribe to clip changes (useSyncExternalStore compatible)
+   */
+  subscribe = (listener) => {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  };
+
+  /**
+   * { enabled, clips } - a new object on every change
+   */
+  getSnapshot = () => this.state;
+
+  setState(patch) {
+    this.state = { ...this.state, ...patch };
+    this.listeners.forEach(listener => listener());
+  }
+
+  setEnabled(enabled) {
+    try {
+      this.storage?.setItem(STORAGE_KEY, enabled ? 'on' : 'off');
+    } catch (error) {
+      console.warn('⚠️ Could not save the recording setting:', error);
+    }
+    this.setState({ enabled });
+  }
+
+  /**
+   * Reload the clip list from IndexedDB
+   */
+  async refresh() {
+    try {
+      const clips = await this.db.getAll();
+      this.setState({ clips: clips.sort((a, b) => b.startedAt - a.startedAt) });
+    } catch (error) {
+      console.warn('⚠️ Could not load incident clips:', error);
+    }
+  }
+
+  /**
+   * Save a clip from RollingRecorder's onClip
+   */
+  async save(clip) {
+    const id = createClipId();
+    try {
+      await this.db.put({ id, createdAt: new Date().toISOString(), ...clip });
+      console.log(`🎬 Saved a ${Math.round(clip.duration / 1000)} s incident clip from ${clip.cameraName || 'camera'}`);
+
+      const keys = (await this.db.keys()).sort();
+      await Promise.all(keys.slice(0, Math.max(0, keys.length - this.maxClips)).map(key => this.db.delete(key)));
+    } catch (error) {
+      console.warn('⚠️ Could not save the incident clip:', error);
+    }
+    await this.refresh();
+    return id;
+  }
+
+  async remove(id) {
+    try {
+      await this.db.delete(id);
+    } catch (error) {
+      console.warn('⚠️ Could not delete the incident clip:', error);
+    }
+    await this.refresh();
+  }
+}
+
+// Create singleton instance
+const clipStore = new ClipStore();
+
+export default clipStore;
@@ -0,0 +1,62 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ClipStore } from './clipStore';
+
+const memoryStorage = () => {
+  const data = new Map();
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+  };
+};
+
+// Stand-in for the IndexedDB object store
+const memoryDb = () => {
+  const records = new Map();
+  return {
+    records,
+    getAll: async () => [...records.values()],
+    put: async (record) => records.set(record.id, record),
+    delete: async (id) => records.delete(id),
+    keys: async () => [...records.keys()],
+  };
+};
+
+const clip = (startedAt) => ({ blob: new Blob(['webm']), mimeType: 'video/webm', cameraName: 'North ridge', startedAt, duration: 120000, markers: [], timeline: [] });
+
+let storage;
+let db;
+
+beforeEach(() => {
+  storage = memoryStorage();
+  db = memoryDb();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('ClipStore', () => {
+  it('saves clips and lists them newest first', async () => {
+    const store = new ClipStore({ db, storage });
+    await store.save(clip(1000));
+    await store.save(clip(5000));
+
+    expect(store.getSnapshot().clips.map(c => c.startedAt)).toEqual([5000, 1000]);
+    expect(store.getSnapshot().clips[0].id).toMatch(/^clip-/);
+  });
+
+  it('keeps only the newest clips and deletes on request', async () => {
+    const store = new ClipStore({ db, storage, maxClips: 1 });
+    await store.save(clip(1000));
+    await new Promise(resolve => setTimeout(resolve, 2)); // ids are ordered by time
+    const id = await store.save(clip(5000));
+    expect([...db.records.keys()]).toEqual([id]);
+
+    await store.remove(id);
+    expect(store.getSnapshot().clips).toEqual([]);
+  });
+
+  it('remembers whether recording is on', () => {
+    const store = new ClipStore({ db, storage });
+    expect(store.getSnapshot().enabled).toBe(true);
+    store.setEnabled(false);
+    expect(new ClipStore({ db, storage }).getSnapshot().enabled).toBe(false);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Device Location
+ * Where this device is, from the browser Geolocation API. Local webcams have
+ * no configured position, so their alerts use the device's instead. The
+ * permission prompt is only shown once a local camera is actually started.
+ */
+
+// A webcam doesn't move much - accept a cached fix and don't wait forever for GPS
+const POSITION_OPTIONS = {
+  enableHighAccuracy: false,
+  maximumAge: 5 * 60 * 1000,
+  timeout: 30000,
+};
+
+export class DeviceLocation {
+  constructor(geolocation = globalThis.navigator?.geolocation) {
+    this.geolocation = geolocation;
+    this.state = {
+      status: 'idle', // 'idle' | 'locating' | 'located' | 'unavailable'
+      position: null, // { lat, lon, accuracy } in degrees / metres
+      message: null,
+    };
+    this.listeners = new Set();
+    this.watchId = null;
+  }
+
+  /**
+   * Subscribe to location changes (useSyncExternalStore compatible)
+   */
+  subscribe = (listener) => {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  };
+
+  /**
+   * Current location state - a new object on every change
+   */
+  getSnapshot = () => this.state;
+
+  setState(patch) {
+    this.state = { ...this.state, ...patch };
+    this.listeners.forEach(listener => listener());
+  }
+
+  /**
+   * Start tracking the device position. Safe to call repeatedly; a denied
+   * permission is not asked again until the page reloads.
+   */
+  request() {
+    if (this.watchId !== null || this.state.status === 'unavailable') return;
+
+    if (!this.geolocation) {
+      this.setState({ status: 'unavailable', message: 'Location is not supported by this browser' });
+      return;
+    }
+
+    this.setState({ status: 'locating', message: null });
+    this.watchId = this.geolocation.watchPosition(
+      ({ coords }) => {
+        this.setState({
+          status: 'located',
+          position: { lat: coords.latitude, lon: coords.longitude, accuracy: coords.accuracy },
+          message: null,
+        });
+      },
+      (error) => {
+        console.warn('⚠️ Could not get device location:', error.message);
+        // Keep a fix we already have through a temporary timeout
+        if (this.state.position && error.code !== error.PERMISSION_DENIED) return;
+        this.stop();
+        this.setState({
+          status: 'unavailable',
+          position: null,
+          message: error.code === error.PERMISSION_DENIED ? 'Location permission denied' : 'Location unavailable',
+        });
+      },
+      POSITION_OPTIONS
+    );
+  }
+
+  stop() {
+    if (this.watchId !== null) {
+      this.geolocation.clearWatch(this.watchId);
+      this.watchId = null;
+    }
+  }
+}
+
+// Create singleton instance
+const deviceLocation = new DeviceLocation();
+
+export default deviceLocation;
@@ -0,0 +1,76 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { DeviceLocation } from './deviceLocation';
+
+const PERMISSION_DENIED = 1;
+const TIMEOUT = 3;
+
+const fakeGeolocation = () => {
+  const geolocation = {
+    watchPosition: vi.fn((onSuccess, onError) => {
+      geolocation.succeed = (latitude, longitude, accuracy = 20) => onSuccess({ coords: { latitude, longitude, accuracy } });
+      geolocation.fail = (code) => onError({ code, PERMISSION_DENIED, message: `error ${code}` });
+      return 7;
+    }),
+    clearWatch: vi.fn(),
+  };
+  return geolocation;
+};
+
+let geolocation;
+
+beforeEach(() => {
+  geolocation = fakeGeolocation();
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+describe('DeviceLocation', () => {
+  it('does nothing until a camera asks for it', () => {
+    const location = new DeviceLocation(geolocation);
+    expect(location.getSnapshot().status).toBe('idle');
+    expect(geolocation.watchPosition).not.toHaveBeenCalled();
+  });
+
+  it('tracks the device position once requested', () => {
+    const location = new DeviceLocation(geolocation);
+    const listener = vi.fn();
+    location.subscribe(listener);
+
+    location.request();
+    location.request();
+    expect(geolocation.watchPosition).toHaveBeenCalledOnce();
+    expect(location.getSnapshot().status).toBe('locating');
+
+    geolocation.succeed(22.5, 78.25);
+    expect(location.getSnapshot()).toMatchObject({ status: 'located', position: { lat: 22.5, lon: 78.25, accuracy: 20 } });
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+
+  it('keeps the last fix through a timeout', () => {
+    const location = new DeviceLocation(geolocation);
+    location.request();
+    geolocation.succeed(22.5, 78.25);
+
+    geolocation.fail(TIMEOUT);
+    expect(location.getSnapshot().status).toBe('located');
+    expect(geolocation.clearWatch).not.toHaveBeenCalled();
+  });
+
+  it('gives up, and does not ask again, when permission is denied', () => {
+    const location = new DeviceLocation(geolocation);
+    location.request();
+    geolocation.succeed(22.5, 78.25);
+
+    geolocation.fail(PERMISSION_DENIED);
+    expect(location.getSnapshot()).toMatchObject({ status: 'unavailable', position: null, message: 'Location permission denied' });
+    expect(geolocation.clearWatch).toHaveBeenCalledWith(7);
+
+    location.request();
+    expect(geolocation.watchPosition).toHaveBeenCalledOnce();
+  });
+
+  it('reports browsers without geolocation as unavailable', () => {
+    const location = new DeviceLocation(undefined);
+    location.request();
+    expect(location.getSnapshot().status).toBe('unavailable');
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Evidence Store
+ * Annotated frames saved with camera alerts, in IndexedDB - a few frames before
+ * the alert, the frame that raised it and a few after (see EvidenceRecorder).
+ * Alerts and detection log entries refer to a record by its evidenceId.
+ *
+ * Records are { id, incidentId, cameraName, createdAt, frames: [{ role, at,
+ * detections, image: Blob }] } with role 'before' | 'trigger' | 'after'. Only
+ * the newest MAX_RECORDS are kept.
+ */
+
+import { openObjectStore } from './browserDb';
+import { annotateFrame } from '../utils/detectionOverlay';
+import { blobToDataUrl } from '../utils/frameEncoding';
+
+export const MAX_RECORDS = 100;
+
+const createEvidenceId = () => `evidence-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+export class EvidenceStore {
+  /**
+   * @param {Object} options
+   * @param {Object} options.db - openObjectStore('evidence') or a stand-in with the same methods
+   * @param {Function} options.annotate - (frame) => Promise<Blob>, the frame with its boxes drawn
+   */
+  constructor({ db = openObjectStore('evidence'), annotate = annotateFrame, maxRecords = MAX_RECORDS } = {}) {
+    this.db = db;
+    this.annotate = annotate;
+    this.maxRecords = maxRecords;
+    this.version = 0;
+    this.listeners = new Set();
+    this.queue = Promise.resolve(); // writes in order - frames are only added once their record is saved
+  }
+
+  /**
+   * Subscribe to saved evidence (useSyncExternalStore compatible)
+   */
+  subscribe = (listener) => {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  };
+
+  /**
+   * A number that changes whenever evidence is written or removed
+   */
+  getSnapshot = () => this.version;
+
+  notify() {
+    this.version += 1;
+    this.listeners.forEach(listener => listener());
+  }
+
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch((error) => {
+      console.warn('⚠️ Could not save alert evidence:', error);
+    });
+    return this.queue;
+  }
+
+  async toStoredFrames(frames, role) {
+    return Promise.all(frames.map(async frame => ({
+      role: role || frame.role,
+      at: frame.at,
+      detections: frame.detections || [],
+      image: await this.annotate(frame),
+    })));
+  }
+
+  /**
+   * Save the frames behind an alert; returns the new evidenceId straight away
+   *
+   * @param {{incidentId?: string, cameraName?: string, frames: Array}} evidence - frames from EvidenceRecorder.capture()
+   */
+  save({ incidentId = null, cameraName = null, frames }) {
+    const id = createEvidenceId();
+
+    this.enqueue(async () => {
+      await this.db.put({
+        id,
+        incidentId,
+        cameraName,
+        createdAt: new Date().toISOString(),
+        frames: await this.toStoredFrames(frames),
+      });
+      console.log(`📸 Saved ${frames.length} evidence frame(s) for ${cameraName || 'camera'} alert`);
+      await this.prune();
+      this.notify();
+    });
+
+    return id;
+  }
+
+  /**
+   * Add frames that came in after the alert
+   */
+  addFrames(id, frames) {
+    return this.enqueue(async () => {
+      const record = await this.db.get(id);
+      if (!record) return; // pruned or cleared meanwhile
+      await this.db.put({ ...record, frames: [...record.frames, ...(await this.toStoredFrames(frames, 'after'))] });
+      this.notify();
+    });
+  }
+
+  get(id) {
+    return this.db.get(id);
+  }
+
+  async prune() {
+    const keys = (await this.db.keys()).sort();
+    const excess = keys.slice(0, Math.max(0, keys.length - this.maxRecords));
+    await Promise.all(excess.map(key => this.db.delete(key)));
+  }
+
+  /**
+   * Delete evidence no alert or log entry refers to any more
+   */
+  retain(ids) {
+    const keep = new Set(ids.filter(Boolean));
+    return this.enqueue(async () => {
+      const unused = (await this.db.keys()).filter(key => !keep.has(key));
+      if (unused.length === 0) return;
+      await Promise.all(unused.map(key => this.db.delete(key)));
+      console.log(`🗑️ Removed ${unused.length} unused evidence record(s)`);
+      this.notify();
+    });
+  }
+
+  /**
+   * Items with their evidence attached (images as data URLs), for JSON exports
+   *
+   * @param {Array} items - alerts or log entries
+   * @param {Function} getId - (item) => evidenceId or undefined
+   */
+  async withEvidence(items, getId) {
+    return Promise.all(items.map(async (item) => {
+      const id = getId(item);
+      if (!id) return item;
+      try {
+        const record = await this.db.get(id);
+        if (!record) return item;
+        const frames = await Promise.all(record.frames.map(async frame => ({ ...frame, image: await blobToDataUrl(frame.image) })));
+        return { ...item, evidence: { ...record, frames } };
+      } catch (error) {
+        console.warn('⚠️ Could not export alert evidence:', error);
+        return item;
+      }
+    }));
+  }
+}
+
+// Create singleton instance
+const evidenceStore = new EvidenceStore();
+
+export default evidenceStore;
@@ -0,0 +1,86 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { EvidenceStore } from './evidenceStore';
+
+// Stand-in for the IndexedDB object store
+const memoryDb = () => {
+  const records = new Map();
+  return {
+    records,
+    get: async (id) => records.get(id),
+    put: async (record) => records.set(record.id, record),
+    delete: async (id) => records.delete(id),
+    keys: async () => [...records.keys()],
+  };
+};
+
+// "Annotating" keeps the frame's data as the image, so tests can tell frames apart
+const annotate = async (frame) => new Blob([frame.data], { type: 'image/jpeg' });
+const frame = (data, role) => ({ data, width: 640, height: 480, detections: [{ class: 'fire', confidence: 0.8, bbox: [1, 2, 3, 4] }], at: 1000, role });
+
+let db;
+let store;
+
+beforeEach(() => {
+  db = memoryDb();
+  store = new EvidenceStore({ db, annotate });
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('EvidenceStore', () => {
+  it('saves annotated frames and adds the ones after the alert', async () => {
+    const listener = vi.fn();
+    store.subscribe(listener);
+
+    const id = store.save({ incidentId: 'incident-1', cameraName: 'North ridge', frames: [frame('a', 'before'), frame('b', 'trigger')] });
+    expect(id).toMatch(/^evidence-/);
+    await store.addFrames(id, [frame('c', 'after')]);
+
+    const record = await store.get(id);
+    expect(record).toMatchObject({ id, incidentId: 'incident-1', cameraName: 'North ridge' });
+    expect(record.frames.map(f => f.role)).toEqual(['before', 'trigger', 'after']);
+    expect(await record.frames[2].image.text()).toBe('c');
+    expect(record.frames[0].detections).toHaveLength(1);
+    expect(listener).toHaveBeenCalledTimes(2);
+    expect(store.getSnapshot()).toBe(2);
+  });
+
+  it('keeps only the newest records', async () => {
+    store = new EvidenceStore({ db, annotate, maxRecords: 2 });
+    const ids = [];
+    for (let i = 0; i < 3; i++) {
+      ids.push(store.save({ frames: [frame(`${i}`, 'trigger')] }));
+      await store.queue;
+      await new Promise(resolve => setTimeout(resolve, 2)); // ids are ordered by time
+    }
+    expect([...db.records.keys()].sort()).toEqual(ids.slice(1).sort());
+  });
+
+  it('removes evidence nothing refers to', async () => {
+    const kept = store.save({ frames: [frame('a', 'trigger')] });
+    store.save({ frames: [frame('b', 'trigger')] });
+    await store.retain([kept, undefined]);
+    expect([...db.records.keys()]).toEqual([kept]);
+  });
+
+  it('survives a frame that cannot be annotated', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    store = new EvidenceStore({ db, annotate: () => Promise.reject(new Error('tainted canvas')) });
+    store.save({ frames: [frame('a', 'trigger')] });
+    await store.queue;
+
+    expect(db.records.size).toBe(0);
+    expect(warn).toHaveBeenCalled();
+    const id = store.save({ frames: [] });
+    await store.queue;
+    expect(db.records.has(id)).toBe(true);
+  });
+
+  it('attaches evidence as data URLs for exports', async () => {
+    const id = store.save({ frames: [frame('hi', 'trigger')] });
+    await store.queue;
+
+    const [alert, other] = await store.withEvidence([{ message: 'Fire', evidenceId: id }, { message: 'Upload' }], item => item.evidenceId);
+    expect(alert.evidence.frames[0].image).toBe(`data:image/jpeg;base64,${btoa('hi')}`);
+    expect(other).toEqual({ message: 'Upload' });
+  });
+});
@@ -0,0 +1,272 @@
+/**
+ * Frame Channel
+ * Live camera frames over one persistent WebSocket instead of a JSON POST per
+ * frame: frames go up as binary blobs, several can be in flight at once, and
+ * answers are matched to frames by id, so they may come back in any order.
+ *
+ * Protocol on VITE_FRAME_SOCKET_PATH (default /ws/detect/frame):
+ *   browser -> server  binary: 4-byte big-endian frame id, then the JPEG/WebP bytes
+ *   server -> browser  text:   JSON { id, detections, has_fire } or { id, error, status }
+ *
+ * A backend without the socket (or the offline demo backend) gets POST
+ * /detect/frame instead; the socket is tried again a minute later.
+ * VITE_FRAME_TRANSPORT=http never opens it.
+ */
+
+import { detectFrame as detectHttpFrame, FRAME_TIMEOUT, getApiBaseUrl } from './api';
+import { CancelledError, errorFromStatus, NetworkError, TimeoutError } from './apiErrors';
+import { isMockUrl } from '../mocks/mockBackend';
+
+const TRANSPORT = import.meta.env.VITE_FRAME_TRANSPORT === 'http' ? 'http' : 'websocket';
+const SOCKET_PATH = import.meta.env.VITE_FRAME_SOCKET_PATH || '/ws/detect/frame';
+
+const CONNECT_TIMEOUT = 5000;
+const SOCKET_RETRY_DELAY = 60000; // before trying the socket again after it could not be opened
+
+/**
+ * WebSocket URL for a backend base URL - http becomes ws, https wss
+ */
+export const toSocketUrl = (baseUrl, path = SOCKET_PATH) => `${baseUrl.replace(/^http/, 'ws').replace(/\/+$/, '')}${path}`;
+
+/**
+ * Binary message for one frame: its id, then the image
+ */
+export const encodeFrameMessage = (id, blob) => {
+  const header = new ArrayBuffer(4);
+  new DataView(header).setUint32(0, id);
+  return new Blob([header, blob]);
+};
+
+export class FrameChannel {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getBaseUrl - () => backend URL, followed when the profile changes
+   * @param {Function} options.createSocket - (url) => WebSocket
+   * @param {Function} options.detectHttp - (frame, { signal, timeout }) => Promise<result>, POST /detect/frame
+   * @param {string} options.transport - 'websocket' (with HTTP fallback) or 'http'
+   */
+  constructor({
+    getBaseUrl = getApiBaseUrl,
+    createSocket = (url) => new WebSocket(url),
+    detectHttp = detectHttpFrame,
+    transport = TRANSPORT,
+    timeout = FRAME_TIMEOUT,
+  } = {}) {
+    this.getBaseUrl = getBaseUrl;
+    this.createSocket = createSocket;
+    this.detectHttp = detectHttp;
+    this.transport = transport;
+    this.timeout = timeout;
+    this.state = {
+      status: 'idle', // 'idle' | 'connecting' | 'open' | 'unavailable'
+    };
+    this.listeners = new Set();
+    this.socket = null;
+    this.url = null;
+    this.opening = null;
+    this.connecting = null; // { socket, cancel } while a socket is being opened
+    this.pending = new Map(); // frame id -> { resolve, reject }
+    this.nextId = 0;
+    this.retryAt = 0;
+  }
+
+  /**
+   * Subscribe to connection changes (useSyncExternalStore compatible)
+   */
+  subscribe = (listener) => {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  };
+
+  /**
+   * { status } - a new object on every change
+   */
+  getSnapshot = () => this.state;
+
+  setState(patch) {
+    this.state = { ...this.state, ...patch };
+    this.listeners.forEach(listener => listener());
+  }
+
+  /**
+   * Whether frames should go over the socket right now
+   */
+  usesSocket() {
+    return this.transport === 'websocket'
+      && typeof this.createSocket === 'function'
+      && !isMockUrl(this.getBaseUrl())
+      && Date.now() >= this.retryAt;
+  }
+
+  /**
+   * Analyse one frame - same result shape as POST /detect/frame
+   *
+   * @param {Blob|string} frame - The encoded frame (a data URL goes over HTTP)
+   * @param {Object} options - Optional { signal, timeout }
+   */
+  detectFrame = async (frame, { signal, timeout = this.timeout } = {}) => {
+    if (!(frame instanceof Blob) || !this.usesSocket()) {
+      return this.detectHttp(frame, { signal, timeout });
+    }
+
+    let socket;
+    try {
+      socket = await this.connect();
+    } catch (error) {
+      // Closed while opening (backend profile changed) - drop this frame, the next one reconnects
+      if (error instanceof CancelledError) throw error;
+      console.warn(`⚠️ Frame socket unavailable (${error.message}) - sending frames over HTTP for now`);
+      this.retryAt = Date.now() + SOCKET_RETRY_DELAY;
+      this.setState({ status: 'unavailable' });
+      return this.detectHttp(frame, { signal, timeout });
+    }
+
+    if (signal?.aborted) throw new CancelledError();
+    return this.send(socket, frame, { signal, timeout });
+  };
+
+  connect() {
+    const url = toSocketUrl(this.getBaseUrl());
+    if (this.url !== url) this.close(); // backend profile changed
+    if (this.socket) return Promise.resolve(this.socket);
+    if (this.opening) return this.opening;
+
+    this.url = url;
+    this.setState({ status: 'connecting' });
+    this.opening = new Promise((resolve, reject) => {
+      const socket = this.createSocket(url);
+      socket.binaryType = 'arraybuffer';
+
+      // Only the socket being opened now may settle this attempt - one that was
+      // given up on (timed out, or closed for another backend) is ignored
+      const isCurrent = () => this.connecting?.socket === socket;
+      const giveUp = (error) => {
+        clearTimeout(timer);
+        if (isCurrent()) {
+          this.connecting = null;
+          this.opening = null;
+        }
+        reject(error);
+      };
+      this.connecting = { socket, cancel: () => giveUp(new CancelledError()) };
+
+      const timer = setTimeout(() => {
+        giveUp(new TimeoutError('The frame socket did not open in time.'));
+        socket.close();
+      }, CONNECT_TIMEOUT);
+
+      socket.onopen = () => {
+        if (!isCurrent()) {
+          socket.close();
+          return;
+        }
+        clearTimeout(timer);
+        this.connecting = null;
+        this.opening = null;
+        this.socket = socket;
+        this.setState({ status: 'open' });
+        console.log(`🔌 Frame socket open: ${url}`);
+        resolve(socket);
+      };
+      socket.onmessage = (event) => {
+        if (this.socket === socket) this.handleMessage(event.data);
+      };
+      socket.onclose = () => {
+        if (this.socket === socket) {
+          this.socket = null;
+          this.failPending(new NetworkError('The connection to the detection server was lost.'));
+          this.setState({ status: 'idle' }); // reopened with the next frame
+          console.warn('⚠️ Frame socket closed');
+        } else {
+          giveUp(new NetworkError('The frame socket could not be opened.'));
+        }
+      };
+    });
+    return this.opening;
+  }
+
+  send(socket, blob, { signal, timeout }) {
+    this.nextId = (this.nextId + 1) % 0x100000000;
+    const id = this.nextId;
+
+    return new Promise((resolve, reject) => {
+      const done = () => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        this.pending.delete(id);
+      };
+      // Late answers for a cancelled or timed-out frame are ignored
+      const onAbort = () => {
+        done();
+        reject(new CancelledError());
+      };
+      const timer = setTimeout(() => {
+        done();
+        reject(new TimeoutError('The detection server took too long to answer this frame.'));
+      }, timeout);
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.pending.set(id, {
+        resolve: (result) => {
+          done();
+          resolve(result);
+        },
+        reject: (error) => {
+          done();
+          reject(error);
+        },
+      });
+      socket.send(encodeFrameMessage(id, blob));
+    });
+  }
+
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(typeof data === 'string' ? data : new TextDecoder().decode(data));
+    } catch {
+      console.warn('⚠️ Unreadable frame socket message:', data);
+      return;
+    }
+
+    const frame = this.pending.get(message.id);
+    if (!frame) return;
+
+    if (message.error) {
+      frame.reject(errorFromStatus(message.status || 500, { data: { detail: message.error }, contentType: 'application/json' }));
+      return;
+    }
+    const { id: _id, ...result } = message;
+    frame.resolve({ ...result, detections: result.detections || [], has_fire: Boolean(result.has_fire) });
+  }
+
+  failPending(error) {
+    Array.from(this.pending.values()).forEach(frame => frame.reject(error));
+  }
+
+  /**
+   * Close the socket; the next frame opens a new one
+   */
+  close() {
+    const { socket, connecting } = this;
+    this.socket = null;
+    this.url = null;
+    if (connecting) {
+      connecting.cancel();
+      connecting.socket.close();
+      this.setState({ status: 'idle' });
+    }
+    this.opening = null;
+    if (socket) {
+      this.failPending(new CancelledError());
+      socket.onclose = null;
+      socket.close();
+      this.setState({ status: 'idle' });
+    }
+  }
+}
+
+// Create singleton instance
+const frameChannel = new FrameChannel();
+
+export default frameChannel;
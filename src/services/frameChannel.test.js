@@ -0,0 +1,193 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { encodeFrameMessage, FrameChannel, toSocketUrl } from './frameChannel';
+import { CancelledError, NetworkError, ServerError, TimeoutError } from './apiErrors';
+
+// WebSocket stand-in the test opens, answers and closes
+const createSockets = () => {
+  const sockets = [];
+  const createSocket = vi.fn((url) => {
+    const socket = {
+      url,
+      sent: [],
+      send: (message) => socket.sent.push(message),
+      close: vi.fn(() => socket.onclose?.()),
+      open: () => socket.onopen?.(),
+      answer: (message) => socket.onmessage?.({ data: JSON.stringify(message) }),
+    };
+    sockets.push(socket);
+    return socket;
+  });
+  return { sockets, createSocket };
+};
+
+const frameId = async (message) => new DataView(await message.slice(0, 4).arrayBuffer()).getUint32(0);
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const createChannel = (overrides = {}) => {
+  const { sockets, createSocket } = createSockets();
+  const detectHttp = vi.fn(async () => ({ detections: [], has_fire: false, via: 'http' }));
+  const channel = new FrameChannel({
+    getBaseUrl: () => 'https://api.example.com/',
+    createSocket,
+    detectHttp,
+    transport: 'websocket',
+    timeout: 1000,
+    ...overrides,
+  });
+  return { channel, sockets, createSocket, detectHttp };
+};
+
+describe('frame socket messages', () => {
+  it('builds the socket URL from the backend URL', () => {
+    expect(toSocketUrl('https://api.example.com/')).toBe('wss://api.example.com/ws/detect/frame');
+    expect(toSocketUrl('http://localhost:8000')).toBe('ws://localhost:8000/ws/detect/frame');
+  });
+
+  it('prefixes the image with its frame id', async () => {
+    const message = encodeFrameMessage(258, new Blob(['jpeg']));
+
+    expect(await frameId(message)).toBe(258);
+    expect(await message.slice(4).text()).toBe('jpeg');
+  });
+});
+
+describe('FrameChannel', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('matches answers to frames by id, in any order', async () => {
+    const { channel, sockets, detectHttp } = createChannel();
+
+    const first = channel.detectFrame(new Blob(['one']));
+    sockets[0].open();
+    await flush();
+    const second = channel.detectFrame(new Blob(['two']));
+    await flush();
+
+    const [firstId, secondId] = await Promise.all(sockets[0].sent.map(frameId));
+    sockets[0].answer({ id: secondId, detections: [{ class: 'smoke' }], has_fire: false });
+    sockets[0].answer({ id: firstId, detections: [{ class: 'fire' }], has_fire: true });
+
+    expect(await first).toEqual({ detections: [{ class: 'fire' }], has_fire: true });
+    expect(await second).toEqual({ detections: [{ class: 'smoke' }], has_fire: false });
+    expect(channel.getSnapshot().status).toBe('open');
+    expect(detectHttp).not.toHaveBeenCalled();
+  });
+
+  it('raises backend errors for the frame they name', async () => {
+    const { channel, sockets } = createChannel();
+
+    const result = channel.detectFrame(new Blob(['one']));
+    sockets[0].open();
+    await flush();
+    sockets[0].answer({ id: await frameId(sockets[0].sent[0]), error: 'Model not loaded', status: 503 });
+
+    await expect(result).rejects.toBeInstanceOf(ServerError);
+  });
+
+  it('falls back to HTTP when the socket cannot be opened, and tries again later', async () => {
+    const { channel, sockets, detectHttp } = createChannel();
+
+    const result = channel.detectFrame(new Blob(['one']));
+    sockets[0].close();
+
+    expect(await result).toMatchObject({ via: 'http' });
+    expect(channel.getSnapshot().status).toBe('unavailable');
+
+    await channel.detectFrame(new Blob(['two']));
+    expect(sockets).toHaveLength(1);
+    expect(detectHttp).toHaveBeenCalledTimes(2);
+  });
+
+  it('uses HTTP for the demo backend and when configured to', async () => {
+    const demo = createChannel({ getBaseUrl: () => 'http://mock.wildfire.local' });
+    const http = createChannel({ transport: 'http' });
+
+    await demo.channel.detectFrame(new Blob(['one']));
+    await http.channel.detectFrame(new Blob(['one']));
+
+    expect(demo.createSocket).not.toHaveBeenCalled();
+    expect(http.createSocket).not.toHaveBeenCalled();
+    expect(demo.detectHttp).toHaveBeenCalledTimes(1);
+    expect(http.detectHttp).toHaveBeenCalledTimes(1);
+  });
+
+  it('fails frames in flight when the connection drops, and reconnects for the next one', async () => {
+    const { channel, sockets } = createChannel();
+
+    const result = channel.detectFrame(new Blob(['one']));
+    sockets[0].open();
+    await flush();
+    sockets[0].close();
+
+    await expect(result).rejects.toBeInstanceOf(NetworkError);
+    const next = channel.detectFrame(new Blob(['two']));
+    expect(sockets).toHaveLength(2);
+    channel.close();
+    await expect(next).rejects.toBeInstanceOf(CancelledError);
+  });
+
+  it('ignores a socket still opening for the previous backend', async () => {
+    let baseUrl = 'https://old.example.com/';
+    const { channel, sockets, detectHttp } = createChannel({ getBaseUrl: () => baseUrl });
+
+    const stale = channel.detectFrame(new Blob(['one']));
+    baseUrl = 'https://new.example.com/';
+    const result = channel.detectFrame(new Blob(['two']));
+    await expect(stale).rejects.toBeInstanceOf(CancelledError);
+
+    sockets[0].open(); // the old backend answers late
+    expect(sockets[0].close).toHaveBeenCalled();
+    sockets[1].open();
+    await flush();
+
+    sockets[1].answer({ id: await frameId(sockets[1].sent[0]), detections: [], has_fire: false });
+    expect(await result).toEqual({ detections: [], has_fire: false });
+    expect(sockets[0].sent).toEqual([]);
+    expect(sockets[1].url).toBe('wss://new.example.com/ws/detect/frame');
+    expect(detectHttp).not.toHaveBeenCalled();
+  });
+
+  it('does not let a timed-out socket disturb the next attempt', async () => {
+    vi.useFakeTimers();
+    const { channel, sockets } = createChannel();
+    // The timed-out socket reports its close only later, as a real one does
+    const timedOut = channel.detectFrame(new Blob(['one']));
+    sockets[0].close.mockImplementation(() => {});
+    await vi.advanceTimersByTimeAsync(5000);
+    expect(await timedOut).toMatchObject({ via: 'http' });
+
+    channel.retryAt = 0;
+    const result = channel.detectFrame(new Blob(['two']));
+    const opening = channel.opening;
+    sockets[0].onclose();
+    sockets[0].onopen();
+    expect(channel.opening).toBe(opening);
+
+    sockets[1].open();
+    await vi.advanceTimersByTimeAsync(0);
+    sockets[1].answer({ id: await frameId(sockets[1].sent[0]), detections: [], has_fire: true });
+    expect(await result).toEqual({ detections: [], has_fire: true });
+    expect(channel.socket).toBe(sockets[1]);
+  });
+
+  it('gives up on a frame after the timeout and when it is aborted', async () => {
+    vi.useFakeTimers();
+    const { channel, sockets } = createChannel();
+    const controller = new AbortController();
+
+    const slow = channel.detectFrame(new Blob(['one']));
+    const aborted = channel.detectFrame(new Blob(['two']), { signal: controller.signal });
+    sockets[0].open();
+    await vi.advanceTimersByTimeAsync(0);
+    controller.abort();
+    await expect(aborted).rejects.toBeInstanceOf(CancelledError);
+
+    const timedOut = expect(slow).rejects.toBeInstanceOf(TimeoutError);
+    await vi.advanceTimersByTimeAsync(1000);
+    await timedOut;
+    expect(channel.pending.size).toBe(0);
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * Backend Health Monitor
+ * Polls /health so the UI knows whether the backend is up, still waking from a
+ * free-tier sleep, unreachable or running degraded, and lets detections wait
+ * for it to become ready instead of failing on the first request after idle.
+ */
+
+import { getHealth } from './api';
+import backendProfiles from './backendProfiles';
+import { CancelledError, ClientError, ColdStartError, NetworkError, ServerError, TimeoutError, toApiError } from './apiErrors';
+
+// How often to poll in each state (ms) - faster while we are waiting for the backend
+const POLL_INTERVALS = {
+  unknown: 3000,
+  waking: 5000,
+  offline: 15000,
+  degraded: 15000,
+  online: 30000,
+};
+
+const SLOW_RESPONSE = 5000; // ms - answered, but too slowly for live monitoring
+const WAKE_TIMEOUT = 120000; // ms - still not up after this long means offline, not sleeping
+const READY_TIMEOUT = 180000; // ms - how long a queued detection waits for the backend
+
+export class HealthMonitor {
+  constructor() {
+    this.state = {
+      status: 'unknown', // 'unknown' | 'online' | 'waking' | 'offline' | 'degraded'
+      message: null,
+      latency: null,
+      lastChecked: null,
+      since: Date.now(), // when the current status started
+    };
+    this.listeners = new Set();
+    this.running = false;
+    this.timer = null;
+    this.inFlight = null;
+    this.controller = null;
+    this.wakingSince = null;
+    this.baseUrl = backendProfiles.getActiveProfile().url;
+    this.unsubscribeProfiles = null;
+  }
+
+  /**
+   * Subscribe to status changes (useSyncExternalStore compatible)
+   */
+  subscribe = (listener) => {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  };
+
+  /**
+   * Current health state - a new object on every change
+   */
+  getSnapshot = () => this.state;
+
+  setState(patch) {
+    const statusChanged = patch.status && patch.status !== this.state.status;
+    this.state = {
+      ...this.state,
+      ...patch,
+      lastChecked: Date.now(),
+      since: statusChanged ? Date.now() : this.state.since,
+    };
+    if (statusChanged) {
+      console.log(`🩺 Backend status: ${this.state.status}`, this.state.message || '');
+    }
+    this.listeners.forEach(listener => listener());
+  }
+
+  /**
+   * Start polling. The first check doubles as the wake-up call for a sleeping backend.
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    this.unsubscribeProfiles = backendProfiles.subscribe(this.handleProfileChange);
+    this.check();
+  }
+
+  stop() {
+    this.running = false;
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    this.unsubscribeProfiles?.();
+    this.unsubscribeProfiles = null;
+    clearTimeout(this.timer);
+    this.controller?.abort();
+  }
+
+  // No point keeping the backend awake for a hidden tab; re-check as soon as it is visible again
+  handleVisibilityChange = () => {
+    if (document.hidden) {
+      clearTimeout(this.timer);
+    } else if (this.running) {
+      this.check();
+    }
+  };
+
+  // Switched to another backend - forget what we knew about the old one
+  handleProfileChange = () => {
+    const url = backendProfiles.getActiveProfile().url;
+    if (url === this.baseUrl) return;
+
+    this.baseUrl = url;
+    this.controller?.abort();
+    this.inFlight = null;
+    this.wakingSince = null;
+    this.setState({ status: 'unknown', latency: null, message: null });
+    this.check();
+  };
+
+  /**
+   * True when detection requests can be sent
+   */
+  isReady() {
+    return this.state.status === 'online' || this.state.status === 'degraded';
+  }
+
+  /**
+   * Check health now; concurrent calls share one request
+   * @returns {Promise<Object>} the resulting state
+   */
+  check() {
+    if (!this.inFlight) {
+      clearTimeout(this.timer);
+      const pending = this.runCheck().finally(() => {
+        // A profile switch may have started a newer check in the meantime
+        if (this.inFlight === pending) {
+          this.inFlight = null;
+          this.schedule();
+        }
+      });
+      this.inFlight = pending;
+    }
+    return this.inFlight;
+  }
+
+  async runCheck() {
+    const controller = new AbortController();
+    this.controller = controller;
+
+    try {
+      const { data, latency } = await getHealth({ signal: controller.signal });
+      this.wakingSince = null;
+
+      if (data?.status === 'degraded' || data?.model_loaded === false) {
+        this.setState({ status: 'degraded', latency, message: data.detail || data.message || 'Detection model is not fully loaded' });
+      } else if (latency > SLOW_RESPONSE) {
+        this.setState({ status: 'degraded', latency, message: `Responding slowly (${(latency / 1000).toFixed(1)}s)` });
+      } else {
+        this.setState({ status: 'online', latency, message: null });
+      }
+    } catch (caught) {
+      const error = toApiError(caught);
+      if (error instanceof CancelledError) return this.state;
+
+      if (error instanceof ClientError && error.status === 404) {
+        // Older backend without /health - it answered, so it is up
+        this.wakingSince = null;
+        this.setState({ status: 'online', latency: null, message: null });
+      } else if (error instanceof ServerError) {
+        this.wakingSince = null;
+        this.setState({ status: 'degraded', latency: null, message: error.message });
+      } else if (this.isWakeUpError(error)) {
+        this.wakingSince = this.wakingSince ?? Date.now();
+        if (Date.now() - this.wakingSince > WAKE_TIMEOUT) {
+          this.setState({ status: 'offline', latency: null, message: 'The detection server did not wake up' });
+        } else {
+          this.setState({ status: 'waking', latency: null, message: error.message });
+        }
+      } else {
+        this.setState({ status: 'offline', latency: null, message: error.message });
+      }
+    } finally {
+      if (this.controller === controller) {
+        this.controller = null;
+      }
+    }
+
+    return this.state;
+  }
+
+  // A sleeping instance times out or answers through the host's proxy. That proxy page
+  // has no CORS headers, so the browser may only report a network error - treat that as
+  // waking too unless the backend was already known to be up.
+  isWakeUpError(error) {
+    if (error instanceof ColdStartError || error instanceof TimeoutError) return true;
+    return error instanceof NetworkError && (this.wakingSince != null || this.state.status === 'unknown');
+  }
+
+  schedule() {
+    clearTimeout(this.timer);
+    if (!this.running || document.hidden) return;
+    this.timer = setTimeout(() => this.check(), POLL_INTERVALS[this.state.status]);
+  }
+
+  /**
+   * Re-check straight away when a request failed in a way that points at the backend
+   */
+  reportFailure(error) {
+    const apiError = toApiError(error);
+    if (apiError instanceof NetworkError || apiError instanceof TimeoutError || apiError instanceof ColdStartError) {
+      this.check();
+    }
+  }
+
+  /**
+   * Resolve once the backend is ready for detections
+   *
+   * @param {Object} options - Optional { signal, timeout }
+   * @returns {Promise<Object>} the health state once ready; rejects with CancelledError on abort
+   *   or with a ColdStartError / NetworkError if the backend stays down past the timeout
+   */
+  whenReady({ signal, timeout = READY_TIMEOUT } = {}) {
+    if (this.isReady()) return Promise.resolve(this.state);
+    if (signal?.aborted) return Promise.reject(new CancelledError());
+
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        unsubscribe();
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+      };
+      const onAbort = () => {
+        cleanup();
+        reject(new CancelledError());
+      };
+      const unsubscribe = this.subscribe(() => {
+        if (this.isReady()) {
+          cleanup();
+          resolve(this.state);
+        }
+      });
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(this.state.status === 'offline'
+          ? new NetworkError("The detection server is offline. Try again once it's back.")
+          : new ColdStartError('The detection server took too long to wake up. Please try again.'));
+      }, timeout);
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      // Don't wait for the next poll
+      if (!this.running) {
+        this.start();
+      } else {
+        this.check();
+      }
+    });
+  }
+}
+
+// Create singleton instance
+const healthMonitor = new HealthMonitor();
+
+export default healthMonitor;
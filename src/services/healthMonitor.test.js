@@ -0,0 +1,79 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { getHealth } from './api';
+import { CancelledError, ClientError, NetworkError, TimeoutError } from './apiErrors';
+import { HealthMonitor } from './healthMonitor';
+
+vi.mock('./api', () => ({ getHealth: vi.fn() }));
+
+let healthMonitor;
+
+beforeEach(() => {
+  vi.stubGlobal('document', { hidden: false, addEventListener: vi.fn(), removeEventListener: vi.fn() });
+  getHealth.mockReset();
+  healthMonitor = new HealthMonitor();
+});
+
+afterEach(() => {
+  healthMonitor.stop();
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+});
+
+describe('healthMonitor', () => {
+  it('reports online for a healthy, fast backend', async () => {
+    getHealth.mockResolvedValue({ data: { status: 'ok' }, latency: 120 });
+
+    const state = await healthMonitor.check();
+
+    expect(state.status).toBe('online');
+    expect(healthMonitor.isReady()).toBe(true);
+  });
+
+  it('reports degraded when the model is not loaded', async () => {
+    getHealth.mockResolvedValue({ data: { status: 'ok', model_loaded: false }, latency: 100 });
+    expect((await healthMonitor.check()).status).toBe('degraded');
+  });
+
+  it('treats a backend without /health as online', async () => {
+    getHealth.mockRejectedValue(new ClientError('not found', { status: 404 }));
+    expect((await healthMonitor.check()).status).toBe('online');
+  });
+
+  it('shows waking while a sleeping backend times out, and offline for a lost one', async () => {
+    getHealth.mockRejectedValueOnce(new TimeoutError());
+    expect((await healthMonitor.check()).status).toBe('waking');
+
+    getHealth.mockResolvedValueOnce({ data: {}, latency: 100 });
+    expect((await healthMonitor.check()).status).toBe('online');
+
+    getHealth.mockRejectedValueOnce(new NetworkError());
+    expect((await healthMonitor.check()).status).toBe('offline');
+  });
+
+  it('holds whenReady until the backend has woken up', async () => {
+    vi.useFakeTimers();
+    getHealth
+      .mockRejectedValueOnce(new TimeoutError())
+      .mockResolvedValue({ data: { status: 'ok' }, latency: 100 });
+
+    const ready = vi.fn();
+    healthMonitor.whenReady().then(ready);
+
+    await vi.advanceTimersByTimeAsync(0);
+    expect(healthMonitor.getSnapshot().status).toBe('waking');
+    expect(ready).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(5000);
+    expect(ready).toHaveBeenCalledWith(expect.objectContaining({ status: 'online' }));
+  });
+
+  it('rejects whenReady with CancelledError on abort', async () => {
+    getHealth.mockReturnValue(new Promise(() => {}));
+    const controller = new AbortController();
+
+    const waiting = healthMonitor.whenReady({ signal: controller.signal });
+    controller.abort();
+
+    await expect(waiting).rejects.toBeInstanceOf(CancelledError);
+  });
+});
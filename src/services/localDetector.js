@@ -0,0 +1,212 @@
+/**
+ * Local Detector
+ * Optional in-browser fire & smoke detection with ONNX Runtime Web (WASM, CPU)
+ * and a small YOLO export, so live monitoring keeps working when the backend
+ * is slow or unreachable. Modes:
+ *
+ *   off       - every frame goes to the backend (frameChannel)
+ *   prefilter - the local model screens frames; only suspicious ones are sent
+ *               to the backend, and local results stand in while it is down
+ *   local     - frames are only analysed in the browser (the server model is
+ *               used until the local one has loaded)
+ *
+ * Results have the same shape as /detect/frame, plus detector: 'local'. The
+ * runtime and model are only downloaded once a mode other than off is used.
+ * No model is bundled, so the browser modes stay off until VITE_LOCAL_MODEL_URL
+ * points at one.
+ */
+
+import frameChannel from './frameChannel';
+import healthMonitor from './healthMonitor';
+import { decodeYoloOutput, MODEL_INPUT_SIZE } from '../utils/yolo';
+
+const STORAGE_KEY = 'wildfire-local-detector';
+
+// A YOLOv8/YOLO11 export with a 640x640 input; without one only the server model is offered
+const MODEL_URL = import.meta.env.VITE_LOCAL_MODEL_URL || null;
+const MODEL_CLASSES = (import.meta.env.VITE_LOCAL_MODEL_CLASSES || 'fire,smoke').split(',').map(name => name.trim());
+
+const CONFIDENCE = 0.4; // reported as a detection
+const SUSPICIOUS = 0.15; // worth asking the backend about in prefilter mode
+
+export const DETECTOR_MODES = [
+  { id: 'off', label: 'Server model' },
+  { id: 'prefilter', label: 'Browser pre-filter' },
+  { id: 'local', label: 'Browser only (offline)' },
+];
+
+const isDetectorMode = (mode) => DETECTOR_MODES.some(({ id }) => id === mode);
+
+export class LocalDetector {
+  /**
+   * @param {Object} options
+   * @param {Storage} options.storage - where the chosen mode is kept
+   * @param {Function} options.detectRemote - (frameData, { signal }) => Promise<result>, i.e. the frame socket or /detect/frame
+   * @param {Function} options.isBackendReady - () => boolean
+   * @param {Function} options.loadRuntime - () => Promise<onnxruntime module>
+   * @param {string|null} options.modelUrl - the ONNX model; null turns the browser modes off
+   */
+  constructor({
+    storage = globalThis.localStorage,
+    detectRemote = frameChannel.detectFrame,
+    isBackendReady = () => healthMonitor.isReady(),
+    loadRuntime = () => import('onnxruntime-web/wasm'),
+    modelUrl = MODEL_URL,
+    classes = MODEL_CLASSES,
+  } = {}) {
+    this.storage = storage;
+    this.detectRemote = detectRemote;
+    this.isBackendReady = isBackendReady;
+    this.loadRuntime = loadRuntime;
+    this.modelUrl = modelUrl;
+    this.classes = classes;
+    this.state = {
+      available: Boolean(modelUrl), // whether a model is configured at all
+      mode: this.loadMode(),
+      status: 'idle', // 'idle' | 'loading' | 'ready' | 'error'
+      message: null,
+    };
+    this.listeners = new Set();
+    this.ort = null;
+    this.session = null;
+    this.loading = null;
+    this.queue = Promise.resolve(); // one inference at a time - a WASM session can't run two
+  }
+
+  loadMode() {
+    if (!this.modelUrl) return 'off';
+    try {
+      const saved = this.storage?.getItem(STORAGE_KEY);
+      return isDetectorMode(saved) ? saved : 'off';
+    } catch {
+      return 'off';
+    }
+  }
+
+  /**
+   * Subscribe to mode and model changes (useSyncExternalStore compatible)
+   */
+  subscribe = (listener) => {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  };
+
+  /**
+   * { available, mode, status, message } - a new object on every change
+   */
+  getSnapshot = () => this.state;
+
+  setState(patch) {
+    this.state = { ...this.state, ...patch };
+    this.listeners.forEach(listener => listener());
+  }
+
+  setMode(mode) {
+    if (!isDetectorMode(mode) || mode === this.state.mode) return;
+    if (mode !== 'off' && !this.state.available) {
+      console.warn('⚠️ No in-browser model is configured (VITE_LOCAL_MODEL_URL), staying on the server model');
+      return;
+    }
+    console.log(`🧠 Live detection mode: ${mode}`);
+    try {
+      this.storage?.setItem(STORAGE_KEY, mode);
+    } catch (error) {
+      console.warn('⚠️ Could not save the detection mode:', error);
+    }
+
+    // Picking a mode again is also how a failed model load is retried
+    if (this.state.status === 'error') {
+      this.loading = null;
+      this.setState({ mode, status: 'idle', message: null });
+    } else {
+      this.setState({ mode });
+    }
+    if (mode !== 'off') this.load();
+  }
+
+  isActive() {
+    return this.state.mode !== 'off' && this.state.status === 'ready';
+  }
+
+  /**
+   * Download the runtime and model; concurrent calls share one load
+   */
+  load() {
+    if (this.loading) return this.loading;
+
+    this.setState({ status: 'loading', message: null });
+    this.loading = (async () => {
+      try {
+        this.ort = await this.loadRuntime();
+        this.session = await this.ort.InferenceSession.create(this.modelUrl, { executionProviders: ['wasm'] });
+        console.log(`✅ In-browser model loaded from ${this.modelUrl}`);
+        this.setState({ status: 'ready' });
+      } catch (error) {
+        console.error('❌ Could not load the in-browser model:', error);
+        this.setState({ status: 'error', message: `Could not load the in-browser model (${this.modelUrl}).` });
+      }
+    })();
+    return this.loading;
+  }
+
+  /**
+   * Whether a frame can be analysed now - by the backend, or by the local
+   * model when a mode is on. Asking while the model isn't loaded starts loading it.
+   */
+  isReady = () => {
+    if (this.state.mode !== 'off' && this.state.status === 'idle') this.load();
+    return this.isBackendReady() || this.isActive();
+  };
+
+  // Every candidate at or above SUSPICIOUS, in frame pixels
+  infer({ data, box, frame }) {
+    const run = async () => {
+      const tensor = new this.ort.Tensor('float32', data, [1, 3, MODEL_INPUT_SIZE, MODEL_INPUT_SIZE]);
+      const outputs = await this.session.run({ [this.session.inputNames[0]]: tensor });
+      const output = outputs[this.session.outputNames[0]];
+      return decodeYoloOutput(output.data, output.dims, {
+        classes: this.classes,
+        minConfidence: SUSPICIOUS,
+        box,
+        frame,
+      });
+    };
+    const result = this.queue.then(run);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * FrameScheduler detectFrame - runs the frame through the local model and/or
+   * the backend depending on the mode
+   *
+   * @param {Blob|string} data - The encoded frame for the backend
+   * @param {Object} options - { signal, input: the same frame as model input (FrameEncoder.capture) }
+   */
+  detectFrame = async (data, { signal, input } = {}) => {
+    const { mode } = this.state;
+    if (!this.isActive() || !input) return this.detectRemote(data, { signal });
+
+    let candidates;
+    try {
+      candidates = await this.infer(input);
+    } catch (error) {
+      // Not a backend problem - drop back to the server model and say why
+      console.error('❌ In-browser detection failed:', error);
+      this.setState({ status: 'error', message: 'The in-browser model failed - using the server model.' });
+      return this.detectRemote(data, { signal });
+    }
+
+    const detections = candidates.filter(detection => detection.confidence >= CONFIDENCE);
+    const result = { detections, has_fire: detections.length > 0, detector: 'local' };
+
+    // Clean frames, offline mode and a backend that is down all end here
+    if (mode === 'local' || candidates.length === 0 || !this.isBackendReady()) return result;
+    return this.detectRemote(data, { signal });
+  };
+}
+
+// Create singleton instance
+const localDetector = new LocalDetector();
+
+export default localDetector;
@@ -0,0 +1,185 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { LocalDetector } from './localDetector';
+import { letterbox } from '../utils/yolo';
+
+const memoryStorage = () => {
+  const data = new Map();
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+  };
+};
+
+const frame = { width: 640, height: 480 };
+const input = { data: new Float32Array(1), box: letterbox(frame), frame };
+
+// One anchor per fake detection, in the [1, 4 + classes, anchors] layout
+const modelOutput = (scores) => {
+  const anchors = Math.max(scores.length, 1);
+  const data = new Float32Array(6 * anchors);
+  scores.forEach(([fire, smoke], anchor) => {
+    [320, 320, 100, 100, fire, smoke].forEach((value, channel) => {
+      data[channel * anchors + anchor] = value;
+    });
+  });
+  return { data, dims: [1, 6, anchors] };
+};
+
+// onnxruntime-web stand-in whose model answers with `scores`
+const fakeRuntime = (session) => ({
+  Tensor: class {
+    constructor(type, data, dims) {
+      Object.assign(this, { type, data, dims });
+    }
+  },
+  InferenceSession: { create: vi.fn(async () => session) },
+});
+
+let storage;
+let session;
+let scores;
+let backendReady;
+let detectRemote;
+
+const createDetector = (options = {}) => new LocalDetector({
+  storage,
+  detectRemote,
+  isBackendReady: () => backendReady,
+  loadRuntime: async () => fakeRuntime(session),
+  modelUrl: '/models/test.onnx',
+  classes: ['fire', 'smoke'],
+  ...options,
+});
+
+beforeEach(() => {
+  storage = memoryStorage();
+  scores = [];
+  backendReady = true;
+  session = {
+    inputNames: ['images'],
+    outputNames: ['output0'],
+    run: vi.fn(async () => ({ output0: modelOutput(scores) })),
+  };
+  detectRemote = vi.fn(async () => ({ detections: [{ class: 'fire', confidence: 0.9, bbox: [0, 0, 1, 1] }], has_fire: true }));
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('LocalDetector', () => {
+  it('sends every frame to the backend while off', async () => {
+    const detector = createDetector();
+    expect(detector.getSnapshot().mode).toBe('off');
+
+    const result = await detector.detectFrame('frame', { input });
+    expect(result.has_fire).toBe(true);
+    expect(detectRemote).toHaveBeenCalledWith('frame', { signal: undefined });
+    expect(session.run).not.toHaveBeenCalled();
+  });
+
+  it('remembers the mode and loads the model when one is picked', async () => {
+    const detector = createDetector();
+    detector.setMode('prefilter');
+    expect(detector.getSnapshot().status).toBe('loading');
+    await detector.load();
+
+    expect(detector.getSnapshot().status).toBe('ready');
+    expect(createDetector().getSnapshot().mode).toBe('prefilter');
+  });
+
+  it('offers only the server model when no model is configured', () => {
+    storage.setItem('wildfire-local-detector', 'local');
+    const detector = createDetector({ modelUrl: null });
+    expect(detector.getSnapshot()).toMatchObject({ available: false, mode: 'off' });
+
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    detector.setMode('prefilter');
+
+    expect(detector.getSnapshot()).toMatchObject({ mode: 'off', status: 'idle' });
+    expect(detector.isReady()).toBe(true);
+    expect(session.run).not.toHaveBeenCalled();
+  });
+
+  it('answers clean frames locally in prefilter mode', async () => {
+    const detector = createDetector();
+    detector.setMode('prefilter');
+    await detector.load();
+
+    const result = await detector.detectFrame('frame', { input });
+    expect(result).toEqual({ detections: [], has_fire: false, detector: 'local' });
+    expect(detectRemote).not.toHaveBeenCalled();
+  });
+
+  it('asks the backend about suspicious frames in prefilter mode', async () => {
+    const detector = createDetector();
+    detector.setMode('prefilter');
+    await detector.load();
+    scores = [[0.2, 0]];
+
+    const result = await detector.detectFrame('frame', { input });
+    expect(detectRemote).toHaveBeenCalledTimes(1);
+    expect(result.detector).toBeUndefined();
+  });
+
+  it('falls back to the local result while the backend is down', async () => {
+    const detector = createDetector();
+    detector.setMode('prefilter');
+    await detector.load();
+    backendReady = false;
+    scores = [[0.8, 0.1]];
+
+    expect(detector.isReady()).toBe(true);
+    const result = await detector.detectFrame('frame', { input });
+    expect(result.has_fire).toBe(true);
+    expect(result.detections).toMatchObject([{ class: 'fire', bbox: [270, 190, 370, 290] }]);
+    expect(detectRemote).not.toHaveBeenCalled();
+  });
+
+  it('never calls the backend in local mode', async () => {
+    const detector = createDetector();
+    detector.setMode('local');
+    await detector.load();
+    scores = [[0.2, 0], [0, 0.7]];
+
+    const result = await detector.detectFrame('frame', { input });
+    expect(result.detections.map(d => d.class)).toEqual(['smoke']);
+    expect(detectRemote).not.toHaveBeenCalled();
+  });
+
+  it('is not ready without a backend until the model has loaded', async () => {
+    backendReady = false;
+    const detector = createDetector();
+    expect(detector.isReady()).toBe(false);
+
+    detector.setMode('local');
+    expect(detector.isReady()).toBe(false);
+    await detector.load();
+    expect(detector.isReady()).toBe(true);
+  });
+
+  it('reports a model that fails to load and retries when a mode is picked again', async () => {
+    const loadRuntime = vi.fn()
+      .mockRejectedValueOnce(new Error('404'))
+      .mockResolvedValue(fakeRuntime(session));
+    const detector = createDetector({ loadRuntime });
+
+    detector.setMode('local');
+    await detector.load();
+    expect(detector.getSnapshot()).toMatchObject({ status: 'error', message: expect.stringContaining('/models/test.onnx') });
+    expect(await detector.detectFrame('frame', { input })).toMatchObject({ has_fire: true });
+
+    detector.setMode('prefilter');
+    await detector.load();
+    expect(detector.getSnapshot().status).toBe('ready');
+  });
+
+  it('uses the server model when inference fails', async () => {
+    const detector = createDetector();
+    detector.setMode('local');
+    await detector.load();
+    session.run.mockRejectedValueOnce(new Error('wasm trap'));
+
+    const result = await detector.detectFrame('frame', { input });
+    expect(result.has_fire).toBe(true);
+    expect(detector.getSnapshot().status).toBe('error');
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Zone Store
+ * Every camera's detection zones (see utils/zones), keyed by camera id: the
+ * registered cameras' ids, plus LOCAL_WEBCAM_ID for the webcam of the single
+ * camera view, which isn't registered. Shared by the single view, the wall
+ * tiles and the camera settings. Persisted in localStorage.
+ */
+
+import { normalizeZones } from '../utils/zones';
+
+const STORAGE_KEY = 'wildfire-camera-zones';
+// Zones were saved with each camera in the registry before the zone store existed
+const LEGACY_REGISTRY_KEY = 'wildfire-cameras';
+
+export const LOCAL_WEBCAM_ID = 'local-webcam';
+
+const NO_ZONES = []; // the same array for every camera without zones, so snapshots stay equal
+
+export class ZoneStore {
+  constructor(storage = globalThis.localStorage) {
+    this.storage = storage;
+    this.listeners = new Set();
+    this.state = { zones: this.load() };
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(this.storage?.getItem(STORAGE_KEY) || 'null');
+      if (saved) return saved.zones || {};
+
+      // First run with the store - keep the zones drawn on registered cameras
+      const registry = JSON.parse(this.storage?.getItem(LEGACY_REGISTRY_KEY) || 'null');
+      return Object.fromEntries((registry?.cameras || [])
+        .map(camera => [camera.id, normalizeZones(camera.zones)])
+        .filter(([, zones]) => zones.length > 0));
+    } catch (error) {
+      console.warn('⚠️ Ignoring unreadable camera zones:', error);
+      return {};
+    }
+  }
+
+  save() {
+    try {
+      this.storage?.setItem(STORAGE_KEY, JSON.stringify(this.state));
+    } catch (error) {
+      console.warn('⚠️ Could not save camera zones:', error);
+    }
+  }
+
+  setState(patch) {
+    this.state = { ...this.state, ...patch };
+    this.save();
+    this.listeners.forEach(listener => listener());
+  }
+
+  /**
+   * Subscribe to zone changes (useSyncExternalStore compatible)
+   */
+  subscribe = (listener) => {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  };
+
+  /**
+   * { zones: { [camera id]: zones } } - a new object on every change
+   */
+  getSnapshot = () => this.state;
+
+  /**
+   * A camera's zones - the same array until they change
+   */
+  getZones(cameraId) {
+    return this.state.zones[cameraId] || NO_ZONES;
+  }
+
+  setZones(cameraId, zones) {
+    const { [cameraId]: previous, ...others } = this.state.zones;
+    const next = normalizeZones(zones);
+    if (!previous && next.length === 0) return;
+    this.setState({ zones: next.length > 0 ? { ...others, [cameraId]: next } : others });
+  }
+
+  removeZones(cameraId) {
+    this.setZones(cameraId, []);
+  }
+}
+
+// Create singleton instance
+const zoneStore = new ZoneStore();
+
+export default zoneStore;
@@ -0,0 +1,63 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ZoneStore, LOCAL_WEBCAM_ID } from './zoneStore';
+
+const memoryStorage = () => {
+  const data = new Map();
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+  };
+};
+
+const chimney = { type: 'exclude', points: [[0, 0], [0.5, 0], [0.5, 0.5]] };
+
+let storage;
+
+beforeEach(() => {
+  storage = memoryStorage();
+});
+
+describe('ZoneStore', () => {
+  it('keeps zones by camera id, the local webcam included', () => {
+    const store = new ZoneStore(storage);
+    let notified = 0;
+    store.subscribe(() => notified++);
+
+    store.setZones(LOCAL_WEBCAM_ID, [chimney]);
+    store.setZones('camera-1', [{ ...chimney, type: 'include' }]);
+
+    expect(notified).toBe(2);
+    const saved = new ZoneStore(storage);
+    expect(saved.getZones(LOCAL_WEBCAM_ID)).toMatchObject([chimney]);
+    expect(saved.getZones('camera-1')).toMatchObject([{ type: 'include' }]);
+  });
+
+  it('hands out the same array until a camera\'s zones change', () => {
+    const store = new ZoneStore(storage);
+    expect(store.getZones('camera-1')).toBe(store.getZones('camera-2'));
+
+    store.setZones('camera-1', [chimney]);
+    const zones = store.getZones('camera-1');
+    store.setZones('camera-2', [chimney]);
+    expect(store.getZones('camera-1')).toBe(zones);
+  });
+
+  it('forgets the zones of a removed camera', () => {
+    const store = new ZoneStore(storage);
+    store.setZones('camera-1', [chimney]);
+    store.removeZones('camera-1');
+
+    expect(store.getZones('camera-1')).toEqual([]);
+    expect(new ZoneStore(storage).getSnapshot().zones).toEqual({});
+  });
+
+  it('takes over the zones saved with registered cameras', () => {
+    storage.setItem('wildfire-cameras', JSON.stringify({
+      cameras: [{ id: 'camera-1', name: 'North ridge', zones: [chimney] }, { id: 'camera-2', name: 'Valley', zones: [] }]
+    }));
+
+    const store = new ZoneStore(storage);
+    expect(store.getZones('camera-1')).toMatchObject([chimney]);
+    expect(store.getSnapshot().zones).not.toHaveProperty('camera-2');
+  });
+});
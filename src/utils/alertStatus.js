@@ -0,0 +1,34 @@
+/**
+ * Alert partitioning for the Alert Status panel
+ * High severity alerts stay active until dismissed, and camera-offline alerts
+ * until the camera is back; others drop into the history once they are older
+ * than ACTIVE_WINDOW.
+ */
+
+import { CAMERA_OFFLINE } from './cameraWatchdog';
+
+export const ACTIVE_WINDOW = 30 * 1000; // ms
+
+/**
+ * Whether an alert belongs in the active list at time `now`.
+ * Timestamps that don't parse (locale strings from another browser) count as old.
+ */
+export const isActiveAlert = (alert, now = Date.now()) => {
+  if (alert.severity === 'high' || alert.type === CAMERA_OFFLINE) return true;
+  const alertTime = new Date(alert.timestamp).getTime();
+  return Number.isFinite(alertTime) && now - alertTime < ACTIVE_WINDOW;
+};
+
+/**
+ * Split alerts into active and history, keeping each alert's index in the
+ * original array so dismissing one removes the right entry.
+ * @returns {{ active: Array<{alert, index}>, history: Array<{alert, index}> }}
+ */
+export const partitionAlerts = (alerts, now = Date.now()) => {
+  const active = [];
+  const history = [];
+  alerts.forEach((alert, index) => {
+    (isActiveAlert(alert, now) ? active : history).push({ alert, index });
+  });
+  return { active, history };
+};
@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { ACTIVE_WINDOW, isActiveAlert, partitionAlerts } from './alertStatus';
+
+const NOW = new Date('2026-06-01T12:00:00Z').getTime();
+const at = (msAgo) => new Date(NOW - msAgo).toISOString();
+
+describe('isActiveAlert', () => {
+  it('keeps recent alerts active', () => {
+    expect(isActiveAlert({ severity: 'medium', timestamp: at(5000) }, NOW)).toBe(true);
+    expect(isActiveAlert({ severity: 'medium', timestamp: at(ACTIVE_WINDOW) }, NOW)).toBe(false);
+  });
+
+  it('keeps high severity alerts active regardless of age', () => {
+    expect(isActiveAlert({ severity: 'high', timestamp: at(3600000) }, NOW)).toBe(true);
+  });
+
+  it('keeps camera-offline alerts active while they last', () => {
+    expect(isActiveAlert({ type: 'camera-offline', severity: 'medium', timestamp: at(3600000) }, NOW)).toBe(true);
+  });
+
+  it('treats unparseable timestamps as old', () => {
+    expect(isActiveAlert({ severity: 'medium', timestamp: '18.10.2026, 14:03:11' }, NOW)).toBe(false);
+    expect(isActiveAlert({ severity: 'medium' }, NOW)).toBe(false);
+  });
+});
+
+describe('partitionAlerts', () => {
+  it('keeps original indices for interleaved active and old alerts', () => {
+    const alerts = [
+      { id: 'a', severity: 'medium', timestamp: at(60000) },
+      { id: 'b', severity: 'high', timestamp: at(60000) },
+      { id: 'c', severity: 'medium', timestamp: at(90000) },
+      { id: 'd', severity: 'medium', timestamp: at(1000) },
+    ];
+
+    const { active, history } = partitionAlerts(alerts, NOW);
+    expect(active.map(({ alert, index }) => [alert.id, index])).toEqual([['b', 1], ['d', 3]]);
+    expect(history.map(({ alert, index }) => [alert.id, index])).toEqual([['a', 0], ['c', 2]]);
+  });
+
+  it('handles an empty list', () => {
+    expect(partitionAlerts([], NOW)).toEqual({ active: [], history: [] });
+  });
+});
@@ -3,7 +3,7 @@
  * Supports both MP3 file playback and generated siren sounds
  */
 
-class AudioAlertSystem {
+export class AudioAlertSystem {
   constructor() {
     this.audioContext = null;
     this.isPlaying = false;
@@ -108,7 +108,7 @@ class AudioAlertSystem {
       { freq: 1200, type: 'sine' },     // High pitch alert
     ];
 
-    frequencies.forEach(({ freq, type }, index) => {
+    frequencies.forEach(({ freq, type }) => {
       // Create oscillator
       const oscillator = ctx.createOscillator();
       oscillator.type = type;
@@ -186,6 +186,12 @@ class AudioAlertSystem {
     bassOsc.onended = () => {
       bassOsc.disconnect();
       bassGain.disconnect();
+      this.oscillators = this.oscillators.filter(osc => osc !== bassOsc);
+      this.gainNodes = this.gainNodes.filter(gn => gn !== bassGain);
+
+      if (this.oscillators.length === 0) {
+        this.isPlaying = false;
+      }
     };
 
     this.oscillators.push(bassOsc);
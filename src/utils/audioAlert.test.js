@@ -0,0 +1,157 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { AudioAlertSystem } from './audioAlert';
+
+// Minimal Web Audio stand-ins that record what the alarm schedules
+const createParam = () => ({
+  value: 0,
+  setValueAtTime: vi.fn(),
+  linearRampToValueAtTime: vi.fn(),
+  exponentialRampToValueAtTime: vi.fn(),
+  cancelScheduledValues: vi.fn(),
+});
+
+class FakeAudioContext {
+  constructor() {
+    this.currentTime = 0;
+    this.destination = {};
+    this.oscillators = [];
+    FakeAudioContext.instances.push(this);
+  }
+
+  createOscillator() {
+    const oscillator = {
+      type: 'sine',
+      frequency: createParam(),
+      connect: vi.fn(),
+      disconnect: vi.fn(),
+      start: vi.fn(),
+      stop: vi.fn(),
+      onended: null,
+    };
+    this.oscillators.push(oscillator);
+    return oscillator;
+  }
+
+  createGain() {
+    return { gain: createParam(), connect: vi.fn(), disconnect: vi.fn() };
+  }
+
+  // Fire onended the way the browser does once every stop time has passed
+  finish() {
+    this.oscillators.forEach(oscillator => oscillator.onended?.());
+  }
+}
+FakeAudioContext.instances = [];
+
+class FakeAudio {
+  constructor(src) {
+    this.src = src;
+    this.paused = true;
+    this.currentTime = 0;
+    this.listeners = {};
+    FakeAudio.instances.push(this);
+  }
+
+  play() {
+    if (FakeAudio.fail) return Promise.reject(new Error('NotAllowedError'));
+    this.paused = false;
+    return Promise.resolve();
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = listener;
+  }
+
+  removeEventListener(type) {
+    delete this.listeners[type];
+  }
+
+  emit(type) {
+    this.listeners[type]?.({ type });
+  }
+}
+FakeAudio.instances = [];
+
+describe('AudioAlertSystem', () => {
+  let system;
+
+  beforeEach(() => {
+    FakeAudioContext.instances = [];
+    FakeAudio.instances = [];
+    FakeAudio.fail = false;
+    vi.stubGlobal('window', { AudioContext: FakeAudioContext });
+    vi.stubGlobal('Audio', FakeAudio);
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    system = new AudioAlertSystem();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('plays the alarm file when the browser allows it', async () => {
+    await system.playFireAlarm();
+
+    expect(FakeAudio.instances).toHaveLength(1);
+    expect(FakeAudio.instances[0].src).toBe('/fire-alarm.wav');
+    expect(system.isPlaying).toBe(true);
+    expect(FakeAudioContext.instances).toHaveLength(0);
+
+    FakeAudio.instances[0].emit('ended');
+    expect(system.isPlaying).toBe(false);
+  });
+
+  it('does not overlap alarms', async () => {
+    await system.playFireAlarm();
+    const play = vi.spyOn(FakeAudio.instances[0], 'play');
+
+    await system.playFireAlarm();
+    expect(play).not.toHaveBeenCalled();
+  });
+
+  it('falls back to the generated siren when the file cannot play', async () => {
+    FakeAudio.fail = true;
+    await system.playFireAlarm(2000);
+
+    const [ctx] = FakeAudioContext.instances;
+    expect(ctx.oscillators).toHaveLength(4);
+    ctx.oscillators.forEach(oscillator => {
+      expect(oscillator.start).toHaveBeenCalledWith(0);
+      expect(oscillator.stop).toHaveBeenCalledWith(2);
+    });
+    expect(system.isPlaying).toBe(true);
+  });
+
+  it('is ready for the next alarm once every siren voice has ended', async () => {
+    system.playGeneratedSiren(1000);
+    const [ctx] = FakeAudioContext.instances;
+
+    ctx.finish();
+    expect(system.oscillators).toHaveLength(0);
+    expect(system.gainNodes).toHaveLength(0);
+    expect(system.isPlaying).toBe(false);
+
+    FakeAudio.fail = true;
+    await system.playFireAlarm(1000);
+    expect(ctx.oscillators).toHaveLength(8);
+  });
+
+  it('stops both the file and the siren', async () => {
+    await system.playFireAlarm();
+    system.playGeneratedSiren(3000);
+    const [ctx] = FakeAudioContext.instances;
+    ctx.currentTime = 1;
+
+    system.stopAlarm();
+
+    expect(FakeAudio.instances[0].paused).toBe(true);
+    ctx.oscillators.forEach(oscillator => expect(oscillator.stop).toHaveBeenLastCalledWith(1.1));
+    expect(system.isPlaying).toBe(false);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Box tracker for the live overlay
+ * Gives a box that carries on across results a stable number (#1, #2, ...)
+ * and keeps its recent confidences, so the overlay can show whether a fire or
+ * smoke plume is getting more or less certain. Boxes are matched greedily by
+ * IoU within a class. This is only for display - IncidentTracker decides what
+ * raises an alert.
+ */
+
+import { iou } from './yolo';
+
+const MATCH_IOU = 0.3; // overlap that makes a box the same object as a track
+const MAX_MISSED = 3; // results a track survives without a matching box
+const HISTORY_LENGTH = 5; // confidences kept per track
+const TREND_CHANGE = 0.05; // confidence change over the history that counts as a trend
+
+/**
+ * 'rising', 'falling' or 'steady' over a track's recent confidences
+ */
+export const confidenceTrend = (history) => {
+  if (history.length < 2) return 'steady';
+  const change = history[history.length - 1] - history[0];
+  if (change >= TREND_CHANGE) return 'rising';
+  if (change <= -TREND_CHANGE) return 'falling';
+  return 'steady';
+};
+
+export default class BoxTracker {
+  constructor({ matchIou = MATCH_IOU, maxMissed = MAX_MISSED } = {}) {
+    this.matchIou = matchIou;
+    this.maxMissed = maxMissed;
+    this.reset();
+  }
+
+  /**
+   * Forget every track (camera restarted)
+   */
+  reset() {
+    this.tracks = []; // { id, class, bbox, history, missed }
+    this.nextId = 1;
+  }
+
+  /**
+   * Match a result's boxes to the tracks
+   *
+   * @returns {Array} the detections, each with trackId, trend and history (recent confidences)
+   */
+  update(detections) {
+    const boxes = (detections || []).filter(detection => detection.bbox?.length === 4);
+
+    // Best overlaps first, each track and box used once
+    const pairs = [];
+    this.tracks.forEach((track, t) => {
+      boxes.forEach((detection, d) => {
+        if (detection.class !== track.class) return;
+        const overlap = iou(track.bbox, detection.bbox);
+        if (overlap >= this.matchIou) pairs.push({ t, d, overlap });
+      });
+    });
+    pairs.sort((a, b) => b.overlap - a.overlap);
+
+    const trackFor = new Map(); // box index -> track
+    const matched = new Set();
+    pairs.forEach(({ t, d }) => {
+      if (matched.has(t) || trackFor.has(d)) return;
+      matched.add(t);
+      trackFor.set(d, this.tracks[t]);
+    });
+
+    const tracked = boxes.map((detection, d) => {
+      const previous = trackFor.get(d);
+      return {
+        detection,
+        track: {
+          id: previous ? previous.id : this.nextId++,
+          class: detection.class,
+          bbox: detection.bbox,
+          history: [...(previous?.history || []), detection.confidence].slice(-HISTORY_LENGTH),
+          missed: 0,
+        },
+      };
+    });
+
+    // A track without a box lingers for a few results - a flickering detection keeps its number
+    const missing = this.tracks
+      .filter((track, t) => !matched.has(t))
+      .map(track => ({ ...track, missed: track.missed + 1 }))
+      .filter(track => track.missed <= this.maxMissed);
+
+    this.tracks = [...missing, ...tracked.map(({ track }) => track)];
+
+    return tracked.map(({ detection, track }) => ({
+      ...detection,
+      trackId: track.id,
+      history: track.history,
+      trend: confidenceTrend(track.history),
+    }));
+  }
+}
@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import BoxTracker, { confidenceTrend } from './boxTracker';
+
+const box = (bbox, confidence = 0.8, detectionClass = 'fire') => ({ class: detectionClass, confidence, bbox });
+
+describe('confidenceTrend', () => {
+  it('compares the newest confidence with the oldest kept', () => {
+    expect(confidenceTrend([0.5])).toBe('steady');
+    expect(confidenceTrend([0.5, 0.52, 0.6])).toBe('rising');
+    expect(confidenceTrend([0.9, 0.8])).toBe('falling');
+    expect(confidenceTrend([0.7, 0.9, 0.72])).toBe('steady');
+  });
+});
+
+describe('BoxTracker', () => {
+  it('keeps the number of a box that moves a little between results', () => {
+    const tracker = new BoxTracker();
+
+    const [first] = tracker.update([box([100, 100, 200, 200], 0.6)]);
+    const [second] = tracker.update([box([110, 105, 210, 205], 0.7)]);
+
+    expect(first.trackId).toBe(1);
+    expect(second.trackId).toBe(1);
+    expect(second.history).toEqual([0.6, 0.7]);
+    expect(second.trend).toBe('rising');
+  });
+
+  it('numbers separate boxes, and fire and smoke separately', () => {
+    const tracker = new BoxTracker();
+
+    const tracked = tracker.update([
+      box([0, 0, 100, 100]),
+      box([0, 0, 100, 100], 0.7, 'smoke'),
+      box([300, 300, 400, 400]),
+    ]);
+
+    expect(tracked.map(detection => detection.trackId)).toEqual([1, 2, 3]);
+  });
+
+  it('gives each track to its best overlap only', () => {
+    const tracker = new BoxTracker();
+    tracker.update([box([100, 100, 200, 200])]);
+
+    const tracked = tracker.update([box([140, 100, 240, 200]), box([102, 100, 202, 200])]);
+
+    expect(tracked.map(detection => detection.trackId)).toEqual([2, 1]);
+  });
+
+  it('lets a track miss a few results before its number is retired', () => {
+    const tracker = new BoxTracker({ maxMissed: 2 });
+    tracker.update([box([100, 100, 200, 200])]);
+
+    tracker.update([]);
+    tracker.update([]);
+    expect(tracker.update([box([100, 100, 200, 200])])[0].trackId).toBe(1);
+
+    tracker.update([]);
+    tracker.update([]);
+    tracker.update([]);
+    expect(tracker.update([box([100, 100, 200, 200])])[0].trackId).toBe(2);
+  });
+
+  it('starts numbering again after a reset', () => {
+    const tracker = new BoxTracker();
+    tracker.update([box([100, 100, 200, 200])]);
+
+    tracker.reset();
+
+    expect(tracker.update([box([100, 100, 200, 200])])[0].trackId).toBe(1);
+  });
+});
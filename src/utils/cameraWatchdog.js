@@ -0,0 +1,252 @@
+/**
+ * Camera Watchdog
+ * Notices when a camera stops being worth monitoring, even though its <img>
+ * or <video> still shows something, and reconnects it with backoff:
+ *
+ *   disconnected - the stream adapter gave up (cameraStreams onError)
+ *   stale        - no picture, or the video stopped advancing
+ *   frozen       - the picture hasn't changed at all (real sensors always add noise)
+ *   obscured     - black, or one flat colour - a covered, fogged or dead lens
+ *
+ * Disconnected, stale and frozen cameras are reconnected; an obscured one is
+ * only reported. onOffline/onOnline fire when a camera goes from healthy to
+ * having a problem and back, for the "camera offline" alert; the problem and
+ * any pending reconnect are in the snapshot for the camera's status badge.
+ */
+
+import { createThumbnailReader } from './frameSampler';
+
+export const CAMERA_OFFLINE = 'camera-offline'; // alert type, distinct from fire alerts
+
+const DEFAULTS = {
+  checkInterval: 2000, // ms between checks
+  staleAfter: 15000, // ms without a new picture
+  frozenAfter: 60000, // ms of an identical picture
+  obscuredAfter: 30000, // ms of a black or flat picture
+  stableAfter: 30000, // ms healthy before the reconnect backoff starts over
+  baseReconnectDelay: 2000, // ms, doubled on each attempt
+  maxReconnectDelay: 60000, // ms
+};
+
+// Mean difference (0-255) below which two thumbnails are the same picture. A
+// frozen stream decodes to exactly the same pixels; a still scene still differs a little
+const IDENTICAL = 0.01;
+const DARK_LUMA = 20; // mean luma below this is black
+const FLAT_CONTRAST = 6; // luma standard deviation below this is one flat colour
+
+const PROBLEMS = {
+  disconnected: { reconnect: true, message: 'The camera connection was lost' },
+  stale: { reconnect: true, message: 'No new frames from the camera' },
+  frozen: { reconnect: true, message: 'The camera picture is frozen' },
+  obscured: { reconnect: false, message: 'The picture is black or obscured - check the lens' },
+};
+
+/**
+ * Brightness and contrast of an RGBA thumbnail
+ * @returns {{luma: number, contrast: number}} mean luma and its standard deviation, 0-255
+ */
+export const measureLuma = (rgba) => {
+  const pixels = rgba.length / 4;
+  let sum = 0;
+  let squares = 0;
+  for (let i = 0; i < rgba.length; i += 4) {
+    const luma = 0.299 * rgba[i] + 0.587 * rgba[i + 1] + 0.114 * rgba[i + 2];
+    sum += luma;
+    squares += luma * luma;
+  }
+  const luma = sum / pixels;
+  return { luma, contrast: Math.sqrt(Math.max(0, squares / pixels - luma * luma)) };
+};
+
+const meanDifference = (previous, current) => {
+  let total = 0;
+  for (let i = 0; i < current.length; i += 4) {
+    total += Math.abs(current[i] - previous[i]) + Math.abs(current[i + 1] - previous[i + 1]) + Math.abs(current[i + 2] - previous[i + 2]);
+  }
+  return total / (current.length / 4) / 3;
+};
+
+// Where the picture is up to: a video's clock, or for an image (MJPEG can't be
+// followed frame by frame) just whether it has one - null while there's nothing to show
+const progressOf = (element) => {
+  if (element.tagName === 'VIDEO') return element.readyState >= 2 ? element.currentTime : null;
+  return element.complete && element.naturalWidth > 0 ? true : null;
+};
+
+/**
+ * The alert raised while a camera is offline - kept apart from fire alerts by its type
+ */
+export const buildOfflineAlert = ({ cameraId, cameraName, source }, problem) => ({
+  type: CAMERA_OFFLINE,
+  message: `📷 CAMERA OFFLINE: ${cameraName}`,
+  details: problem.message,
+  severity: 'medium',
+  timestamp: new Date().toLocaleString(),
+  source,
+  cameraId,
+  cameraName,
+  reason: problem.reason,
+});
+
+export default class CameraWatchdog {
+  /**
+   * @param {Object} options - Overrides for the timings in DEFAULTS, plus
+   *   readPixels: (element) => Uint8ClampedArray | null, RGBA thumbnail of the current frame
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.readPixels = options.readPixels || createThumbnailReader(32, 24);
+    this.now = options.now || (() => Date.now());
+    this.state = {
+      problem: null, // { reason, message, since }
+      reconnectAt: null, // when the next reconnect is due
+      attempts: 0,
+    };
+    this.listeners = new Set();
+    this.timer = null;
+    this.reconnectTimer = null;
+    this.handlers = null;
+    this.resetPicture();
+  }
+
+  /**
+   * Subscribe to health changes (useSyncExternalStore compatible)
+   */
+  subscribe = (listener) => {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  };
+
+  /**
+   * { problem, reconnectAt, attempts } - a new object on every change
+   */
+  getSnapshot = () => this.state;
+
+  setState(patch) {
+    this.state = { ...this.state, ...patch };
+    this.listeners.forEach(listener => listener());
+  }
+
+  resetPicture() {
+    const now = this.now();
+    this.progress = null;
+    this.progressAt = now;
+    this.reference = null;
+    this.changedAt = now;
+    this.visibleAt = now;
+    this.healthySince = null;
+  }
+
+  /**
+   * Start checking a camera
+   *
+   * @param {Object} handlers
+   * @param {Function} handlers.getElement - () => the camera's <img> or <video>
+   * @param {Function} handlers.reconnect - () => void, tear down and connect again
+   * @param {Function} handlers.onOffline - (problem) => void
+   * @param {Function} handlers.onOnline - () => void
+   */
+  start(handlers) {
+    this.stop();
+    this.handlers = handlers;
+    this.resetPicture();
+    this.timer = setInterval(() => this.check(), this.options.checkInterval);
+  }
+
+  /**
+   * Stop checking and reconnecting; the problem is forgotten without onOnline
+   */
+  stop() {
+    clearInterval(this.timer);
+    clearTimeout(this.reconnectTimer);
+    this.timer = null;
+    this.reconnectTimer = null;
+    this.handlers = null;
+    if (this.state.problem || this.state.reconnectAt || this.state.attempts) {
+      this.setState({ problem: null, reconnectAt: null, attempts: 0 });
+    }
+  }
+
+  /**
+   * The stream adapter gave up on the camera
+   */
+  connectionLost(message) {
+    this.report('disconnected', message);
+  }
+
+  /**
+   * The camera is showing frames again - the next checks decide whether it's healthy
+   */
+  connectionRestored() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.resetPicture();
+    if (this.state.reconnectAt) this.setState({ reconnectAt: null });
+  }
+
+  /**
+   * Look at the camera's picture once
+   * @returns {string|null} the problem found, if any
+   */
+  check(now = this.now()) {
+    const element = this.handlers?.getElement();
+    if (!element || this.state.reconnectAt) return this.state.problem?.reason || null;
+    const { staleAfter, frozenAfter, obscuredAfter, stableAfter } = this.options;
+
+    const progress = progressOf(element);
+    if (progress !== null && (progress === true || progress !== this.progress)) this.progressAt = now;
+    this.progress = progress;
+    if (now - this.progressAt >= staleAfter) return this.report('stale', undefined, now);
+    if (progress === null) return this.state.problem?.reason || null; // Still loading
+
+    const pixels = this.readPixels(element);
+    if (pixels) {
+      if (!this.reference || this.reference.length !== pixels.length || meanDifference(this.reference, pixels) >= IDENTICAL) {
+        this.changedAt = now;
+      }
+      this.reference = pixels;
+
+      const { luma, contrast } = measureLuma(pixels);
+      if (luma >= DARK_LUMA && contrast >= FLAT_CONTRAST) this.visibleAt = now;
+
+      if (now - this.changedAt >= frozenAfter) return this.report('frozen', undefined, now);
+      if (now - this.visibleAt >= obscuredAfter) return this.report('obscured', undefined, now);
+    }
+
+    // Healthy - and once it has stayed so, reconnects start from the shortest delay again
+    if (this.healthySince === null) this.healthySince = now;
+    if (this.state.problem) this.recover();
+    if (this.state.attempts > 0 && now - this.healthySince >= stableAfter) this.setState({ attempts: 0 });
+    return null;
+  }
+
+  report(reason, message = PROBLEMS[reason].message, now = this.now()) {
+    const wasHealthy = !this.state.problem;
+    const problem = { reason, message, since: this.state.problem?.since ?? now };
+    this.healthySince = null;
+    if (this.state.problem?.reason !== reason) this.setState({ problem });
+
+    if (wasHealthy) this.handlers?.onOffline?.(problem);
+    if (PROBLEMS[reason].reconnect) this.scheduleReconnect(now);
+    return reason;
+  }
+
+  recover() {
+    this.setState({ problem: null });
+    this.handlers?.onOnline?.();
+  }
+
+  scheduleReconnect(now = this.now()) {
+    if (this.reconnectTimer || !this.handlers) return;
+    const { baseReconnectDelay, maxReconnectDelay } = this.options;
+    const attempts = this.state.attempts;
+    const delay = Math.min(maxReconnectDelay, baseReconnectDelay * 2 ** attempts) * (1 + Math.random() * 0.2);
+    this.setState({ reconnectAt: now + delay, attempts: attempts + 1 });
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.setState({ reconnectAt: null });
+      this.resetPicture();
+      this.handlers?.reconnect();
+    }, delay);
+  }
+}
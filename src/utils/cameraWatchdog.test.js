@@ -0,0 +1,154 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import CameraWatchdog, { buildOfflineAlert, CAMERA_OFFLINE, measureLuma } from './cameraWatchdog';
+
+// A 2x2 RGBA thumbnail, optionally with one pixel changed so frames differ
+const picture = (value, noise = 0) => {
+  const rgba = new Uint8ClampedArray(16).fill(255);
+  for (let i = 0; i < 16; i += 4) rgba.fill(i === 0 ? value + noise : value + i * 4, i, i + 3);
+  return rgba;
+};
+
+const video = () => ({ tagName: 'VIDEO', readyState: 4, currentTime: 0 });
+
+const createWatchdog = (element, pixels) => {
+  const handlers = {
+    getElement: () => element,
+    reconnect: vi.fn(),
+    onOffline: vi.fn(),
+    onOnline: vi.fn(),
+  };
+  const watchdog = new CameraWatchdog({ readPixels: () => pixels.current, now: () => Date.now() });
+  watchdog.start(handlers);
+  return { watchdog, handlers };
+};
+
+describe('measureLuma', () => {
+  it('tells a black or flat picture from a real one', () => {
+    expect(measureLuma(picture(0))).toEqual({ luma: expect.any(Number), contrast: expect.any(Number) });
+    expect(measureLuma(new Uint8ClampedArray(16)).luma).toBe(0);
+    expect(measureLuma(new Uint8ClampedArray(16).fill(128)).contrast).toBeCloseTo(0);
+    expect(measureLuma(picture(60)).contrast).toBeGreaterThan(6);
+  });
+});
+
+describe('buildOfflineAlert', () => {
+  it('is kept apart from fire alerts by its type', () => {
+    const alert = buildOfflineAlert({ cameraId: 'cam-1', cameraName: 'Ridge', source: 'network-camera' }, { reason: 'stale', message: 'No new frames' });
+
+    expect(alert).toMatchObject({ type: CAMERA_OFFLINE, cameraId: 'cam-1', details: 'No new frames', reason: 'stale', severity: 'medium' });
+    expect(alert.message).toContain('Ridge');
+  });
+});
+
+describe('CameraWatchdog', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('stays quiet while the video advances and the picture changes', () => {
+    const element = video();
+    const pixels = { current: picture(60) };
+    const { watchdog, handlers } = createWatchdog(element, pixels);
+
+    for (let i = 1; i <= 60; i++) {
+      element.currentTime = i;
+      pixels.current = picture(60, i % 2);
+      vi.advanceTimersByTime(2000);
+    }
+
+    expect(watchdog.getSnapshot().problem).toBeNull();
+    expect(handlers.onOffline).not.toHaveBeenCalled();
+    watchdog.stop();
+  });
+
+  it('reconnects a stale video and reports it offline once', () => {
+    const warn = vi.spyOn(console, 'warn');
+    const element = video();
+    const { watchdog, handlers } = createWatchdog(element, { current: picture(60) });
+
+    vi.advanceTimersByTime(18000);
+
+    expect(watchdog.getSnapshot().problem.reason).toBe('stale');
+    expect(watchdog.getSnapshot().attempts).toBe(1);
+    expect(handlers.onOffline).toHaveBeenCalledTimes(1);
+    expect(handlers.onOffline.mock.calls[0][0]).toMatchObject({ reason: 'stale' });
+
+    vi.advanceTimersByTime(2500);
+    expect(handlers.reconnect).toHaveBeenCalledTimes(1);
+    // Reported through the alert and the snapshot, not the console
+    expect(warn).not.toHaveBeenCalled();
+    watchdog.stop();
+  });
+
+  it('backs off between reconnects', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+    const { watchdog, handlers } = createWatchdog(null, { current: null });
+
+    watchdog.connectionLost('Stream closed');
+    vi.advanceTimersByTime(2000);
+    expect(handlers.reconnect).toHaveBeenCalledTimes(1);
+
+    watchdog.connectionLost('Stream closed');
+    expect(watchdog.getSnapshot().attempts).toBe(2);
+    vi.advanceTimersByTime(3999);
+    expect(handlers.reconnect).toHaveBeenCalledTimes(1);
+    vi.advanceTimersByTime(1);
+    expect(handlers.reconnect).toHaveBeenCalledTimes(2);
+
+    expect(handlers.onOffline).toHaveBeenCalledTimes(1);
+    expect(watchdog.getSnapshot().problem.message).toBe('Stream closed');
+    watchdog.stop();
+  });
+
+  it('notices a frozen picture even though the image keeps loading', () => {
+    const element = { tagName: 'IMG', complete: true, naturalWidth: 640 };
+    const { watchdog } = createWatchdog(element, { current: picture(60) });
+
+    vi.advanceTimersByTime(58000);
+    expect(watchdog.getSnapshot().problem).toBeNull();
+
+    vi.advanceTimersByTime(4000);
+    expect(watchdog.getSnapshot().problem.reason).toBe('frozen');
+    watchdog.stop();
+  });
+
+  it('reports a black picture without reconnecting, and clears it when the picture is back', () => {
+    const element = video();
+    const pixels = { current: new Uint8ClampedArray(16) };
+    const { watchdog, handlers } = createWatchdog(element, pixels);
+    const advance = (ms, frame) => {
+      for (let t = 0; t < ms; t += 2000) {
+        element.currentTime += 1;
+        pixels.current = frame(t);
+        vi.advanceTimersByTime(2000);
+      }
+    };
+
+    advance(32000, () => new Uint8ClampedArray(16));
+    expect(watchdog.getSnapshot().problem.reason).toBe('obscured');
+    expect(watchdog.getSnapshot().reconnectAt).toBeNull();
+    expect(handlers.onOffline).toHaveBeenCalledTimes(1);
+
+    advance(4000, t => picture(60, (t / 2000) % 2));
+    expect(watchdog.getSnapshot().problem).toBeNull();
+    expect(handlers.onOnline).toHaveBeenCalledTimes(1);
+    expect(handlers.reconnect).not.toHaveBeenCalled();
+    watchdog.stop();
+  });
+
+  it('forgets the problem and stops reconnecting when stopped', () => {
+    const { watchdog, handlers } = createWatchdog(null, { current: null });
+    watchdog.connectionLost('Stream closed');
+
+    watchdog.stop();
+    vi.advanceTimersByTime(120000);
+
+    expect(watchdog.getSnapshot()).toMatchObject({ problem: null, reconnectAt: null, attempts: 0 });
+    expect(handlers.reconnect).not.toHaveBeenCalled();
+  });
+});
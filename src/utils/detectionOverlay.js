@@ -0,0 +1,178 @@
+/**
+ * Detection overlay drawing
+ * Boxes come back from the backend as [x1, y1, x2, y2] in frame pixels, so the
+ * canvas must be sized to the frame that was sent.
+ */
+
+// Box colours by class - anything the model calls something else is amber
+export const DETECTION_COLORS = {
+  fire: '#ef4444',
+  smoke: '#38bdf8',
+};
+const OTHER_COLOR = '#f59e0b';
+
+const TREND_MARKS = { rising: ' ▲', falling: ' ▼', steady: '' };
+
+export const getDetectionColor = (detectionClass) => DETECTION_COLORS[detectionClass] || OTHER_COLOR;
+
+const classLabel = (detectionClass) => (detectionClass === 'smoke' ? 'Smoke' : 'Fire');
+
+/**
+ * Label for a box - its track number and confidence trend when it has been tracked
+ */
+export const detectionLabel = (detection) => {
+  const track = detection.trackId ? `#${detection.trackId} ` : '';
+  const trend = TREND_MARKS[detection.trend] || '';
+  return `${track}${classLabel(detection.class)} ${(detection.confidence * 100).toFixed(1)}%${trend}`;
+};
+
+/**
+ * Draw labelled detection boxes onto a 2D canvas context
+ *
+ * @param {Object} options - { scale: canvas pixels per frame pixel }
+ */
+export const drawDetectionBoxes = (context, detections, { scale = 1 } = {}) => {
+  context.save();
+  context.lineWidth = 3;
+  context.font = '16px Arial';
+
+  detections.forEach(detection => {
+    if (detection.bbox && detection.bbox.length === 4) {
+      const [x1, y1, x2, y2] = detection.bbox.map(value => value * scale);
+      const color = getDetectionColor(detection.class);
+
+      // Draw rectangle
+      context.strokeStyle = color;
+      context.strokeRect(x1, y1, x2 - x1, y2 - y1);
+
+      // Draw label with confidence - inside the box when it touches the top edge
+      const label = detectionLabel(detection);
+      const textWidth = context.measureText(label).width;
+      const top = y1 >= 25 ? y1 - 25 : y1;
+
+      // Background for text
+      context.fillStyle = color;
+      context.fillRect(x1, top, textWidth + 10, 25);
+
+      // Text
+      context.fillStyle = '#ffffff';
+      context.fillText(label, x1 + 5, top + 18);
+    }
+  });
+
+  context.restore();
+};
+
+// Zone colours - include zones green, exclude zones shaded out
+export const ZONE_STYLES = {
+  include: { stroke: '#22c55e', fill: 'rgba(34, 197, 94, 0.12)' },
+  exclude: { stroke: '#9ca3af', fill: 'rgba(0, 0, 0, 0.45)' },
+};
+
+/**
+ * Draw a camera's detection zones (points are 0-1 fractions of the frame)
+ */
+export const drawZones = (context, zones, { width, height }) => {
+  context.save();
+  context.lineWidth = 2;
+  context.setLineDash([8, 6]);
+
+  zones.forEach(zone => {
+    const style = ZONE_STYLES[zone.type] || ZONE_STYLES.exclude;
+    context.beginPath();
+    zone.points.forEach(([x, y], i) => {
+      if (i === 0) context.moveTo(x * width, y * height);
+      else context.lineTo(x * width, y * height);
+    });
+    context.closePath();
+    context.fillStyle = style.fill;
+    context.fill();
+    context.strokeStyle = style.stroke;
+    context.stroke();
+  });
+
+  context.restore();
+};
+
+/**
+ * Draw detections a zone suppressed - dashed grey, so it's clear they were seen and ignored
+ */
+export const drawSuppressedBoxes = (context, detections, { scale = 1 } = {}) => {
+  context.save();
+  context.strokeStyle = '#9ca3af';
+  context.fillStyle = '#9ca3af';
+  context.lineWidth = 2;
+  context.font = '14px Arial';
+  context.setLineDash([6, 4]);
+
+  detections.forEach(detection => {
+    if (detection.bbox && detection.bbox.length === 4) {
+      const [x1, y1, x2, y2] = detection.bbox.map(value => value * scale);
+      context.strokeRect(x1, y1, x2 - x1, y2 - y1);
+      context.fillText(`${classLabel(detection.class)} (masked)`, x1 + 4, y2 - 6);
+    }
+  });
+
+  context.restore();
+};
+
+/**
+ * Resize an overlay canvas to the analysed frame and redraw its boxes
+ *
+ * @param {Object} options - { suppressed: detections a zone ignored, zones: to draw underneath }
+ */
+export const renderOverlay = (canvas, detections, { width, height }, { suppressed = [], zones = [] } = {}) => {
+  if (!canvas) return;
+  if (canvas.width !== width) canvas.width = width;
+  if (canvas.height !== height) canvas.height = height;
+
+  const context = canvas.getContext('2d');
+  context.clearRect(0, 0, width, height);
+  drawZones(context, zones, { width, height });
+  drawSuppressedBoxes(context, suppressed);
+  drawDetectionBoxes(context, detections);
+};
+
+/**
+ * Remove all boxes from an overlay canvas
+ */
+export const clearOverlay = (canvas) => {
+  if (!canvas) return;
+  canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+};
+
+/**
+ * Burn a frame's detections into a JPEG - a copy of what the overlay showed,
+ * for evidence that outlives the live canvas
+ *
+ * @param {{data: Blob|string, width: number, height: number, detections: Array, suppressed?: Array}} frame - data is
+ *   the encoded frame, or an image URL
+ * @returns {Promise<Blob>}
+ */
+export const annotateFrame = async ({ data, width, height, detections = [], suppressed = [] }) => {
+  let image = data;
+  if (data instanceof Blob) {
+    image = await createImageBitmap(data);
+  } else {
+    image = new Image();
+    image.src = data;
+    await image.decode();
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  context.drawImage(image, 0, 0, width, height);
+  image.close?.();
+  drawSuppressedBoxes(context, suppressed);
+  drawDetectionBoxes(context, detections);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      blob => (blob ? resolve(blob) : reject(new Error('Could not encode the annotated frame'))),
+      'image/jpeg',
+      0.85
+    );
+  });
+};
@@ -0,0 +1,174 @@
+/**
+ * Detection Queue for batch fire & smoke analysis
+ * Runs many uploads through the detection API with bounded concurrency
+ * and tracks per-file status, progress, retry and cancel.
+ */
+
+const createItemId = () => `queue-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+class DetectionQueue {
+  /**
+   * @param {Object} options
+   * @param {number} options.concurrency - Maximum number of files analysed at once
+   * @param {Function} options.processFile - (file, { signal, onProgress, onStatus }) => Promise<result>
+   */
+  constructor({ concurrency = 2, processFile } = {}) {
+    this.concurrency = concurrency;
+    this.processFile = processFile;
+    this.items = [];
+    this.controllers = new Map(); // item id -> AbortController of the running attempt
+    this.listeners = new Set();
+  }
+
+  /**
+   * Subscribe to queue changes (useSyncExternalStore compatible)
+   */
+  subscribe = (listener) => {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  };
+
+  /**
+   * Current list of queue items - a new array on every change
+   */
+  getSnapshot = () => this.items;
+
+  emit() {
+    this.listeners.forEach(listener => listener());
+  }
+
+  update(id, patch) {
+    this.items = this.items.map(item => (item.id === id ? { ...item, ...patch } : item));
+    this.emit();
+  }
+
+  /**
+   * Add files to the end of the queue and start processing
+   * @returns {string[]} ids of the new queue items
+   */
+  add(files) {
+    const newItems = Array.from(files).map(file => ({
+      id: createItemId(),
+      file,
+      status: 'queued', // 'queued' | 'running' | 'done' | 'error' | 'cancelled'
+      progress: 0,
+      attempts: 0,
+      result: null,
+      error: null,
+      statusText: null, // Transient note from the worker, e.g. "reconnecting"
+    }));
+
+    this.items = [...this.items, ...newItems];
+    this.emit();
+    this.pump();
+
+    return newItems.map(item => item.id);
+  }
+
+  /**
+   * Put a failed or cancelled item back in the queue
+   */
+  retry(id) {
+    const item = this.items.find(i => i.id === id);
+    if (!item || (item.status !== 'error' && item.status !== 'cancelled')) return;
+
+    this.update(id, { status: 'queued', progress: 0, error: null, result: null, statusText: null });
+    this.pump();
+  }
+
+  /**
+   * Cancel a queued or running item
+   */
+  cancel(id) {
+    const item = this.items.find(i => i.id === id);
+    if (!item || (item.status !== 'queued' && item.status !== 'running')) return;
+
+    const controller = this.controllers.get(id);
+    if (controller) {
+      this.controllers.delete(id);
+      controller.abort();
+    }
+
+    this.update(id, { status: 'cancelled' });
+    this.pump();
+  }
+
+  /**
+   * Cancel everything that has not finished yet
+   */
+  cancelAll() {
+    this.items
+      .filter(item => item.status === 'queued' || item.status === 'running')
+      .forEach(item => this.cancel(item.id));
+  }
+
+  /**
+   * Remove an item from the queue, cancelling it first if needed
+   */
+  remove(id) {
+    this.cancel(id);
+    this.items = this.items.filter(item => item.id !== id);
+    this.emit();
+  }
+
+  /**
+   * Drop all finished (done, failed or cancelled) items
+   */
+  clearFinished() {
+    this.items = this.items.filter(item => item.status === 'queued' || item.status === 'running');
+    this.emit();
+  }
+
+  // Start queued items until the concurrency limit is reached
+  pump() {
+    let running = this.items.filter(item => item.status === 'running').length;
+
+    for (const item of this.items) {
+      if (running >= this.concurrency) break;
+      if (item.status === 'queued') {
+        this.start(item);
+        running++;
+      }
+    }
+  }
+
+  async start(item) {
+    const controller = new AbortController();
+    this.controllers.set(item.id, controller);
+    this.update(item.id, { status: 'running', progress: 0, attempts: item.attempts + 1, statusText: null });
+
+    const isCurrent = () => this.controllers.get(item.id) === controller && !controller.signal.aborted;
+
+    try {
+      const result = await this.processFile(item.file, {
+        signal: controller.signal,
+        onProgress: (progress) => {
+          if (isCurrent()) {
+            this.update(item.id, { progress: Math.min(Math.max(progress, 0), 1) });
+          }
+        },
+        onStatus: (statusText) => {
+          if (isCurrent()) {
+            this.update(item.id, { statusText });
+          }
+        },
+      });
+
+      if (isCurrent()) {
+        this.update(item.id, { status: 'done', progress: 1, result, statusText: null });
+      }
+    } catch (error) {
+      if (isCurrent()) {
+        console.error(`❌ Queue item failed: ${item.file.name}`, error);
+        this.update(item.id, { status: 'error', error, statusText: null });
+      }
+    } finally {
+      if (this.controllers.get(item.id) === controller) {
+        this.controllers.delete(item.id);
+      }
+      this.pump();
+    }
+  }
+}
+
+export default DetectionQueue;
@@ -0,0 +1,134 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import DetectionQueue from './detectionQueue';
+
+// processFile stand-in whose runs are settled by the test
+const createProcessor = () => {
+  const runs = [];
+  const processFile = vi.fn((file, { signal, onProgress, onStatus }) => new Promise((resolve, reject) => {
+    runs.push({ file, signal, onProgress, onStatus, resolve, reject });
+  }));
+  return { processFile, runs };
+};
+
+const file = (name) => ({ name });
+const statuses = (queue) => queue.getSnapshot().map(item => item.status);
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+beforeEach(() => {
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('DetectionQueue', () => {
+  it('runs no more files at once than the concurrency limit', async () => {
+    const { processFile, runs } = createProcessor();
+    const queue = new DetectionQueue({ concurrency: 2, processFile });
+
+    queue.add([file('a'), file('b'), file('c')]);
+    expect(statuses(queue)).toEqual(['running', 'running', 'queued']);
+    expect(processFile).toHaveBeenCalledTimes(2);
+
+    runs[0].resolve({ has_fire: false });
+    await flush();
+
+    expect(statuses(queue)).toEqual(['done', 'running', 'running']);
+    expect(queue.getSnapshot()[0]).toMatchObject({ progress: 1, result: { has_fire: false } });
+    expect(runs.map(run => run.file.name)).toEqual(['a', 'b', 'c']);
+  });
+
+  it('cancels a running file and starts the next one in its place', () => {
+    const { processFile, runs } = createProcessor();
+    const queue = new DetectionQueue({ concurrency: 1, processFile });
+    const [first] = queue.add([file('a'), file('b')]);
+
+    queue.cancel(first);
+
+    expect(runs[0].signal.aborted).toBe(true);
+    expect(statuses(queue)).toEqual(['cancelled', 'running']);
+  });
+
+  it('cancels a queued file before it starts', () => {
+    const { processFile } = createProcessor();
+    const queue = new DetectionQueue({ concurrency: 1, processFile });
+    const [, second] = queue.add([file('a'), file('b')]);
+
+    queue.cancel(second);
+
+    expect(statuses(queue)).toEqual(['running', 'cancelled']);
+    expect(processFile).toHaveBeenCalledOnce();
+  });
+
+  it('cancels everything unfinished at once', () => {
+    const { processFile } = createProcessor();
+    const queue = new DetectionQueue({ concurrency: 1, processFile });
+    queue.add([file('a'), file('b')]);
+
+    queue.cancelAll();
+
+    expect(statuses(queue)).toEqual(['cancelled', 'cancelled']);
+  });
+
+  it('retries a failed file as a new attempt', async () => {
+    const { processFile, runs } = createProcessor();
+    const queue = new DetectionQueue({ processFile });
+    const [id] = queue.add([file('a')]);
+
+    const error = new Error('Server error');
+    runs[0].reject(error);
+    await flush();
+    expect(queue.getSnapshot()[0]).toMatchObject({ status: 'error', error, attempts: 1 });
+
+    queue.retry(id);
+    expect(queue.getSnapshot()[0]).toMatchObject({ status: 'running', error: null, attempts: 2 });
+
+    runs[1].resolve({ has_fire: true });
+    await flush();
+    expect(queue.getSnapshot()[0]).toMatchObject({ status: 'done', result: { has_fire: true } });
+  });
+
+  it('only retries failed or cancelled files', () => {
+    const { processFile } = createProcessor();
+    const queue = new DetectionQueue({ processFile });
+    const [id] = queue.add([file('a')]);
+
+    queue.retry(id);
+
+    expect(processFile).toHaveBeenCalledOnce();
+  });
+
+  it('ignores results and progress from a cancelled attempt', async () => {
+    const { processFile, runs } = createProcessor();
+    const queue = new DetectionQueue({ processFile });
+    const [id] = queue.add([file('a')]);
+
+    queue.cancel(id);
+    queue.retry(id);
+    runs[0].onProgress(0.5);
+    runs[0].onStatus('reconnecting');
+    runs[0].resolve({ has_fire: true });
+    await flush();
+
+    expect(queue.getSnapshot()[0]).toMatchObject({ status: 'running', progress: 0, result: null, statusText: null });
+
+    runs[1].onProgress(2);
+    expect(queue.getSnapshot()[0].progress).toBe(1);
+  });
+
+  it('notifies subscribers and drops finished files on request', async () => {
+    const { processFile, runs } = createProcessor();
+    const queue = new DetectionQueue({ concurrency: 1, processFile });
+    const listener = vi.fn();
+    queue.subscribe(listener);
+
+    queue.add([file('a'), file('b')]);
+    runs[0].resolve({});
+    await flush();
+    queue.clearFinished();
+
+    expect(listener).toHaveBeenCalled();
+    expect(queue.getSnapshot().map(item => item.file.name)).toEqual(['b']);
+
+    queue.remove(queue.getSnapshot()[0].id);
+    expect(runs[1].signal.aborted).toBe(true);
+    expect(queue.getSnapshot()).toEqual([]);
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Evidence recorder
+ * Keeps a camera's last few analysed frames so an alert can be saved with what
+ * led up to it, then hands over the next few frames as they arrive. Frames are
+ * kept as sent (the encoded frame plus detections) - annotating them is left to
+ * the evidence store, and only happens for frames that are actually saved.
+ */
+
+export const FRAMES_BEFORE = 3; // including the frame that raised the alert
+export const FRAMES_AFTER = 3;
+
+export default class EvidenceRecorder {
+  constructor({ before = FRAMES_BEFORE, after = FRAMES_AFTER } = {}) {
+    this.before = before;
+    this.after = after;
+    this.frames = [];
+    this.captures = []; // { id, remaining } still collecting frames after their alert
+  }
+
+  reset() {
+    this.frames = [];
+    this.captures = [];
+  }
+
+  /**
+   * Add an analysed frame
+   *
+   * @param {{data: Blob, width: number, height: number, detections: Array, suppressed?: Array}} frame - data as sent
+   * @returns {Array<{id: string, frame: Object}>} the frame, marked 'after', for each capture still collecting
+   */
+  push(frame, now = Date.now()) {
+    const stamped = { ...frame, at: now };
+    this.frames = [...this.frames, stamped].slice(-this.before);
+
+    const followUps = this.captures.map(capture => ({ id: capture.id, frame: { ...stamped, role: 'after' } }));
+    this.captures = this.captures
+      .map(capture => ({ ...capture, remaining: capture.remaining - 1 }))
+      .filter(capture => capture.remaining > 0);
+    return followUps;
+  }
+
+  /**
+   * The frames leading up to an alert raised by the last pushed frame, that frame marked 'trigger'
+   */
+  capture() {
+    return this.frames.map((frame, i) => ({
+      ...frame,
+      role: i === this.frames.length - 1 ? 'trigger' : 'before',
+    }));
+  }
+
+  /**
+   * Collect the next frames for a saved capture - push() hands them over
+   */
+  follow(id) {
+    if (this.after > 0) this.captures = [...this.captures, { id, remaining: this.after }];
+  }
+}
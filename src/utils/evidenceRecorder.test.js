@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import EvidenceRecorder from './evidenceRecorder';
+
+const frame = (n) => ({ data: `data:image/jpeg;base64,${n}`, width: 640, height: 480, detections: [] });
+
+describe('EvidenceRecorder', () => {
+  it('captures the last few frames, the newest as the trigger', () => {
+    const recorder = new EvidenceRecorder({ before: 3, after: 2 });
+    [1, 2, 3, 4].forEach((n, i) => recorder.push(frame(n), i * 1000));
+
+    expect(recorder.capture().map(({ data, role, at }) => ({ data, role, at }))).toEqual([
+      { data: frame(2).data, role: 'before', at: 1000 },
+      { data: frame(3).data, role: 'before', at: 2000 },
+      { data: frame(4).data, role: 'trigger', at: 3000 },
+    ]);
+  });
+
+  it('hands over the frames after an alert, then stops', () => {
+    const recorder = new EvidenceRecorder({ before: 3, after: 2 });
+    recorder.push(frame(1), 0);
+    recorder.capture();
+    recorder.follow('evidence-a');
+
+    expect(recorder.push(frame(2), 1000)).toEqual([{ id: 'evidence-a', frame: { ...frame(2), at: 1000, role: 'after' } }]);
+    expect(recorder.push(frame(3), 2000).map(({ id }) => id)).toEqual(['evidence-a']);
+    expect(recorder.push(frame(4), 3000)).toEqual([]);
+  });
+
+  it('follows overlapping captures and forgets everything on reset', () => {
+    const recorder = new EvidenceRecorder({ before: 3, after: 2 });
+    recorder.follow('evidence-a');
+    recorder.push(frame(1), 0);
+    recorder.follow('evidence-b');
+
+    expect(recorder.push(frame(2), 1000).map(({ id }) => id)).toEqual(['evidence-a', 'evidence-b']);
+
+    recorder.reset();
+    expect(recorder.push(frame(3), 2000)).toEqual([]);
+    expect(recorder.capture()).toHaveLength(1);
+  });
+});
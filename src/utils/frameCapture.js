@@ -0,0 +1,192 @@
+/**
+ * Frame capture off the main thread
+ * createImageBitmap() grabs and scales the frame without blocking, and the
+ * bitmap is handed to a worker that encodes it with OffscreenCanvas - and
+ * letterboxes it into the in-browser model's input when one is in use - so
+ * several live cameras don't stall the map and the log. Browsers without
+ * OffscreenCanvas fall back to a canvas on the main thread.
+ *
+ * Video frames are timed with requestVideoFrameCallback: a frame is captured
+ * only once the video has presented a new one, never the same picture twice.
+ */
+
+import { canvasToBlob, getFrameType } from './frameEncoding';
+import { FRAME_QUALITY } from './frameSampler';
+import { MODEL_INPUT_SIZE, readModelInput } from './yolo';
+
+const UNREADABLE_FRAME = 'Frames from this camera cannot be read by the browser.';
+
+export const isWorkerEncodingSupported = () => typeof Worker !== 'undefined'
+  && typeof OffscreenCanvas !== 'undefined'
+  && typeof createImageBitmap === 'function';
+
+const createEncoderWorker = () => new Worker(new URL('./frameEncoder.worker.js', import.meta.url), { type: 'module' });
+
+/**
+ * Counts the frames a video has presented, so a capture can tell whether
+ * there is a new picture since the last one. Images (MJPEG, snapshots) and
+ * browsers without requestVideoFrameCallback always have a new frame.
+ */
+export class VideoFrameClock {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Stop following the current element (camera restarted)
+   */
+  reset() {
+    this.element = null;
+    this.watching = null; // token of the current callback loop
+    this.presented = 0;
+    this.captured = -1;
+  }
+
+  watch(element) {
+    if (this.element === element) return;
+    this.reset();
+    this.element = element;
+    if (typeof element?.requestVideoFrameCallback !== 'function') return;
+
+    const token = {};
+    this.watching = token;
+    const onFrame = (now, metadata) => {
+      if (this.watching !== token) return; // Replaced - let the loop end
+      this.presented = metadata.presentedFrames;
+      element.requestVideoFrameCallback(onFrame);
+    };
+    element.requestVideoFrameCallback(onFrame);
+  }
+
+  /**
+   * Whether `element` shows a frame that hasn't been captured yet
+   */
+  hasNewFrame(element) {
+    this.watch(element);
+    return this.watching === null || this.presented !== this.captured;
+  }
+
+  /**
+   * The frame showing now has been captured
+   */
+  markCaptured() {
+    this.captured = this.presented;
+  }
+}
+
+export default class FrameEncoder {
+  /**
+   * @param {Object} options
+   * @param {Function} options.createWorker - () => Worker running frameEncoder.worker.js
+   * @param {boolean} options.useWorker - false encodes on the main thread
+   */
+  constructor({ createWorker = createEncoderWorker, useWorker = isWorkerEncodingSupported() } = {}) {
+    this.createWorker = createWorker;
+    this.useWorker = useWorker;
+    this.worker = null;
+    this.pending = new Map(); // message id -> { resolve, reject }
+    this.nextId = 0;
+    this.canvas = null; // main-thread fallback
+    this.inputCanvas = null;
+  }
+
+  /**
+   * Encode the frame showing in `source`, scaled to `size`
+   * Throws synchronously when the main-thread fallback can't read the source.
+   *
+   * @param {CanvasImageSource} source - The camera's video or image element
+   * @param {Object} size - { width, height } to send the frame at
+   * @returns {Promise<Blob>}
+   */
+  encode(source, size, options) {
+    return this.capture(source, size, options).data;
+  }
+
+  /**
+   * Encode the frame like encode(), and with `withInput` also letterbox the same
+   * frame into the in-browser model's input (LocalDetector.detectFrame)
+   *
+   * @returns {{data: Promise<Blob>, input: Promise<Object|null>|Object|null}}
+   *   input is null when not asked for or when it couldn't be prepared
+   */
+  capture(source, { width, height }, { type = getFrameType(), quality = FRAME_QUALITY, withInput = false } = {}) {
+    if (!this.useWorker) {
+      const data = this.encodeOnMainThread(source, { width, height }, type, quality);
+      return { data, input: withInput ? this.prepareInputOnMainThread({ width, height }) : null };
+    }
+
+    const frame = createImageBitmap(source, { resizeWidth: width, resizeHeight: height, resizeQuality: 'medium' })
+      .then(bitmap => this.post(bitmap, type, quality, withInput));
+    return {
+      data: frame.then(({ blob }) => blob),
+      // A frame that can't be encoded isn't sent at all - its input is never read
+      input: withInput ? frame.then(({ input }) => input, () => null) : null
+    };
+  }
+
+  encodeOnMainThread(source, { width, height }, type, quality) {
+    if (!this.canvas) this.canvas = document.createElement('canvas');
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.canvas.getContext('2d').drawImage(source, 0, 0, width, height);
+    return canvasToBlob(this.canvas, type, quality);
+  }
+
+  // From the frame encodeOnMainThread() just drew
+  prepareInputOnMainThread(frame) {
+    if (!this.inputCanvas) {
+      this.inputCanvas = document.createElement('canvas');
+      this.inputCanvas.width = MODEL_INPUT_SIZE;
+      this.inputCanvas.height = MODEL_INPUT_SIZE;
+    }
+    return readModelInput(this.inputCanvas.getContext('2d', { willReadFrequently: true }), this.canvas, frame);
+  }
+
+  post(bitmap, type, quality, withInput) {
+    if (!this.worker) this.startWorker();
+    this.nextId += 1;
+    const id = this.nextId;
+
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage({ id, bitmap, type, quality, withInput }, [bitmap]);
+    });
+  }
+
+  startWorker() {
+    this.worker = this.createWorker();
+    this.worker.onmessage = ({ data: { id, blob, input, error } }) => {
+      const frame = this.pending.get(id);
+      if (!frame) return;
+      this.pending.delete(id);
+
+      if (!error) {
+        frame.resolve({ blob, input });
+      } else if (error.name === 'SecurityError') {
+        // A camera served without CORS taints the bitmap - it can't be read back
+        frame.reject(new Error(UNREADABLE_FRAME));
+      } else {
+        frame.reject(new Error(`The frame could not be encoded: ${error.message}`));
+      }
+    };
+    // The worker couldn't load (an old browser, a strict CSP) - encode here from now on
+    this.worker.onerror = (event) => {
+      console.warn('⚠️ Frame encoder worker failed - encoding frames on the main thread:', event.message);
+      event.preventDefault?.();
+      this.terminate();
+      this.useWorker = false;
+    };
+  }
+
+  /**
+   * Stop the worker; frames being encoded are dropped
+   */
+  terminate() {
+    this.worker?.terminate();
+    this.worker = null;
+    const error = new Error('The frame encoder was stopped');
+    error.name = 'AbortError'; // Treated as a cancelled frame
+    this.pending.forEach(frame => frame.reject(error));
+    this.pending.clear();
+  }
+}
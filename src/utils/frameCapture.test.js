@@ -0,0 +1,161 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import FrameEncoder, { VideoFrameClock } from './frameCapture';
+
+// <video> stand-in whose frames are presented by the test
+const createVideo = () => {
+  const video = {
+    callbacks: [],
+    presentedFrames: 0,
+    requestVideoFrameCallback: vi.fn((callback) => video.callbacks.push(callback)),
+    present: () => {
+      video.presentedFrames += 1;
+      const callbacks = video.callbacks;
+      video.callbacks = [];
+      callbacks.forEach(callback => callback(0, { presentedFrames: video.presentedFrames }));
+    },
+  };
+  return video;
+};
+
+// Worker stand-in that the test answers
+const createWorker = () => {
+  const worker = {
+    messages: [],
+    postMessage: vi.fn((message) => worker.messages.push(message)),
+    terminate: vi.fn(),
+    reply: (data) => worker.onmessage({ data }),
+  };
+  return worker;
+};
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('VideoFrameClock', () => {
+  it('allows one capture per presented video frame', () => {
+    const clock = new VideoFrameClock();
+    const video = createVideo();
+
+    expect(clock.hasNewFrame(video)).toBe(true);
+    clock.markCaptured();
+    expect(clock.hasNewFrame(video)).toBe(false);
+
+    video.present();
+    expect(clock.hasNewFrame(video)).toBe(true);
+    clock.markCaptured();
+    video.present();
+    video.present();
+    expect(clock.hasNewFrame(video)).toBe(true);
+    expect(video.requestVideoFrameCallback).toHaveBeenCalledTimes(4);
+  });
+
+  it('always has a frame for images and browsers without the callback', () => {
+    const clock = new VideoFrameClock();
+    const image = { naturalWidth: 640 };
+
+    clock.hasNewFrame(image);
+    clock.markCaptured();
+    expect(clock.hasNewFrame(image)).toBe(true);
+  });
+
+  it('stops following a video it was reset from', () => {
+    const clock = new VideoFrameClock();
+    const video = createVideo();
+    clock.hasNewFrame(video);
+
+    clock.reset();
+    video.present();
+
+    expect(video.callbacks).toHaveLength(0);
+  });
+});
+
+describe('FrameEncoder', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  const stubBitmaps = () => {
+    const createImageBitmap = vi.fn(async (source, { resizeWidth, resizeHeight }) => ({
+      width: resizeWidth,
+      height: resizeHeight,
+      close: vi.fn(),
+    }));
+    vi.stubGlobal('createImageBitmap', createImageBitmap);
+    return createImageBitmap;
+  };
+
+  it('scales the frame into a bitmap and encodes it in the worker', async () => {
+    const createImageBitmap = stubBitmaps();
+    const worker = createWorker();
+    const encoder = new FrameEncoder({ createWorker: () => worker, useWorker: true });
+
+    const encoded = encoder.encode({}, { width: 960, height: 540 }, { type: 'image/jpeg', quality: 0.85 });
+    await flush();
+    const [message] = worker.messages;
+    worker.reply({ id: message.id, blob: 'jpeg' });
+
+    expect(await encoded).toBe('jpeg');
+    expect(createImageBitmap).toHaveBeenCalledWith({}, expect.objectContaining({ resizeWidth: 960, resizeHeight: 540 }));
+    expect(message).toMatchObject({ type: 'image/jpeg', quality: 0.85, bitmap: { width: 960, height: 540 } });
+    expect(worker.postMessage.mock.calls[0][1]).toEqual([message.bitmap]);
+  });
+
+  it('prepares the in-browser model input from the same bitmap in the worker', async () => {
+    stubBitmaps();
+    const worker = createWorker();
+    const encoder = new FrameEncoder({ createWorker: () => worker, useWorker: true });
+
+    const frame = encoder.capture({}, { width: 960, height: 540 }, { type: 'image/jpeg', withInput: true });
+    await flush();
+    const [message] = worker.messages;
+    const input = { data: new Float32Array(3), box: {}, frame: { width: 960, height: 540 } };
+    worker.reply({ id: message.id, blob: 'jpeg', input });
+
+    expect(message.withInput).toBe(true);
+    expect(await frame.data).toBe('jpeg');
+    expect(await frame.input).toBe(input);
+    expect(encoder.capture({}, { width: 960, height: 540 }).input).toBeNull();
+  });
+
+  it('has no model input for a frame that could not be encoded', async () => {
+    stubBitmaps();
+    const worker = createWorker();
+    const encoder = new FrameEncoder({ createWorker: () => worker, useWorker: true });
+
+    const frame = encoder.capture({}, { width: 640, height: 480 }, { type: 'image/jpeg', withInput: true });
+    await flush();
+    worker.reply({ id: worker.messages[0].id, error: { name: 'EncodingError', message: 'failed' } });
+
+    await expect(frame.data).rejects.toThrow('The frame could not be encoded');
+    expect(await frame.input).toBeNull();
+  });
+
+  it('explains frames from a camera without CORS', async () => {
+    stubBitmaps();
+    const worker = createWorker();
+    const encoder = new FrameEncoder({ createWorker: () => worker, useWorker: true });
+
+    const encoded = encoder.encode({}, { width: 640, height: 480 }, { type: 'image/jpeg' });
+    await flush();
+    worker.reply({ id: worker.messages[0].id, error: { name: 'SecurityError', message: 'tainted' } });
+
+    await expect(encoded).rejects.toThrow('Frames from this camera cannot be read by the browser.');
+  });
+
+  it('encodes on the main thread once the worker fails to load', async () => {
+    stubBitmaps();
+    const worker = createWorker();
+    const encoder = new FrameEncoder({ createWorker: () => worker, useWorker: true });
+    const encodeOnMainThread = vi.spyOn(encoder, 'encodeOnMainThread').mockResolvedValue('main-thread');
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const lost = encoder.encode({}, { width: 640, height: 480 }, { type: 'image/jpeg' });
+    await flush();
+    worker.onerror({ message: 'Failed to load' });
+
+    await expect(lost).rejects.toMatchObject({ name: 'AbortError' });
+    expect(worker.terminate).toHaveBeenCalled();
+    expect(await encoder.encode({}, { width: 640, height: 480 }, { type: 'image/jpeg' })).toBe('main-thread');
+    expect(encodeOnMainThread).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * Frame encoder worker
+ * Encodes live camera frames with OffscreenCanvas so JPEG/WebP compression
+ * doesn't block the dashboard, and letterboxes them into the in-browser model's
+ * input when asked. Receives { id, bitmap, type, quality, withInput } with the
+ * ImageBitmap transferred, and answers { id, blob, input } (input's tensor
+ * transferred back) or { id, error }.
+ */
+
+import { MODEL_INPUT_SIZE, readModelInput } from './yolo';
+
+let canvas = null;
+let inputCanvas = null;
+
+const prepareInput = (bitmap) => {
+  if (!inputCanvas) inputCanvas = new OffscreenCanvas(MODEL_INPUT_SIZE, MODEL_INPUT_SIZE);
+  const context = inputCanvas.getContext('2d', { willReadFrequently: true });
+  return readModelInput(context, bitmap, { width: bitmap.width, height: bitmap.height });
+};
+
+self.onmessage = async ({ data: { id, bitmap, type, quality, withInput } }) => {
+  try {
+    if (!canvas) canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    const input = withInput ? prepareInput(bitmap) : null;
+    bitmap.close();
+
+    // The bitmap is copied when this is called, so the next frame can be drawn meanwhile
+    const blob = await canvas.convertToBlob({ type, quality });
+    self.postMessage({ id, blob, input }, input ? [input.data.buffer] : []);
+  } catch (error) {
+    bitmap.close();
+    self.postMessage({ id, error: { name: error.name, message: error.message } });
+  }
+};
@@ -0,0 +1,52 @@
+/**
+ * Frame encoding
+ * Live frames are sent as binary JPEG (or WebP) blobs from canvas.toBlob()
+ * rather than base64 data URLs, which are a third bigger and block the main
+ * thread while they are built.
+ */
+
+import { FRAME_QUALITY } from './frameSampler';
+
+// WebP is smaller at the same quality, but the backend has to accept it
+const PREFERRED_TYPE = import.meta.env.VITE_FRAME_FORMAT === 'webp' ? 'image/webp' : 'image/jpeg';
+
+let webpSupported = null;
+
+// Browsers that can't encode WebP quietly hand back a PNG instead
+const canEncodeWebp = () => {
+  if (webpSupported === null) {
+    webpSupported = document.createElement('canvas').toDataURL('image/webp').startsWith('data:image/webp');
+  }
+  return webpSupported;
+};
+
+/**
+ * MIME type live frames are encoded as
+ */
+export const getFrameType = () => (PREFERRED_TYPE === 'image/webp' && !canEncodeWebp() ? 'image/jpeg' : PREFERRED_TYPE);
+
+/**
+ * canvas.toBlob() as a promise
+ * The canvas is copied when this is called, so it can be drawn on again straight away.
+ * Throws synchronously, like toDataURL(), when the canvas is tainted.
+ */
+export const canvasToBlob = (canvas, type = getFrameType(), quality = FRAME_QUALITY) => {
+  let settle;
+  const encoded = new Promise((resolve, reject) => {
+    settle = (blob) => (blob ? resolve(blob) : reject(new Error('The frame could not be encoded')));
+  });
+  canvas.toBlob(blob => settle(blob), type, quality);
+  return encoded;
+};
+
+/**
+ * A blob as a base64 data URL, for JSON bodies and exports
+ */
+export const blobToDataUrl = async (blob) => {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${blob.type || 'application/octet-stream'};base64,${btoa(binary)}`;
+};
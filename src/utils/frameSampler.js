@@ -0,0 +1,186 @@
+/**
+ * Adaptive frame sampling for live camera detection
+ * Decides, per camera, whether the current frame is worth a /detect/frame
+ * request. Frames that look the same as the last one sent are skipped (frame
+ * differencing on a small thumbnail), the rate goes up on smoke-like motion or
+ * after a detection, and backs off while the backend is slow or failing.
+ * The FrameScheduler still caps the total rate across every camera.
+ */
+
+// Frames sent for detection - the model works at 640px, so larger frames only cost upload time
+export const MAX_FRAME_WIDTH = 960;
+export const FRAME_QUALITY = 0.85;
+
+const THUMBNAIL_WIDTH = 64;
+const THUMBNAIL_HEIGHT = 48;
+
+const PIXEL_CHANGE = 16; // luma difference (0-255) that counts as a changed pixel
+const GREY_SATURATION = 40; // max - min RGB below this is grey/white, like smoke
+const FPS_WINDOW_MS = 10000;
+
+const DEFAULTS = {
+  minInterval: 250, // ms between frames while boosted
+  baseInterval: 500, // ms between frames normally
+  maxInterval: 8000, // ms between frames at full back-off
+  keyframeInterval: 10000, // send a frame this often even without motion
+  boostDuration: 30000, // ms of boosted sampling after smoke-like motion or a detection
+  motionThreshold: 0.01, // fraction of pixels changed that counts as motion
+  smokeRatio: 0.6, // share of the changed pixels that are grey for the motion to look like smoke
+  slowLatency: 2000, // ms - slower responses than this back off
+};
+
+/**
+ * Size a frame is sent at, scaled down to at most maxWidth
+ */
+export const fitFrame = ({ width, height }, maxWidth = MAX_FRAME_WIDTH) => {
+  if (width <= maxWidth) return { width, height };
+  return { width: maxWidth, height: Math.round((height * maxWidth) / width) };
+};
+
+/**
+ * Compare two RGBA thumbnails of the same size
+ *
+ * @param {Uint8ClampedArray} previous
+ * @param {Uint8ClampedArray} current
+ * @returns {{changed: number, smokeLike: number}} fraction of pixels that changed, and
+ *   the share of those that are grey/white (rising smoke rather than, say, a moving branch)
+ */
+export const measureMotion = (previous, current) => {
+  const pixels = current.length / 4;
+  let changed = 0;
+  let grey = 0;
+
+  for (let i = 0; i < current.length; i += 4) {
+    const r = current[i];
+    const g = current[i + 1];
+    const b = current[i + 2];
+    const luma = 0.299 * r + 0.587 * g + 0.114 * b;
+    const previousLuma = 0.299 * previous[i] + 0.587 * previous[i + 1] + 0.114 * previous[i + 2];
+
+    if (Math.abs(luma - previousLuma) > PIXEL_CHANGE) {
+      changed++;
+      if (Math.max(r, g, b) - Math.min(r, g, b) < GREY_SATURATION) grey++;
+    }
+  }
+
+  return { changed: changed / pixels, smokeLike: changed > 0 ? grey / changed : 0 };
+};
+
+/**
+ * Reader for a downscaled RGBA copy of the frame showing in an element
+ * @returns {Function} (element) => Uint8ClampedArray | null - null when the frame can't be read
+ */
+export const createThumbnailReader = (width = THUMBNAIL_WIDTH, height = THUMBNAIL_HEIGHT) => {
+  let canvas = null;
+  return (element) => {
+    if (!canvas) {
+      canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+    }
+
+    try {
+      const context = canvas.getContext('2d', { willReadFrequently: true });
+      context.drawImage(element, 0, 0, width, height);
+      return context.getImageData(0, 0, width, height).data;
+    } catch {
+      // Tainted canvas - whoever captures the frame reports the problem
+      return null;
+    }
+  };
+};
+
+class FrameSampler {
+  /**
+   * @param {Object} options - Overrides for the intervals and thresholds in DEFAULTS, plus
+   *   readPixels: (element) => Uint8ClampedArray | null, RGBA thumbnail of the current frame
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.readPixels = options.readPixels || createThumbnailReader();
+    this.reset();
+  }
+
+  /**
+   * Forget the previous frame and timings (camera restarted)
+   */
+  reset() {
+    this.reference = null; // thumbnail of the last frame sent
+    this.lastSentAt = 0;
+    this.boostUntil = 0;
+    this.backoff = 1;
+    this.skipped = 0;
+    this.results = []; // timestamps of recent results, for the measured FPS
+  }
+
+  isBoosted(now = Date.now()) {
+    return now < this.boostUntil;
+  }
+
+  /**
+   * Current gap between frames in ms
+   */
+  getInterval(now = Date.now()) {
+    const { minInterval, baseInterval, maxInterval } = this.options;
+    return Math.min(maxInterval, (this.isBoosted(now) ? minInterval : baseInterval) * this.backoff);
+  }
+
+  /**
+   * Whether to send the frame now showing in `element`
+   */
+  shouldSend(element, now = Date.now()) {
+    if (now - this.lastSentAt < this.getInterval(now)) return false;
+
+    const pixels = this.readPixels(element);
+    if (pixels && this.reference && this.reference.length === pixels.length) {
+      const { changed, smokeLike } = measureMotion(this.reference, pixels);
+      const moving = changed >= this.options.motionThreshold;
+
+      if (moving && smokeLike >= this.options.smokeRatio) {
+        this.boostUntil = now + this.options.boostDuration;
+      }
+      if (!moving && now - this.lastSentAt < this.options.keyframeInterval) {
+        this.skipped++;
+        return false;
+      }
+    }
+
+    // Compare later frames with this one, so slow changes still add up
+    this.reference = pixels;
+    this.lastSentAt = now;
+    return true;
+  }
+
+  /**
+   * Detection came back - boost after a fire, back off while the backend is slow
+   */
+  recordResult({ hasFire, latency }, now = Date.now()) {
+    if (hasFire) this.boostUntil = now + this.options.boostDuration;
+
+    if (latency > this.options.slowLatency) {
+      this.backoff = Math.min(this.backoff * 2, this.options.maxInterval / this.options.minInterval);
+    } else {
+      this.backoff = Math.max(1, this.backoff / 2);
+    }
+
+    this.results = [...this.results.filter(t => now - t < FPS_WINDOW_MS), now];
+  }
+
+  /**
+   * A frame failed - back off as if the backend were slow
+   */
+  recordError() {
+    this.backoff = Math.min(this.backoff * 2, this.options.maxInterval / this.options.minInterval);
+  }
+
+  /**
+   * Detected frames per second over the last few seconds
+   */
+  getFps(now = Date.now()) {
+    const recent = this.results.filter(t => now - t < FPS_WINDOW_MS);
+    if (recent.length < 2) return 0;
+    return ((recent.length - 1) * 1000) / Math.max(now - recent[0], 1);
+  }
+}
+
+export default FrameSampler;
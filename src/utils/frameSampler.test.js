@@ -0,0 +1,133 @@
+import { describe, it, expect } from 'vitest';
+import FrameSampler, { fitFrame, measureMotion, MAX_FRAME_WIDTH } from './frameSampler';
+
+const PIXELS = 100;
+
+// Uniform RGBA thumbnail
+const frame = (r, g = r, b = r) => {
+  const data = new Uint8ClampedArray(PIXELS * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = r;
+    data[i + 1] = g;
+    data[i + 2] = b;
+    data[i + 3] = 255;
+  }
+  return data;
+};
+
+// The sampler reads whatever frame the test last showed it
+const samplerFor = (options = {}) => {
+  const view = { pixels: frame(0) };
+  const sampler = new FrameSampler({ readPixels: () => view.pixels, ...options });
+  return { sampler, view };
+};
+
+describe('fitFrame', () => {
+  it('keeps small frames as they are', () => {
+    expect(fitFrame({ width: 640, height: 480 })).toEqual({ width: 640, height: 480 });
+  });
+
+  it('scales large frames down to the maximum width', () => {
+    expect(fitFrame({ width: 1920, height: 1080 })).toEqual({ width: MAX_FRAME_WIDTH, height: 540 });
+  });
+});
+
+describe('measureMotion', () => {
+  it('reports no change for identical frames', () => {
+    expect(measureMotion(frame(50), frame(50))).toEqual({ changed: 0, smokeLike: 0 });
+  });
+
+  it('treats grey change as smoke-like and coloured change as not', () => {
+    expect(measureMotion(frame(50), frame(200))).toEqual({ changed: 1, smokeLike: 1 });
+    expect(measureMotion(frame(50), frame(200, 40, 40)).smokeLike).toBe(0);
+  });
+});
+
+describe('FrameSampler', () => {
+  it('waits the base interval between frames', () => {
+    const { sampler } = samplerFor();
+    expect(sampler.shouldSend(null, 1000)).toBe(true);
+    expect(sampler.shouldSend(null, 1200)).toBe(false);
+    expect(sampler.skipped).toBe(0);
+  });
+
+  it('skips unchanged frames until the keyframe interval', () => {
+    const { sampler } = samplerFor();
+    sampler.shouldSend(null, 1000);
+
+    expect(sampler.shouldSend(null, 1600)).toBe(false);
+    expect(sampler.shouldSend(null, 5000)).toBe(false);
+    expect(sampler.skipped).toBe(2);
+    expect(sampler.shouldSend(null, 11000)).toBe(true);
+  });
+
+  it('sends frames that changed', () => {
+    const { sampler, view } = samplerFor();
+    sampler.shouldSend(null, 1000);
+
+    view.pixels = frame(200, 40, 40);
+    expect(sampler.shouldSend(null, 1600)).toBe(true);
+    expect(sampler.isBoosted(1600)).toBe(false);
+  });
+
+  it('samples faster after smoke-like motion', () => {
+    const { sampler, view } = samplerFor();
+    sampler.shouldSend(null, 1000);
+
+    view.pixels = frame(180);
+    expect(sampler.shouldSend(null, 1600)).toBe(true);
+    expect(sampler.isBoosted(1600)).toBe(true);
+    expect(sampler.getInterval(1600)).toBe(250);
+    expect(sampler.getInterval(40000)).toBe(500);
+  });
+
+  it('sends every frame when the pixels cannot be read', () => {
+    const sampler = new FrameSampler({ readPixels: () => null });
+    expect(sampler.shouldSend(null, 1000)).toBe(true);
+    expect(sampler.shouldSend(null, 1600)).toBe(true);
+  });
+
+  it('boosts after a detection', () => {
+    const { sampler } = samplerFor();
+    sampler.recordResult({ hasFire: true, latency: 100 }, 1000);
+    expect(sampler.isBoosted(20000)).toBe(true);
+  });
+
+  it('backs off while the backend is slow and recovers when it is fast again', () => {
+    const { sampler } = samplerFor();
+    sampler.recordResult({ hasFire: false, latency: 3000 }, 1000);
+    sampler.recordResult({ hasFire: false, latency: 3000 }, 2000);
+    expect(sampler.getInterval(2000)).toBe(2000);
+
+    sampler.recordError();
+    sampler.recordError();
+    sampler.recordError();
+    expect(sampler.getInterval(2000)).toBe(8000);
+
+    sampler.recordResult({ hasFire: false, latency: 100 }, 3000);
+    expect(sampler.getInterval(3000)).toBe(8000);
+    sampler.recordResult({ hasFire: false, latency: 100 }, 4000);
+    expect(sampler.getInterval(4000)).toBe(4000);
+  });
+
+  it('measures FPS over recent results', () => {
+    const { sampler } = samplerFor();
+    expect(sampler.getFps(0)).toBe(0);
+
+    [1000, 1500, 2000, 2500, 3000].forEach(now => sampler.recordResult({ latency: 100 }, now));
+    expect(sampler.getFps(3000)).toBe(2);
+    expect(sampler.getFps(20000)).toBe(0);
+  });
+
+  it('forgets everything on reset', () => {
+    const { sampler } = samplerFor();
+    sampler.shouldSend(null, 1000);
+    sampler.shouldSend(null, 1600);
+    sampler.recordError();
+    sampler.reset();
+
+    expect(sampler.skipped).toBe(0);
+    expect(sampler.getInterval(1700)).toBe(500);
+    expect(sampler.shouldSend(null, 1700)).toBe(true);
+  });
+});
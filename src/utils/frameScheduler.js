@@ -0,0 +1,151 @@
+/**
+ * Frame Scheduler for live camera detection
+ * Shares one frame budget between every camera being monitored: frames are
+ * sent for detection round-robin, at most `maxFramesPerSecond` in total and
+ * `maxInFlight` at once, so one busy camera cannot starve the others.
+ * A camera may have `maxInFlightPerSource` frames in flight, pipelined over a
+ * slow connection; a result that arrives after a newer frame's is dropped.
+ */
+
+import { CancelledError, toApiError } from '../services/apiErrors';
+
+class FrameScheduler {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxFramesPerSecond - Frames sent per second across all cameras
+   * @param {number} options.maxInFlight - Frame requests allowed in flight at once
+   * @param {number} options.maxInFlightPerSource - Frame requests one camera may have in flight
+   * @param {Function} options.detectFrame - (frameData, { signal, input }) => Promise<result>
+   * @param {Function} options.isReady - Frames are skipped while this returns false
+   */
+  constructor({ maxFramesPerSecond = 4, maxInFlight = 2, maxInFlightPerSource = 1, detectFrame, isReady = () => true } = {}) {
+    this.maxFramesPerSecond = maxFramesPerSecond;
+    this.maxInFlight = maxInFlight;
+    this.maxInFlightPerSource = maxInFlightPerSource;
+    this.detectFrame = detectFrame;
+    this.isReady = isReady;
+    this.sources = new Map(); // id -> { capture, onResult, onError }
+    this.controllers = new Map(); // id -> Set of AbortControllers of its frames in flight
+    this.sequences = new Map(); // id -> { sent, delivered } frame numbers, to drop stale results
+    this.cursor = 0; // Round-robin position in the source list
+    this.timer = null;
+  }
+
+  /**
+   * Add a camera to the rotation
+   * @param {string} id
+   * @param {Object} source
+   * @param {Function} source.capture - () => { data, width, height, input } | null when no frame is ready;
+   *   data is the encoded frame or a promise of it, input the frame prepared for the in-browser model
+   *   (or a promise of it), if one is in use
+   * @param {Function} source.onResult - (result, { data, width, height, latency }) => void - data is the frame that was sent
+   * @param {Function} source.onError - (error) => void
+   * @returns {Function} unregister
+   */
+  register(id, source) {
+    this.sources.set(id, source);
+    this.sequences.set(id, { sent: 0, delivered: 0 });
+    this.startTimer();
+    return () => this.unregister(id);
+  }
+
+  /**
+   * Remove a camera and abort its frames in flight
+   */
+  unregister(id) {
+    this.sources.delete(id);
+    this.sequences.delete(id);
+    this.abort(id);
+    if (this.sources.size === 0) this.stopTimer();
+  }
+
+  /**
+   * Remove every camera (e.g. Emergency Stop)
+   */
+  clear() {
+    Array.from(this.sources.keys()).forEach(id => this.unregister(id));
+  }
+
+  get inFlight() {
+    let count = 0;
+    this.controllers.forEach(controllers => { count += controllers.size; });
+    return count;
+  }
+
+  abort(id) {
+    const controllers = this.controllers.get(id);
+    if (controllers) {
+      this.controllers.delete(id);
+      controllers.forEach(controller => controller.abort());
+    }
+  }
+
+  // Whether a frame is still wanted - false once its camera was unregistered
+  isPending(id, controller) {
+    return this.controllers.get(id)?.has(controller) ?? false;
+  }
+
+  startTimer() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), 1000 / this.maxFramesPerSecond);
+  }
+
+  stopTimer() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Send one frame from the next camera whose turn it is
+  tick() {
+    if (this.inFlight >= this.maxInFlight || !this.isReady()) return;
+
+    const ids = Array.from(this.sources.keys());
+    for (let i = 0; i < ids.length; i++) {
+      const index = (this.cursor + i) % ids.length;
+      const id = ids[index];
+      if ((this.controllers.get(id)?.size || 0) >= this.maxInFlightPerSource) continue; // Still waiting on its frames
+
+      const frame = this.sources.get(id).capture();
+      if (!frame) continue; // Camera has nothing to send yet - give the turn away
+
+      this.cursor = index + 1;
+      this.send(id, frame);
+      return;
+    }
+  }
+
+  async send(id, frame) {
+    const source = this.sources.get(id);
+    const sequence = this.sequences.get(id);
+    const number = ++sequence.sent;
+    const controller = new AbortController();
+    if (!this.controllers.has(id)) this.controllers.set(id, new Set());
+    this.controllers.get(id).add(controller);
+    const startedAt = Date.now();
+
+    // A newer frame's answer already came back - this one would move the overlay backwards
+    const isStale = () => number < sequence.delivered;
+
+    try {
+      // Frames encoded with canvas.toBlob() arrive as a promise
+      const data = frame.data instanceof Promise ? await frame.data : frame.data;
+      const input = frame.input instanceof Promise ? await frame.input : frame.input;
+      const result = await this.detectFrame(data, { signal: controller.signal, input });
+      if (!this.isPending(id, controller) || isStale()) return; // Unregistered while in flight, or overtaken
+      sequence.delivered = number;
+      source.onResult(result, { data, width: frame.width, height: frame.height, latency: Date.now() - startedAt });
+    } catch (caught) {
+      const error = toApiError(caught);
+      if (error instanceof CancelledError || !this.isPending(id, controller) || isStale()) return;
+      source.onError(error);
+    } finally {
+      const controllers = this.controllers.get(id);
+      controllers?.delete(controller);
+      if (controllers?.size === 0) this.controllers.delete(id);
+    }
+  }
+}
+
+export default FrameScheduler;
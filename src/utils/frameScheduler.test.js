@@ -0,0 +1,220 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import FrameScheduler from './frameScheduler';
+import { CancelledError, ServerError } from '../services/apiErrors';
+
+const frame = (data) => ({ data, width: 640, height: 480 });
+
+// detectFrame stand-in whose requests are settled by the test
+const createDetector = () => {
+  const calls = [];
+  const detectFrame = vi.fn((data, { signal }) => new Promise((resolve, reject) => {
+    calls.push({ data, signal, resolve, reject });
+    signal.addEventListener('abort', () => reject(new CancelledError()));
+  }));
+  return { detectFrame, calls };
+};
+
+const source = (name, overrides = {}) => ({
+  capture: vi.fn(() => frame(name)),
+  onResult: vi.fn(),
+  onError: vi.fn(),
+  ...overrides,
+});
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('FrameScheduler', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('serves cameras round-robin', async () => {
+    const { detectFrame, calls } = createDetector();
+    const scheduler = new FrameScheduler({ detectFrame, maxInFlight: 1 });
+    ['a', 'b', 'c'].forEach(id => scheduler.register(id, source(id)));
+
+    const sent = [];
+    for (let i = 0; i < 6; i++) {
+      scheduler.tick();
+      sent.push(calls[i].data);
+      calls[i].resolve({ detections: [] });
+      await flush();
+    }
+
+    expect(sent).toEqual(['a', 'b', 'c', 'a', 'b', 'c']);
+    scheduler.clear();
+  });
+
+  it('never exceeds the in-flight limit and keeps one frame per camera', () => {
+    const { detectFrame, calls } = createDetector();
+    const scheduler = new FrameScheduler({ detectFrame, maxInFlight: 2 });
+    ['a', 'b', 'c'].forEach(id => scheduler.register(id, source(id)));
+
+    scheduler.tick();
+    scheduler.tick();
+    scheduler.tick();
+
+    expect(calls.map(call => call.data)).toEqual(['a', 'b']);
+    expect(scheduler.inFlight).toBe(2);
+    scheduler.clear();
+  });
+
+  it('does not let a slow camera block the others', () => {
+    const { detectFrame, calls } = createDetector();
+    const scheduler = new FrameScheduler({ detectFrame, maxInFlight: 3 });
+    scheduler.register('slow', source('slow'));
+    scheduler.register('fast', source('fast'));
+
+    scheduler.tick(); // slow - never answers
+    scheduler.tick(); // fast
+    calls[1].resolve({ detections: [] });
+    scheduler.tick();
+
+    expect(calls.map(call => call.data)).toEqual(['slow', 'fast']);
+    scheduler.clear();
+  });
+
+  it('passes the turn on when a camera has no frame yet', () => {
+    const { detectFrame, calls } = createDetector();
+    const scheduler = new FrameScheduler({ detectFrame });
+    scheduler.register('loading', source('loading', { capture: () => null }));
+    scheduler.register('ready', source('ready'));
+
+    scheduler.tick();
+
+    expect(calls.map(call => call.data)).toEqual(['ready']);
+    scheduler.clear();
+  });
+
+  it('skips frames while the backend is not ready', () => {
+    const { detectFrame } = createDetector();
+    let ready = false;
+    const scheduler = new FrameScheduler({ detectFrame, isReady: () => ready });
+    const camera = source('a');
+    scheduler.register('a', camera);
+
+    scheduler.tick();
+    expect(camera.capture).not.toHaveBeenCalled();
+
+    ready = true;
+    scheduler.tick();
+    expect(detectFrame).toHaveBeenCalledOnce();
+    scheduler.clear();
+  });
+
+  it('delivers results with the frame, its size and latency', async () => {
+    const { detectFrame, calls } = createDetector();
+    const scheduler = new FrameScheduler({ detectFrame });
+    const camera = source('a');
+    scheduler.register('a', camera);
+
+    scheduler.tick();
+    calls[0].resolve({ has_fire: true, detections: [{ class: 'fire' }] });
+    await flush();
+
+    expect(camera.onResult).toHaveBeenCalledWith(
+      { has_fire: true, detections: [{ class: 'fire' }] },
+      expect.objectContaining({ data: 'a', width: 640, height: 480, latency: expect.any(Number) })
+    );
+    scheduler.clear();
+  });
+
+  it('waits for the encoded frame and its model input', async () => {
+    const { detectFrame } = createDetector();
+    const scheduler = new FrameScheduler({ detectFrame });
+    const input = { data: new Float32Array(3) };
+    scheduler.register('a', source('a', {
+      capture: () => ({ ...frame(Promise.resolve('jpeg')), input: Promise.resolve(input) }),
+    }));
+
+    scheduler.tick();
+    await flush();
+
+    expect(detectFrame).toHaveBeenCalledWith('jpeg', expect.objectContaining({ input }));
+    scheduler.clear();
+  });
+
+  it('reports errors as typed API errors', async () => {
+    const { detectFrame, calls } = createDetector();
+    const scheduler = new FrameScheduler({ detectFrame });
+    const camera = source('a');
+    scheduler.register('a', camera);
+
+    scheduler.tick();
+    calls[0].reject(new ServerError('Detection server error (500)', { status: 500 }));
+    await flush();
+
+    expect(camera.onError).toHaveBeenCalledWith(expect.any(ServerError));
+    expect(scheduler.inFlight).toBe(0);
+    scheduler.clear();
+  });
+
+  it('aborts the frame in flight and stays quiet when a camera is removed', async () => {
+    const { detectFrame, calls } = createDetector();
+    const scheduler = new FrameScheduler({ detectFrame });
+    const camera = source('a');
+    const unregister = scheduler.register('a', camera);
+
+    scheduler.tick();
+    unregister();
+    await flush();
+
+    expect(calls[0].signal.aborted).toBe(true);
+    expect(camera.onResult).not.toHaveBeenCalled();
+    expect(camera.onError).not.toHaveBeenCalled();
+  });
+
+  it('pipelines frames from one camera and drops an answer overtaken by a newer one', async () => {
+    const { detectFrame, calls } = createDetector();
+    const scheduler = new FrameScheduler({ detectFrame, maxInFlight: 4, maxInFlightPerSource: 2 });
+    let n = 0;
+    const camera = source('a', { capture: () => frame(`a${++n}`) });
+    scheduler.register('a', camera);
+
+    scheduler.tick();
+    scheduler.tick();
+    scheduler.tick(); // a third frame waits for one of the two
+    expect(calls.map(call => call.data)).toEqual(['a1', 'a2']);
+
+    calls[1].resolve({ detections: [], has_fire: false });
+    await flush();
+    calls[0].resolve({ detections: [{ class: 'fire' }], has_fire: true });
+    await flush();
+
+    expect(camera.onResult).toHaveBeenCalledTimes(1);
+    expect(camera.onResult.mock.calls[0][1].data).toBe('a2');
+    expect(scheduler.inFlight).toBe(0);
+    scheduler.clear();
+  });
+
+  it('waits for frames that are still being encoded', async () => {
+    const { detectFrame, calls } = createDetector();
+    const scheduler = new FrameScheduler({ detectFrame });
+    const camera = source('a', { capture: () => frame(Promise.resolve('encoded')) });
+    scheduler.register('a', camera);
+
+    scheduler.tick();
+    await flush();
+    calls[0].resolve({ detections: [] });
+    await flush();
+
+    expect(calls[0].data).toBe('encoded');
+    expect(camera.onResult).toHaveBeenCalledWith({ detections: [] }, expect.objectContaining({ data: 'encoded' }));
+    scheduler.clear();
+  });
+
+  it('paces frames to the configured rate and stops when empty', () => {
+    vi.useFakeTimers();
+    const { detectFrame, calls } = createDetector();
+    const scheduler = new FrameScheduler({ detectFrame, maxFramesPerSecond: 4, maxInFlight: 10 });
+    ['a', 'b', 'c', 'd', 'e', 'f'].forEach(id => scheduler.register(id, source(id)));
+
+    vi.advanceTimersByTime(1000);
+    expect(calls).toHaveLength(4);
+
+    scheduler.clear();
+    expect(scheduler.timer).toBeNull();
+    vi.advanceTimersByTime(1000);
+    expect(calls).toHaveLength(4);
+  });
+});
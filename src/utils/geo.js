@@ -0,0 +1,66 @@
+/**
+ * Geographic helpers shared by the map and analysis panels
+ */
+
+/**
+ * Parse latitude/longitude form values
+ *
+ * @param {{lat: string|number, lon: string|number}} location - Raw input values
+ * @returns {{lat: number, lon: number} | null} null unless both are valid coordinates
+ */
+export const parseCoordinates = (location) => {
+  if (!location) return null;
+
+  const lat = parseFloat(location.lat);
+  const lon = parseFloat(location.lon);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    return null;
+  }
+  return { lat, lon };
+};
+
+/**
+ * "lat, lon" to four decimals (~10 m) for labels and the detection log
+ */
+export const formatCoordinates = ({ lat, lon }) => `${lat.toFixed(4)}, ${lon.toFixed(4)}`;
+
+const EARTH_RADIUS_KM = 6371;
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+/**
+ * Point reached by travelling `distanceKm` from a start point on a compass bearing
+ *
+ * @returns {[number, number]} [lat, lon]
+ */
+export const destinationPoint = (lat, lon, bearing, distanceKm) => {
+  const angular = distanceKm / EARTH_RADIUS_KM;
+  const phi1 = toRadians(lat);
+  const lambda1 = toRadians(lon);
+  const theta = toRadians(bearing);
+
+  const phi2 = Math.asin(
+    Math.sin(phi1) * Math.cos(angular) + Math.cos(phi1) * Math.sin(angular) * Math.cos(theta)
+  );
+  const lambda2 = lambda1 + Math.atan2(
+    Math.sin(theta) * Math.sin(angular) * Math.cos(phi1),
+    Math.cos(angular) - Math.sin(phi1) * Math.sin(phi2)
+  );
+
+  // Normalise longitude to -180..180
+  return [toDegrees(phi2), ((toDegrees(lambda2) + 540) % 360) - 180];
+};
+
+/**
+ * Outline of what a camera can see, as a Leaflet polygon
+ *
+ * @param {{lat: number, lon: number, heading: number, fov: number}} camera - heading and fov in degrees
+ * @param {number} rangeKm - How far the cone reaches
+ * @param {number} steps - Points along the arc
+ * @returns {Array<[number, number]>} [lat, lon] points starting and ending at the camera
+ */
+export const viewConePolygon = ({ lat, lon, heading, fov }, rangeKm, steps = 16) => {
+  const start = heading - fov / 2;
+  const arc = Array.from({ length: steps + 1 }, (_, i) => destinationPoint(lat, lon, start + (fov * i) / steps, rangeKm));
+  return [[lat, lon], ...arc, [lat, lon]];
+};
@@ -0,0 +1,85 @@
+/**
+ * Minimal GeoTIFF reader
+ * Pulls the geographic centre of a satellite tile out of its
+ * ModelPixelScale / ModelTiepoint tags so results can be pinned on the map
+ * without typing coordinates. Only tiles in a lat/lon CRS are supported.
+ */
+
+const TAG_IMAGE_WIDTH = 256;
+const TAG_IMAGE_LENGTH = 257;
+const TAG_MODEL_PIXEL_SCALE = 33550;
+const TAG_MODEL_TIEPOINT = 33922;
+
+const TYPE_SHORT = 3;
+const TYPE_DOUBLE = 12;
+
+/**
+ * Returns true when the file looks like a TIFF (by MIME type or extension)
+ */
+export const isTiffFile = (file) => {
+  return file.type === 'image/tiff' || /\.tiff?$/i.test(file.name);
+};
+
+/**
+ * Read the centre coordinate of a GeoTIFF tile
+ *
+ * @param {File} file - The GeoTIFF file
+ * @returns {Promise<{lat: number, lon: number} | null>} null when the tile has no usable georeference
+ */
+export const readGeoTiffCenter = async (file) => {
+  const view = new DataView(await file.arrayBuffer());
+  if (view.byteLength < 8) return null;
+
+  // Byte order: "II" little endian, "MM" big endian
+  const byteOrder = view.getUint16(0);
+  if (byteOrder !== 0x4949 && byteOrder !== 0x4d4d) return null;
+  const little = byteOrder === 0x4949;
+
+  // Classic TIFF only (BigTIFF uses 43)
+  if (view.getUint16(2, little) !== 42) return null;
+
+  const ifdOffset = view.getUint32(4, little);
+  const entryCount = view.getUint16(ifdOffset, little);
+  const tags = {};
+
+  for (let i = 0; i < entryCount; i++) {
+    const entry = ifdOffset + 2 + i * 12;
+    tags[view.getUint16(entry, little)] = {
+      type: view.getUint16(entry + 2, little),
+      count: view.getUint32(entry + 4, little),
+      entry,
+    };
+  }
+
+  const readInteger = (tag) => {
+    if (!tag) return null;
+    return tag.type === TYPE_SHORT
+      ? view.getUint16(tag.entry + 8, little)
+      : view.getUint32(tag.entry + 8, little);
+  };
+
+  const readDoubles = (tag) => {
+    if (!tag || tag.type !== TYPE_DOUBLE) return null;
+    const offset = view.getUint32(tag.entry + 8, little);
+    return Array.from({ length: tag.count }, (_, i) => view.getFloat64(offset + i * 8, little));
+  };
+
+  const width = readInteger(tags[TAG_IMAGE_WIDTH]);
+  const height = readInteger(tags[TAG_IMAGE_LENGTH]);
+  const scale = readDoubles(tags[TAG_MODEL_PIXEL_SCALE]);
+  const tiepoint = readDoubles(tags[TAG_MODEL_TIEPOINT]);
+
+  if (!width || !height || !scale || !tiepoint || tiepoint.length < 6) return null;
+
+  // Tiepoint maps raster (i, j) to model (x, y); y grows downwards in the raster
+  const [i, j, , x, y] = tiepoint;
+  const lon = x + (width / 2 - i) * scale[0];
+  const lat = y - (height / 2 - j) * scale[1];
+
+  // Projected CRSs (metres) fall outside lat/lon range - we can't place those
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    return null;
+  }
+
+  return { lat, lon };
+};
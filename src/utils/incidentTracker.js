@@ -0,0 +1,207 @@
+/**
+ * Incident Tracker for live camera alerts
+ * Turns per-frame detections from one camera into fire incidents. A detection
+ * only counts once it passes the confirmation policy (confident enough, big
+ * enough, in N of the last M frames). Boxes are followed across frames as
+ * tracks, so a steady fire stays one incident that escalates when it spreads,
+ * grows or becomes more certain, instead of raising an alert every frame.
+ */
+
+import { iou } from './yolo';
+
+export const DEFAULT_POLICY = {
+  framesRequired: 3, // frames with a qualifying detection...
+  frameWindow: 5, // ...out of this many recent frames
+  minConfidence: 0.5, // 0-1
+  minBoxArea: 0.001, // fraction of the frame - drops specks of glare
+  cooldown: 120000, // ms between alarms from one camera
+  incidentTimeout: 60000, // ms without a confirmed detection before the incident is over
+};
+
+const TRACK_IOU = 0.1; // overlap that makes a box the same fire as a track
+const GROWTH_FACTOR = 2; // burning area since the last alarm that counts as growing
+const CERTAIN_CONFIDENCE = 0.8;
+
+const createIncidentId = () => `incident-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+const boxArea = ([x1, y1, x2, y2]) => Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
+
+/**
+ * Detections that pass the policy's confidence and box size limits
+ */
+export const qualifyingDetections = (detections, frame, policy = DEFAULT_POLICY) => {
+  const frameArea = frame?.width && frame?.height ? frame.width * frame.height : null;
+  return (detections || []).filter(detection => detection.confidence >= policy.minConfidence
+    && (!frameArea || !detection.bbox || boxArea(detection.bbox) / frameArea >= policy.minBoxArea));
+};
+
+/**
+ * One-line summary of an incident for its alert
+ */
+export const describeIncident = (incident) => {
+  const { detections } = incident;
+  const averageConfidence = detections.reduce((sum, d) => sum + d.confidence, 0) / detections.length;
+  const parts = [
+    `${detections.length} detection(s) with ${(averageConfidence * 100).toFixed(1)}% confidence`,
+    `seen in ${incident.frames} frame${incident.frames === 1 ? '' : 's'}`,
+  ];
+  if (incident.level > 1) parts.push(`escalated to level ${incident.level} (${incident.reason})`);
+  return parts.join(' · ');
+};
+
+/**
+ * Follow boxes across frames: a box overlapping a track continues it, any
+ * other box starts a new one. Tracks started after the incident opened are
+ * `pending` until seen in framesRequired frames - a second fire is only
+ * believed once it has been seen as often as the first.
+ *
+ * @returns {{tracks: Array, confirmedNew: boolean}} confirmedNew when a pending track was just confirmed
+ */
+const followTracks = (tracks, detections, now, { pending, framesRequired }) => {
+  const next = tracks.map(track => ({ ...track }));
+  let confirmedNew = false;
+
+  detections.forEach((detection) => {
+    const bbox = detection.bbox || [0, 0, 0, 0];
+    const track = next.find(t => iou(t.bbox, bbox) > TRACK_IOU);
+    if (!track) {
+      next.push({ bbox, class: detection.class, confidence: detection.confidence, hits: 1, lastSeenAt: now, pending });
+      return;
+    }
+    if (track.lastSeenAt === now) return; // Two boxes of one fire in the same frame
+
+    track.bbox = bbox;
+    track.confidence = Math.max(track.confidence, detection.confidence);
+    track.hits += 1;
+    track.lastSeenAt = now;
+    if (track.pending && track.hits >= framesRequired) {
+      track.pending = false;
+      confirmedNew = true;
+    }
+  });
+
+  return { tracks: next, confirmedNew };
+};
+
+// Area of the confirmed tracks seen in the latest frame, in frame pixels
+const burningArea = (tracks, now) => tracks
+  .filter(track => !track.pending && track.lastSeenAt === now)
+  .reduce((sum, track) => sum + boxArea(track.bbox), 0);
+
+class IncidentTracker {
+  /**
+   * @param {Object} policy - DEFAULT_POLICY overrides; update() can also be given the current policy
+   */
+  constructor(policy = {}) {
+    this.policy = { ...DEFAULT_POLICY, ...policy };
+    this.reset();
+  }
+
+  /**
+   * Forget recent frames and any open incident (camera restarted)
+   */
+  reset() {
+    this.recent = []; // { hit, at } for the last frameWindow frames - hit when one had a qualifying detection
+    this.incident = null;
+    this.lastAlarmAt = null;
+  }
+
+  /**
+   * Feed one frame's detection result
+   *
+   * @param {Object} result - /detect/frame result
+   * @param {{width: number, height: number}} frame - size the boxes are in
+   * @param {Object} options - { policy, now } - the current policy from the alert settings, and the time
+   * @returns {{incident: Object, alarm: boolean} | null} the incident when it opened or
+   *   escalated, otherwise null. alarm is false inside the cooldown: update the alert, don't sound it.
+   */
+  update(result, frame, { policy = this.policy, now = Date.now() } = {}) {
+    const detections = qualifyingDetections(result.detections, frame, policy);
+    this.recent = [...this.recent, { hit: detections.length > 0, at: now }].slice(-policy.frameWindow);
+
+    if (this.incident && now - this.incident.lastSeenAt > policy.incidentTimeout) {
+      console.log(`✅ Incident ${this.incident.id} over - no fire for ${Math.round((now - this.incident.lastSeenAt) / 1000)} s`);
+      this.incident = null;
+    }
+
+    // Hits from before a long gap (camera paused, scene unchanged) don't count towards a new fire
+    const hits = this.recent.filter(({ hit, at }) => hit && now - at <= policy.incidentTimeout).length;
+    const confirmed = hits >= policy.framesRequired;
+    if (detections.length === 0 || !confirmed) return null;
+
+    if (!this.incident) return this.open(detections, now, policy);
+
+    const reason = this.follow(detections, now, policy);
+    return reason ? this.escalate(reason, now, policy) : null;
+  }
+
+  open(detections, now, policy) {
+    const { tracks } = followTracks([], detections, now, { pending: false, framesRequired: policy.framesRequired });
+    const peakConfidence = Math.max(...detections.map(d => d.confidence));
+
+    this.incident = {
+      id: createIncidentId(),
+      startedAt: now,
+      lastSeenAt: now,
+      frames: 1,
+      level: 1,
+      reason: null,
+      peakConfidence,
+      detections,
+      tracks,
+      // What the last alert reported - growth and certainty are measured from here
+      alertedArea: burningArea(tracks, now),
+      alertedConfidence: peakConfidence,
+    };
+    console.log(`🔥 Incident ${this.incident.id} confirmed`);
+    return { incident: this.incident, alarm: this.takeAlarm(now, policy) };
+  }
+
+  /**
+   * Add a confirmed frame to the open incident
+   * @returns {string|null} why the incident should escalate, if it should
+   */
+  follow(detections, now, policy) {
+    const incident = this.incident;
+    const live = incident.tracks.filter(track => now - track.lastSeenAt <= policy.incidentTimeout);
+    const { tracks, confirmedNew } = followTracks(live, detections, now, { pending: true, framesRequired: policy.framesRequired });
+    const peakConfidence = Math.max(incident.peakConfidence, ...detections.map(d => d.confidence));
+
+    this.incident = {
+      ...incident,
+      lastSeenAt: now,
+      frames: incident.frames + 1,
+      peakConfidence,
+      detections,
+      tracks,
+    };
+
+    // Two fires in view at once, not one whose box moved
+    const burningNow = tracks.filter(track => !track.pending && track.lastSeenAt === now).length;
+    if (confirmedNew && burningNow > 1) return 'spreading';
+    if (incident.alertedArea > 0 && burningArea(tracks, now) >= incident.alertedArea * GROWTH_FACTOR) return 'growing';
+    if (peakConfidence >= CERTAIN_CONFIDENCE && incident.alertedConfidence < CERTAIN_CONFIDENCE) return 'more certain';
+    return null;
+  }
+
+  escalate(reason, now, policy) {
+    this.incident = {
+      ...this.incident,
+      level: this.incident.level + 1,
+      reason,
+      alertedArea: burningArea(this.incident.tracks, now),
+      alertedConfidence: this.incident.peakConfidence,
+    };
+    console.log(`📈 Incident ${this.incident.id} escalated to level ${this.incident.level} (${reason})`);
+    return { incident: this.incident, alarm: this.takeAlarm(now, policy) };
+  }
+
+  // Whether the cooldown allows an alarm now - and start a new cooldown if so
+  takeAlarm(now, policy) {
+    if (this.lastAlarmAt !== null && now - this.lastAlarmAt < policy.cooldown) return false;
+    this.lastAlarmAt = now;
+    return true;
+  }
+}
+
+export default IncidentTracker;
@@ -0,0 +1,108 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import IncidentTracker, { describeIncident, qualifyingDetections, DEFAULT_POLICY } from './incidentTracker';
+
+const frame = { width: 640, height: 480 };
+const fire = (bbox = [100, 100, 200, 200], confidence = 0.7) => ({ class: 'fire', confidence, bbox });
+const result = (...detections) => ({ detections, has_fire: detections.length > 0 });
+const nothing = result();
+
+// Feed frames one second apart, returning the events
+const feed = (tracker, results, start = 0, policy = DEFAULT_POLICY) => results.map((frameResult, i) => (
+  tracker.update(frameResult, frame, { policy, now: start + i * 1000 })
+));
+
+beforeEach(() => {
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('qualifyingDetections', () => {
+  it('drops unconfident detections and specks', () => {
+    const kept = qualifyingDetections([
+      fire(),
+      fire([100, 100, 200, 200], 0.3),
+      fire([10, 10, 15, 15]),
+    ], frame);
+    expect(kept).toEqual([fire()]);
+  });
+});
+
+describe('IncidentTracker', () => {
+  it('ignores a single glare frame', () => {
+    const tracker = new IncidentTracker();
+    expect(feed(tracker, [result(fire()), nothing, nothing, nothing])).toEqual([null, null, null, null]);
+  });
+
+  it('opens an incident with an alarm once N of M frames have fire', () => {
+    const tracker = new IncidentTracker();
+    const events = feed(tracker, [result(fire()), nothing, result(fire()), result(fire())]);
+
+    expect(events.slice(0, 3)).toEqual([null, null, null]);
+    expect(events[3]).toMatchObject({ alarm: true, incident: { level: 1, frames: 1 } });
+  });
+
+  it('keeps a steady fire as one incident', () => {
+    const tracker = new IncidentTracker();
+    const events = feed(tracker, Array.from({ length: 50 }, () => result(fire())));
+
+    expect(events.filter(Boolean)).toHaveLength(1);
+    expect(tracker.incident.frames).toBe(48);
+  });
+
+  it('escalates a growing fire, quietly inside the cooldown', () => {
+    const policy = { ...DEFAULT_POLICY, cooldown: 5000 };
+    const tracker = new IncidentTracker();
+    feed(tracker, [result(fire()), result(fire()), result(fire())], 0, policy);
+
+    const [growing] = feed(tracker, [result(fire([80, 80, 250, 250]))], 3000, policy);
+    expect(growing).toMatchObject({ alarm: false, incident: { level: 2, reason: 'growing' } });
+
+    const [later] = feed(tracker, [result(fire([50, 50, 400, 400], 0.9))], 9000, policy);
+    expect(later).toMatchObject({ alarm: true, incident: { level: 3 } });
+    expect(later.incident.id).toBe(growing.incident.id);
+  });
+
+  it('escalates when a second fire is confirmed alongside the first', () => {
+    const tracker = new IncidentTracker();
+    const second = fire([400, 300, 500, 400]);
+    const events = feed(tracker, [
+      result(fire()), result(fire()), result(fire()),
+      result(fire(), second), result(fire(), second), result(fire(), second),
+    ]);
+
+    expect(events.slice(3, 5)).toEqual([null, null]);
+    expect(events[5]).toMatchObject({ incident: { level: 2, reason: 'spreading' } });
+  });
+
+  it('does not call a fire whose box moved a second fire', () => {
+    const tracker = new IncidentTracker();
+    const moved = fire([400, 300, 500, 400]);
+    const events = feed(tracker, [result(fire()), result(fire()), result(fire()), result(moved), result(moved), result(moved)]);
+
+    expect(events.filter(Boolean)).toHaveLength(1);
+  });
+
+  it('starts a new incident once the fire has been gone for the timeout', () => {
+    const tracker = new IncidentTracker();
+    const [, , first] = feed(tracker, [result(fire()), result(fire()), result(fire())]);
+    const [, , second] = feed(tracker, [result(fire()), result(fire()), result(fire())], 200000);
+
+    expect(second.incident.id).not.toBe(first.incident.id);
+    expect(second.alarm).toBe(true);
+  });
+
+  it('follows the policy it is given', () => {
+    const tracker = new IncidentTracker();
+    const policy = { ...DEFAULT_POLICY, framesRequired: 1, frameWindow: 1 };
+    const [event] = feed(tracker, [result(fire())], 0, policy);
+    expect(event.alarm).toBe(true);
+  });
+});
+
+describe('describeIncident', () => {
+  it('summarises detections, frames and escalation', () => {
+    expect(describeIncident({ detections: [fire([0, 0, 1, 1], 0.8)], frames: 1, level: 1 }))
+      .toBe('1 detection(s) with 80.0% confidence · seen in 1 frame');
+    expect(describeIncident({ detections: [fire()], frames: 12, level: 2, reason: 'growing' }))
+      .toBe('1 detection(s) with 70.0% confidence · seen in 12 frames · escalated to level 2 (growing)');
+  });
+});
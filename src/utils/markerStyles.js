@@ -0,0 +1,48 @@
+/**
+ * Map marker styling
+ * Colours and labels for FireMap markers, kept out of the component so the
+ * same verification rules apply wherever a hotspot is drawn.
+ */
+
+// Satellite hotspots, by verification status
+const HOTSPOT_STYLES = {
+  verified_wildfire: { color: '#22c55e', fillColor: '#16a34a', label: '✅ Verified Fire' },
+  false_alarm_rejected: { color: '#ef4444', fillColor: '#dc2626', label: '❌ False Alarm' },
+  unverified: { color: '#eab308', fillColor: '#ca8a04', label: '⚠️ Unverified Hotspot' },
+  none: { color: '#ff4444', fillColor: '#ff0000', label: '🔥 Fire Hotspot' },
+};
+
+const hotspotStyle = (alert) => {
+  if (!alert?.verification) return HOTSPOT_STYLES.none;
+  return HOTSPOT_STYLES[alert.verification.status] || HOTSPOT_STYLES.unverified;
+};
+
+/**
+ * Leaflet path options for a satellite hotspot marker
+ */
+export const getHotspotMarkerStyle = (alert) => {
+  const { color, fillColor } = hotspotStyle(alert);
+  return { color, fillColor, fillOpacity: 0.8, weight: 2 };
+};
+
+/**
+ * Popup heading for a satellite hotspot
+ */
+export const getHotspotLabel = (alert) => hotspotStyle(alert).label;
+
+/**
+ * Leaflet path options for a pinned satellite tile - orange when it looked like a wildfire
+ */
+export const getTilePinStyle = (pin) => ({
+  color: '#a855f7',
+  fillColor: pin.wildfire > 0.5 ? '#f97316' : '#9333ea',
+  fillOpacity: 0.8,
+  weight: 3,
+});
+
+// Location being picked for a tile
+export const PICKED_LOCATION_STYLE = { color: '#3b82f6', fillColor: '#60a5fa', fillOpacity: 0.9, weight: 2, dashArray: '4' };
+
+// Registered cameras and what they can see
+export const CAMERA_CONE_STYLE = { color: '#38bdf8', fillColor: '#38bdf8', fillOpacity: 0.15, weight: 1 };
+export const CAMERA_CONE_RANGE_KM = 5; // Typical lookout camera detection range
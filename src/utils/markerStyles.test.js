@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest';
+import { getHotspotMarkerStyle, getHotspotLabel, getTilePinStyle } from './markerStyles';
+
+const hotspot = (status) => ({ lat: 22, lon: 78, ...(status && { verification: { status } }) });
+
+describe('hotspot markers', () => {
+  it('colours markers by verification status', () => {
+    expect(getHotspotMarkerStyle(hotspot('verified_wildfire')).fillColor).toBe('#16a34a');
+    expect(getHotspotMarkerStyle(hotspot('false_alarm_rejected')).fillColor).toBe('#dc2626');
+    expect(getHotspotMarkerStyle(hotspot('unverified_no_imagery')).fillColor).toBe('#ca8a04');
+    expect(getHotspotMarkerStyle(hotspot()).fillColor).toBe('#ff0000');
+  });
+
+  it('treats unknown statuses as unverified', () => {
+    expect(getHotspotMarkerStyle(hotspot('something_new'))).toEqual(getHotspotMarkerStyle(hotspot('unverified_no_imagery')));
+    expect(getHotspotLabel(hotspot('something_new'))).toBe('⚠️ Unverified Hotspot');
+  });
+
+  it('labels popups to match the marker', () => {
+    expect(getHotspotLabel(hotspot('verified_wildfire'))).toBe('✅ Verified Fire');
+    expect(getHotspotLabel(hotspot('false_alarm_rejected'))).toBe('❌ False Alarm');
+    expect(getHotspotLabel(hotspot())).toBe('🔥 Fire Hotspot');
+  });
+
+  it('uses the same outline and opacity for every hotspot', () => {
+    expect(getHotspotMarkerStyle(hotspot('verified_wildfire'))).toMatchObject({ fillOpacity: 0.8, weight: 2 });
+  });
+});
+
+describe('tile pins', () => {
+  it('turns orange when the tile looked like a wildfire', () => {
+    expect(getTilePinStyle({ wildfire: 0.9 }).fillColor).toBe('#f97316');
+    expect(getTilePinStyle({ wildfire: 0.2 }).fillColor).toBe('#9333ea');
+    expect(getTilePinStyle({ wildfire: 0.5 }).fillColor).toBe('#9333ea');
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * MJPEG parser
+ * Incremental parser for a multipart JPEG stream (multipart/x-mixed-replace),
+ * as read from the camera proxy: each JPEG is cut out by its start (FF D8) and
+ * end (FF D9) markers, so part headers and boundaries are skipped whatever the
+ * camera calls them. A thumbnail embedded in a frame's EXIF data is nested
+ * inside the frame and stays part of it.
+ */
+
+const MAX_FRAME_BYTES = 8 * 1024 * 1024; // anything bigger isn't a camera frame
+
+class MjpegParser {
+  /**
+   * @param {Object} handlers
+   * @param {Function} handlers.onFrame - Called per complete JPEG: (bytes: Uint8Array) => {}
+   */
+  constructor({ onFrame } = {}) {
+    this.onFrame = onFrame;
+
+    this.buffer = new Uint8Array(0); // from the start of the current frame, or the last unscanned byte
+    this.scanned = 0; // bytes of buffer already looked at
+    this.depth = 0; // open start markers - 0 between frames
+  }
+
+  /**
+   * Feed a chunk of the response body into the parser
+   */
+  feed(chunk) {
+    if (!chunk?.length) return;
+
+    const buffer = new Uint8Array(this.buffer.length + chunk.length);
+    buffer.set(this.buffer);
+    buffer.set(chunk, this.buffer.length);
+
+    let start = this.depth > 0 ? 0 : -1;
+    let i = this.scanned;
+    while (i < buffer.length - 1) {
+      if (buffer[i] !== 0xff) {
+        i += 1;
+        continue;
+      }
+      const marker = buffer[i + 1];
+      if (marker === 0xd8) {
+        if (this.depth === 0) start = i;
+        this.depth += 1;
+        i += 2;
+      } else if (marker === 0xd9 && this.depth > 0) {
+        this.depth -= 1;
+        i += 2;
+        if (this.depth === 0) {
+          this.onFrame && this.onFrame(buffer.slice(start, i));
+          start = -1;
+        }
+      } else {
+        i += 1;
+      }
+    }
+
+    // Keep the frame in progress; between frames only a byte that may start a marker
+    const keepFrom = start >= 0 ? start : i;
+    this.buffer = buffer.slice(keepFrom);
+    this.scanned = i - keepFrom;
+
+    if (this.buffer.length > MAX_FRAME_BYTES) {
+      console.warn('⚠️ Dropping an MJPEG frame with no end marker');
+      this.reset();
+    }
+  }
+
+  reset() {
+    this.buffer = new Uint8Array(0);
+    this.scanned = 0;
+    this.depth = 0;
+  }
+}
+
+export default MjpegParser;
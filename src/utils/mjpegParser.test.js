@@ -0,0 +1,66 @@
+import { describe, it, expect, vi } from 'vitest';
+import MjpegParser from './mjpegParser';
+
+const encoder = new TextEncoder();
+
+// A fake JPEG: start marker, some bytes, end marker
+const jpeg = (...body) => new Uint8Array([0xff, 0xd8, ...body, 0xff, 0xd9]);
+
+const part = (frame) => {
+  const headers = encoder.encode(`--frame\r\nContent-Type: image/jpeg\r\nContent-Length: ${frame.length}\r\n\r\n`);
+  const bytes = new Uint8Array(headers.length + frame.length + 2);
+  bytes.set(headers);
+  bytes.set(frame, headers.length);
+  bytes.set([0x0d, 0x0a], headers.length + frame.length);
+  return bytes;
+};
+
+const concat = (...arrays) => {
+  const bytes = new Uint8Array(arrays.reduce((total, array) => total + array.length, 0));
+  let offset = 0;
+  arrays.forEach((array) => {
+    bytes.set(array, offset);
+    offset += array.length;
+  });
+  return bytes;
+};
+
+const collect = (chunks) => {
+  const frames = [];
+  const parser = new MjpegParser({ onFrame: (frame) => frames.push(Array.from(frame)) });
+  chunks.forEach(chunk => parser.feed(chunk));
+  return { frames, parser };
+};
+
+describe('MjpegParser', () => {
+  it('cuts the JPEGs out of a multipart stream', () => {
+    const { frames } = collect([concat(part(jpeg(1, 2)), part(jpeg(3)))]);
+    expect(frames).toEqual([Array.from(jpeg(1, 2)), Array.from(jpeg(3))]);
+  });
+
+  it('reassembles frames and markers split across chunks', () => {
+    const stream = concat(part(jpeg(1, 0xff, 0x00, 2)), part(jpeg(3)));
+    const { frames } = collect(Array.from(stream, byte => new Uint8Array([byte])));
+    expect(frames).toEqual([Array.from(jpeg(1, 0xff, 0x00, 2)), Array.from(jpeg(3))]);
+  });
+
+  it('keeps an embedded thumbnail inside its frame', () => {
+    const frame = jpeg(1, ...jpeg(2), 3);
+    const { frames } = collect([part(frame)]);
+    expect(frames).toEqual([Array.from(frame)]);
+  });
+
+  it('holds on to nothing but the frame in progress', () => {
+    const { frames, parser } = collect([part(jpeg(1)), encoder.encode('--frame\r\n\r\n'), new Uint8Array([0xff, 0xd8, 7])]);
+    expect(frames).toHaveLength(1);
+    expect(Array.from(parser.buffer)).toEqual([0xff, 0xd8, 7]);
+  });
+
+  it('drops a frame that never ends', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const { frames, parser } = collect([new Uint8Array([0xff, 0xd8]), new Uint8Array(8 * 1024 * 1024), part(jpeg(5))]);
+    expect(frames).toEqual([Array.from(jpeg(5))]);
+    expect(parser.buffer.length).toBeLessThan(2);
+    vi.restoreAllMocks();
+  });
+});
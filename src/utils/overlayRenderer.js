@@ -0,0 +1,113 @@
+/**
+ * Live detection overlay
+ * Draws the latest result over a camera's live view and keeps it there until
+ * the next one: zones, masked boxes, and boxes numbered by BoxTracker with
+ * their confidence trend. The canvas is drawn at the size it is shown (and the
+ * screen's pixel ratio), with the frame fitted like object-fit: contain, and
+ * redrawn when the view is resized - boxes and labels stay sharp and in place
+ * whatever the size of the video.
+ */
+
+import BoxTracker from './boxTracker';
+import { drawDetectionBoxes, drawSuppressedBoxes, drawZones } from './detectionOverlay';
+
+/**
+ * Where a frame of `frame` size lands inside a `box` with object-fit: contain
+ *
+ * @returns {{x: number, y: number, scale: number}} offset in box pixels and box pixels per frame pixel
+ */
+export const fitContain = (box, frame) => {
+  const scale = Math.min(box.width / frame.width, box.height / frame.height);
+  return {
+    x: box.x + (box.width - frame.width * scale) / 2,
+    y: box.y + (box.height - frame.height * scale) / 2,
+    scale,
+  };
+};
+
+export default class OverlayRenderer {
+  constructor({ tracker = new BoxTracker() } = {}) {
+    this.tracker = tracker;
+    this.canvas = null;
+    this.media = null; // the video/img the frames come from
+    this.scene = null; // { detections, suppressed, zones, frame } - the last result
+    this.observer = null;
+  }
+
+  /**
+   * Show a result until the next one
+   *
+   * @param {HTMLCanvasElement} canvas - Overlay positioned over the camera view
+   * @param {Object} result - { detections, suppressed, zones }
+   * @param {Object} frame - { width, height } the boxes are in
+   * @param {Element} media - The camera's video or image, if it doesn't fill the canvas
+   */
+  render(canvas, { detections = [], suppressed = [], zones = [] }, frame, media = null) {
+    if (!canvas) return;
+    this.attach(canvas);
+    this.media = media;
+    this.scene = { detections: this.tracker.update(detections), suppressed, zones, frame };
+    this.draw();
+  }
+
+  /**
+   * Remove the boxes and forget the tracks (camera stopped or failing)
+   */
+  clear() {
+    this.scene = null;
+    this.tracker.reset();
+    this.draw();
+  }
+
+  // Redraw on resize - the last result stays in place
+  attach(canvas) {
+    if (this.canvas === canvas) return;
+    this.observer?.disconnect();
+    this.canvas = canvas;
+    if (typeof ResizeObserver === 'undefined') return;
+    this.observer = new ResizeObserver(() => this.draw());
+    this.observer.observe(canvas);
+  }
+
+  draw() {
+    const canvas = this.canvas;
+    if (!canvas) return;
+
+    const ratio = globalThis.devicePixelRatio || 1;
+    const bounds = canvas.getBoundingClientRect();
+    const width = Math.round(bounds.width * ratio);
+    const height = Math.round(bounds.height * ratio);
+    if (canvas.width !== width) canvas.width = width;
+    if (canvas.height !== height) canvas.height = height;
+
+    const context = canvas.getContext('2d');
+    if (!context) return;
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.clearRect(0, 0, width, height);
+    if (!this.scene || bounds.width === 0 || bounds.height === 0) return;
+
+    // The media element's box inside the overlay, in CSS pixels
+    const mediaBounds = this.media?.isConnected ? this.media.getBoundingClientRect() : bounds;
+    const { frame, zones, suppressed, detections } = this.scene;
+    const { x, y, scale } = fitContain(
+      { x: mediaBounds.left - bounds.left, y: mediaBounds.top - bounds.top, width: mediaBounds.width, height: mediaBounds.height },
+      frame
+    );
+
+    context.setTransform(ratio, 0, 0, ratio, ratio * x, ratio * y);
+    drawZones(context, zones, { width: frame.width * scale, height: frame.height * scale });
+    drawSuppressedBoxes(context, suppressed, { scale });
+    drawDetectionBoxes(context, detections, { scale });
+  }
+
+  /**
+   * Stop following the canvas size (component unmounting)
+   */
+  dispose() {
+    this.observer?.disconnect();
+    this.observer = null;
+    this.canvas = null;
+    this.media = null;
+    this.scene = null;
+  }
+}
@@ -0,0 +1,66 @@
+import { describe, it, expect, vi } from 'vitest';
+import OverlayRenderer, { fitContain } from './overlayRenderer';
+
+// 2D context stand-in that records what was drawn
+const createCanvas = ({ width, height }) => {
+  const calls = [];
+  const record = (name) => vi.fn((...args) => calls.push([name, ...args]));
+  const context = {
+    save: vi.fn(),
+    restore: vi.fn(),
+    setTransform: record('setTransform'),
+    clearRect: record('clearRect'),
+    strokeRect: record('strokeRect'),
+    fillRect: vi.fn(),
+    fillText: record('fillText'),
+    measureText: () => ({ width: 50 }),
+    setLineDash: vi.fn(),
+  };
+  return {
+    calls,
+    width: 0,
+    height: 0,
+    getContext: () => context,
+    getBoundingClientRect: () => ({ left: 0, top: 0, width, height }),
+  };
+};
+
+describe('fitContain', () => {
+  it('letterboxes a wide frame in a tall box and pillarboxes a tall one', () => {
+    expect(fitContain({ x: 0, y: 0, width: 400, height: 400 }, { width: 800, height: 400 }))
+      .toEqual({ x: 0, y: 100, scale: 0.5 });
+    expect(fitContain({ x: 10, y: 0, width: 400, height: 200 }, { width: 200, height: 200 }))
+      .toEqual({ x: 110, y: 0, scale: 1 });
+  });
+});
+
+describe('OverlayRenderer', () => {
+  it('draws boxes at the size the canvas is shown, with track numbers', () => {
+    vi.stubGlobal('devicePixelRatio', 2);
+    const canvas = createCanvas({ width: 480, height: 270 });
+    const renderer = new OverlayRenderer();
+
+    renderer.render(canvas, { detections: [{ class: 'smoke', confidence: 0.5, bbox: [100, 100, 300, 200] }] }, { width: 960, height: 540 });
+
+    expect(canvas.width).toBe(960);
+    expect(canvas.height).toBe(540);
+    expect(canvas.calls).toContainEqual(['setTransform', 2, 0, 0, 2, 0, 0]);
+    expect(canvas.calls).toContainEqual(['strokeRect', 50, 50, 100, 50]);
+    expect(canvas.calls.find(([name]) => name === 'fillText')[1]).toBe('#1 Smoke 50.0%');
+    vi.unstubAllGlobals();
+  });
+
+  it('keeps the last result when redrawn, until cleared', () => {
+    const canvas = createCanvas({ width: 640, height: 360 });
+    const renderer = new OverlayRenderer();
+    renderer.render(canvas, { detections: [{ class: 'fire', confidence: 0.9, bbox: [0, 0, 10, 10] }] }, { width: 640, height: 360 });
+
+    canvas.calls.length = 0;
+    renderer.draw();
+    expect(canvas.calls.some(([name]) => name === 'strokeRect')).toBe(true);
+
+    canvas.calls.length = 0;
+    renderer.clear();
+    expect(canvas.calls.some(([name]) => name === 'strokeRect')).toBe(false);
+  });
+});
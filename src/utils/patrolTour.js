@@ -0,0 +1,131 @@
+/**
+ * Patrol Tour
+ * Sweeps a PTZ camera through its presets in turn, staying `dwell` seconds at
+ * each so detection gets a look at every part of the sector. The camera is
+ * `moving` from the go-to command until it has had `settle` ms to stop - frames
+ * from then are blurred and belong to no preset, so the live view skips them.
+ *
+ * Also tracks where the camera is outside a tour: a preset picked by hand, or
+ * nowhere known once it has been steered manually.
+ */
+
+const DEFAULTS = {
+  settle: 3000, // ms after the go-to command before frames count again
+};
+
+export default class PatrolTour {
+  /**
+   * @param {Object} options - Overrides for the timings in DEFAULTS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.state = {
+      running: false, // a tour is going round the presets
+      preset: null, // where the camera is, if at a preset
+      moving: false,
+      error: null, // last go-to that failed
+    };
+    this.listeners = new Set();
+    this.timer = null;
+    this.handlers = null;
+    this.run = 0; // bumped on every change of plan, so stale moves are ignored
+  }
+
+  /**
+   * Subscribe to tour changes (useSyncExternalStore compatible)
+   */
+  subscribe = (listener) => {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  };
+
+  /**
+   * { running, preset, moving, error } - a new object on every change
+   */
+  getSnapshot = () => this.state;
+
+  setState(patch) {
+    this.state = { ...this.state, ...patch };
+    this.listeners.forEach(listener => listener());
+  }
+
+  /**
+   * Go round the presets, starting with the first
+   *
+   * @param {Array} presets - the camera's presets (utils/ptz normalizePtz)
+   * @param {number} dwell - s at each preset
+   * @param {Object} handlers
+   * @param {Function} handlers.gotoPreset - async (preset) => void, sends the camera there
+   * @param {Function} handlers.onArrive - (preset) => void, the camera has settled at a preset
+   */
+  start(presets, dwell, handlers) {
+    if (presets.length === 0) return;
+    const run = this.cancel();
+    this.handlers = handlers;
+    this.setState({ running: true });
+    this.visit(run, presets, 0, dwell * 1000);
+  }
+
+  /**
+   * Go to one preset and stay there - ends a running tour
+   * @param {Object} handlers - as for start
+   */
+  goTo(preset, handlers) {
+    const run = this.cancel();
+    this.handlers = handlers;
+    this.setState({ running: false });
+    this.moveTo(run, preset);
+  }
+
+  /**
+   * The camera is being steered by hand - ends a running tour, and it's no
+   * longer at a known preset
+   */
+  leavePreset() {
+    this.cancel();
+    this.setState({ running: false, preset: null, moving: false, error: null });
+  }
+
+  /**
+   * End the tour; the camera stays where it is
+   */
+  stop() {
+    this.cancel();
+    if (this.state.running || this.state.moving) this.setState({ running: false, moving: false });
+  }
+
+  cancel() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.run += 1;
+    return this.run;
+  }
+
+  visit(run, presets, index, dwell) {
+    this.moveTo(run, presets[index]).then(() => {
+      if (run !== this.run) return;
+      // A preset that failed gets its dwell too, so a camera that's down isn't hammered
+      this.timer = setTimeout(() => this.visit(run, presets, (index + 1) % presets.length, dwell), dwell);
+    });
+  }
+
+  async moveTo(run, preset) {
+    this.setState({ preset, moving: true, error: null });
+    try {
+      await this.handlers.gotoPreset(preset);
+    } catch (error) {
+      if (run !== this.run) return;
+      console.warn(`⚠️ Could not move the camera to preset "${preset.name}":`, error);
+      // Wherever the camera is, it isn't known to be at the preset
+      this.setState({ preset: null, moving: false, error: error.message || 'The camera did not move' });
+      return;
+    }
+
+    await new Promise((resolve) => {
+      this.timer = setTimeout(resolve, this.options.settle);
+    });
+    if (run !== this.run) return;
+    this.setState({ moving: false });
+    this.handlers.onArrive?.(preset);
+  }
+}
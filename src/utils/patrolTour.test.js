@@ -0,0 +1,71 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import PatrolTour from './patrolTour';
+
+const PRESETS = [
+  { id: 'a', name: 'North', token: '1', bearing: 0 },
+  { id: 'b', name: 'East', token: '2', bearing: 90 },
+];
+
+describe('PatrolTour', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('visits each preset in turn, moving until it has settled', async () => {
+    const gotoPreset = vi.fn().mockResolvedValue();
+    const onArrive = vi.fn();
+    const tour = new PatrolTour({ settle: 1000 });
+
+    tour.start(PRESETS, 10, { gotoPreset, onArrive });
+    expect(tour.getSnapshot()).toMatchObject({ running: true, moving: true, preset: PRESETS[0] });
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(tour.getSnapshot().moving).toBe(false);
+    expect(onArrive).toHaveBeenCalledWith(PRESETS[0]);
+
+    await vi.advanceTimersByTimeAsync(10000);
+    expect(gotoPreset).toHaveBeenLastCalledWith(PRESETS[1]);
+    expect(tour.getSnapshot()).toMatchObject({ moving: true, preset: PRESETS[1] });
+
+    await vi.advanceTimersByTimeAsync(11000);
+    expect(gotoPreset).toHaveBeenCalledTimes(3);
+    expect(gotoPreset).toHaveBeenLastCalledWith(PRESETS[0]);
+    tour.stop();
+  });
+
+  it('carries on past a preset the camera could not reach', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const gotoPreset = vi.fn().mockRejectedValueOnce(new Error('Camera not reachable')).mockResolvedValue();
+    const tour = new PatrolTour({ settle: 1000 });
+
+    tour.start(PRESETS, 10, { gotoPreset });
+    await vi.advanceTimersByTimeAsync(0);
+    expect(tour.getSnapshot()).toMatchObject({ running: true, moving: false, preset: null, error: 'Camera not reachable' });
+
+    await vi.advanceTimersByTimeAsync(10000);
+    expect(gotoPreset).toHaveBeenLastCalledWith(PRESETS[1]);
+    expect(tour.getSnapshot().error).toBeNull();
+    tour.stop();
+  });
+
+  it('ends the tour when a preset is picked or the camera is steered', async () => {
+    const gotoPreset = vi.fn().mockResolvedValue();
+    const onArrive = vi.fn();
+    const tour = new PatrolTour({ settle: 1000 });
+    tour.start(PRESETS, 10, { gotoPreset, onArrive });
+
+    tour.goTo(PRESETS[1], { gotoPreset, onArrive });
+    await vi.advanceTimersByTimeAsync(60000);
+    expect(tour.getSnapshot()).toMatchObject({ running: false, moving: false, preset: PRESETS[1] });
+    expect(onArrive.mock.calls).toEqual([[PRESETS[1]]]);
+    expect(gotoPreset).toHaveBeenCalledTimes(2);
+
+    tour.leavePreset();
+    expect(tour.getSnapshot()).toMatchObject({ running: false, preset: null });
+  });
+});
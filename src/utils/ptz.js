@@ -0,0 +1,151 @@
+/**
+ * Pan-tilt-zoom camera commands
+ * Lookout PTZ cameras are driven with their HTTP CGI, relayed through the
+ * backend's /proxy/camera like snapshots are. Each protocol is a set of URL
+ * templates resolved against the camera URL (see buildCameraRequest):
+ * - move: start moving in a direction - {pan}, {tilt}, {zoom} are -1/0/1 times
+ *   the protocol's speed, {code} is the protocol's name for the direction
+ * - stop: stop that movement - {code} again, or {stopCode} where it differs
+ * - goto: go to a preset stored on the camera - {preset}
+ * ONVIF itself is SOAP, which the proxy doesn't relay; most ONVIF cameras also
+ * answer one of these CGIs, or a custom set of templates.
+ *
+ * Presets are saved with the camera in the registry: the camera's own preset
+ * number or name (token), a name for alerts and the bearing it looks at.
+ */
+
+import { buildCameraRequest } from './cameraSources';
+
+export const PTZ_DIRECTIONS = ['up', 'down', 'left', 'right', 'in', 'out'];
+
+// Direction as pan, tilt and zoom steps
+const VECTORS = {
+  up: [0, 1, 0],
+  down: [0, -1, 0],
+  left: [-1, 0, 0],
+  right: [1, 0, 0],
+  in: [0, 0, 1],
+  out: [0, 0, -1],
+};
+
+const PROTOCOLS = {
+  axis: {
+    label: 'Axis (VAPIX)',
+    speed: 50,
+    move: '/axis-cgi/com/ptz.cgi?continuouspantiltmove={pan},{tilt}&continuouszoommove={zoom}',
+    stop: '/axis-cgi/com/ptz.cgi?continuouspantiltmove=0,0&continuouszoommove=0',
+    goto: '/axis-cgi/com/ptz.cgi?gotoserverpresetname={preset}',
+  },
+  dahua: {
+    label: 'Dahua / Amcrest',
+    speed: 1,
+    codes: { up: 'Up', down: 'Down', left: 'Left', right: 'Right', in: 'ZoomTele', out: 'ZoomWide' },
+    move: '/cgi-bin/ptz.cgi?action=start&channel=1&code={code}&arg1=0&arg2=4&arg3=0',
+    stop: '/cgi-bin/ptz.cgi?action=stop&channel=1&code={code}&arg1=0&arg2=4&arg3=0',
+    goto: '/cgi-bin/ptz.cgi?action=start&channel=1&code=GotoPreset&arg1=0&arg2={preset}&arg3=0',
+  },
+  foscam: {
+    label: 'Foscam',
+    speed: 1,
+    codes: { up: 'ptzMoveUp', down: 'ptzMoveDown', left: 'ptzMoveLeft', right: 'ptzMoveRight', in: 'zoomIn', out: 'zoomOut' },
+    stopCodes: { up: 'ptzStopRun', down: 'ptzStopRun', left: 'ptzStopRun', right: 'ptzStopRun', in: 'zoomStop', out: 'zoomStop' },
+    move: '/cgi-bin/CGIProxy.fcgi?cmd={code}&usr={username}&pwd={password}',
+    stop: '/cgi-bin/CGIProxy.fcgi?cmd={stopCode}&usr={username}&pwd={password}',
+    goto: '/cgi-bin/CGIProxy.fcgi?cmd=ptzGotoPresetPoint&name={preset}&usr={username}&pwd={password}',
+  },
+};
+
+export const PTZ_PROTOCOLS = [
+  { id: 'none', label: 'Fixed camera' },
+  ...Object.entries(PROTOCOLS).map(([id, { label }]) => ({ id, label })),
+  { id: 'custom', label: 'Custom HTTP commands' },
+];
+
+export const PTZ_COMMANDS = ['move', 'stop', 'goto'];
+
+export const DEFAULT_DWELL = 30; // s at each preset of a patrol
+const MIN_DWELL = 5; // s - a preset needs time to settle and be sampled
+
+const createPresetId = () => `preset-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+/**
+ * Whether a registered camera can be moved
+ */
+export const hasPtz = (camera) => camera?.kind === 'network' && Boolean(camera.ptz) && camera.ptz.protocol !== 'none';
+
+/**
+ * Whether a camera's protocol has a command - custom protocols have the ones filled in
+ */
+export const supportsPtzCommand = (camera, command) => {
+  if (!hasPtz(camera)) return false;
+  return Boolean(camera.ptz.protocol === 'custom' ? camera.ptz.commands[command] : PROTOCOLS[camera.ptz.protocol]?.[command]);
+};
+
+/**
+ * Validate and clean up a camera's PTZ settings from a form
+ * @returns {{protocol: string, commands: Object, presets: Array, dwell: number}}
+ * @throws {Error} with a message fit to show the user
+ */
+export const normalizePtz = (ptz) => {
+  const protocol = PTZ_PROTOCOLS.some(({ id }) => id === ptz?.protocol) ? ptz.protocol : 'none';
+  const commands = Object.fromEntries(PTZ_COMMANDS.map(command => [command, String(ptz?.commands?.[command] || '').trim()]));
+
+  const presets = (Array.isArray(ptz?.presets) ? ptz.presets : []).map((preset) => {
+    const name = String(preset?.name || '').trim();
+    const token = String(preset?.token ?? '').trim();
+    if (!name) throw new Error('Give every preset a name');
+    if (!token) throw new Error(`Enter the camera's preset number or name for "${name}"`);
+
+    let bearing = null;
+    if (preset.bearing !== undefined && preset.bearing !== null && String(preset.bearing).trim() !== '') {
+      bearing = Number(preset.bearing);
+      if (!Number.isFinite(bearing)) throw new Error(`Bearing of "${name}" must be a number of degrees`);
+      bearing = ((bearing % 360) + 360) % 360;
+    }
+    return { id: typeof preset.id === 'string' && preset.id ? preset.id : createPresetId(), name, token, bearing };
+  });
+
+  const dwell = ptz?.dwell === undefined || ptz?.dwell === null || String(ptz.dwell).trim() === '' ? DEFAULT_DWELL : Number(ptz.dwell);
+  if (!Number.isFinite(dwell) || dwell < MIN_DWELL) throw new Error(`Stay at each preset for at least ${MIN_DWELL} seconds`);
+
+  if (protocol === 'custom' && presets.length > 0 && !commands.goto) {
+    throw new Error('Enter the go-to-preset command for the presets');
+  }
+
+  return { protocol, commands, presets, dwell };
+};
+
+/**
+ * Proxy request for a PTZ command, for sendCameraCommand
+ *
+ * @param {Object} camera - registered network camera with ptz settings
+ * @param {'move'|'stop'|'goto'} command
+ * @param {Object} options - { direction } for move and stop, { preset } (the camera's token) for goto
+ * @throws {Error} if the camera's protocol has no such command
+ */
+export const buildPtzRequest = (camera, command, { direction, preset } = {}) => {
+  if (!supportsPtzCommand(camera, command)) throw new Error(`This camera has no ${command} command`);
+
+  const { protocol, commands } = camera.ptz;
+  const definition = PROTOCOLS[protocol] || { speed: 1 };
+  const template = protocol === 'custom' ? commands[command] : definition[command];
+  const [pan, tilt, zoom] = (VECTORS[direction] || [0, 0, 0]).map(step => step * definition.speed);
+  const code = definition.codes?.[direction] || direction || '';
+
+  return buildCameraRequest(camera, template, {
+    direction: direction || '',
+    pan,
+    tilt,
+    zoom,
+    code,
+    stopCode: definition.stopCodes?.[direction] || code,
+    preset: preset ?? '',
+  });
+};
+
+/**
+ * Short description of a preset for alerts, e.g. `North ridge (bearing 45°)`
+ */
+export const describePreset = (preset) => (
+  preset.bearing === null ? preset.name : `${preset.name} (bearing ${Math.round(preset.bearing)}°)`
+);
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { buildPtzRequest, describePreset, hasPtz, normalizePtz, supportsPtzCommand } from './ptz';
+
+const camera = (ptz, fields = {}) => ({
+  kind: 'network',
+  url: 'http://10.0.0.5/',
+  username: '',
+  password: '',
+  ptz: normalizePtz(ptz),
+  ...fields,
+});
+
+describe('normalizePtz', () => {
+  it('defaults to a fixed camera', () => {
+    expect(normalizePtz(null)).toEqual({ protocol: 'none', commands: { move: '', stop: '', goto: '' }, presets: [], dwell: 30 });
+    expect(normalizePtz({ protocol: 'telnet' }).protocol).toBe('none');
+  });
+
+  it('keeps presets with their token and a bearing from 0 to 360', () => {
+    const { presets } = normalizePtz({
+      protocol: 'dahua',
+      presets: [{ name: ' North ridge ', token: 1, bearing: '-45' }, { id: 'preset-x', name: 'Valley', token: '2', bearing: '' }],
+    });
+
+    expect(presets[0]).toMatchObject({ name: 'North ridge', token: '1', bearing: 315 });
+    expect(presets[0].id).toMatch(/^preset-/);
+    expect(presets[1]).toEqual({ id: 'preset-x', name: 'Valley', token: '2', bearing: null });
+  });
+
+  it('rejects presets and tours it could not run', () => {
+    expect(() => normalizePtz({ protocol: 'axis', presets: [{ name: '', token: '1' }] })).toThrow('name');
+    expect(() => normalizePtz({ protocol: 'axis', presets: [{ name: 'Ridge' }] })).toThrow('preset number or name for "Ridge"');
+    expect(() => normalizePtz({ protocol: 'axis', presets: [{ name: 'Ridge', token: '1', bearing: 'east' }] })).toThrow('Bearing');
+    expect(() => normalizePtz({ protocol: 'axis', dwell: 2 })).toThrow('at least 5 seconds');
+    expect(() => normalizePtz({ protocol: 'custom', presets: [{ name: 'Ridge', token: '1' }] })).toThrow('go-to-preset');
+  });
+});
+
+describe('buildPtzRequest', () => {
+  it('fills in the protocol templates', () => {
+    expect(buildPtzRequest(camera({ protocol: 'axis' }), 'move', { direction: 'left' })).toEqual({
+      url: 'http://10.0.0.5/axis-cgi/com/ptz.cgi?continuouspantiltmove=-50,0&continuouszoommove=0',
+      authorization: null,
+    });
+    expect(buildPtzRequest(camera({ protocol: 'dahua' }), 'goto', { preset: '3' }).url)
+      .toBe('http://10.0.0.5/cgi-bin/ptz.cgi?action=start&channel=1&code=GotoPreset&arg1=0&arg2=3&arg3=0');
+    expect(buildPtzRequest(camera({ protocol: 'dahua' }), 'stop', { direction: 'in' }).url).toContain('action=stop&channel=1&code=ZoomTele');
+  });
+
+  it('puts credentials in the query string or the proxy\'s basic auth, never in the URL itself', () => {
+    const credentials = { username: 'ops', password: 'p&w' };
+
+    expect(buildPtzRequest(camera({ protocol: 'foscam' }, credentials), 'stop', { direction: 'out' })).toEqual({
+      url: 'http://10.0.0.5/cgi-bin/CGIProxy.fcgi?cmd=zoomStop&usr=ops&pwd=p%26w',
+      authorization: null,
+    });
+    expect(buildPtzRequest(camera({ protocol: 'axis' }, credentials), 'goto', { preset: 'North ridge' })).toEqual({
+      url: 'http://10.0.0.5/axis-cgi/com/ptz.cgi?gotoserverpresetname=North%20ridge',
+      authorization: `Basic ${btoa('ops:p&w')}`,
+    });
+  });
+
+  it('uses custom templates, and only the commands that were given', () => {
+    const custom = camera({ protocol: 'custom', commands: { goto: '/ptz?go={preset}' } });
+
+    expect(buildPtzRequest(custom, 'goto', { preset: '7' }).url).toBe('http://10.0.0.5/ptz?go=7');
+    expect(supportsPtzCommand(custom, 'move')).toBe(false);
+    expect(() => buildPtzRequest(custom, 'move', { direction: 'up' })).toThrow('no move command');
+  });
+
+  it('has nothing to send for a fixed camera', () => {
+    expect(hasPtz(camera(null))).toBe(false);
+    expect(hasPtz({ kind: 'local' })).toBe(false);
+    expect(() => buildPtzRequest(camera(null), 'goto', { preset: '1' })).toThrow();
+  });
+});
+
+describe('describePreset', () => {
+  it('names the preset and its bearing when known', () => {
+    expect(describePreset({ name: 'Ridge', bearing: 44.6 })).toBe('Ridge (bearing 45°)');
+    expect(describePreset({ name: 'Ridge', bearing: null })).toBe('Ridge');
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Rolling recorder
+ * Keeps the last minute or so of a camera recorded so an incident clip can
+ * start before the fire was noticed. A WebM from MediaRecorder can't be cut
+ * without remuxing, so instead of one recorder whose old chunks are dropped,
+ * overlapping recordings are started every `before + after` seconds and each
+ * runs twice that long. When an incident is confirmed, the newest recording
+ * that started at least `before` seconds earlier is kept - it is guaranteed to
+ * run until `after` seconds later - and is stopped then to become the clip.
+ * Two encoders run at a time; unkept recordings are thrown away.
+ */
+
+export const CLIP_BEFORE = 30000; // ms of video kept before the incident
+export const CLIP_AFTER = 30000; // ms recorded after it
+
+const MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+const CHUNK_INTERVAL = 1000;
+const BITRATE = 1000000;
+
+export const isRecordingSupported = () => typeof MediaRecorder !== 'undefined';
+
+const pickMimeType = () => MIME_TYPES.find(type => MediaRecorder.isTypeSupported?.(type)) || '';
+
+const createMediaRecorder = (stream) => {
+  const mimeType = pickMimeType();
+  return new MediaRecorder(stream, { ...(mimeType && { mimeType }), videoBitsPerSecond: BITRATE });
+};
+
+/**
+ * A recordable stream for a camera preview element
+ * A video with a MediaStream (webcam, WebRTC) is recorded as is, an HLS video
+ * through captureStream(), and an MJPEG/snapshot <img> by copying it onto a
+ * canvas a few times a second.
+ *
+ * @returns {{stream: MediaStream, stop: Function} | null}
+ */
+export const captureElementStream = (element, fps = 10) => {
+  if (!element) return null;
+
+  if (element.tagName === 'VIDEO') {
+    if (element.srcObject instanceof MediaStream) return { stream: element.srcObject, stop: () => {} };
+    const capture = element.captureStream || element.mozCaptureStream;
+    return capture ? { stream: capture.call(element), stop: () => {} } : null;
+  }
+
+  const canvas = document.createElement('canvas');
+  if (!canvas.captureStream) return null;
+  const context = canvas.getContext('2d');
+  const draw = () => {
+    if (element.naturalWidth === 0) return;
+    if (canvas.width !== element.naturalWidth) canvas.width = element.naturalWidth;
+    if (canvas.height !== element.naturalHeight) canvas.height = element.naturalHeight;
+    context.drawImage(element, 0, 0);
+  };
+  draw();
+  const timer = setInterval(draw, 1000 / fps);
+  const stream = canvas.captureStream(fps);
+
+  return {
+    stream,
+    stop: () => {
+      clearInterval(timer);
+      stream.getTracks().forEach(track => track.stop());
+    },
+  };
+};
+
+export default class RollingRecorder {
+  /**
+   * @param {Object} options
+   * @param {Function} options.onClip - ({ blob, mimeType, cameraName, startedAt, duration, markers, timeline }) => void
+   * @param {Function} options.createRecorder - (stream) => MediaRecorder
+   */
+  constructor({ onClip, before = CLIP_BEFORE, after = CLIP_AFTER, createRecorder = createMediaRecorder, now = () => Date.now() } = {}) {
+    this.onClip = onClip;
+    this.before = before;
+    this.after = after;
+    this.period = before + after;
+    this.createRecorder = createRecorder;
+    this.now = now;
+    this.stream = null;
+    this.cameraName = null;
+    this.recordings = [];
+    this.keptIncidents = new Set();
+    this.timer = null;
+  }
+
+  isRecording() {
+    return this.stream !== null;
+  }
+
+  /**
+   * Start recording a stream - throws if the browser can't record it
+   */
+  start(stream, { cameraName = null } = {}) {
+    this.stop();
+    this.stream = stream;
+    this.cameraName = cameraName;
+    this.keptIncidents = new Set();
+    try {
+      this.startRecording();
+    } catch (error) {
+      this.stream = null;
+      throw error;
+    }
+    this.timer = setInterval(() => {
+      try {
+        this.startRecording();
+      } catch (error) {
+        console.warn('⚠️ Could not start the next recording:', error);
+      }
+    }, this.period);
+    console.log(`⏺️ Rolling recording started for ${cameraName || 'camera'}`);
+  }
+
+  /**
+   * Stop recording; kept recordings are finished early and still become clips
+   */
+  stop() {
+    if (!this.stream) return;
+    clearInterval(this.timer);
+    this.timer = null;
+    this.recordings.forEach(recording => this.finish(recording));
+    this.recordings = [];
+    this.stream = null;
+    console.log('⏹️ Rolling recording stopped');
+  }
+
+  startRecording() {
+    const recorder = this.createRecorder(this.stream);
+    const recording = {
+      recorder,
+      startedAt: this.now(),
+      chunks: [],
+      markers: [], // { incidentId, at } - ms into the recording
+      timeline: [], // { at, width, height, detections } - where the boxes were
+      timeout: null,
+    };
+
+    recorder.ondataavailable = (event) => {
+      if (event.data?.size > 0) recording.chunks.push(event.data);
+    };
+    recorder.onstop = () => {
+      if (recording.markers.length === 0) return;
+      this.onClip?.({
+        blob: new Blob(recording.chunks, { type: recorder.mimeType || 'video/webm' }),
+        mimeType: recorder.mimeType || 'video/webm',
+        cameraName: this.cameraName,
+        startedAt: recording.startedAt,
+        duration: recording.stoppedAt - recording.startedAt,
+        markers: recording.markers,
+        timeline: recording.timeline,
+      });
+    };
+
+    recorder.start(CHUNK_INTERVAL);
+    this.finishIn(recording, this.period * 2);
+    this.recordings = [...this.recordings, recording];
+  }
+
+  finishIn(recording, delay) {
+    clearTimeout(recording.timeout);
+    recording.timeout = setTimeout(() => {
+      this.recordings = this.recordings.filter(r => r !== recording);
+      this.finish(recording);
+    }, delay);
+  }
+
+  finish(recording) {
+    clearTimeout(recording.timeout);
+    recording.stoppedAt = this.now();
+    if (recording.markers.length === 0) recording.chunks = []; // nothing to keep it for
+    if (recording.recorder.state !== 'inactive') recording.recorder.stop();
+  }
+
+  /**
+   * Note where the boxes are, for drawing them over a clip later
+   * Only changes are kept, so a quiet camera adds nothing.
+   */
+  mark(detections, { width, height }) {
+    const at = this.now();
+    this.recordings.forEach((recording) => {
+      const last = recording.timeline[recording.timeline.length - 1];
+      if (!last && detections.length === 0) return;
+      if (last && last.detections.length === 0 && detections.length === 0) return;
+      recording.timeline.push({ at: at - recording.startedAt, width, height, detections });
+    });
+  }
+
+  /**
+   * Keep the recording that covers an incident confirmed now - once per incident
+   * @returns {boolean} whether a recording was kept
+   */
+  keep(incidentId) {
+    const at = this.now();
+    if (this.keptIncidents.has(incidentId)) return false;
+
+    // Newest with enough video before the incident, else the oldest (recording only just started)
+    const covering = [...this.recordings].reverse().find(recording => at - recording.startedAt >= this.before)
+      || this.recordings[0];
+    if (!covering) return false;
+
+    covering.markers.push({ incidentId, at: at - covering.startedAt });
+    this.keptIncidents.add(incidentId);
+    // The clip ends `after` past its latest incident, not when the recording would have
+    this.finishIn(covering, this.after);
+    console.log(`🎬 Keeping ${Math.round((at - covering.startedAt) / 1000)} s before incident ${incidentId} for a clip`);
+    return true;
+  }
+}
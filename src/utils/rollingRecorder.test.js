@@ -0,0 +1,112 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import RollingRecorder from './rollingRecorder';
+
+// Stand-in for MediaRecorder: one chunk per recording, named by when it started
+const fakeRecorders = [];
+const createRecorder = () => {
+  const recorder = {
+    state: 'inactive',
+    mimeType: 'video/webm',
+    start() {
+      this.state = 'recording';
+      this.startedAt = Date.now();
+    },
+    stop() {
+      this.state = 'inactive';
+      this.ondataavailable({ data: new Blob([`from ${this.startedAt}`]) });
+      this.onstop();
+    },
+  };
+  fakeRecorders.push(recorder);
+  return recorder;
+};
+
+const fire = [{ class: 'fire', confidence: 0.8, bbox: [1, 2, 3, 4] }];
+const frame = { width: 640, height: 480 };
+
+let clips;
+let recorder;
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.setSystemTime(0);
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  fakeRecorders.length = 0;
+  clips = [];
+  recorder = new RollingRecorder({ onClip: clip => clips.push(clip), createRecorder });
+  recorder.start({});
+});
+
+afterEach(() => {
+  recorder.stop();
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe('RollingRecorder', () => {
+  it('overlaps two recordings and throws away the ones nobody kept', () => {
+    vi.advanceTimersByTime(60000);
+    expect(fakeRecorders.filter(r => r.state === 'recording')).toHaveLength(2);
+
+    vi.advanceTimersByTime(60000);
+    expect(fakeRecorders.filter(r => r.state === 'recording')).toHaveLength(2);
+    expect(clips).toEqual([]);
+  });
+
+  it('keeps a recording with 30 s before and after an incident', async () => {
+    vi.advanceTimersByTime(70000); // recordings started at 0 and 60 s
+    expect(recorder.keep('incident-1')).toBe(true);
+    expect(recorder.keep('incident-1')).toBe(false);
+
+    vi.advanceTimersByTime(29999);
+    expect(clips).toEqual([]);
+    vi.advanceTimersByTime(1); // 30 s after the incident
+    expect(clips).toHaveLength(1);
+    expect(clips[0]).toMatchObject({ startedAt: 0, duration: 100000, markers: [{ incidentId: 'incident-1', at: 70000 }] });
+    expect(await clips[0].blob.text()).toBe('from 0');
+  });
+
+  it('runs a clip on for 30 s after its latest incident', () => {
+    vi.advanceTimersByTime(70000);
+    recorder.keep('incident-1');
+    vi.advanceTimersByTime(15000); // the recording from 60 s has too little lead-in yet
+    recorder.keep('incident-2');
+
+    vi.advanceTimersByTime(30000);
+    expect(clips).toHaveLength(1);
+    expect(clips[0].duration).toBe(115000);
+    expect(clips[0].markers.map(marker => marker.incidentId)).toEqual(['incident-1', 'incident-2']);
+  });
+
+  it('uses the newest recording with enough lead-in', () => {
+    vi.advanceTimersByTime(100000); // recordings started at 0 and 60 s
+    recorder.keep('incident-1');
+    vi.advanceTimersByTime(30000);
+    expect(clips.map(clip => clip.startedAt)).toEqual([60000]);
+  });
+
+  it('records where the boxes were, only when they change', () => {
+    vi.advanceTimersByTime(1000);
+    recorder.mark([], frame);
+    recorder.mark(fire, frame);
+    vi.advanceTimersByTime(1000);
+    recorder.mark([], frame);
+    recorder.mark([], frame);
+    recorder.keep('incident-1');
+    recorder.stop();
+
+    expect(clips[0].timeline).toEqual([
+      { at: 1000, width: 640, height: 480, detections: fire },
+      { at: 2000, width: 640, height: 480, detections: [] },
+    ]);
+  });
+
+  it('finishes a kept recording early when stopped', () => {
+    vi.advanceTimersByTime(10000);
+    recorder.keep('incident-1');
+    recorder.stop();
+    expect(clips).toHaveLength(1);
+    expect(clips[0].duration).toBe(10000);
+    expect(recorder.isRecording()).toBe(false);
+  });
+});
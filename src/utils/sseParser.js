@@ -0,0 +1,140 @@
+/**
+ * Server-Sent Events parser
+ * Incremental parser for the text/event-stream format (WHATWG HTML spec):
+ * handles CRLF / LF / CR line endings split across chunks, comments,
+ * multi-line data fields, named event types, ids and retry hints.
+ */
+
+class SSEParser {
+  /**
+   * @param {Object} handlers
+   * @param {Function} handlers.onEvent - Called per dispatched event: ({ type, data, id }) => {}
+   * @param {Function} handlers.onComment - Called for comment lines (often heartbeats): (text) => {}
+   * @param {Function} handlers.onRetry - Called when the server sends a reconnection delay: (ms) => {}
+   */
+  constructor({ onEvent, onComment, onRetry } = {}) {
+    this.onEvent = onEvent;
+    this.onComment = onComment;
+    this.onRetry = onRetry;
+
+    this.buffer = '';
+    this.pendingCR = false; // Last chunk ended with \r - a following \n belongs to it
+    this.isFirstChunk = true;
+
+    this.dataLines = [];
+    this.eventType = '';
+    this.lastEventId = '';
+  }
+
+  /**
+   * Feed a decoded text chunk into the parser
+   */
+  feed(chunk) {
+    if (!chunk) return;
+
+    // A byte order mark is only allowed at the very start of the stream
+    if (this.isFirstChunk) {
+      this.isFirstChunk = false;
+      if (chunk.charCodeAt(0) === 0xfeff) {
+        chunk = chunk.slice(1);
+      }
+    }
+
+    // Swallow the \n of a \r\n pair that was split across chunks
+    if (this.pendingCR && chunk[0] === '\n') {
+      chunk = chunk.slice(1);
+    }
+    this.pendingCR = false;
+
+    this.buffer += chunk;
+
+    let start = 0;
+    for (let i = 0; i < this.buffer.length; i++) {
+      const char = this.buffer[i];
+      if (char !== '\r' && char !== '\n') continue;
+
+      this.processLine(this.buffer.slice(start, i));
+
+      if (char === '\r') {
+        if (i + 1 === this.buffer.length) {
+          this.pendingCR = true;
+        } else if (this.buffer[i + 1] === '\n') {
+          i++;
+        }
+      }
+      start = i + 1;
+    }
+
+    this.buffer = this.buffer.slice(start);
+  }
+
+  /**
+   * Signal end of stream. Per spec an event without its terminating
+   * blank line is incomplete and is discarded.
+   */
+  end() {
+    this.buffer = '';
+    this.pendingCR = false;
+    this.dataLines = [];
+    this.eventType = '';
+  }
+
+  processLine(line) {
+    // Blank line - dispatch the event collected so far
+    if (line === '') {
+      this.dispatch();
+      return;
+    }
+
+    // Comment line
+    if (line[0] === ':') {
+      this.onComment && this.onComment(line.slice(1).trim());
+      return;
+    }
+
+    const colon = line.indexOf(':');
+    let field = line;
+    let value = '';
+    if (colon !== -1) {
+      field = line.slice(0, colon);
+      value = line.slice(colon + 1);
+      if (value[0] === ' ') value = value.slice(1);
+    }
+
+    switch (field) {
+      case 'data':
+        this.dataLines.push(value);
+        break;
+      case 'event':
+        this.eventType = value;
+        break;
+      case 'id':
+        // Ids containing NULL are ignored by spec
+        if (!value.includes('\0')) this.lastEventId = value;
+        break;
+      case 'retry':
+        if (/^\d+$/.test(value)) {
+          this.onRetry && this.onRetry(parseInt(value, 10));
+        }
+        break;
+      default:
+        // Unknown fields are ignored
+        break;
+    }
+  }
+
+  dispatch() {
+    const type = this.eventType || 'message';
+    const hasData = this.dataLines.length > 0;
+    const data = this.dataLines.join('\n');
+
+    this.dataLines = [];
+    this.eventType = '';
+
+    if (!hasData) return;
+
+    this.onEvent && this.onEvent({ type, data, id: this.lastEventId });
+  }
+}
+
+export default SSEParser;
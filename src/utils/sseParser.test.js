@@ -0,0 +1,83 @@
+import { describe, it, expect, vi } from 'vitest';
+import SSEParser from './sseParser';
+
+const collect = (chunks, handlers = {}) => {
+  const events = [];
+  const parser = new SSEParser({ onEvent: (event) => events.push(event), ...handlers });
+  chunks.forEach(chunk => parser.feed(chunk));
+  return { events, parser };
+};
+
+describe('SSEParser', () => {
+  it('parses plain data events as message events', () => {
+    const { events } = collect(['data: {"frame":1}\n\n']);
+    expect(events).toEqual([{ type: 'message', data: '{"frame":1}', id: '' }]);
+  });
+
+  it('reassembles events split across chunks', () => {
+    const { events } = collect(['da', 'ta: hel', 'lo\n', '\n']);
+    expect(events).toEqual([{ type: 'message', data: 'hello', id: '' }]);
+  });
+
+  it('joins multi-line data fields with newlines', () => {
+    const { events } = collect(['data: first\ndata: second\ndata\n\n']);
+    expect(events[0].data).toBe('first\nsecond\n');
+  });
+
+  it('supports named event types and resets them after dispatch', () => {
+    const { events } = collect(['event: progress\ndata: 1\n\ndata: 2\n\n']);
+    expect(events.map(e => e.type)).toEqual(['progress', 'message']);
+  });
+
+  it('handles CRLF and bare CR line endings, including a CRLF split across chunks', () => {
+    const { events } = collect(['event: frame\r', '\ndata: a\r\n\r\n', 'data: b\r\r']);
+    expect(events).toEqual([
+      { type: 'frame', data: 'a', id: '' },
+      { type: 'message', data: 'b', id: '' },
+    ]);
+  });
+
+  it('keeps the last event id across events', () => {
+    const { events, parser } = collect(['id: 7\ndata: a\n\ndata: b\n\n']);
+    expect(events.map(e => e.id)).toEqual(['7', '7']);
+    expect(parser.lastEventId).toBe('7');
+  });
+
+  it('ignores ids containing NULL', () => {
+    const { parser } = collect(['id: 3\n\nid: bad\0id\n\n']);
+    expect(parser.lastEventId).toBe('3');
+  });
+
+  it('reports comments and retry hints', () => {
+    const onComment = vi.fn();
+    const onRetry = vi.fn();
+    const { events } = collect([': heartbeat\nretry: 1500\nretry: soon\n\n'], { onComment, onRetry });
+
+    expect(events).toEqual([]);
+    expect(onComment).toHaveBeenCalledWith('heartbeat');
+    expect(onRetry).toHaveBeenCalledTimes(1);
+    expect(onRetry).toHaveBeenCalledWith(1500);
+  });
+
+  it('strips only one leading space from values', () => {
+    const { events } = collect(['data:  two spaces\ndata:none\n\n']);
+    expect(events[0].data).toBe(' two spaces\nnone');
+  });
+
+  it('strips a leading byte order mark', () => {
+    const { events } = collect(['\uFEFFdata: x\n\n']);
+    expect(events[0].data).toBe('x');
+  });
+
+  it('skips events without data', () => {
+    const { events } = collect(['event: summary\n\n']);
+    expect(events).toEqual([]);
+  });
+
+  it('discards an unterminated event at end of stream', () => {
+    const { events, parser } = collect(['data: partial']);
+    parser.end();
+    parser.feed('\n\n');
+    expect(events).toEqual([]);
+  });
+});
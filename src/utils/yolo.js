@@ -0,0 +1,140 @@
+/**
+ * YOLO pre- and post-processing for the in-browser detector
+ * Pure helpers around a YOLOv8/YOLO11 ONNX export: letterbox geometry, RGBA to
+ * the model's CHW float input, and decoding the raw output into the same
+ * detections /detect/frame returns ({ class, confidence, bbox: [x1, y1, x2, y2] }
+ * in frame pixels).
+ */
+
+export const MODEL_INPUT_SIZE = 640;
+
+/**
+ * Fit a frame into the square model input without distorting it
+ *
+ * @returns {{scale: number, padX: number, padY: number, width: number, height: number}}
+ *   scale from frame to input pixels, the grey border on each side, and the scaled frame size
+ */
+export const letterbox = ({ width, height }, size = MODEL_INPUT_SIZE) => {
+  const scale = Math.min(size / width, size / height);
+  const scaledWidth = Math.round(width * scale);
+  const scaledHeight = Math.round(height * scale);
+  return {
+    scale,
+    padX: Math.floor((size - scaledWidth) / 2),
+    padY: Math.floor((size - scaledHeight) / 2),
+    width: scaledWidth,
+    height: scaledHeight,
+  };
+};
+
+/**
+ * RGBA pixels (HWC, 0-255) to the model input (RGB planes, 0-1)
+ */
+export const toInputTensor = (rgba, size = MODEL_INPUT_SIZE) => {
+  const area = size * size;
+  const input = new Float32Array(3 * area);
+  for (let i = 0; i < area; i++) {
+    input[i] = rgba[i * 4] / 255;
+    input[area + i] = rgba[i * 4 + 1] / 255;
+    input[2 * area + i] = rgba[i * 4 + 2] / 255;
+  }
+  return input;
+};
+
+/**
+ * Letterbox the frame showing in `source` into the model input
+ *
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} context - a
+ *   MODEL_INPUT_SIZE square to draw on
+ * @param {CanvasImageSource} source - a video, image or bitmap of the frame
+ * @param {Object} frame - { width, height } the frame is sent at; boxes come back in these pixels
+ * @returns {{data: Float32Array, box: Object, frame: {width: number, height: number}}}
+ */
+export const readModelInput = (context, source, frame) => {
+  const box = letterbox(frame);
+  context.fillStyle = 'rgb(114, 114, 114)'; // YOLO's letterbox grey
+  context.fillRect(0, 0, MODEL_INPUT_SIZE, MODEL_INPUT_SIZE);
+  context.drawImage(source, box.padX, box.padY, box.width, box.height);
+  const pixels = context.getImageData(0, 0, MODEL_INPUT_SIZE, MODEL_INPUT_SIZE).data;
+  return { data: toInputTensor(pixels), box, frame };
+};
+
+/**
+ * Intersection over union of two [x1, y1, x2, y2] boxes
+ */
+export const iou = (a, b) => {
+  const width = Math.max(0, Math.min(a[2], b[2]) - Math.max(a[0], b[0]));
+  const height = Math.max(0, Math.min(a[3], b[3]) - Math.max(a[1], b[1]));
+  const intersection = width * height;
+  const union = (a[2] - a[0]) * (a[3] - a[1]) + (b[2] - b[0]) * (b[3] - b[1]) - intersection;
+  return union > 0 ? intersection / union : 0;
+};
+
+/**
+ * Drop boxes that overlap a more confident box of the same class
+ */
+export const nonMaxSuppression = (detections, iouThreshold = 0.45) => {
+  const kept = [];
+  [...detections]
+    .sort((a, b) => b.confidence - a.confidence)
+    .forEach((detection) => {
+      const overlaps = kept.some(other => other.class === detection.class && iou(other.bbox, detection.bbox) > iouThreshold);
+      if (!overlaps) kept.push(detection);
+    });
+  return kept;
+};
+
+/**
+ * Decode a YOLOv8-style output - [1, 4 + classes, anchors] of (cx, cy, w, h, class scores)
+ * in input pixels. Exports transposed to [1, anchors, 4 + classes] are read too.
+ *
+ * @param {Float32Array} output - raw output tensor data
+ * @param {number[]} dims - output tensor dims
+ * @param {Object} options
+ * @param {string[]} options.classes - class names in model order, e.g. ['fire', 'smoke']
+ * @param {number} options.minConfidence - lowest class score kept
+ * @param {Object} options.box - letterbox() of the frame
+ * @param {{width: number, height: number}} options.frame - frame size the boxes are returned in
+ * @returns {Array<{class: string, confidence: number, bbox: number[]}>}
+ */
+export const decodeYoloOutput = (output, dims, { classes, minConfidence, box, frame }) => {
+  const [, rows, columns] = dims;
+  // The side that is 4 + classes long holds the channels; otherwise the shorter side does
+  const channelsFirst = rows === 4 + classes.length || (columns !== 4 + classes.length && rows < columns);
+  const anchors = channelsFirst ? columns : rows;
+  const channels = channelsFirst ? rows : columns;
+  const read = channelsFirst
+    ? (anchor, channel) => output[channel * anchors + anchor]
+    : (anchor, channel) => output[anchor * channels + channel];
+
+  const clampX = (x) => Math.min(frame.width, Math.max(0, x));
+  const clampY = (y) => Math.min(frame.height, Math.max(0, y));
+
+  const detections = [];
+  for (let anchor = 0; anchor < anchors; anchor++) {
+    let best = 0;
+    let bestClass = -1;
+    for (let c = 0; c < classes.length && c < channels - 4; c++) {
+      const score = read(anchor, 4 + c);
+      if (score > best) {
+        best = score;
+        bestClass = c;
+      }
+    }
+    if (bestClass < 0 || best < minConfidence) continue;
+
+    // Back from the letterboxed input to frame pixels
+    const cx = (read(anchor, 0) - box.padX) / box.scale;
+    const cy = (read(anchor, 1) - box.padY) / box.scale;
+    const w = read(anchor, 2) / box.scale;
+    const h = read(anchor, 3) / box.scale;
+
+    detections.push({
+      class: classes[bestClass],
+      confidence: best,
+      bbox: [clampX(cx - w / 2), clampY(cy - h / 2), clampX(cx + w / 2), clampY(cy + h / 2)],
+    });
+  }
+
+  return nonMaxSuppression(detections);
+};
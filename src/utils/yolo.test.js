@@ -0,0 +1,97 @@
+import { describe, it, expect, vi } from 'vitest';
+import { decodeYoloOutput, iou, letterbox, MODEL_INPUT_SIZE, nonMaxSuppression, readModelInput, toInputTensor } from './yolo';
+
+// YOLOv8 layout: [1, 4 + classes, anchors]
+const channelsFirst = (anchors) => {
+  const channels = anchors[0].length;
+  const data = new Float32Array(channels * anchors.length);
+  anchors.forEach((values, anchor) => values.forEach((value, channel) => {
+    data[channel * anchors.length + anchor] = value;
+  }));
+  return { data, dims: [1, channels, anchors.length] };
+};
+
+describe('letterbox', () => {
+  it('scales a landscape frame to the input width and pads top and bottom', () => {
+    expect(letterbox({ width: 960, height: 540 }, 640)).toEqual({ scale: 640 / 960, padX: 0, padY: 140, width: 640, height: 360 });
+  });
+
+  it('pads the sides of a portrait frame', () => {
+    expect(letterbox({ width: 480, height: 640 }, 640)).toMatchObject({ scale: 1, padX: 80, padY: 0 });
+  });
+});
+
+describe('toInputTensor', () => {
+  it('splits RGBA pixels into normalised RGB planes', () => {
+    const rgba = new Uint8ClampedArray([255, 0, 51, 255, 0, 102, 0, 255, 0, 0, 0, 255, 255, 255, 255, 255]);
+    expect(Array.from(toInputTensor(rgba, 2), v => Number(v.toFixed(2)))).toEqual([1, 0, 0, 1, 0, 0.4, 0, 1, 0.2, 0, 0, 1]);
+  });
+});
+
+describe('readModelInput', () => {
+  it('draws the frame letterboxed on grey and reads it back as the input tensor', () => {
+    const context = {
+      fillRect: vi.fn(),
+      drawImage: vi.fn(),
+      getImageData: vi.fn(() => ({ data: new Uint8ClampedArray(MODEL_INPUT_SIZE * MODEL_INPUT_SIZE * 4) })),
+    };
+    const source = {};
+
+    const input = readModelInput(context, source, { width: 960, height: 540 });
+
+    expect(context.fillStyle).toBe('rgb(114, 114, 114)');
+    expect(context.drawImage).toHaveBeenCalledWith(source, 0, 140, 640, 360);
+    expect(input.data).toHaveLength(3 * MODEL_INPUT_SIZE * MODEL_INPUT_SIZE);
+    expect(input).toMatchObject({ box: { padY: 140 }, frame: { width: 960, height: 540 } });
+  });
+});
+
+describe('iou', () => {
+  it('is 1 for the same box and 0 for disjoint boxes', () => {
+    expect(iou([0, 0, 10, 10], [0, 0, 10, 10])).toBe(1);
+    expect(iou([0, 0, 10, 10], [20, 20, 30, 30])).toBe(0);
+    expect(iou([0, 0, 10, 10], [5, 0, 15, 10])).toBeCloseTo(1 / 3);
+  });
+});
+
+describe('nonMaxSuppression', () => {
+  it('keeps the most confident of overlapping boxes per class', () => {
+    const kept = nonMaxSuppression([
+      { class: 'fire', confidence: 0.5, bbox: [0, 0, 10, 10] },
+      { class: 'fire', confidence: 0.9, bbox: [1, 1, 11, 11] },
+      { class: 'smoke', confidence: 0.6, bbox: [0, 0, 10, 10] },
+    ]);
+    expect(kept.map(d => `${d.class} ${d.confidence}`)).toEqual(['fire 0.9', 'smoke 0.6']);
+  });
+});
+
+describe('decodeYoloOutput', () => {
+  const frame = { width: 960, height: 540 };
+  const box = letterbox(frame, 640);
+  const options = { classes: ['fire', 'smoke'], minConfidence: 0.25, box, frame };
+
+  it('maps boxes from the letterboxed input back to frame pixels', () => {
+    const { data, dims } = channelsFirst([
+      [320, 320, 64, 32, 0.9, 0.1], // fire in the middle
+      [100, 200, 20, 20, 0.05, 0.1], // below minConfidence
+    ]);
+
+    const detections = decodeYoloOutput(data, dims, options);
+    expect(detections).toHaveLength(1);
+    expect(detections[0].class).toBe('fire');
+    expect(detections[0].confidence).toBeCloseTo(0.9);
+    expect(detections[0].bbox.map(Math.round)).toEqual([432, 246, 528, 294]);
+  });
+
+  it('reads transposed [1, anchors, channels] exports and clamps to the frame', () => {
+    const anchors = [
+      [10, 150, 40, 40, 0.1, 0.7],
+      ...Array.from({ length: 7 }, () => [0, 0, 0, 0, 0, 0]),
+    ];
+    const detections = decodeYoloOutput(new Float32Array(anchors.flat()), [1, anchors.length, 6], options);
+
+    expect(detections).toHaveLength(1);
+    expect(detections[0].class).toBe('smoke');
+    expect(detections[0].bbox[0]).toBe(0);
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Detection zones
+ * Polygons drawn over a camera's view that say where fire can be believed.
+ * Points are [x, y] fractions of the frame (0-1), so zones survive resolution
+ * changes. A detection is suppressed when the centre of its box lies in an
+ * exclude zone (a chimney, a road, the sunset), or outside every include zone
+ * when the camera has any.
+ */
+
+export const ZONE_TYPES = ['include', 'exclude'];
+
+const createZoneId = () => `zone-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+const clampUnit = (value) => Math.min(1, Math.max(0, value));
+
+/**
+ * Clean up zones from storage or the editor - polygons need at least three points
+ */
+export const normalizeZones = (zones) => (Array.isArray(zones) ? zones : []).flatMap((zone) => {
+  const points = (Array.isArray(zone?.points) ? zone.points : [])
+    .filter(point => Array.isArray(point) && point.length === 2 && point.every(Number.isFinite))
+    .map(([x, y]) => [clampUnit(x), clampUnit(y)]);
+  if (points.length < 3) return [];
+
+  return [{
+    id: typeof zone.id === 'string' && zone.id ? zone.id : createZoneId(),
+    type: ZONE_TYPES.includes(zone.type) ? zone.type : 'exclude',
+    points,
+  }];
+});
+
+/**
+ * Ray casting - whether [x, y] lies inside the polygon
+ */
+export const pointInPolygon = ([x, y], points) => {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [xi, yi] = points[i];
+    const [xj, yj] = points[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * Whether a detection counts, given the camera's zones
+ *
+ * @param {{bbox: number[]}} detection - bbox in frame pixels
+ * @param {Array} zones - normalizeZones() output
+ * @param {{width: number, height: number}} frame - size the bbox is in
+ */
+export const isInAllowedZone = (detection, zones, { width, height }) => {
+  if (!zones?.length || !detection.bbox || !width || !height) return true;
+
+  const [x1, y1, x2, y2] = detection.bbox;
+  const centre = [(x1 + x2) / 2 / width, (y1 + y2) / 2 / height];
+
+  if (zones.some(zone => zone.type === 'exclude' && pointInPolygon(centre, zone.points))) return false;
+  const includes = zones.filter(zone => zone.type === 'include');
+  return includes.length === 0 || includes.some(zone => pointInPolygon(centre, zone.points));
+};
+
+/**
+ * Split a frame's detections into the ones that count and the ones a zone suppresses
+ * @returns {{kept: Array, suppressed: Array}}
+ */
+export const applyZones = (detections, zones, frame) => {
+  const kept = [];
+  const suppressed = [];
+  (detections || []).forEach((detection) => {
+    (isInAllowedZone(detection, zones, frame) ? kept : suppressed).push(detection);
+  });
+  return { kept, suppressed };
+};
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { applyZones, isInAllowedZone, normalizeZones, pointInPolygon } from './zones';
+
+const frame = { width: 200, height: 100 };
+const square = (x1, y1, x2, y2) => [[x1, y1], [x2, y1], [x2, y2], [x1, y2]];
+const fire = (bbox) => ({ class: 'fire', confidence: 0.8, bbox });
+
+describe('normalizeZones', () => {
+  it('keeps valid polygons, clamps points and defaults to exclude', () => {
+    const [zone] = normalizeZones([{ points: [[-0.2, 0], [1.5, 0], [0.5, 0.5]] }]);
+    expect(zone.type).toBe('exclude');
+    expect(zone.points).toEqual([[0, 0], [1, 0], [0.5, 0.5]]);
+    expect(zone.id).toMatch(/^zone-/);
+  });
+
+  it('drops polygons with fewer than three usable points', () => {
+    expect(normalizeZones([{ points: [[0, 0], [1, 1], ['a', 2]] }, null])).toEqual([]);
+    expect(normalizeZones('nope')).toEqual([]);
+  });
+
+  it('keeps the id and type it is given', () => {
+    const zone = { id: 'zone-1', type: 'include', points: square(0, 0, 1, 1) };
+    expect(normalizeZones([zone])).toEqual([zone]);
+  });
+});
+
+describe('pointInPolygon', () => {
+  it('tells inside from outside', () => {
+    const triangle = [[0, 0], [1, 0], [0, 1]];
+    expect(pointInPolygon([0.2, 0.2], triangle)).toBe(true);
+    expect(pointInPolygon([0.8, 0.8], triangle)).toBe(false);
+  });
+});
+
+describe('isInAllowedZone', () => {
+  const chimney = { id: 'a', type: 'exclude', points: square(0, 0, 0.5, 1) };
+  const forest = { id: 'b', type: 'include', points: square(0.25, 0, 1, 1) };
+
+  it('allows everything without zones', () => {
+    expect(isInAllowedZone(fire([0, 0, 10, 10]), [], frame)).toBe(true);
+  });
+
+  it('suppresses detections centred in an exclude zone', () => {
+    expect(isInAllowedZone(fire([10, 10, 50, 50]), [chimney], frame)).toBe(false);
+    expect(isInAllowedZone(fire([150, 10, 190, 50]), [chimney], frame)).toBe(true);
+  });
+
+  it('only allows detections inside an include zone, and exclude wins', () => {
+    expect(isInAllowedZone(fire([0, 0, 20, 20]), [forest], frame)).toBe(false);
+    expect(isInAllowedZone(fire([150, 10, 190, 50]), [forest], frame)).toBe(true);
+    expect(isInAllowedZone(fire([60, 10, 80, 50]), [chimney, forest], frame)).toBe(false);
+  });
+});
+
+describe('applyZones', () => {
+  it('splits detections into kept and suppressed', () => {
+    const zones = [{ id: 'a', type: 'exclude', points: square(0, 0, 0.5, 1) }];
+    const masked = fire([10, 10, 50, 50]);
+    const real = fire([150, 10, 190, 50]);
+    expect(applyZones([masked, real], zones, frame)).toEqual({ kept: [real], suppressed: [masked] });
+    expect(applyZones(undefined, zones, frame)).toEqual({ kept: [], suppressed: [] });
+  });
+});